@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/**
+ * commit-story-init - Same as `npx commit-story init`
+ */
+
+process.argv.splice(2, 0, 'init');
+await import('../src/index.js');
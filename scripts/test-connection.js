@@ -1,26 +1,31 @@
 #!/usr/bin/env node
 /**
- * Test script to verify LangChain/Anthropic connection works.
+ * Test script to verify the configured LLM provider connection works.
  * Run with: teller run -- /opt/homebrew/bin/node scripts/test-connection.js
  * Or with .env file: node scripts/test-connection.js
+ * Other providers: COMMIT_STORY_PROVIDER=ollama node scripts/test-connection.js
  */
 
-import { ChatAnthropic } from '@langchain/anthropic';
-import { config } from '../src/utils/config.js';
+import { getProvider, resolveProviderSettings, validateProvider, createModel } from '../src/generators/providers/index.js';
 
-console.log('Testing LangChain/Anthropic connection...');
-console.log('Model:', config.model);
+const provider = getProvider();
+const settings = resolveProviderSettings(provider);
 
-const llm = new ChatAnthropic({
-  model: config.model,
-  temperature: 0,
-  maxRetries: 2,
-});
+console.log(`Testing LangChain/${provider.name} connection...`);
+console.log('Model:', settings.model);
+
+const problem = validateProvider();
+if (problem) {
+  console.error(`\n❌ ${problem.message}\n   ${problem.hint}`);
+  process.exit(1);
+}
+
+const llm = createModel();
 
 try {
   const response = await llm.invoke([
     ['system', 'You are a helpful assistant. Respond in exactly one sentence.'],
-    ['human', 'Say hello and confirm you are Claude.'],
+    ['human', 'Say hello and tell me which model you are.'],
   ]);
 
   console.log('\n✅ Connection successful!');
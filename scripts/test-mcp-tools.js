@@ -1,165 +0,0 @@
-#!/usr/bin/env node
-/**
- * Test script for MCP tools
- *
- * Tests the reflection and context capture tools directly
- * without going through the MCP protocol.
- *
- * Run with: node scripts/test-mcp-tools.js
- */
-
-import { mkdir, readFile, rm } from 'node:fs/promises';
-import { join, dirname } from 'node:path';
-
-// Import the tool modules directly to test their core functionality
-// We'll create test wrappers since the tools are designed for MCP registration
-
-console.log('Testing MCP Tools...\n');
-
-// =====================
-// Test Reflection Tool
-// =====================
-
-console.log('=== Test 1: Reflection Tool ===');
-
-// Import and re-implement the core save function for testing
-const SEPARATOR = '═══════════════════════════════════════';
-
-function getReflectionsPath(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return join('journal', 'reflections', `${year}-${month}`, `${year}-${month}-${day}.md`);
-}
-
-function getContextPath(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return join('journal', 'context', `${year}-${month}`, `${year}-${month}-${day}.md`);
-}
-
-function formatTimestamp(date) {
-  return date.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: true,
-    timeZoneName: 'short',
-  });
-}
-
-// Test path generation
-const testDate = new Date('2026-01-29T12:00:00');
-const reflectionPath = getReflectionsPath(testDate);
-const contextPath = getContextPath(testDate);
-
-// Use path.join for platform-safe expected paths
-const expectedReflectionPath = join('journal', 'reflections', '2026-01', '2026-01-29.md');
-const expectedContextPath = join('journal', 'context', '2026-01', '2026-01-29.md');
-
-console.log('Reflection path:', reflectionPath);
-console.log('Expected:', expectedReflectionPath);
-console.log('Match:', reflectionPath === expectedReflectionPath ? '✅' : '❌');
-
-console.log('');
-
-// =====================
-// Test Context Tool
-// =====================
-
-console.log('=== Test 2: Context Tool ===');
-console.log('Context path:', contextPath);
-console.log('Expected:', expectedContextPath);
-console.log('Match:', contextPath === expectedContextPath ? '✅' : '❌');
-
-console.log('');
-
-// =====================
-// Test Timestamp Formatting
-// =====================
-
-console.log('=== Test 3: Timestamp Format ===');
-const timestamp = formatTimestamp(testDate);
-console.log('Timestamp:', timestamp);
-console.log('Contains time:', timestamp.includes(':') ? '✅' : '❌');
-console.log('Contains AM/PM:', (timestamp.includes('AM') || timestamp.includes('PM')) ? '✅' : '❌');
-
-console.log('');
-
-// =====================
-// Test Entry Format
-// =====================
-
-console.log('=== Test 4: Entry Format ===');
-
-function formatReflectionEntry(text, date) {
-  const ts = formatTimestamp(date);
-  return `## ${ts} - Manual Reflection
-
-${text}
-
-${SEPARATOR}
-
-`;
-}
-
-const entry = formatReflectionEntry('Test reflection content', testDate);
-console.log('Entry preview (first 100 chars):', entry.substring(0, 100) + '...');
-console.log('Contains header:', entry.includes('## ') && entry.includes(' - Manual Reflection') ? '✅' : '❌');
-console.log('Contains separator:', entry.includes(SEPARATOR) ? '✅' : '❌');
-console.log('Contains content:', entry.includes('Test reflection content') ? '✅' : '❌');
-
-console.log('');
-
-// =====================
-// Test Actual File Write
-// =====================
-
-console.log('=== Test 5: File Write (Live Test) ===');
-
-import { appendFile } from 'node:fs/promises';
-
-async function testFileWrite() {
-  const testDir = 'journal/reflections/test-temp';
-  const testFile = join(testDir, 'test.md');
-
-  try {
-    // Create test directory
-    await mkdir(testDir, { recursive: true });
-
-    // Write test content
-    const testEntry = formatReflectionEntry('Test write from test script', new Date());
-    await appendFile(testFile, testEntry, 'utf-8');
-
-    // Read it back
-    const content = await readFile(testFile, 'utf-8');
-    console.log('File written successfully:', testFile);
-    console.log('Content length:', content.length, 'bytes');
-    console.log('Contains entry:', content.includes('Test write from test script') ? '✅' : '❌');
-
-    // Clean up
-    await rm(testDir, { recursive: true });
-    console.log('Cleanup: Test directory removed');
-  } catch (error) {
-    console.error('File write test failed:', error.message);
-  }
-}
-
-await testFileWrite();
-
-console.log('');
-console.log('✅ All MCP tool tests completed!');
-console.log('');
-console.log('To test with Claude Code:');
-console.log('1. Add to your .mcp.json:');
-console.log('   {');
-console.log('     "mcpServers": {');
-console.log('       "commit-story": {');
-console.log('         "command": "node",');
-console.log(`         "args": ["${process.cwd()}/src/mcp/server.js"]`);
-console.log('       }');
-console.log('     }');
-console.log('   }');
-console.log('2. Restart Claude Code');
-console.log('3. Ask: "capture a reflection about testing"');
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/**
+ * commit-story-remove - Same as `npx commit-story uninstall`
+ */
+
+process.argv.splice(2, 0, 'uninstall');
+await import('../src/index.js');
@@ -0,0 +1,105 @@
+/**
+ * Aider Collector - Extracts Aider chat history for journal generation
+ *
+ * Aider appends every chat to .aider.chat.history.md in the repository root:
+ *   # aider chat started at 2026-10-19 09:12:44   ← new session (local time)
+ *   #### make the parser stricter                 ← user message
+ *   > Applied edit to src/parser.js               ← tool output (skipped)
+ *   Plain lines are the assistant's reply.
+ *
+ * Aider records only when a session started, so every message in a session
+ * carries the session's start time and the whole session is kept when it
+ * overlaps the commit window.
+ */
+
+import { readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** History file name Aider writes at the repository root */
+export const AIDER_HISTORY_FILE = '.aider.chat.history.md';
+
+const SESSION_HEADER = /^# aider chat started at (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\s*$/;
+const USER_PREFIX = '#### ';
+const TOOL_PREFIX = '>';
+
+/**
+ * Find the Aider history file for a repository
+ * @param {string} repoPath - Absolute path to repository root
+ * @param {object} window - Commit window
+ * @param {Date} window.startTime - Start of window; files untouched since are skipped
+ * @returns {Promise<string[]>} History file path, or empty if missing/stale
+ */
+export async function discoverSessions(repoPath, { startTime } = {}) {
+  const filePath = join(repoPath, AIDER_HISTORY_FILE);
+  try {
+    const stats = await stat(filePath);
+    if (startTime && stats.mtime < startTime) return [];
+    return [filePath];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse an Aider history file into sessions
+ * @param {string} filePath - Path to .aider.chat.history.md
+ * @returns {Promise<object[]>} Sessions with normalized messages
+ */
+export async function parseSession(filePath) {
+  const content = await readFile(filePath, 'utf-8');
+  const { mtime } = await stat(filePath);
+  const sessions = [];
+  let session = null;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const text = current.lines.join('\n').trim();
+    if (text) {
+      session.messages.push({
+        uuid: `${session.sessionId}:${session.messages.length}`,
+        sessionId: session.sessionId,
+        type: current.type,
+        timestamp: session.startTime.toISOString(),
+        content: text,
+      });
+    }
+    current = null;
+  };
+
+  for (const line of content.split('\n')) {
+    const header = line.match(SESSION_HEADER);
+    if (header) {
+      flush();
+      // Aider writes local time without an offset
+      const startTime = new Date(header[1].replace(' ', 'T'));
+      if (session) session.endTime = startTime;
+      session = { sessionId: `aider-${startTime.getTime()}`, cwd: null, startTime, endTime: mtime, messages: [] };
+      sessions.push(session);
+      continue;
+    }
+
+    if (!session) continue;
+
+    if (line.startsWith(USER_PREFIX)) {
+      if (current?.type !== 'user') {
+        flush();
+        current = { type: 'user', lines: [] };
+      }
+      current.lines.push(line.slice(USER_PREFIX.length));
+    } else if (line.startsWith(TOOL_PREFIX)) {
+      flush();
+    } else if (current || line.trim()) {
+      if (current?.type !== 'assistant') {
+        flush();
+        current = { type: 'assistant', lines: [] };
+      }
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return sessions;
+}
+
+export default { name: 'aider', discoverSessions, parseSession };
@@ -0,0 +1,113 @@
+/**
+ * Assistant Collectors - Chat history from assistants other than Claude Code
+ *
+ * Every adapter implements the same interface:
+ *   name                                 - Source label stored on each message
+ *   discoverSessions(repoPath, window)   - Candidate session files for the repository
+ *   parseSession(filePath)               - Sessions in a file: { sessionId, cwd, messages }
+ *
+ * Adapters normalize messages to the shape message-filter.js produces
+ * ({ uuid, sessionId, type, timestamp, content }), so they merge directly with
+ * filtered Claude Code messages. Filtering by repository and time window is
+ * shared here: a session's cwd must be inside the repository (sessions found
+ * through the repository itself have no cwd), and messages must fall inside
+ * the window. Sessions that only know their own start/end (Aider) are kept
+ * whole when they overlap the window.
+ *
+ * Cursor keeps its chats in a SQLite database (state.vscdb) and isn't
+ * supported yet.
+ */
+
+import aiderCollector from './aider-collector.js';
+import codexCollector from './codex-collector.js';
+import geminiCollector from './gemini-collector.js';
+import { isWithinRepo } from './claude-collector.js';
+import { withSpan } from '../telemetry/index.js';
+
+/** Registered adapters, in the order their messages are collected */
+export const ASSISTANT_COLLECTORS = [aiderCollector, codexCollector, geminiCollector];
+
+/**
+ * Get the names of all registered adapters
+ * @returns {string[]} Adapter names
+ */
+export function getAssistantCollectorNames() {
+  return ASSISTANT_COLLECTORS.map((collector) => collector.name);
+}
+
+/**
+ * Select the messages of a session that belong to the commit window
+ * @param {object} session - Parsed session
+ * @param {Date} startTime - Start of window (inclusive)
+ * @param {Date} endTime - End of window (inclusive)
+ * @returns {object[]} Messages to keep
+ */
+function selectWindowMessages(session, startTime, endTime) {
+  if (session.startTime && session.endTime) {
+    const overlaps = session.startTime <= endTime && session.endTime >= startTime;
+    return overlaps ? session.messages : [];
+  }
+
+  return session.messages.filter((msg) => {
+    const msgTime = new Date(msg.timestamp);
+    return msgTime >= startTime && msgTime <= endTime;
+  });
+}
+
+/**
+ * Collect messages from every enabled adapter for a commit window
+ * @param {string} repoPath - Absolute path to repository root
+ * @param {Date} startTime - Start of window (previous commit time)
+ * @param {Date} endTime - End of window (commit time)
+ * @param {object} options - Collection options
+ * @param {object} options.enabled - Adapter name → false to disable (default: all enabled)
+ * @param {string[]} options.excludePaths - Subdirectories to leave out, e.g. nested worktrees
+ * @returns {Promise<{messages: object[], bySource: object}>} Normalized messages, sorted chronologically, and counts per adapter
+ */
+export async function collectAssistantMessages(repoPath, startTime, endTime, options = {}) {
+  const { enabled = {}, excludePaths = [] } = options;
+  const messages = [];
+  const bySource = {};
+
+  for (const collector of ASSISTANT_COLLECTORS) {
+    if (enabled[collector.name] === false) continue;
+
+    await withSpan(`commit_story.collect.${collector.name}`, {}, async (span) => {
+      let files = [];
+      try {
+        files = await collector.discoverSessions(repoPath, { startTime, endTime });
+      } catch (error) {
+        // A source the user may not even use mustn't fail the journal entry
+        span.setAttributes({ 'commit_story.collector.error': error.message });
+      }
+      const sessions = [];
+      for (const filePath of files) {
+        try {
+          sessions.push(...(await collector.parseSession(filePath)));
+        } catch {
+          // Unreadable session file - skip it rather than fail the journal entry
+        }
+      }
+
+      // Prefer full sessions over user-only copies of the same session (Gemini logs.json)
+      const fullSessionIds = new Set(sessions.filter((s) => !s.userOnly).map((s) => s.sessionId));
+
+      let count = 0;
+      for (const session of sessions) {
+        if (session.userOnly && fullSessionIds.has(session.sessionId)) continue;
+        if (session.cwd && !isWithinRepo(session.cwd, repoPath, excludePaths)) continue;
+
+        for (const msg of selectWindowMessages(session, startTime, endTime)) {
+          messages.push({ ...msg, isContextCapture: false, source: collector.name });
+          count++;
+        }
+      }
+      bySource[collector.name] = count;
+      span.setAttributes({ 'commit_story.collector.files': files.length, 'commit_story.chat.message_count': count });
+    });
+  }
+
+  messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return { messages, bySource };
+}
@@ -3,18 +3,27 @@
  *
  * Collects messages from ~/.claude/projects/[project-path-encoded]/*.jsonl
  * Filters by repository path and time window, groups by session.
+ * Sessions started in a subdirectory of the repository are included too.
+ *
+ * Files are streamed, files untouched since the window opened are skipped,
+ * and only the blocks of each file whose time range meets the window are
+ * read (see jsonl-index.js).
  */
 
-import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { readdirSync, existsSync, statSync } from 'node:fs';
+import { stat } from 'node:fs/promises';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
+import { isPathWithin } from '../utils/git-repo.js';
+import { getIndexPath, loadIndex, saveIndex, readLines, updateFileIndex, selectBlocks } from './jsonl-index.js';
 
 /**
  * Get the Claude projects directory path
- * @returns {string} Path to ~/.claude/projects/
+ * Honors CLAUDE_CONFIG_DIR, which Claude Code itself uses to relocate ~/.claude.
+ * @returns {string} Path to ~/.claude/projects/ (or $CLAUDE_CONFIG_DIR/projects/)
  */
 export function getClaudeProjectsDir() {
-  return join(homedir(), '.claude', 'projects');
+  return join(process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude'), 'projects');
 }
 
 /**
@@ -53,12 +62,53 @@ export function getClaudeProjectPath(repoPath) {
   return projectDir;
 }
 
+/**
+ * Get all Claude project directories that may hold sessions for a repository
+ * Claude Code keys projects by the session's working directory, so sessions
+ * started in a subdirectory (e.g. repo/src) live in their own directory whose
+ * encoded name extends the repository's. The encoding is lossy, so callers
+ * must still check each message's cwd (see filterMessages).
+ * @param {string} repoPath - Absolute path to repository root
+ * @returns {string[]} Paths to matching project directories
+ */
+export function getClaudeProjectPaths(repoPath) {
+  const projectsDir = getClaudeProjectsDir();
+
+  if (!existsSync(projectsDir)) {
+    return [];
+  }
+
+  const encodedPath = encodeProjectPath(repoPath);
+
+  return readdirSync(projectsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .filter((entry) => entry.name === encodedPath || entry.name.startsWith(`${encodedPath}-`))
+    .map((entry) => join(projectsDir, entry.name));
+}
+
+/**
+ * Check whether a session working directory belongs to a repository
+ * @param {string} cwd - Message cwd field
+ * @param {string} repoPath - Repository root
+ * @param {string[]} excludePaths - Nested paths owned by other checkouts (e.g. worktrees)
+ * @returns {boolean} True if cwd is the repo root or inside it
+ */
+export function isWithinRepo(cwd, repoPath, excludePaths = []) {
+  if (!cwd || !isPathWithin(cwd, repoPath)) return false;
+
+  return !excludePaths.some((excluded) => excluded !== repoPath && isPathWithin(cwd, excluded));
+}
+
 /**
  * Find all JSONL files in a Claude project directory
  * @param {string} projectPath - Path to Claude project directory
+ * @param {object} options - Search options
+ * @param {Date} options.modifiedSince - Skip files last modified before this time
  * @returns {string[]} Array of JSONL file paths, sorted by modification time (newest first)
  */
-export function findJSONLFiles(projectPath) {
+export function findJSONLFiles(projectPath, options = {}) {
+  const { modifiedSince } = options;
+
   if (!existsSync(projectPath)) {
     return [];
   }
@@ -75,6 +125,8 @@ export function findJSONLFiles(projectPath) {
         mtime: stats.mtime.getTime(),
       };
     })
+    // A file untouched since the window opened can't hold messages inside it
+    .filter((file) => !modifiedSince || file.mtime >= modifiedSince.getTime())
     .sort((a, b) => b.mtime - a.mtime) // Sort by modification time, newest first
     .map((file) => file.path);
 
@@ -93,56 +145,89 @@ const SKIP_RECORD_TYPES = new Set([
 ]);
 
 /**
- * Parse a JSONL file and extract messages
- * Skips malformed lines and non-conversation records
+ * Parse one JSONL line into a conversation record
+ * @param {string} line - JSONL line
+ * @returns {object|null} Record, or null for blank, malformed or non-conversation lines
+ */
+function parseRecord(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine) return null;
+
+  try {
+    const record = JSON.parse(trimmedLine);
+
+    // Skip non-conversation record types
+    if (SKIP_RECORD_TYPES.has(record.type)) return null;
+
+    // Must have basic message fields
+    if (!record.uuid || !record.timestamp) return null;
+
+    return record;
+  } catch {
+    // Skip malformed JSON lines, continue processing
+    return null;
+  }
+}
+
+/**
+ * Parse a JSONL file (or a byte range of it) and extract messages
+ * Streams the file line by line; skips malformed lines and non-conversation records
  * @param {string} filePath - Path to JSONL file
- * @returns {object[]} Array of parsed message records
+ * @param {object} range - Byte range to read (default: whole file)
+ * @param {number} range.start - First byte, at a line boundary
+ * @param {number} range.end - Byte after the last one to read
+ * @returns {Promise<object[]>} Array of parsed message records
  */
-export function parseJSONLFile(filePath) {
+export async function parseJSONLFile(filePath, range = {}) {
   if (!existsSync(filePath)) {
     return [];
   }
 
-  const content = readFileSync(filePath, 'utf-8');
-  const lines = content.split('\n');
   const messages = [];
+  for await (const { line } of readLines(filePath, range)) {
+    const record = parseRecord(line);
+    if (record) messages.push(record);
+  }
 
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (!trimmedLine) continue;
-
-    try {
-      const record = JSON.parse(trimmedLine);
-
-      // Skip non-conversation record types
-      if (SKIP_RECORD_TYPES.has(record.type)) continue;
+  return messages;
+}
 
-      // Must have basic message fields
-      if (!record.uuid || !record.timestamp) continue;
+/**
+ * Read only the records of a file that may fall inside a time window
+ * @param {string} filePath - Path to JSONL file
+ * @param {object} index - Index from loadIndex (updated in place)
+ * @param {Date} startTime - Start of window
+ * @param {Date} endTime - End of window
+ * @returns {Promise<object[]>} Records from blocks that meet the window (not yet filtered)
+ */
+async function readWindowRecords(filePath, index, startTime, endTime) {
+  const entry = await updateFileIndex(index, filePath, await stat(filePath));
+  const records = [];
 
-      messages.push(record);
-    } catch {
-      // Skip malformed JSON lines, continue processing
-      continue;
-    }
+  for (const block of selectBlocks(entry, startTime, endTime)) {
+    records.push(...(await parseJSONLFile(filePath, block)));
   }
 
-  return messages;
+  return records;
 }
 
 /**
  * Filter messages by repository path and time window
  * @param {object[]} messages - Array of message records
- * @param {string} repoPath - Repository path to filter by (matches cwd field)
+ * @param {string} repoPath - Repository root to filter by (cwd must be it or a subdirectory)
  * @param {Date} startTime - Start of time window (inclusive)
  * @param {Date} endTime - End of time window (inclusive)
+ * @param {object} options - Filter options
+ * @param {string[]} options.excludePaths - Subdirectories to leave out, e.g. nested worktrees
  * @returns {object[]} Filtered messages, sorted chronologically
  */
-export function filterMessages(messages, repoPath, startTime, endTime) {
+export function filterMessages(messages, repoPath, startTime, endTime, options = {}) {
+  const { excludePaths = [] } = options;
+
   return messages
     .filter((msg) => {
-      // Must have cwd field matching repo path
-      if (msg.cwd !== repoPath) return false;
+      // Must have cwd field within the repository
+      if (!isWithinRepo(msg.cwd, repoPath, excludePaths)) return false;
 
       // Must have timestamp within window
       const msgTime = new Date(msg.timestamp);
@@ -181,15 +266,17 @@ export function groupBySession(messages) {
 
 /**
  * Collect Claude Code chat messages for a commit
- * @param {string} repoPath - Absolute path to repository
+ * @param {string} repoPath - Absolute path to repository root
  * @param {Date} commitTime - Current commit timestamp
  * @param {Date} previousCommitTime - Previous commit timestamp (start of window)
+ * @param {object} options - Collection options
+ * @param {string[]} options.excludePaths - Subdirectories to leave out, e.g. nested worktrees
  * @returns {Promise<ChatData>} Collected chat data
  */
-export async function collectChatMessages(repoPath, commitTime, previousCommitTime) {
-  const projectPath = getClaudeProjectPath(repoPath);
+export async function collectChatMessages(repoPath, commitTime, previousCommitTime, options = {}) {
+  const projectPaths = getClaudeProjectPaths(repoPath);
 
-  if (!projectPath) {
+  if (projectPaths.length === 0) {
     return {
       messages: [],
       sessions: new Map(),
@@ -202,15 +289,22 @@ export async function collectChatMessages(repoPath, commitTime, previousCommitTi
     };
   }
 
-  const jsonlFiles = findJSONLFiles(projectPath);
+  const jsonlFiles = projectPaths.flatMap((projectPath) =>
+    findJSONLFiles(projectPath, { modifiedSince: previousCommitTime })
+  );
+
+  const indexPath = getIndexPath(repoPath);
+  const index = await loadIndex(indexPath);
   let allMessages = [];
 
   for (const filePath of jsonlFiles) {
-    const fileMessages = parseJSONLFile(filePath);
-    const filtered = filterMessages(fileMessages, repoPath, previousCommitTime, commitTime);
+    const fileMessages = await readWindowRecords(filePath, index, previousCommitTime, commitTime);
+    const filtered = filterMessages(fileMessages, repoPath, previousCommitTime, commitTime, options);
     allMessages = allMessages.concat(filtered);
   }
 
+  await saveIndex(indexPath, index);
+
   // Sort all messages chronologically
   allMessages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
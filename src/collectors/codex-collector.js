@@ -0,0 +1,142 @@
+/**
+ * Codex Collector - Extracts Codex CLI chat history for journal generation
+ *
+ * Codex CLI writes one rollout file per session:
+ *   $CODEX_HOME/sessions/YYYY/MM/DD/rollout-<time>-<id>.jsonl (default ~/.codex)
+ * The session_meta record holds the working directory; response_item records
+ * with payload.type "message" hold the user and assistant turns.
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+/**
+ * Prefixes of user messages Codex injects itself (environment, AGENTS.md)
+ */
+const INJECTED_PREFIXES = ['<environment_context>', '<user_instructions>', '# AGENTS.md instructions'];
+
+/**
+ * Get the Codex sessions directory
+ * @returns {string} Path to $CODEX_HOME/sessions
+ */
+export function getCodexSessionsDir() {
+  return join(process.env.CODEX_HOME || join(homedir(), '.codex'), 'sessions');
+}
+
+/**
+ * List the .jsonl files under a directory, at any depth
+ * Walked by hand: readdir's recursive option needs Node 18.17+.
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} File paths (empty when the directory is missing)
+ */
+async function listJsonlFiles(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listJsonlFiles(entryPath)));
+    } else if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find rollout files written during or after the window start
+ * Codex sessions aren't keyed by project, so the repository filter happens
+ * on each session's cwd after parsing.
+ * @param {string} repoPath - Absolute path to repository root (unused)
+ * @param {object} window - Commit window
+ * @param {Date} window.startTime - Start of window; files untouched since are skipped
+ * @returns {Promise<string[]>} Rollout file paths
+ */
+export async function discoverSessions(repoPath, { startTime } = {}) {
+  const files = [];
+  for (const filePath of await listJsonlFiles(getCodexSessionsDir())) {
+    try {
+      const { mtime } = await stat(filePath);
+      if (!startTime || mtime >= startTime) files.push(filePath);
+    } catch {
+      // Rotated away since the directory was listed
+    }
+  }
+  return files;
+}
+
+/**
+ * Extract the text of a Codex message payload
+ * @param {object} payload - response_item payload
+ * @returns {string} Joined text blocks
+ */
+function extractText(payload) {
+  if (typeof payload.content === 'string') return payload.content.trim();
+  if (!Array.isArray(payload.content)) return '';
+
+  return payload.content
+    .filter((block) => block.type === 'input_text' || block.type === 'output_text')
+    .map((block) => block.text || '')
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Parse a Codex rollout file into a session
+ * Skips malformed lines, tool calls and Codex's injected context messages.
+ * @param {string} filePath - Path to rollout JSONL file
+ * @returns {Promise<object[]>} Zero or one session with normalized messages
+ */
+export async function parseSession(filePath) {
+  const content = await readFile(filePath, 'utf-8');
+  let meta = null;
+  const messages = [];
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (record.type === 'session_meta') {
+      meta = record.payload || {};
+      continue;
+    }
+
+    const payload = record.payload;
+    if (record.type !== 'response_item' || payload?.type !== 'message') continue;
+    if (payload.role !== 'user' && payload.role !== 'assistant') continue;
+
+    const text = extractText(payload);
+    if (!text || INJECTED_PREFIXES.some((prefix) => text.startsWith(prefix))) continue;
+
+    messages.push({ type: payload.role, timestamp: record.timestamp, content: text });
+  }
+
+  // Older rollouts have no session_meta/cwd and can't be tied to a repository
+  if (!meta?.cwd) return [];
+
+  const sessionId = meta.id || filePath;
+  return [
+    {
+      sessionId,
+      cwd: meta.cwd,
+      messages: messages
+        .filter((msg) => msg.timestamp)
+        .map((msg, index) => ({ uuid: `${sessionId}:${index}`, sessionId, ...msg })),
+    },
+  ];
+}
+
+export default { name: 'codex', discoverSessions, parseSession };
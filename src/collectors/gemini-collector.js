@@ -0,0 +1,127 @@
+/**
+ * Gemini Collector - Extracts Gemini CLI chat history for journal generation
+ *
+ * Gemini CLI keeps per-project data in ~/.gemini/tmp/<sha256 of project root>/:
+ *   chats/session-*.json  ← full conversations (user and gemini turns)
+ *   logs.json             ← user prompts only, for sessions without a chat file
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+/**
+ * Get the Gemini CLI project directory for a repository
+ * @param {string} repoPath - Absolute path to repository root
+ * @returns {string} Path to ~/.gemini/tmp/<project hash>
+ */
+export function getGeminiProjectDir(repoPath) {
+  const projectHash = createHash('sha256').update(repoPath).digest('hex');
+  return join(homedir(), '.gemini', 'tmp', projectHash);
+}
+
+/**
+ * Find chat and log files written during or after the window start
+ * @param {string} repoPath - Absolute path to repository root
+ * @param {object} window - Commit window
+ * @param {Date} window.startTime - Start of window; files untouched since are skipped
+ * @returns {Promise<string[]>} Chat files first, then logs.json
+ */
+export async function discoverSessions(repoPath, { startTime } = {}) {
+  const projectDir = getGeminiProjectDir(repoPath);
+  const candidates = [];
+
+  try {
+    const chatsDir = join(projectDir, 'chats');
+    for (const name of await readdir(chatsDir)) {
+      if (name.endsWith('.json')) candidates.push(join(chatsDir, name));
+    }
+  } catch {
+    // No saved chats for this project
+  }
+  candidates.push(join(projectDir, 'logs.json'));
+
+  const files = [];
+  for (const filePath of candidates) {
+    try {
+      const { mtime } = await stat(filePath);
+      if (!startTime || mtime >= startTime) files.push(filePath);
+    } catch {
+      // Missing file
+    }
+  }
+  return files;
+}
+
+/**
+ * Extract text from Gemini message content (string or parts array)
+ * @param {string|object[]} content - Message content
+ * @returns {string} Text content
+ */
+function extractText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((part) => part.text || '')
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Parse a Gemini chat file or logs.json into sessions
+ * Project directories are keyed by the repository root, so sessions carry no cwd.
+ * @param {string} filePath - Path to a chat file or logs.json
+ * @returns {Promise<object[]>} Sessions with normalized messages
+ */
+export async function parseSession(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch {
+    return [];
+  }
+
+  // logs.json: flat list of user prompts across sessions
+  if (Array.isArray(data)) {
+    const sessions = new Map();
+    for (const entry of data) {
+      const text = extractText(entry.message);
+      if (entry.type !== 'user' || !entry.sessionId || !entry.timestamp || !text) continue;
+
+      if (!sessions.has(entry.sessionId)) {
+        sessions.set(entry.sessionId, { sessionId: entry.sessionId, cwd: null, userOnly: true, messages: [] });
+      }
+      sessions.get(entry.sessionId).messages.push({
+        uuid: `${entry.sessionId}:${entry.messageId ?? sessions.get(entry.sessionId).messages.length}`,
+        sessionId: entry.sessionId,
+        type: 'user',
+        timestamp: entry.timestamp,
+        content: text,
+      });
+    }
+    return [...sessions.values()];
+  }
+
+  if (!data?.sessionId || !Array.isArray(data.messages)) return [];
+
+  const messages = [];
+  for (const message of data.messages) {
+    // Skip info/error/warning records
+    const type = message.type === 'user' ? 'user' : message.type === 'gemini' ? 'assistant' : null;
+    const text = extractText(message.content);
+    if (!type || !text || !message.timestamp) continue;
+
+    messages.push({
+      uuid: message.id || `${data.sessionId}:${messages.length}`,
+      sessionId: data.sessionId,
+      type,
+      timestamp: message.timestamp,
+      content: text,
+    });
+  }
+
+  return [{ sessionId: data.sessionId, cwd: null, messages }];
+}
+
+export default { name: 'gemini', discoverSessions, parseSession };
@@ -1,12 +1,15 @@
 /**
  * Git Collector - Extracts commit data for journal generation
  *
- * Collects commit metadata and diffs, filtering out journal entries
- * to prevent context pollution in AI generation.
+ * Collects commit metadata and diffs, filtering out journal entries and
+ * .commitstoryignore paths to prevent context pollution in AI generation.
  */
 
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
+import { getGeneratedJournalPaths } from '../utils/journal-paths.js';
+import { getRepoRoot, unquoteGitPath } from '../utils/git-repo.js';
+import { loadIgnoreMatcher } from '../utils/ignore-file.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -20,6 +23,7 @@ const execFileAsync = promisify(execFile);
 async function runGit(args, { commitRef } = {}) {
   try {
     const { stdout } = await execFileAsync('git', args, {
+      cwd: getRepoRoot(), // Pathspecs are relative to cwd - always run from the root
       maxBuffer: 10 * 1024 * 1024, // 10MB for large diffs
     });
     return stdout;
@@ -37,15 +41,46 @@ async function runGit(args, { commitRef } = {}) {
   }
 }
 
+/** Trailer line: "Key: value" (git unfolds continuation lines for us) */
+const TRAILER_PATTERN = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.*)$/;
+const CO_AUTHOR_KEY = 'co-authored-by';
+
+/**
+ * Parse a commit's trailers
+ * @param {string[]} lines - Trailer lines from %(trailers:only,unfold)
+ * @returns {{trailers: Array<{key: string, value: string}>, coAuthors: Array<{name: string, email: string|null}>}}
+ *   Co-authored-by trailers become coAuthors; the rest stay trailers
+ */
+function parseTrailers(lines) {
+  const trailers = [];
+  const coAuthors = [];
+
+  for (const line of lines) {
+    const match = line.match(TRAILER_PATTERN);
+    if (!match) continue;
+
+    const [, key, value] = match;
+    if (key.toLowerCase() === CO_AUTHOR_KEY) {
+      const identity = value.match(/^(.*?)\s*<([^>]*)>$/);
+      coAuthors.push(identity ? { name: identity[1], email: identity[2] } : { name: value, email: null });
+    } else {
+      trailers.push({ key, value });
+    }
+  }
+
+  return { trailers, coAuthors };
+}
+
 /**
  * Get commit metadata
  * @param {string} commitRef - Git commit reference (default: HEAD)
  * @returns {Promise<object>} - Commit metadata
  */
-async function getCommitMetadata(commitRef = 'HEAD') {
+export async function getCommitMetadata(commitRef = 'HEAD') {
   // %H = full hash, %h = short hash, %s = subject, %b = body (without subject)
   // %an = author name, %ae = author email, %aI = author date ISO
-  const format = '%H%n%h%n%s%n%b%n--END-BODY--%n%an%n%ae%n%aI';
+  // %(trailers) = "Key: value" lines at the end of the message
+  const format = '%H%n%h%n%s%n%b%n--END-BODY--%n%an%n%ae%n%aI%n%(trailers:only,unfold)';
   const output = await runGit(['show', '--no-patch', `--format=${format}`, commitRef]);
 
   const lines = output.split('\n');
@@ -67,11 +102,61 @@ async function getCommitMetadata(commitRef = 'HEAD') {
     author,
     authorEmail,
     timestamp: new Date(timestampStr),
+    ...parseTrailers(lines.slice(bodyEndIndex + 4)),
   };
 }
 
 /**
- * Get commit diff, excluding journal entries
+ * Pathspec for the commit's own changes
+ * Excludes generated journal files (entries, summaries) - unless the journal lives outside the repo.
+ * @returns {string[]} Pathspec arguments
+ */
+function getChangesPathspec() {
+  return ['.', ...getGeneratedJournalPaths().map((path) => `:!${path}/`)];
+}
+
+/**
+ * List the commit's changed files that .commitstoryignore matches
+ * Ignore rules use gitignore syntax, which pathspecs can't express, and excluding the
+ * files one by one could overflow the command line - so they're filtered out of git's output.
+ * @param {string} commitRef - Git commit reference
+ * @returns {Promise<Set<string>>} Ignored repo-relative paths (empty without an ignore file)
+ */
+async function getIgnoredChanges(commitRef) {
+  const isIgnored = loadIgnoreMatcher();
+  if (!isIgnored) {
+    return new Set();
+  }
+
+  const changed = await runGit(
+    ['diff-tree', '--name-only', '-z', '-r', '--root', '-m', '--first-parent', '--no-commit-id', commitRef],
+    { commitRef }
+  );
+  return new Set(changed.split('\0').filter((path) => path && isIgnored(path)));
+}
+
+/**
+ * Check whether a diff section belongs to one of the given files
+ * The header is "diff --git a/<old> b/<new>"; paths may contain " b/" themselves,
+ * so every split point is tried against the file list.
+ * @param {string} section - One file's section, starting at its "diff --git" line
+ * @param {Set<string>} paths - Repo-relative paths
+ * @returns {boolean}
+ */
+function isSectionOf(section, paths) {
+  const header = section.split('\n', 1)[0];
+  if (header.endsWith('"')) {
+    const quoted = header.lastIndexOf(' "b/');
+    return quoted !== -1 && paths.has(unquoteGitPath(header.slice(quoted + 1)).slice(2));
+  }
+  for (let at = header.indexOf(' b/'); at !== -1; at = header.indexOf(' b/', at + 1)) {
+    if (paths.has(header.slice(at + 3))) return true;
+  }
+  return false;
+}
+
+/**
+ * Get commit diff, excluding journal entries and ignored paths
  * @param {string} commitRef - Git commit reference (default: HEAD)
  * @returns {Promise<string>} - Diff content
  */
@@ -82,17 +167,117 @@ async function getCommitDiff(commitRef = 'HEAD') {
       '-p',           // Generate patch
       '-m',           // Show diff for merges
       '--first-parent', // For merges, diff against first parent
+      '-M',           // Show renames as renames, not a delete and an add
       commitRef,
       '--',
-      '.',
-      ':!journal/entries/', // Exclude journal entries
+      ...getChangesPathspec(),
     ],
     { commitRef }
   );
 
   // First line is commit hash, rest is diff
   const lines = output.split('\n');
-  return lines.slice(1).join('\n').trim();
+  const diff = lines.slice(1).join('\n').trim();
+
+  const ignored = await getIgnoredChanges(commitRef);
+  if (ignored.size === 0) {
+    return diff;
+  }
+  return diff
+    .split(/\n(?=diff --git )/)
+    .filter((section) => !isSectionOf(section, ignored))
+    .join('\n');
+}
+
+/**
+ * @typedef {Object} FileStat
+ * @property {string} path - Path after the commit
+ * @property {number|null} insertions - Lines added (null for binary files)
+ * @property {number|null} deletions - Lines removed (null for binary files)
+ * @property {string} [previousPath] - Path before the commit (renamed files only)
+ * @property {boolean} [binary] - Set for binary files
+ */
+
+/**
+ * Get per-file line counts for a commit, excluding journal entries and ignored paths
+ * Merges are compared against their first parent, like the diff.
+ * @param {string} commitRef - Git commit reference (default: HEAD)
+ * @returns {Promise<{files: FileStat[], filesChanged: number, insertions: number, deletions: number}>}
+ */
+export async function getCommitStats(commitRef = 'HEAD') {
+  // -z keeps paths verbatim; a rename is "added<TAB>removed<TAB>" followed by the old and new path
+  const output = await runGit(
+    [
+      'diff-tree', '--numstat', '-z', '-r', '--root', '-m', '--first-parent', '-M',
+      commitRef, '--', ...getChangesPathspec(),
+    ],
+    { commitRef }
+  );
+  const ignored = await getIgnoredChanges(commitRef);
+
+  const files = [];
+  const fields = output.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const match = fields[i].match(/^(\d+|-)\t(\d+|-)\t(.*)$/);
+    if (!match) continue; // Commit hash, trailing empty field
+
+    const [, added, removed, path] = match;
+    const binary = added === '-';
+    const file = {
+      path,
+      insertions: binary ? null : parseInt(added, 10),
+      deletions: binary ? null : parseInt(removed, 10),
+    };
+    if (!path) {
+      file.previousPath = fields[++i];
+      file.path = fields[++i];
+    }
+    if (binary) {
+      file.binary = true;
+    }
+    if (!ignored.has(file.path)) {
+      files.push(file);
+    }
+  }
+
+  return {
+    files,
+    filesChanged: files.length,
+    insertions: files.reduce((sum, file) => sum + (file.insertions ?? 0), 0),
+    deletions: files.reduce((sum, file) => sum + (file.deletions ?? 0), 0),
+  };
+}
+
+/**
+ * Get the branch a commit belongs to
+ * The checked-out branch when the commit is HEAD; otherwise the nearest
+ * local branch containing it (e.g. during a backfill).
+ * @param {string} commitRef - Git commit reference (default: HEAD)
+ * @returns {Promise<string|null>} Branch name, or null (detached HEAD, no branch)
+ */
+export async function getBranchName(commitRef = 'HEAD') {
+  try {
+    const [commitHash, headHash] = (await runGit(['rev-parse', commitRef, 'HEAD'])).trim().split('\n');
+    if (commitHash === headHash) {
+      return (await runGit(['branch', '--show-current'])).trim() || null;
+    }
+
+    const name = (await runGit(['name-rev', '--name-only', '--no-undefined', '--refs=refs/heads/*', commitHash])).trim();
+    // name-rev describes ancestors as "main~3" or "main^2~1"
+    return name.replace(/[~^].*$/, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the tags pointing at a commit
+ * @param {string} commitRef - Git commit reference (default: HEAD)
+ * @returns {Promise<string[]>} Tag names, sorted by name
+ */
+export async function getCommitTags(commitRef = 'HEAD') {
+  const output = await runGit(['tag', '--points-at', commitRef], { commitRef });
+  return output.trim().split('\n').filter(Boolean);
 }
 
 /**
@@ -128,20 +313,45 @@ export async function getPreviousCommitTime(commitRef = 'HEAD') {
 }
 
 /**
- * Get complete commit data including metadata, diff, and merge info
+ * List commits in a revision range and/or since a date, oldest first
+ * @param {object} options - Selection options
+ * @param {string} options.range - Revision range (e.g. "main~50..main")
+ * @param {string} options.since - Date accepted by git --since (e.g. "2026-09-01")
+ * @param {string} options.ref - Tip to walk back from when no range is given (default: HEAD)
+ * @returns {Promise<string[]>} - Full commit hashes in chronological order
+ */
+export async function listCommits({ range, since, ref = 'HEAD' } = {}) {
+  const args = ['rev-list', '--reverse'];
+  if (since) {
+    args.push(`--since=${since}`);
+  }
+  args.push(range || ref);
+
+  const output = await runGit(args, { commitRef: range || ref });
+  return output.trim().split('\n').filter(Boolean);
+}
+
+/**
+ * Get complete commit data: metadata and trailers, diff, merge info, file stats, branch and tags
  * @param {string} commitRef - Git commit reference (default: HEAD)
  * @returns {Promise<CommitData>}
  */
 export async function getCommitData(commitRef = 'HEAD') {
-  const [metadata, diff, mergeInfo] = await Promise.all([
+  const [metadata, diff, mergeInfo, stats, branch, tags] = await Promise.all([
     getCommitMetadata(commitRef),
     getCommitDiff(commitRef),
     getMergeInfo(commitRef),
+    getCommitStats(commitRef),
+    getBranchName(commitRef),
+    getCommitTags(commitRef),
   ]);
 
   return {
     ...metadata,
     diff,
     ...mergeInfo,
+    ...stats,
+    branch,
+    tags,
   };
 }
@@ -0,0 +1,217 @@
+/**
+ * JSONL Index - Streams large JSONL files and caches where their records sit in time
+ *
+ * Chat histories are append-only JSONL files that grow for the life of a
+ * project. Rather than reading every file on every commit, each file is split
+ * into blocks of whole lines, and the byte range and timestamp range of each
+ * block is cached on disk:
+ *
+ *   <git-common-dir>/commit-story/jsonl-index.json
+ *   { version, files: { [path]: { size, mtimeMs, indexedBytes, blocks: [{ start, end, minTime, maxTime }] } } }
+ *
+ * A file whose size and mtime match its cached entry is never re-scanned; a
+ * file that grew is indexed from where the last scan stopped; anything else
+ * (truncated, rewritten) is re-indexed from the start. Readers then stream
+ * only the blocks whose time range meets the commit window.
+ */
+
+import { createReadStream, existsSync } from 'node:fs';
+import { readFile, mkdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { getStateDir } from '../utils/git-repo.js';
+import { writeFileAtomic } from '../utils/file-lock.js';
+
+/** Bump when the cache format changes - older caches are discarded */
+const INDEX_VERSION = 1;
+
+/** Index file name inside the state directory */
+const INDEX_FILE = 'jsonl-index.json';
+
+/** Target block size; a block closes at the first line boundary past this */
+export const BLOCK_BYTES = 256 * 1024;
+
+const NEWLINE = 0x0a;
+
+/**
+ * Get the path of the on-disk index for a repository
+ * @param {string} repoPath - Repository root
+ * @returns {string|null} Index path, or null outside a git repository
+ */
+export function getIndexPath(repoPath) {
+  try {
+    return join(getStateDir(repoPath), INDEX_FILE);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the index cache
+ * @param {string|null} indexPath - Path from getIndexPath (null → empty in-memory index)
+ * @returns {Promise<object>} Index with a files map
+ */
+export async function loadIndex(indexPath) {
+  if (indexPath) {
+    try {
+      const data = JSON.parse(await readFile(indexPath, 'utf-8'));
+      if (data.version === INDEX_VERSION && data.files) {
+        return data;
+      }
+    } catch {
+      // Missing or corrupt cache - rebuild from scratch
+    }
+  }
+  return { version: INDEX_VERSION, files: {} };
+}
+
+/**
+ * Persist the index cache, dropping entries for files that no longer exist
+ * @param {string|null} indexPath - Path from getIndexPath (null → not persisted)
+ * @param {object} index - Index to save
+ */
+export async function saveIndex(indexPath, index) {
+  if (!indexPath) return;
+
+  const files = {};
+  for (const [filePath, entry] of Object.entries(index.files)) {
+    if (existsSync(filePath)) files[filePath] = entry;
+  }
+
+  try {
+    await mkdir(dirname(indexPath), { recursive: true });
+    // Atomic so a concurrent run never reads a half-written cache
+    await writeFileAtomic(indexPath, JSON.stringify({ version: INDEX_VERSION, files }) + '\n');
+  } catch {
+    // The cache is an optimization - a read-only git dir just means no caching
+  }
+}
+
+/**
+ * Stream a file line by line, tracking byte offsets
+ * Only complete lines (ending in a newline) are yielded, so a line that is
+ * still being written is picked up by a later run.
+ * @param {string} filePath - File to read
+ * @param {object} range - Byte range to read
+ * @param {number} range.start - First byte (default: 0)
+ * @param {number} range.end - Byte after the last one to read (default: end of file)
+ * @yields {{line: string, start: number, end: number}} Line text and its byte range
+ */
+export async function* readLines(filePath, { start = 0, end } = {}) {
+  if (end !== undefined && end <= start) return;
+
+  // createReadStream's end is inclusive
+  const stream = createReadStream(filePath, { start, end: end === undefined ? undefined : end - 1 });
+  let pending = null;
+  let offset = start;
+
+  for await (const chunk of stream) {
+    const buffer = pending ? Buffer.concat([pending, chunk]) : chunk;
+    let lineStart = 0;
+    let newline;
+
+    while ((newline = buffer.indexOf(NEWLINE, lineStart)) !== -1) {
+      yield {
+        line: buffer.toString('utf-8', lineStart, newline),
+        start: offset + lineStart,
+        end: offset + newline + 1,
+      };
+      lineStart = newline + 1;
+    }
+
+    pending = lineStart < buffer.length ? buffer.subarray(lineStart) : null;
+    offset += lineStart;
+  }
+}
+
+/**
+ * Read a record's timestamp in milliseconds
+ * @param {string} line - JSONL line
+ * @returns {number|null} Timestamp, or null for malformed/untimed lines
+ */
+function lineTime(line) {
+  try {
+    const time = Date.parse(JSON.parse(line).timestamp);
+    return Number.isNaN(time) ? null : time;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scan lines from an offset into blocks
+ * @param {string} filePath - File to scan
+ * @param {number} fromOffset - Byte offset to start at (a line boundary)
+ * @returns {Promise<{blocks: object[], indexedBytes: number}>} New blocks and where the scan stopped
+ */
+async function scanBlocks(filePath, fromOffset) {
+  const blocks = [];
+  let block = null;
+  let indexedBytes = fromOffset;
+
+  for await (const { line, start, end } of readLines(filePath, { start: fromOffset })) {
+    if (!block) {
+      block = { start, end, minTime: null, maxTime: null };
+    }
+    block.end = end;
+    indexedBytes = end;
+
+    const time = lineTime(line);
+    if (time !== null) {
+      block.minTime = block.minTime === null ? time : Math.min(block.minTime, time);
+      block.maxTime = block.maxTime === null ? time : Math.max(block.maxTime, time);
+    }
+
+    if (block.end - block.start >= BLOCK_BYTES) {
+      blocks.push(block);
+      block = null;
+    }
+  }
+
+  if (block) blocks.push(block);
+  return { blocks, indexedBytes };
+}
+
+/**
+ * Bring a file's index entry up to date
+ * @param {object} index - Index from loadIndex (updated in place)
+ * @param {string} filePath - JSONL file
+ * @param {import('node:fs').Stats} stats - Current file stats
+ * @returns {Promise<object>} Up-to-date entry for the file
+ */
+export async function updateFileIndex(index, filePath, stats) {
+  const cached = index.files[filePath];
+
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached;
+  }
+
+  // Append-only growth: keep existing blocks and scan only the new bytes
+  const grew = cached && stats.size > cached.size;
+  const fromOffset = grew ? cached.indexedBytes : 0;
+  const { blocks, indexedBytes } = await scanBlocks(filePath, fromOffset);
+
+  const entry = {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    indexedBytes,
+    blocks: grew ? [...cached.blocks, ...blocks] : blocks,
+  };
+  index.files[filePath] = entry;
+  return entry;
+}
+
+/**
+ * Pick the blocks whose time range meets a window
+ * Blocks without any timestamped line are left out.
+ * @param {object} entry - File entry from updateFileIndex
+ * @param {Date} startTime - Start of window (inclusive)
+ * @param {Date} endTime - End of window (inclusive)
+ * @returns {object[]} Matching blocks, in file order
+ */
+export function selectBlocks(entry, startTime, endTime) {
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+  return entry.blocks.filter(
+    (block) => block.minTime !== null && block.maxTime >= start && block.minTime <= end
+  );
+}
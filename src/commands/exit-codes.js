@@ -0,0 +1,12 @@
+/**
+ * Exit codes shared by the CLI and its subcommands
+ */
+
+/** Success (journal generated, command completed) */
+export const EXIT_SUCCESS = 0;
+
+/** Error occurred */
+export const EXIT_ERROR = 1;
+
+/** Skipped (journal-only or ignored-only commit, empty merge, already journaled) */
+export const EXIT_SKIPPED = 2;
@@ -0,0 +1,127 @@
+/**
+ * Export Command - Publish the journal in other formats
+ *
+ * Usage:
+ *   commit-story export --html <dir>
+ *   commit-story export --format jsonl [--out <file>]
+ */
+
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import { writeFile } from 'node:fs/promises';
+import { exportHtml } from '../exporters/html-exporter.js';
+import { exportJsonl } from '../exporters/jsonl-exporter.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story export --html <dir>
+  npx commit-story export --format jsonl [--out <file>]
+
+Options:
+  --format <name>  html: static site (calendar, day pages, facets, search) in the --out directory
+                   jsonl: one record per entry, reflection and context capture (to stdout by default)
+  --out <path>     Output directory (html) or file (jsonl)
+  --html <dir>     Same as --format html --out <dir>
+  --help, -h       Show this help message
+
+Existing files are overwritten; files from older HTML exports are left in place.
+Read JSONL back into a journal with: npx commit-story import <file>
+`;
+
+const FORMATS = ['html', 'jsonl'];
+
+/**
+ * Parse export arguments
+ * @param {string[]} args - Arguments after "export"
+ * @returns {{help: boolean, format: string, out: string|undefined}} Parsed options
+ */
+function parseExportArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string' },
+      out: { type: 'string' },
+      html: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (values.html && ((values.format && values.format !== 'html') || values.out)) {
+    throw new Error('--html <dir> cannot be combined with --format or --out');
+  }
+  const format = values.html ? 'html' : values.format;
+  const out = values.html || values.out;
+
+  if (!format) {
+    throw new Error(`Choose an export format: --format ${FORMATS.join('|')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+  if (format === 'html' && !out) {
+    throw new Error('HTML export needs an output directory: --out <dir>');
+  }
+  return { help: false, format, out };
+}
+
+/**
+ * Run the export command
+ * @param {string[]} args - Arguments after "export"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let parsed;
+  try {
+    parsed = parseExportArgs(args);
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  if (parsed.format === 'jsonl') {
+    const { content, counts } = await exportJsonl();
+    if (!parsed.out) {
+      // Records only on stdout, so the output can be piped
+      process.stdout.write(content);
+      return EXIT_SUCCESS;
+    }
+
+    const outFile = resolve(parsed.out);
+    debug('JSONL export file:', outFile);
+    await writeFile(outFile, content, 'utf-8');
+    console.log(`
+✅ Journal exported
+   ${outFile}
+   ${counts.entries} entries, ${counts.reflections} reflections, ${counts.context} context captures
+`);
+    return EXIT_SUCCESS;
+  }
+
+  const outDir = resolve(parsed.out);
+  debug('HTML export directory:', outDir);
+  const result = await exportHtml(outDir);
+
+  console.log(`
+✅ Journal exported
+   ${outDir}/index.html
+   ${result.entries} entries across ${result.days} days (${result.files} files written)
+`);
+
+  return EXIT_SUCCESS;
+}
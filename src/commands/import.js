@@ -0,0 +1,79 @@
+/**
+ * Import Command - Rebuild markdown day files from a JSONL export
+ *
+ * Usage:
+ *   commit-story import <file.jsonl>
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { text } from 'node:stream/consumers';
+import { importJsonl } from '../exporters/jsonl-exporter.js';
+import { getJournalRoot } from '../utils/journal-paths.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story import <file.jsonl>
+
+Reads records written by "commit-story export --format jsonl" (use - for stdin)
+and writes them into this repository's journal. Records the journal already
+holds are skipped, so the same file can be imported again safely.
+
+Options:
+  --help, -h     Show this help message
+`;
+
+/**
+ * Run the import command
+ * @param {string[]} args - Arguments after "import"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: { help: { type: 'boolean', short: 'h' } },
+    }));
+    if (!values.help && positionals.length !== 1) {
+      throw new Error('Give exactly one JSONL file to import');
+    }
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const [source] = positionals;
+  let result;
+  try {
+    const content = source === '-' ? await text(process.stdin) : await readFile(resolve(source), 'utf-8');
+    debug('Importing into journal root:', getJournalRoot());
+    result = await importJsonl(content);
+  } catch (error) {
+    console.error(`❌ Import failed: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  console.log(`
+✅ Journal imported into ${getJournalRoot()}
+   ${result.entries} entries, ${result.reflections} reflections, ${result.context} context captures
+   ${result.skipped} records already present
+`);
+
+  return EXIT_SUCCESS;
+}
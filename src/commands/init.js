@@ -0,0 +1,93 @@
+/**
+ * Init Command - Install the git hooks that write the journal
+ *
+ * Usage:
+ *   commit-story init [--post-merge] [--post-rewrite] [--all]
+ */
+
+import { parseArgs } from 'node:util';
+import { relative } from 'node:path';
+import { installHooks, DEFAULT_HOOKS } from '../utils/hook-installer.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story init [options]
+
+Adds commit-story to the post-commit hook. Existing hooks keep working:
+commit-story goes in a marked block ("npx commit-story uninstall" removes it).
+core.hooksPath, Husky and lefthook are detected and used.
+
+Options:
+  --post-merge     Also journal merge commits made by "git merge"
+  --post-rewrite   Carry entries over to amended and rebased commits
+  --all            All of the above
+  --help, -h       Show this help message
+`;
+
+/** How each install outcome is reported */
+const ACTIONS = {
+  created: '✅ Created',
+  updated: '✅ Updated',
+  unchanged: '✅ Already installed:',
+};
+
+/**
+ * Run the init command
+ * @param {string[]} args - Arguments after "init"
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        'post-merge': { type: 'boolean' },
+        'post-rewrite': { type: 'boolean' },
+        all: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const hooks = [...DEFAULT_HOOKS];
+  if (values['post-merge'] || values.all) hooks.push('post-merge');
+  if (values['post-rewrite'] || values.all) hooks.push('post-rewrite');
+
+  const { setup, changes } = await installHooks({ hooks });
+  const root = getRepoRoot();
+  const show = (path) => (path.startsWith(root) ? relative(root, path) : path);
+
+  console.log('');
+  let manual = false;
+  for (const change of changes) {
+    if (change.action === 'manual') {
+      manual = true;
+      console.log(`⚠️  ${show(change.path)} already configures ${change.hook} - add under its commands:`);
+      console.log(`${change.snippet}\n`);
+    } else {
+      console.log(`${ACTIONS[change.action]} ${change.hook} (${show(change.path)})`);
+    }
+  }
+
+  if (setup.manager === 'husky') {
+    console.log(`\n   Husky hooks live in the repository - commit ${show(setup.dir)} to share them.`);
+  } else if (setup.manager === 'lefthook') {
+    console.log('\n   Run "npx lefthook install" if lefthook has not installed its hooks yet.');
+  }
+  console.log('\nJournal entries will be generated automatically after each commit.\n');
+
+  return manual ? EXIT_ERROR : EXIT_SUCCESS;
+}
@@ -0,0 +1,123 @@
+/**
+ * Retry Command - Drain the queue of commits whose entries failed
+ *
+ * Usage:
+ *   commit-story retry [--list] [--drop <hash>]
+ */
+
+import { parseArgs } from 'node:util';
+import { validateProvider } from '../generators/providers/index.js';
+import { runRetry } from '../pipeline/retry.js';
+import { listQueue, dequeueCommit } from '../pipeline/retry-queue.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story retry [options]
+
+Regenerates entries for commits whose generation failed (API down, offline,
+sections that errored). Hook runs also retry a few queued commits each time.
+
+Options:
+  --list          Show queued commits and why they failed, without retrying
+  --drop <hash>   Remove a commit from the queue without retrying it
+  --help, -h      Show this help message
+`;
+
+/**
+ * Print the queue
+ * @param {import('../pipeline/retry-queue.js').QueuedCommit[]} items - Queued commits
+ */
+function printQueue(items) {
+  console.log(`\n🔍 ${items.length} ${items.length === 1 ? 'commit' : 'commits'} queued for retry\n`);
+  for (const item of items) {
+    const attempts = `${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'}`;
+    console.log(`${item.shortHash}  ${attempts}, last ${item.lastAttemptAt}`);
+    for (const error of item.errors) {
+      console.log(`   - ${error}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Run the retry command
+ * @param {string[]} args - Arguments after "retry"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        list: { type: 'boolean' },
+        drop: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  if (values.drop) {
+    const removed = await dequeueCommit(values.drop);
+    if (!removed) {
+      console.error(`❌ Not in the retry queue: ${values.drop}`);
+      return EXIT_ERROR;
+    }
+    console.log(`✅ Removed ${removed.shortHash} from the retry queue`);
+    return EXIT_SUCCESS;
+  }
+
+  const items = await listQueue();
+  if (items.length === 0) {
+    console.log('✅ Retry queue is empty');
+    return EXIT_SUCCESS;
+  }
+
+  if (values.list) {
+    printQueue(items);
+    return EXIT_SUCCESS;
+  }
+
+  const problem = validateProvider();
+  if (problem) {
+    console.error(`
+❌ ${problem.message}
+   ${problem.hint}
+`);
+    return EXIT_ERROR;
+  }
+
+  const summary = await runRetry({ debug });
+
+  console.log(`
+✅ Retry complete
+   Saved:   ${summary.saved.length}
+   Failed:  ${summary.failed.length}
+   Dropped: ${summary.dropped.length}
+`);
+
+  if (summary.failed.length > 0) {
+    console.log('⚠️  Still queued:');
+    for (const { hash, errors } of summary.failed) {
+      console.log(`   - ${hash.slice(0, 7)}: ${errors.join('; ')}`);
+    }
+    return EXIT_ERROR;
+  }
+
+  return EXIT_SUCCESS;
+}
@@ -0,0 +1,75 @@
+/**
+ * Rewrite Command - What the post-rewrite hook runs after an amend or rebase
+ *
+ * Usage:
+ *   commit-story rewrite <amend|rebase> < mapping
+ */
+
+import { parseArgs } from 'node:util';
+import { text } from 'node:stream/consumers';
+import { parseRewriteMapping, runRewrite } from '../pipeline/rewrite.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story rewrite <amend|rebase> < mapping
+
+Reads the "<old-sha> <new-sha>" lines git passes to the post-rewrite hook
+and moves journal entries to the new commits. An entry is only regenerated
+(using the original commit's chat window) when the change itself differs.
+Installed by "npx commit-story init --post-rewrite".
+
+Options:
+  --help, -h   Show this help message
+`;
+
+/**
+ * Run the rewrite command
+ * @param {string[]} args - Arguments after "rewrite"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: { help: { type: 'boolean', short: 'h' } },
+    }));
+    if (!values.help && !['amend', 'rebase'].includes(positionals[0])) {
+      throw new Error('Give the rewrite type git passes to the hook: amend or rebase');
+    }
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const mapping = parseRewriteMapping(await text(process.stdin));
+  debug(`Rewritten by ${positionals[0]}:`, mapping.length);
+  if (mapping.length === 0) {
+    return EXIT_SUCCESS;
+  }
+
+  const summary = await runRewrite(mapping, { type: positionals[0], debug });
+  if (summary.failed.length > 0) {
+    console.log(`⚠️  ${summary.failed.length} rewritten commit(s) not carried over:`);
+    for (const { hash, error } of summary.failed) {
+      console.log(`   - ${hash.slice(0, 7)}: ${error}`);
+    }
+    return EXIT_ERROR;
+  }
+
+  return EXIT_SUCCESS;
+}
@@ -0,0 +1,164 @@
+/**
+ * Search Command - Full-text search over journal entries
+ *
+ * Usage:
+ *   commit-story search <query...> [--from <date>] [--to <date>]
+ *                       [--section <name>] [--file <path>] [--limit <n>]
+ */
+
+import { parseArgs } from 'node:util';
+import { join } from 'node:path';
+import { readJournalDay, parseDateFilter } from '../managers/journal-manager.js';
+import { refreshSearchIndex, searchIndex, makeSnippet, getSectionText } from '../managers/search-index.js';
+import { getJournalDirectory, getDateString } from '../utils/journal-paths.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+/** --section values → index section keys */
+const SECTION_ALIASES = {
+  summary: 'summary',
+  decisions: 'technicalDecisions',
+  'technical-decisions': 'technicalDecisions',
+  dialogue: 'dialogue',
+  reflections: 'reflections',
+};
+
+/** Headings shown next to each result */
+const SECTION_LABELS = {
+  summary: 'Summary',
+  technicalDecisions: 'Technical Decisions',
+  dialogue: 'Development Dialogue',
+  reflections: 'Developer Reflections',
+};
+
+const USAGE = `
+Usage:
+  npx commit-story search <query...> [options]
+
+Options:
+  --from <date>      Only entries on or after this day (YYYY-MM-DD)
+  --to <date>        Only entries on or before this day (YYYY-MM-DD)
+  --section <name>   Only match in: summary, decisions, dialogue, reflections
+  --file <path>      Only commits that touched this file or directory
+  --limit <n>        Maximum results (default: 10)
+  --help, -h         Show this help message
+
+Examples:
+  npx commit-story search switch to langgraph
+  npx commit-story search retry --section decisions --from 2026-09-01
+  npx commit-story search parser --file src/collectors
+`;
+
+/**
+ * Parse search arguments
+ * @param {string[]} args - Arguments after "search"
+ * @returns {object} Parsed query and filters
+ */
+function parseSearchArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      section: { type: 'string' },
+      file: { type: 'string' },
+      limit: { type: 'string', default: '10' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  // hasOwn: "constructor" or "__proto__" mustn't pass as a section
+  const section = values.section && Object.hasOwn(SECTION_ALIASES, values.section)
+    ? SECTION_ALIASES[values.section]
+    : undefined;
+  if (values.section && !section) {
+    throw new Error(`Unknown section: ${values.section} (use ${Object.keys(SECTION_ALIASES).join(', ')})`);
+  }
+
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid --limit: ${values.limit}`);
+  }
+
+  return {
+    help: values.help,
+    query: positionals.join(' '),
+    filters: {
+      from: parseDateFilter(values.from),
+      to: parseDateFilter(values.to, true),
+      section,
+      path: values.file,
+      limit,
+    },
+  };
+}
+
+/**
+ * Run the search command
+ * @param {string[]} args - Arguments after "search"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let parsed;
+  try {
+    parsed = parseSearchArgs(args);
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const { query, filters } = parsed;
+  if (!query.trim()) {
+    console.error(`
+❌ Missing search query
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const index = await refreshSearchIndex();
+  debug('Search index:', { entries: Object.keys(index.docs).length, terms: Object.keys(index.postings).length });
+
+  const results = searchIndex(index, query, filters);
+  if (results.length === 0) {
+    console.log(`
+🔍 No entries match "${query}"
+`);
+    return EXIT_SUCCESS;
+  }
+
+  console.log(`
+🔍 ${results.length} ${results.length === 1 ? 'entry matches' : 'entries match'} "${query}"
+`);
+
+  const root = getJournalDirectory('entries');
+  const dayFiles = new Map();
+  for (const result of results) {
+    if (!dayFiles.has(result.dayFile)) {
+      dayFiles.set(result.dayFile, await readJournalDay(join(root, result.dayFile)).catch(() => []));
+    }
+    const entry = dayFiles
+      .get(result.dayFile)
+      .filter((candidate) => candidate.hash === result.hash)
+      .at(-1);
+
+    const section = result.sections[0];
+    console.log(`${result.shortHash}  ${getDateString(result.timestamp)}  ${SECTION_LABELS[section]}`);
+    if (entry) {
+      console.log(`   ${makeSnippet(getSectionText(entry, section), query)}`);
+    }
+    console.log('');
+  }
+
+  return EXIT_SUCCESS;
+}
@@ -0,0 +1,139 @@
+/**
+ * Status Command - Is the journal being written, and what went wrong?
+ *
+ * Usage:
+ *   commit-story status [--runs <n>]
+ *
+ * Shows the installed hooks, the retry queue, whether the last entries
+ * found chat sessions, and the recent runs from the run log.
+ */
+
+import { parseArgs } from 'node:util';
+import { readRunLogs } from '../pipeline/run-log.js';
+import { listQueue } from '../pipeline/retry-queue.js';
+import { inspectHooks } from '../utils/hook-installer.js';
+import { getDateString } from '../utils/journal-paths.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story status [options]
+
+Options:
+  --runs <n>   Recent runs to show (default: 10)
+  --help, -h   Show this help message
+
+Runs are logged by the default command (what the post-commit hook runs),
+in <git dir>/commit-story/logs/.
+`;
+
+/**
+ * Describe the hooks that run commit-story
+ * @returns {Promise<string>} One status line
+ */
+async function describeHooks() {
+  const { setup, hooks } = await inspectHooks();
+  const postCommit = hooks.find((state) => state.hook === 'post-commit');
+  const via = setup.manager === 'git' ? '' : ` via ${setup.manager}`;
+
+  if (!postCommit.installed) {
+    return `❌ not installed${via} (run: npx commit-story init)`;
+  }
+  if (!postCommit.executable) {
+    return `⚠️  ${postCommit.path} is not executable (chmod +x it)`;
+  }
+  const installed = hooks.filter((state) => state.installed).map((state) => state.hook);
+  return `✅ ${installed.join(', ')}${via} (${postCommit.path})`;
+}
+
+/**
+ * Describe the chat found by the latest run that got as far as saving
+ * @param {import('../pipeline/run-log.js').RunLog[]} runs - Recent runs, newest first
+ * @returns {string} One status line
+ */
+function describeChat(runs) {
+  const run = runs.find((logged) => logged.chat);
+  if (!run) {
+    return '🔍 no saved entries in the recent runs';
+  }
+
+  const { messages, sessions, sources } = run.chat;
+  if (messages === 0) {
+    return `⚠️  no chat sessions found for ${run.commit.shortHash} - was the assistant running in this repository?`;
+  }
+  const bySource = Object.entries(sources)
+    .filter(([, count]) => count > 0)
+    .map(([source, count]) => `${source} ${count}`)
+    .join(', ');
+  const sessionText = `${sessions} ${sessions === 1 ? 'session' : 'sessions'}`;
+  return `✅ ${messages} messages from ${sessionText} for ${run.commit.shortHash} (${bySource})`;
+}
+
+/**
+ * Format one logged run
+ * @param {import('../pipeline/run-log.js').RunLog} run - Logged run
+ * @returns {string[]} Lines for the run
+ */
+function formatRun(run) {
+  const started = new Date(run.startedAt);
+  const time = `${getDateString(started)} ${started.toTimeString().slice(0, 8)}`;
+  const commit = run.commit?.shortHash ?? (run.args.find((arg) => !arg.startsWith('-')) || 'HEAD');
+  const parts = [time, commit.padEnd(7), run.status.padEnd(7), `${(run.durationMs / 1000).toFixed(1)}s`];
+  if (run.skipReason) parts.push(run.skipReason);
+  if (run.tokenEstimate) parts.push(`~${run.tokenEstimate.toLocaleString('en-US')} tokens`);
+  if (run.retried) parts.push(`retried ${run.retried.saved} ok / ${run.retried.failed} failed`);
+
+  return [`   ${parts.join('  ')}`, ...run.errors.map((error) => `      - ${error}`)];
+}
+
+/**
+ * Run the status command
+ * @param {string[]} args - Arguments after "status"
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        runs: { type: 'string', default: '10' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+    if (!/^\d+$/.test(values.runs)) {
+      throw new Error(`Invalid --runs: ${values.runs}`);
+    }
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const runs = await readRunLogs(Number(values.runs));
+  const queue = await listQueue();
+  const queueLine =
+    queue.length === 0
+      ? '✅ empty'
+      : `⚠️  ${queue.length} ${queue.length === 1 ? 'commit' : 'commits'} waiting (npx commit-story retry --list)`;
+
+  const lines = [
+    '',
+    `Hook:   ${await describeHooks()}`,
+    `Queue:  ${queueLine}`,
+    `Chat:   ${describeChat(runs)}`,
+    '',
+    runs.length === 0 ? 'No runs logged yet.' : 'Recent runs (newest first):',
+    ...runs.flatMap(formatRun),
+    '',
+  ];
+  console.log(lines.join('\n'));
+
+  return EXIT_SUCCESS;
+}
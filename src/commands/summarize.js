@@ -0,0 +1,124 @@
+/**
+ * Summarize Command - Weekly and monthly rollups of the journal
+ *
+ * Usage:
+ *   commit-story summarize --week 2026-W42
+ *   commit-story summarize --month 2026-10
+ */
+
+import { parseArgs } from 'node:util';
+import { readJournal, discoverReflections, discoverContextCaptures } from '../managers/journal-manager.js';
+import { saveSummary } from '../managers/summary-manager.js';
+import { generatePeriodSummary } from '../generators/summary-graph.js';
+import { validateProvider } from '../generators/providers/index.js';
+import { parseWeek, parseMonth } from '../utils/periods.js';
+import { EXIT_SUCCESS, EXIT_ERROR, EXIT_SKIPPED } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story summarize --week <YYYY-Www>
+  npx commit-story summarize --month <YYYY-MM>
+
+Options:
+  --week <w>    Summarize an ISO week (Monday to Sunday), e.g. 2026-W42
+  --month <m>   Summarize a calendar month, e.g. 2026-10
+  --help, -h    Show this help message
+
+Summaries are written to journal/summaries/weekly/ and journal/summaries/monthly/.
+Running the command again for the same period regenerates the summary.
+`;
+
+/**
+ * Parse summarize arguments
+ * @param {string[]} args - Arguments after "summarize"
+ * @returns {{help: boolean, period: object|null}} Parsed options
+ */
+function parseSummarizeArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      week: { type: 'string' },
+      month: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    return { help: true, period: null };
+  }
+  if (Boolean(values.week) === Boolean(values.month)) {
+    throw new Error('Pass exactly one of --week or --month');
+  }
+  return { help: false, period: values.week ? parseWeek(values.week) : parseMonth(values.month) };
+}
+
+/**
+ * Run the summarize command
+ * @param {string[]} args - Arguments after "summarize"
+ * @param {object} options - Command options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, options = {}) {
+  const { debug = () => {} } = options;
+
+  let parsed;
+  try {
+    parsed = parseSummarizeArgs(args);
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const { period } = parsed;
+  const entries = await readJournal({ from: period.start, to: period.end });
+  if (entries.length === 0) {
+    console.log(`
+⏭️  Skipping: no journal entries for ${period.label}
+`);
+    return EXIT_SKIPPED;
+  }
+
+  const problem = validateProvider();
+  if (problem) {
+    console.error(`
+❌ ${problem.message}
+   ${problem.hint}
+`);
+    return EXIT_ERROR;
+  }
+
+  const reflections = await discoverReflections(period.start, period.end);
+  const contextCaptures = await discoverContextCaptures(period.start, period.end);
+  debug('Summary material:', {
+    period: period.label,
+    entries: entries.length,
+    reflections: reflections.length,
+    contextCaptures: contextCaptures.length,
+  });
+
+  const material = { period, entries, reflections, contextCaptures };
+  const summary = await generatePeriodSummary(material);
+  const savedPath = await saveSummary(summary, material);
+
+  console.log(`
+✅ Summary saved
+   ${savedPath}
+`);
+
+  if (summary.errors.length > 0) {
+    console.log('⚠️  Some sections had generation issues:');
+    for (const err of summary.errors) {
+      console.log(`   - ${err}`);
+    }
+  }
+
+  return EXIT_SUCCESS;
+}
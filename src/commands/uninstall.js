@@ -0,0 +1,64 @@
+/**
+ * Uninstall Command - Remove commit-story from the git hooks
+ *
+ * Usage:
+ *   commit-story uninstall
+ */
+
+import { parseArgs } from 'node:util';
+import { relative } from 'node:path';
+import { uninstallHooks } from '../utils/hook-installer.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { EXIT_SUCCESS, EXIT_ERROR } from './exit-codes.js';
+
+const USAGE = `
+Usage:
+  npx commit-story uninstall
+
+Removes the block "npx commit-story init" added to each hook. Hooks left
+with nothing else to run are deleted; the journal itself is kept.
+
+Options:
+  --help, -h   Show this help message
+`;
+
+/**
+ * Run the uninstall command
+ * @param {string[]} args - Arguments after "uninstall"
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: { help: { type: 'boolean', short: 'h' } },
+    }));
+  } catch (error) {
+    console.error(`
+❌ ${error.message}
+${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const { changes } = await uninstallHooks();
+  const root = getRepoRoot();
+  const touched = changes.filter((change) => change.action !== 'absent');
+
+  if (touched.length === 0) {
+    console.log('⚠️  commit-story is not in any hook - nothing to remove');
+    return EXIT_SUCCESS;
+  }
+
+  for (const change of touched) {
+    const path = change.path.startsWith(root) ? relative(root, change.path) : change.path;
+    const what = change.action === 'deleted' ? 'deleted' : 'removed commit-story from';
+    console.log(`✅ ${change.hook}: ${what} ${path}`);
+  }
+  return EXIT_SUCCESS;
+}
@@ -0,0 +1,106 @@
+/**
+ * HTML Assets - Stylesheet and client-side search script for the static site
+ *
+ * Kept as strings so the export has no build step and the site works when
+ * opened straight from disk (file://): the search index is a script that
+ * assigns a global rather than JSON fetched at runtime.
+ */
+
+export const STYLESHEET = `:root {
+  --text: #1f2328;
+  --muted: #656d76;
+  --border: #d0d7de;
+  --accent: #0969da;
+  --soft: #f6f8fa;
+}
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+  color: var(--text);
+}
+header.site {
+  border-bottom: 1px solid var(--border);
+  background: var(--soft);
+  padding: 0.75rem 1.5rem;
+  display: flex;
+  gap: 1.5rem;
+  align-items: baseline;
+  flex-wrap: wrap;
+}
+header.site .brand { font-weight: 600; color: var(--text); }
+main { max-width: 60rem; margin: 0 auto; padding: 1.5rem; }
+a { color: var(--accent); text-decoration: none; }
+a:hover { text-decoration: underline; }
+h1 { font-size: 1.75rem; margin-top: 0; }
+h2 { border-bottom: 1px solid var(--border); padding-bottom: 0.25rem; }
+pre, code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+pre { background: var(--soft); padding: 0.75rem; overflow-x: auto; border-radius: 6px; }
+blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid var(--border); color: var(--muted); }
+.muted { color: var(--muted); }
+.pager { display: flex; justify-content: space-between; margin: 1rem 0; }
+article.entry { border: 1px solid var(--border); border-radius: 6px; padding: 0 1.25rem 0.5rem; margin: 1.5rem 0; }
+article.entry:target { border-color: var(--accent); box-shadow: 0 0 0 2px var(--accent); }
+article.entry > h2 { border: 0; }
+.facts { display: flex; flex-wrap: wrap; gap: 0.25rem 1.25rem; font-size: 0.9rem; color: var(--muted); }
+table.calendar { border-collapse: collapse; margin-bottom: 1.5rem; }
+table.calendar th, table.calendar td { width: 3rem; height: 2.5rem; text-align: center; border: 1px solid var(--border); }
+table.calendar td.has-entries { background: #ddf4ff; font-weight: 600; }
+table.calendar td.empty { border: 0; }
+ul.facet { columns: 2; }
+#search-input { width: 100%; padding: 0.5rem; font-size: 1rem; border: 1px solid var(--border); border-radius: 6px; }
+#search-results li { margin: 0.75rem 0; }
+`;
+
+export const SEARCH_SCRIPT = `(function () {
+  var data = window.COMMIT_STORY_SEARCH || { docs: [], terms: {} };
+  var input = document.getElementById('search-input');
+  var list = document.getElementById('search-results');
+  var status = document.getElementById('search-status');
+
+  function tokenize(text) {
+    return text.toLowerCase().split(/[^\\p{L}\\p{N}]+/u).filter(function (t) { return t.length > 1; });
+  }
+
+  function search(query) {
+    var scores = {};
+    tokenize(query).forEach(function (queryTerm) {
+      var hits = {};
+      Object.keys(data.terms).forEach(function (term) {
+        if (term.indexOf(queryTerm) !== 0) return;
+        data.terms[term].forEach(function (doc) { hits[doc] = true; });
+      });
+      Object.keys(hits).forEach(function (doc) { scores[doc] = (scores[doc] || 0) + 1; });
+    });
+    return Object.keys(scores).sort(function (a, b) {
+      return scores[b] - scores[a] || (data.docs[b].d < data.docs[a].d ? -1 : 1);
+    });
+  }
+
+  function render() {
+    var query = input.value.trim();
+    list.textContent = '';
+    if (!query) { status.textContent = ''; return; }
+    var results = search(query).slice(0, 50);
+    status.textContent = results.length === 0 ? 'No entries match.' : results.length + ' matching entries';
+    results.forEach(function (index) {
+      var doc = data.docs[index];
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = doc.u;
+      link.textContent = doc.d + ' ' + doc.h;
+      var snippet = document.createElement('div');
+      snippet.className = 'muted';
+      snippet.textContent = doc.s;
+      item.appendChild(link);
+      item.appendChild(snippet);
+      list.appendChild(item);
+    });
+  }
+
+  input.addEventListener('input', render);
+  var initial = new URLSearchParams(location.search).get('q');
+  if (initial) { input.value = initial; }
+  render();
+})();
+`;
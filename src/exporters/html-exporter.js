@@ -0,0 +1,397 @@
+/**
+ * HTML Exporter - Renders the journal as a static site
+ *
+ * Layout of the output directory:
+ *   index.html                       calendar of every day with journal content
+ *   days/YYYY-MM-DD.html             entries (anchored by full hash), reflections, context captures
+ *   summaries/weekly|monthly/*.html  rollups from `commit-story summarize`
+ *   files.html, tags.html, branches.html  facets linking back to entries
+ *   search.html                      client-side search over search-index.js
+ *
+ * Everything comes from the journal manager's parsed data (readJournal and
+ * friends), never from re-reading markdown here. Journal text can contain
+ * anything a chat contained, so raw HTML in markdown is escaped and links
+ * are limited to safe protocols.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { Marked } from 'marked';
+import { readJournal, readJournalNotes, formatTimestamp } from '../managers/journal-manager.js';
+import { listSummaries } from '../managers/summary-manager.js';
+import { tokenize } from '../managers/search-index.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { STYLESHEET, SEARCH_SCRIPT } from './html-assets.js';
+
+/** Link protocols allowed in rendered markdown */
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|#|\/|\.)/i;
+
+/** Facets listed on their own pages: values an entry is filed under */
+const FACETS = [
+  {
+    page: 'files.html',
+    title: 'Files',
+    values: (entry) => (entry.metadata?.files || []).map((file) => file.path),
+  },
+  {
+    page: 'tags.html',
+    title: 'Tags',
+    values: (entry) => entry.metadata?.tags || [],
+  },
+  {
+    page: 'branches.html',
+    title: 'Branches',
+    values: (entry) => (entry.branch ? [entry.branch] : []),
+  },
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, tokens }) {
+      // Fall back to marked's renderer for safe links, plain text otherwise
+      return SAFE_LINK_PATTERN.test(href) ? false : this.parser.parseInline(tokens);
+    },
+    image({ text }) {
+      // No remote images in an internally hosted journal
+      return escapeHtml(text);
+    },
+  },
+});
+
+/**
+ * Render journal markdown to HTML
+ * @param {string} text - Markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text) {
+  return markdown.parse(text || '');
+}
+
+/**
+ * Wrap page content in the site layout
+ * @param {object} options - Page options
+ * @param {string} options.title - Page title
+ * @param {string} options.body - Page HTML
+ * @param {number} options.depth - Directory depth below the site root (for relative links)
+ * @param {string} options.scripts - Extra script tags
+ * @returns {string} Complete HTML document
+ */
+function layout({ title, body, depth = 0, scripts = '' }) {
+  const root = '../'.repeat(depth);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Engineering Journal</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<header class="site">
+<a class="brand" href="${root}index.html">Engineering Journal</a>
+<a href="${root}index.html">Calendar</a>
+${FACETS.map((facet) => `<a href="${root}${facet.page}">${facet.title}</a>`).join('\n')}
+<a href="${root}search.html">Search</a>
+</header>
+<main>
+${body}
+</main>
+${scripts}
+</body>
+</html>
+`;
+}
+
+/**
+ * Get the day (YYYY-MM-DD) a parsed item was filed under
+ * @param {{filePath: string}} item - Entry or note
+ * @returns {string} Day from the day file name
+ */
+function dayOf(item) {
+  return basename(item.filePath, '.md');
+}
+
+/**
+ * Link to an entry from a page at a given depth
+ * @param {object} entry - Journal entry
+ * @param {number} depth - Depth of the linking page
+ * @returns {string} Relative URL with the commit anchor
+ */
+function entryUrl(entry, depth) {
+  return `${'../'.repeat(depth)}days/${dayOf(entry)}.html#${entry.hash}`;
+}
+
+/**
+ * Render one entry as an article
+ * @param {object} entry - Journal entry from readJournal
+ * @returns {string} HTML
+ */
+function renderEntry(entry) {
+  const facts = [
+    `<span>${escapeHtml(formatTimestamp(entry.timestamp))}</span>`,
+    `<span>${escapeHtml(entry.author || 'Unknown author')}</span>`,
+  ];
+  if (entry.branch) facts.push(`<span>Branch: ${escapeHtml(entry.branch)}</span>`);
+  if (entry.metadata) {
+    facts.push(
+      `<span>${entry.metadata.filesChanged} files, +${entry.metadata.insertions} −${entry.metadata.deletions}</span>`
+    );
+  } else if (entry.filesChanged !== null) {
+    facts.push(`<span>${entry.filesChanged} files</span>`);
+  }
+  if (entry.version > 1) facts.push(`<span>v${entry.version}</span>`);
+
+  const parts = [
+    `<article class="entry" id="${entry.hash}">`,
+    `<h2><a href="#${entry.hash}">Commit ${escapeHtml(entry.shortHash)}</a></h2>`,
+    `<div class="facts">${facts.join('')}</div>`,
+  ];
+
+  const sections = [
+    ['Summary', entry.sections.summary],
+    ['Development Dialogue', entry.sections.dialogue],
+    ['Technical Decisions', entry.sections.technicalDecisions],
+  ];
+  for (const [heading, text] of sections) {
+    if (text === null) continue;
+    parts.push(`<h3>${heading}</h3>`, text ? renderMarkdown(text) : '<p class="muted">Nothing recorded.</p>');
+  }
+
+  if (entry.reflections.length > 0) {
+    parts.push('<h3>Developer Reflections</h3>');
+    for (const reflection of entry.reflections) {
+      parts.push(`<blockquote>${renderMarkdown(reflection.content)}</blockquote>`);
+    }
+  }
+
+  const files = entry.metadata?.files || [];
+  if (files.length > 0) {
+    parts.push('<details><summary>Files changed</summary><ul>');
+    for (const file of files) {
+      const counts = file.insertions === null ? 'binary' : `+${file.insertions} −${file.deletions}`;
+      parts.push(`<li><code>${escapeHtml(file.path)}</code> <span class="muted">${counts}</span></li>`);
+    }
+    parts.push('</ul></details>');
+  }
+
+  parts.push(`<p class="muted"><code>${entry.hash}</code></p>`, '</article>');
+  return parts.join('\n');
+}
+
+/**
+ * Render timestamped notes (reflections or context captures)
+ * @param {string} heading - Section heading
+ * @param {object[]} notes - Notes for the day
+ * @returns {string} HTML, empty when there are none
+ */
+function renderNotes(heading, notes) {
+  if (notes.length === 0) return '';
+  const items = notes.map(
+    (note) =>
+      `<blockquote><p class="muted">${escapeHtml(formatTimestamp(note.timestamp))}</p>${renderMarkdown(note.content)}</blockquote>`
+  );
+  return `<h2>${heading}</h2>\n${items.join('\n')}`;
+}
+
+/**
+ * Render a month as a calendar table
+ * @param {string} month - YYYY-MM
+ * @param {Map<string, object>} days - Day → { entries, reflections, captures }
+ * @returns {string} HTML
+ */
+function renderMonth(month, days) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const first = new Date(year, monthNumber - 1, 1);
+  const daysInMonth = new Date(year, monthNumber, 0).getDate();
+  const leading = (first.getDay() + 6) % 7;
+
+  const cells = Array.from({ length: leading }, () => '<td class="empty"></td>');
+  for (let day = 1; day <= daysInMonth; day++) {
+    const key = `${month}-${String(day).padStart(2, '0')}`;
+    const content = days.get(key);
+    if (!content) {
+      cells.push(`<td>${day}</td>`);
+      continue;
+    }
+    const count = content.entries.length;
+    const title = `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    cells.push(`<td class="has-entries"><a href="days/${key}.html" title="${title}">${day}</a></td>`);
+  }
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+  }
+
+  const monthName = first.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  return `<h2 id="${month}">${monthName}</h2>
+<table class="calendar">
+<tr>${WEEKDAYS.map((day) => `<th>${day}</th>`).join('')}</tr>
+${rows.join('\n')}
+</table>`;
+}
+
+/**
+ * Build the client-side search data
+ * @param {object[]} entries - Journal entries
+ * @returns {string} Script assigning window.COMMIT_STORY_SEARCH
+ */
+function buildSearchData(entries) {
+  const docs = [];
+  // No prototype: a term like "constructor" must not resolve to Object.prototype's
+  const terms = Object.create(null);
+
+  entries.forEach((entry, index) => {
+    const text = [entry.sections.summary, entry.sections.technicalDecisions, entry.sections.dialogue]
+      .filter(Boolean)
+      .join('\n');
+    for (const term of new Set(tokenize(text))) {
+      (terms[term] ||= []).push(index);
+    }
+    const summary = (entry.sections.summary || '').replace(/\s+/g, ' ').trim();
+    docs.push({
+      u: entryUrl(entry, 0),
+      h: entry.shortHash,
+      d: dayOf(entry),
+      s: summary.length > 200 ? `${summary.slice(0, 200)}…` : summary,
+    });
+  });
+
+  return `window.COMMIT_STORY_SEARCH = ${JSON.stringify({ docs, terms })};\n`;
+}
+
+/**
+ * Render the journal as a static site
+ * @param {string} outDir - Output directory (created if needed; existing files are overwritten)
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<{files: number, entries: number, days: number}>} What was written
+ */
+export async function exportHtml(outDir, basePath = getRepoRoot()) {
+  const entries = await readJournal({}, basePath);
+  const reflections = await readJournalNotes('reflections', basePath);
+  const captures = await readJournalNotes('context', basePath);
+  const summaries = await listSummaries(basePath);
+
+  const days = new Map();
+  const dayContent = (day) => {
+    if (!days.has(day)) days.set(day, { entries: [], reflections: [], captures: [] });
+    return days.get(day);
+  };
+  for (const entry of entries) dayContent(dayOf(entry)).entries.push(entry);
+  for (const reflection of reflections) dayContent(dayOf(reflection)).reflections.push(reflection);
+  for (const capture of captures) dayContent(dayOf(capture)).captures.push(capture);
+
+  const pages = new Map();
+  const sortedDays = [...days.keys()].sort();
+
+  // Day pages
+  sortedDays.forEach((day, index) => {
+    const content = days.get(day);
+    const previous = sortedDays[index - 1];
+    const next = sortedDays[index + 1];
+    const pager = [
+      '<nav class="pager">',
+      `<span>${previous ? `<a href="${previous}.html">← ${previous}</a>` : ''}</span>`,
+      `<span>${next ? `<a href="${next}.html">${next} →</a>` : ''}</span>`,
+      '</nav>',
+    ].join('');
+
+    const body = [
+      `<h1>${day}</h1>`,
+      pager,
+      ...content.entries.map(renderEntry),
+      renderNotes('Reflections', content.reflections),
+      renderNotes('Context Captures', content.captures),
+      pager,
+    ];
+    pages.set(`days/${day}.html`, layout({ title: day, body: body.join('\n'), depth: 1 }));
+  });
+
+  // Summary pages
+  for (const summary of summaries) {
+    const dir = summary.kind === 'week' ? 'weekly' : 'monthly';
+    pages.set(
+      `summaries/${dir}/${summary.label}.html`,
+      layout({ title: summary.label, body: renderMarkdown(summary.content), depth: 2 })
+    );
+  }
+
+  // Facet pages
+  for (const facet of FACETS) {
+    const byValue = new Map();
+    for (const entry of entries) {
+      for (const value of facet.values(entry)) {
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(entry);
+      }
+    }
+
+    const sections = [...byValue.keys()].sort().map((value) => {
+      const links = byValue
+        .get(value)
+        .map((entry) => `<li><a href="${entryUrl(entry, 0)}">${dayOf(entry)} ${escapeHtml(entry.shortHash)}</a></li>`);
+      return `<h2>${escapeHtml(value)}</h2>\n<ul class="facet">${links.join('')}</ul>`;
+    });
+    const body = sections.length > 0 ? sections.join('\n') : '<p class="muted">No entries record this yet.</p>';
+    pages.set(facet.page, layout({ title: facet.title, body: `<h1>${facet.title}</h1>\n${body}` }));
+  }
+
+  // Calendar index, newest month first
+  const months = [...new Set(sortedDays.map((day) => day.slice(0, 7)))].sort().reverse();
+  const summaryLinks = summaries.map((summary) => {
+    const dir = summary.kind === 'week' ? 'weekly' : 'monthly';
+    return `<li><a href="summaries/${dir}/${summary.label}.html">${summary.label}</a></li>`;
+  });
+  const indexBody = [
+    '<h1>Engineering Journal</h1>',
+    `<p class="muted">${entries.length} entries across ${sortedDays.length} days</p>`,
+    summaryLinks.length > 0 ? `<h2>Summaries</h2>\n<ul>${summaryLinks.join('')}</ul>` : '',
+    ...months.map((month) => renderMonth(month, days)),
+  ];
+  pages.set('index.html', layout({ title: 'Calendar', body: indexBody.join('\n') }));
+
+  // Search
+  const searchBody = `<h1>Search</h1>
+<input id="search-input" type="search" placeholder="Search summaries, decisions and dialogue" autofocus>
+<p id="search-status" class="muted"></p>
+<ol id="search-results"></ol>`;
+  pages.set(
+    'search.html',
+    layout({
+      title: 'Search',
+      body: searchBody,
+      scripts: '<script src="search-index.js"></script>\n<script src="search.js"></script>',
+    })
+  );
+  pages.set('search-index.js', buildSearchData(entries));
+  pages.set('search.js', SEARCH_SCRIPT);
+  pages.set('style.css', STYLESHEET);
+
+  for (const [relativePath, content] of pages) {
+    const target = join(outDir, relativePath);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, content, 'utf-8');
+  }
+
+  return { files: pages.size, entries: entries.length, days: sortedDays.length };
+}
@@ -0,0 +1,224 @@
+/**
+ * JSONL Exporter - Journal data as one JSON record per line
+ *
+ * Record types:
+ *   entry       a commit entry (every version), with sections, reflections and metadata
+ *   reflection  a note from journal_add_reflection
+ *   context     a note from journal_capture_context
+ *
+ * Timestamps are ISO strings. importJsonl turns records back into markdown
+ * day files through the journal manager, so the same JSONL can seed a new
+ * journal root or be merged into an existing journal (e.g. from a fork).
+ */
+
+import {
+  readJournal,
+  readJournalNotes,
+  saveJournalEntry,
+  saveNote,
+  WRITE_POLICY_APPEND_VERSION,
+} from '../managers/journal-manager.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+
+/** Record type → journal type directory for notes */
+const NOTE_TYPES = { reflection: 'reflections', context: 'context' };
+
+/**
+ * Convert a parsed entry into an export record
+ * @param {Object} entry - Journal entry from readJournal
+ * @returns {Object} Entry record
+ */
+function toEntryRecord(entry) {
+  return {
+    type: 'entry',
+    hash: entry.hash,
+    shortHash: entry.shortHash,
+    version: entry.version,
+    timestamp: entry.timestamp.toISOString(),
+    author: entry.author,
+    branch: entry.branch,
+    coAuthors: entry.coAuthors,
+    tags: entry.tags,
+    filesChanged: entry.filesChanged,
+    sections: entry.sections,
+    reflections: entry.reflections.map((reflection) => ({
+      timestamp: reflection.timestamp?.toISOString() ?? null,
+      content: reflection.content,
+    })),
+    metadata: entry.metadata,
+  };
+}
+
+/**
+ * Export the whole journal as JSONL
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<{content: string, counts: {entries: number, reflections: number, context: number}}>}
+ *   JSONL text (chronological) and record counts
+ */
+export async function exportJsonl(basePath = getRepoRoot()) {
+  const records = (await readJournal({ allVersions: true }, basePath)).map(toEntryRecord);
+  const counts = { entries: records.length, reflections: 0, context: 0 };
+
+  for (const [recordType, type] of Object.entries(NOTE_TYPES)) {
+    for (const note of await readJournalNotes(type, basePath)) {
+      records.push({
+        type: recordType,
+        timestamp: note.timestamp.toISOString(),
+        title: note.title,
+        content: note.content,
+      });
+      counts[type]++;
+    }
+  }
+
+  // Stable sort keeps entry versions in file order
+  records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  return {
+    content: records.map((record) => JSON.stringify(record) + '\n').join(''),
+    counts,
+  };
+}
+
+/**
+ * Read an ISO timestamp from a record
+ * Only strings count: new Date(null) would quietly become 1970-01-01.
+ * @param {*} value - Raw timestamp value
+ * @returns {Date|null} Date, or null when missing or unparseable
+ */
+function parseTimestamp(value) {
+  const date = new Date(typeof value === 'string' ? value : NaN);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse and validate JSONL records
+ * @param {string} content - JSONL text
+ * @returns {Object[]} Records with timestamps as Dates
+ * @throws {Error} Naming the first invalid line
+ */
+export function parseJsonl(content) {
+  const records = [];
+
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const fail = (reason) => {
+      throw new Error(`Invalid record on line ${index + 1}: ${reason}`);
+    };
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      fail(error.message);
+    }
+    if (record?.type !== 'entry' && !Object.hasOwn(NOTE_TYPES, record?.type)) {
+      fail(`unknown type ${JSON.stringify(record?.type)}`);
+    }
+
+    const timestamp = parseTimestamp(record.timestamp);
+    if (!timestamp) {
+      fail('missing or invalid timestamp');
+    }
+
+    if (record.type !== 'entry') {
+      if (typeof record.content !== 'string') fail('missing content');
+      records.push({ ...record, timestamp });
+      return;
+    }
+
+    if (!/^[0-9a-f]{7,40}$/.test(record.hash || '')) fail('missing or invalid hash');
+    if (!record.sections || typeof record.sections !== 'object') fail('missing sections');
+    records.push({
+      ...record,
+      timestamp,
+      // Reflections without a readable time can't be written back under one
+      reflections: (record.reflections || [])
+        .map((reflection) => ({ ...reflection, timestamp: parseTimestamp(reflection.timestamp) }))
+        .filter((reflection) => reflection.timestamp),
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Write JSONL records into the journal as markdown day files
+ *
+ * Records the journal already holds are skipped, so importing the same file
+ * twice (or two forks that share history) doesn't duplicate anything:
+ * - entries: skipped when the commit already has an entry at this version or later;
+ *   otherwise written as the commit's next version
+ * - notes: skipped when a note with the same time and text exists
+ *
+ * @param {string} content - JSONL text (validated before anything is written)
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<{entries: number, reflections: number, context: number, skipped: number}>} What was written
+ */
+export async function importJsonl(content, basePath = getRepoRoot()) {
+  const records = parseJsonl(content);
+  const result = { entries: 0, reflections: 0, context: 0, skipped: 0 };
+
+  const latestVersion = new Map();
+  for (const entry of await readJournal({ allVersions: true }, basePath)) {
+    latestVersion.set(entry.hash, Math.max(entry.version, latestVersion.get(entry.hash) ?? 0));
+  }
+
+  const noteKey = (type, note) => `${type}\n${note.timestamp.getTime()}\n${note.content}`;
+  const existingNotes = new Set();
+  for (const type of Object.values(NOTE_TYPES)) {
+    for (const note of await readJournalNotes(type, basePath)) {
+      existingNotes.add(noteKey(type, note));
+    }
+  }
+
+  // Older versions first, so "next version" numbering matches the source
+  const ordered = [...records].sort((a, b) => (a.version ?? 1) - (b.version ?? 1) || a.timestamp - b.timestamp);
+
+  for (const record of ordered) {
+    if (record.type !== 'entry') {
+      const type = NOTE_TYPES[record.type];
+      const key = noteKey(type, record);
+      if (existingNotes.has(key)) {
+        result.skipped++;
+        continue;
+      }
+      const note = { timestamp: record.timestamp, title: record.title ?? null, content: record.content };
+      await saveNote(type, note, basePath);
+      existingNotes.add(key);
+      result[type]++;
+      continue;
+    }
+
+    const version = record.version ?? 1;
+    const latest = latestVersion.get(record.hash) ?? 0;
+    if (latest >= version) {
+      result.skipped++;
+      continue;
+    }
+
+    const commit = {
+      hash: record.hash,
+      shortHash: record.shortHash || record.hash.slice(0, 7),
+      author: record.author ?? 'Unknown',
+      timestamp: record.timestamp,
+      filesChanged: record.filesChanged ?? undefined,
+      coAuthors: (record.coAuthors || []).map((name) => ({ name })),
+      tags: record.tags || [],
+    };
+    const sections = {
+      summary: record.sections.summary ?? null,
+      dialogue: record.sections.dialogue ?? null,
+      technicalDecisions: record.sections.technicalDecisions ?? null,
+    };
+    await saveJournalEntry(sections, commit, record.reflections, basePath, {
+      policy: WRITE_POLICY_APPEND_VERSION,
+      metadata: record.metadata ?? undefined,
+    });
+    latestVersion.set(record.hash, latest + 1);
+    result.entries++;
+  }
+
+  return result;
+}
@@ -2,7 +2,7 @@
  * Journal Graph - LangGraph StateGraph for journal generation
  *
  * Orchestrates AI generation of journal sections:
- * - Summary: Narrative overview of the commit
+ * - Summary: Narrative overview of the commit (a feature story for squash merges)
  * - Dialogue: Key quotes from human/assistant conversation
  * - Technical Decisions: Architecture and implementation decisions
  *
@@ -11,7 +11,10 @@
  */
 
 import { StateGraph, START, END, Annotation } from '@langchain/langgraph';
-import { ChatAnthropic } from '@langchain/anthropic';
+import { SpanStatusCode } from '@opentelemetry/api';
+import { createModel, describeModel } from './providers/index.js';
+import { getConfig } from '../utils/config.js';
+import { withSpan, withModelSpan } from '../telemetry/index.js';
 
 /**
  * Journal state definition using LangGraph Annotation API
@@ -20,6 +23,8 @@ import { ChatAnthropic } from '@langchain/anthropic';
 export const JournalState = Annotation.Root({
   // Input
   context: Annotation(),
+  // Which sections to generate - disabled sections come back as null
+  sections: Annotation(),
 
   // Outputs (populated by nodes)
   summary: Annotation(),
@@ -35,25 +40,29 @@ export const JournalState = Annotation.Root({
 
 /**
  * Lazy-initialized model instance
- * Uses Claude Haiku 4.5 for cost-effective generation
+ * Created by the configured LLM provider (anthropic by default)
  */
 let model;
 
 /**
- * Get or create the Claude model instance
- * @returns {ChatAnthropic} Model instance
+ * Get or create the model instance for the configured provider
+ * @returns {BaseChatModel} Model instance
  */
 export function getModel() {
   if (!model) {
-    model = new ChatAnthropic({
-      model: 'claude-3-5-haiku-latest',
-      maxTokens: 2048,
-      temperature: 0,
-    });
+    model = createModel();
   }
   return model;
 }
 
+/**
+ * Use a specific model instance instead of the configured provider (for testing)
+ * @param {BaseChatModel} instance - Model to use for all nodes
+ */
+export function setModel(instance) {
+  model = instance;
+}
+
 /**
  * Reset model instance (for testing)
  */
@@ -61,15 +70,47 @@ export function resetModel() {
   model = null;
 }
 
+/**
+ * Invoke the model with a single user prompt, traced as a GenAI chat span
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<AIMessage>} Model response
+ */
+export function invokeModel(prompt) {
+  return withModelSpan(describeModel(), () => getModel().invoke([{ role: 'user', content: prompt }]));
+}
+
+/**
+ * Wrap a node in a span; errors the node caught itself mark the span as failed
+ * @param {string} name - Section name
+ * @param {Function} node - Node function
+ * @returns {Function} Traced node function
+ */
+export function tracedNode(name, node) {
+  return (state) =>
+    withSpan(`commit_story.node.${name}`, { 'commit_story.node.name': name }, async (span) => {
+      const result = await node(state);
+      if (result.errors?.length) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: result.errors.join('; ') });
+      }
+      return result;
+    });
+}
+
 /**
  * Summary generation node
  * Creates a narrative overview of the commit
  */
 async function summaryNode(state) {
+  if (state.sections?.summary === false) {
+    return { summary: null };
+  }
+
   try {
     const { context } = state;
 
-    const prompt = `You have been given development context for a git commit.
+    const prompt = context.squash
+      ? featureStoryPrompt(context)
+      : `You have been given development context for a git commit.
 
 Step 1: Analyze the git diff to understand what changed
 Step 2: Review the chat messages for WHY these changes were made
@@ -79,19 +120,16 @@ Step 4: Write a 2-3 sentence summary focusing on the "why"
 ## Commit Information
 **Hash**: ${context.commit.shortHash}
 **Author**: ${context.commit.author}
-**Message**: ${context.commit.message}
+${formatCommitDetails(context.commit)}**Message**: ${context.commit.message}
 
-## Code Changes
-\`\`\`diff
-${context.commit.diff || 'No diff available'}
-\`\`\`
+${formatCodeChanges(context)}
 
 ## Development Conversation
 ${formatChatMessages(context.chat.messages)}
 
 Write your summary (2-3 sentences, focus on the "why"):`;
 
-    const result = await getModel().invoke([{ role: 'user', content: prompt }]);
+    const result = await invokeModel(prompt);
 
     return { summary: result.content };
   } catch (error) {
@@ -102,11 +140,43 @@ Write your summary (2-3 sentences, focus on the "why"):`;
   }
 }
 
+/**
+ * Build the summary prompt for a squash merge
+ * The branch's own entries tell how the feature came together; the summary
+ * becomes the story of the whole feature rather than of one huge diff.
+ * @param {Context} context - Context with squash set
+ * @returns {string} Prompt text
+ */
+function featureStoryPrompt(context) {
+  return `You have been given a squash merge: one commit that lands a whole feature branch.
+
+Step 1: Read the branch history to follow how the feature developed, commit by commit
+Step 2: Review the chat messages for WHY it was built this way
+Step 3: Identify the arc of the whole feature (problem → attempts → solution)
+Step 4: Write a 3-5 sentence feature story focusing on the "why"
+
+## Commit Information
+**Hash**: ${context.commit.shortHash}
+**Author**: ${context.commit.author}
+${formatCommitDetails(context.commit)}**Message**: ${context.commit.message}
+
+${formatCodeChanges(context)}
+
+## Development Conversation
+${formatChatMessages(context.chat.messages)}
+
+Write your summary (a 3-5 sentence feature story, focus on the "why"):`;
+}
+
 /**
  * Technical decisions extraction node
  * Identifies architecture and implementation decisions
  */
 async function technicalNode(state) {
+  if (state.sections?.technicalDecisions === false) {
+    return { technicalDecisions: null };
+  }
+
   try {
     const { context } = state;
 
@@ -119,19 +189,16 @@ Step 4: Format as bullet points with decision status
 
 ## Commit Information
 **Hash**: ${context.commit.shortHash}
-**Message**: ${context.commit.message}
+${formatCommitDetails(context.commit)}**Message**: ${context.commit.message}
 
-## Code Changes
-\`\`\`diff
-${context.commit.diff || 'No diff available'}
-\`\`\`
+${formatCodeChanges(context)}
 
 ## Development Conversation
 ${formatChatMessages(context.chat.messages)}
 
 Extract technical decisions (bullet points with status - Made/Discussed/Deferred):`;
 
-    const result = await getModel().invoke([{ role: 'user', content: prompt }]);
+    const result = await invokeModel(prompt);
 
     return { technicalDecisions: result.content };
   } catch (error) {
@@ -148,13 +215,18 @@ Extract technical decisions (bullet points with status - Made/Discussed/Deferred
  * Runs after summary to avoid redundancy
  */
 async function dialogueNode(state) {
+  if (state.sections?.dialogue === false) {
+    return { dialogue: null };
+  }
+
   try {
     const { context, summary } = state;
 
-    const prompt = `You have been given chat messages from a development session.
-
-The summary of this work is: ${summary}
+    // Summary may be disabled - only reference it when we have one
+    const summaryLine = summary ? `\nThe summary of this work is: ${summary}\n` : '';
 
+    const prompt = `You have been given chat messages from a development session.
+${summaryLine}
 Step 1: Identify messages where the human explains their thinking
 Step 2: Select 2-4 quotes that reveal intent, decisions, or insights
 Step 3: Ensure quotes don't repeat what's in the summary
@@ -165,7 +237,7 @@ ${formatChatMessages(context.chat.messages)}
 
 Extract the dialogue (2-4 quotes, format as "Human: [quote]"):`;
 
-    const result = await getModel().invoke([{ role: 'user', content: prompt }]);
+    const result = await invokeModel(prompt);
 
     return { dialogue: result.content };
   } catch (error) {
@@ -176,6 +248,71 @@ Extract the dialogue (2-4 quotes, format as "Human: [quote]"):`;
   }
 }
 
+/**
+ * Format the commit's co-authors, branch and tags for prompt inclusion
+ * @param {object} commit - Commit from the context
+ * @returns {string} One "**Label**: value" line per detail present (each ending in a newline)
+ */
+function formatCommitDetails(commit) {
+  const lines = [];
+  if (commit.coAuthors?.length) lines.push(`**Co-authors**: ${commit.coAuthors.map((c) => c.name).join(', ')}`);
+  if (commit.branch) lines.push(`**Branch**: ${commit.branch}`);
+  if (commit.tags?.length) lines.push(`**Tags**: ${commit.tags.join(', ')}`);
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Format the files a commit touched, with line counts, renames and binary files
+ * @param {Array} files - File stats from the git collector
+ * @returns {string} Markdown list
+ */
+function formatFileList(files) {
+  if (!files?.length) {
+    return 'No files listed';
+  }
+  return files
+    .map((file) => {
+      const path = file.previousPath ? `${file.previousPath} → ${file.path}` : file.path;
+      const counts = file.binary ? 'binary' : `+${file.insertions} -${file.deletions}`;
+      return `- ${path} (${counts})`;
+    })
+    .join('\n');
+}
+
+/**
+ * Format the commit's changes for prompt inclusion
+ * A squash merge's diff is a whole branch at once; the entries already
+ * written for the branch commits stand in for it, with the files touched.
+ * @param {Context} context - Gathered context
+ * @returns {string} Prompt section(s)
+ */
+function formatCodeChanges(context) {
+  if (!context.squash) {
+    return `## Files Changed
+${formatFileList(context.commit.files)}
+
+## Code Changes
+\`\`\`diff
+${context.commit.diff || 'No diff available'}
+\`\`\``;
+  }
+
+  const history = context.squash.entries
+    .map((entry) => {
+      const lines = [`### ${entry.shortHash} - ${entry.metadata?.subject ?? 'Untitled'}`];
+      if (entry.sections.summary) lines.push(entry.sections.summary);
+      if (entry.sections.technicalDecisions) lines.push('', entry.sections.technicalDecisions);
+      return lines.join('\n');
+    })
+    .join('\n\n');
+
+  return `## Branch History (journal entries of the squashed commits)
+${history}
+
+## Files Changed
+${formatFileList(context.commit.files)}`;
+}
+
 /**
  * Format chat messages for prompt inclusion
  * @param {object[]} messages - Filtered chat messages
@@ -202,9 +339,9 @@ function formatChatMessages(messages) {
 function buildGraph() {
   // Node names use "generate_" prefix to avoid conflict with state attribute names
   const graph = new StateGraph(JournalState)
-    .addNode('generate_summary', summaryNode)
-    .addNode('generate_technical', technicalNode)
-    .addNode('generate_dialogue', dialogueNode)
+    .addNode('generate_summary', tracedNode('summary', summaryNode))
+    .addNode('generate_technical', tracedNode('technical_decisions', technicalNode))
+    .addNode('generate_dialogue', tracedNode('dialogue', dialogueNode))
     // Parallel execution: summary and technical run simultaneously
     .addEdge(START, 'generate_summary')
     .addEdge(START, 'generate_technical')
@@ -233,22 +370,26 @@ function getGraph() {
 
 /**
  * Generate all journal sections from context
+ * Sections disabled in settings are returned as null so the entry omits them.
  * @param {Context} context - Gathered context from integrator
+ * @param {object} options - Generation options
+ * @param {object} options.sections - Enabled sections (default: config.sections)
  * @returns {Promise<JournalSections>} Generated journal sections
  */
-export async function generateJournalSections(context) {
+export async function generateJournalSections(context, options = {}) {
+  const { sections = getConfig().sections } = options;
   const graph = getGraph();
 
-  const result = await graph.invoke({ context });
+  const result = await withSpan('commit_story.generate_sections', {}, () => graph.invoke({ context, sections }));
 
   return {
-    summary: result.summary || '',
-    dialogue: result.dialogue || '',
-    technicalDecisions: result.technicalDecisions || '',
+    summary: sections.summary === false ? null : result.summary || '',
+    dialogue: sections.dialogue === false ? null : result.dialogue || '',
+    technicalDecisions: sections.technicalDecisions === false ? null : result.technicalDecisions || '',
     errors: result.errors || [],
     generatedAt: new Date(),
   };
 }
 
 // Export node functions for testing
-export { summaryNode, technicalNode, dialogueNode, formatChatMessages, buildGraph };
+export { summaryNode, technicalNode, dialogueNode, formatChatMessages, formatCodeChanges, buildGraph };
@@ -0,0 +1,41 @@
+/**
+ * Anthropic Provider - Claude models via @langchain/anthropic
+ *
+ * Default provider. Requires ANTHROPIC_API_KEY.
+ */
+
+import { ChatAnthropic } from '@langchain/anthropic';
+
+export const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-3-5-haiku-latest',
+
+  /**
+   * Check that the provider can be used with these settings
+   * @param {object} settings - Resolved provider settings
+   * @returns {{ message: string, hint: string }|null} Problem description, or null if valid
+   */
+  validate(settings) {
+    if (!settings.apiKey) {
+      return {
+        message: 'ANTHROPIC_API_KEY not set',
+        hint: 'Set your API key: export ANTHROPIC_API_KEY=your-key',
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Create the chat model instance
+   * @param {object} settings - Resolved provider settings
+   * @returns {ChatAnthropic} Model instance
+   */
+  createModel(settings) {
+    return new ChatAnthropic({
+      model: settings.model,
+      apiKey: settings.apiKey,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+    });
+  },
+};
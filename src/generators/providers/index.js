@@ -0,0 +1,97 @@
+/**
+ * LLM Providers - Registry and settings resolution
+ *
+ * Each provider exposes the same shape:
+ *   { name, defaultModel, validate(settings), createModel(settings) }
+ * validate() owns the credential checks for that backend, so callers
+ * never need to know which environment variables a provider reads.
+ */
+
+import { getConfig } from '../../utils/config.js';
+import { anthropicProvider } from './anthropic.js';
+import { openaiProvider } from './openai.js';
+import { ollamaProvider } from './ollama.js';
+import { stubProvider } from './stub.js';
+
+/** Registered providers by name */
+const PROVIDERS = new Map(
+  [anthropicProvider, openaiProvider, ollamaProvider, stubProvider].map((p) => [p.name, p])
+);
+
+/**
+ * Get the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+export function getProviderNames() {
+  return [...PROVIDERS.keys()];
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name (default: configured provider)
+ * @returns {object} Provider
+ */
+export function getProvider(name = getConfig().provider) {
+  const provider = PROVIDERS.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name} (expected one of: ${getProviderNames().join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the settings a provider is created with
+ * @param {object} provider - Provider from getProvider()
+ * @returns {{ model: string, apiKey?: string, baseUrl?: string, maxTokens: number, temperature: number }}
+ */
+export function resolveProviderSettings(provider) {
+  const config = getConfig();
+  const apiKeys = {
+    anthropic: config.credentials.anthropicApiKey,
+    openai: config.credentials.openaiApiKey,
+  };
+
+  return {
+    model: config.model || provider.defaultModel,
+    apiKey: apiKeys[provider.name],
+    baseUrl: config.baseUrl,
+    maxTokens: config.generation.maxTokens,
+    temperature: config.generation.temperature,
+  };
+}
+
+/**
+ * Describe the configured model for telemetry (no credentials)
+ * @returns {{ provider: string, model: string, temperature: number, maxTokens: number }}
+ */
+export function describeModel() {
+  const provider = getProvider();
+  const { model, temperature, maxTokens } = resolveProviderSettings(provider);
+  return { provider: provider.name, model, temperature, maxTokens };
+}
+
+/**
+ * Validate the configured provider
+ * @returns {{ message: string, hint: string }|null} Problem description, or null if valid
+ */
+export function validateProvider() {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    return {
+      message: error.message,
+      hint: 'Set "provider" in .commitstoryrc or COMMIT_STORY_PROVIDER to a supported provider',
+    };
+  }
+  return provider.validate(resolveProviderSettings(provider));
+}
+
+/**
+ * Create a chat model for the configured provider
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel} Model instance
+ */
+export function createModel() {
+  const provider = getProvider();
+  return provider.createModel(resolveProviderSettings(provider));
+}
@@ -0,0 +1,39 @@
+/**
+ * Ollama Provider - local models through Ollama's OpenAI-compatible API
+ *
+ * Runs fully offline. No API key needed; the server just has to be
+ * running with the model pulled (ollama pull llama3.1).
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+
+export const ollamaProvider = {
+  name: 'ollama',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434/v1',
+
+  /**
+   * Check that the provider can be used with these settings
+   * Reachability is not checked here - a stopped server surfaces as
+   * per-section generation errors, like any other API failure.
+   * @returns {null} Always valid
+   */
+  validate() {
+    return null;
+  },
+
+  /**
+   * Create the chat model instance
+   * @param {object} settings - Resolved provider settings
+   * @returns {ChatOpenAI} Model instance
+   */
+  createModel(settings) {
+    return new ChatOpenAI({
+      model: settings.model,
+      apiKey: 'ollama',
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      configuration: { baseURL: settings.baseUrl || this.defaultBaseUrl },
+    });
+  },
+};
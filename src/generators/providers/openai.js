@@ -0,0 +1,45 @@
+/**
+ * OpenAI-Compatible Provider - any /v1/chat/completions endpoint
+ *
+ * Covers OpenAI itself plus compatible servers (llama.cpp, vLLM, LM Studio)
+ * by pointing baseUrl at them. Requires an API key unless a custom baseUrl
+ * is set, since most self-hosted servers don't check one.
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+
+export const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  /**
+   * Check that the provider can be used with these settings
+   * @param {object} settings - Resolved provider settings
+   * @returns {{ message: string, hint: string }|null} Problem description, or null if valid
+   */
+  validate(settings) {
+    if (!settings.apiKey && !settings.baseUrl) {
+      return {
+        message: 'OPENAI_API_KEY not set',
+        hint: 'Set your API key: export OPENAI_API_KEY=your-key\n   Or point at a compatible server: export COMMIT_STORY_BASE_URL=http://localhost:8080/v1',
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Create the chat model instance
+   * @param {object} settings - Resolved provider settings
+   * @returns {ChatOpenAI} Model instance
+   */
+  createModel(settings) {
+    return new ChatOpenAI({
+      model: settings.model,
+      // The client refuses to start without a key; local servers ignore it
+      apiKey: settings.apiKey || 'not-needed',
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      configuration: settings.baseUrl ? { baseURL: settings.baseUrl } : undefined,
+    });
+  },
+};
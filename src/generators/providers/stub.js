@@ -0,0 +1,51 @@
+/**
+ * Stub Provider - deterministic offline model
+ *
+ * Returns a canned response derived from the prompt's final instruction,
+ * so the whole pipeline can run without network access or API keys
+ * (dry runs, demos, CI).
+ */
+
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+
+/**
+ * Chat model that answers every prompt with a fixed, prompt-derived string
+ */
+export class StubChatModel extends SimpleChatModel {
+  _llmType() {
+    return 'commit-story-stub';
+  }
+
+  /**
+   * @param {import('@langchain/core/messages').BaseMessage[]} messages - Prompt messages
+   * @returns {Promise<string>} Deterministic response
+   */
+  async _call(messages) {
+    const last = messages[messages.length - 1];
+    const text = typeof last?.content === 'string' ? last.content : '';
+    // Prompts end with the instruction line, e.g. "Write your summary (...):"
+    const instruction = text.trim().split('\n').pop() || 'prompt';
+    return `[stub] ${instruction.replace(/:$/, '')}`;
+  }
+}
+
+export const stubProvider = {
+  name: 'stub',
+  defaultModel: 'stub',
+
+  /**
+   * The stub needs no credentials
+   * @returns {null} Always valid
+   */
+  validate() {
+    return null;
+  },
+
+  /**
+   * Create the stub model instance
+   * @returns {StubChatModel} Model instance
+   */
+  createModel() {
+    return new StubChatModel({});
+  },
+};
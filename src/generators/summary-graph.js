@@ -0,0 +1,250 @@
+/**
+ * Summary Graph - LangGraph StateGraph for weekly and monthly rollups
+ *
+ * Condenses a period's journal entries, reflections and context captures:
+ * - Themes: The main threads of work across the period
+ * - Key Decisions: The decisions that shaped it, with their rationale
+ * - Open Questions: What is still unresolved or deferred
+ *
+ * Graph structure:
+ * START → [themes, decisions] (parallel) → open questions → END
+ *
+ * Uses the same model instance as the journal graph (see journal-graph.js).
+ */
+
+import { StateGraph, START, END, Annotation } from '@langchain/langgraph';
+import { invokeModel, tracedNode } from './journal-graph.js';
+import { withSpan } from '../telemetry/index.js';
+import { getDateString } from '../utils/journal-paths.js';
+import { formatPeriodRange } from '../utils/periods.js';
+
+/**
+ * Summary state definition using LangGraph Annotation API
+ * Errors use a reducer to accumulate from parallel nodes
+ */
+export const SummaryState = Annotation.Root({
+  // Input
+  period: Annotation(),
+  entries: Annotation(),
+  reflections: Annotation(),
+  contextCaptures: Annotation(),
+
+  // Outputs (populated by nodes)
+  themes: Annotation(),
+  keyDecisions: Annotation(),
+  openQuestions: Annotation(),
+
+  // Metadata
+  errors: Annotation({
+    reducer: (left, right) => [...(left || []), ...(right || [])],
+    default: () => [],
+  }),
+});
+
+/**
+ * Format journal entries for prompt inclusion
+ * Only summaries and decisions are included - dialogue is too long to roll up.
+ * @param {object[]} entries - Entries from readJournal
+ * @returns {string} Formatted entries
+ */
+function formatEntries(entries) {
+  return entries
+    .map((entry) => {
+      const lines = [`### ${getDateString(entry.timestamp)} - ${entry.shortHash}`];
+      if (entry.sections.summary) lines.push(entry.sections.summary);
+      if (entry.sections.technicalDecisions) lines.push('', entry.sections.technicalDecisions);
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * Format reflections or context captures for prompt inclusion
+ * @param {object[]} notes - Notes from discoverReflections / discoverContextCaptures
+ * @param {string} emptyText - Text when there are none
+ * @returns {string} Formatted notes
+ */
+function formatNotes(notes, emptyText) {
+  if (!notes || notes.length === 0) {
+    return emptyText;
+  }
+  return notes.map((note) => `- (${getDateString(note.timestamp)}) ${note.content}`).join('\n');
+}
+
+/**
+ * Build the shared period context block
+ * @param {object} state - Summary state
+ * @returns {string} Prompt section describing the period
+ */
+function formatPeriodContext(state) {
+  const { period, entries, reflections, contextCaptures } = state;
+
+  return `## Period
+${period.kind === 'week' ? 'Week' : 'Month'} ${period.label} (${formatPeriodRange(period)})
+
+## Journal Entries
+${formatEntries(entries)}
+
+## Developer Reflections
+${formatNotes(reflections, '*No reflections recorded in this period*')}
+
+## Context Captures
+${formatNotes(contextCaptures, '*No context captured in this period*')}`;
+}
+
+/**
+ * Themes node
+ * Groups the period's work into a few threads
+ */
+async function themesNode(state) {
+  try {
+    const prompt = `You have been given the engineering journal for a period of development.
+
+Step 1: Read the entries and notes in chronological order
+Step 2: Group related work into 2-5 themes
+Step 3: For each theme, explain what happened and why in 1-3 sentences
+Step 4: Format as bullet points starting with the theme name in bold
+
+${formatPeriodContext(state)}
+
+List the themes of this period (bullet points, "**Theme**: explanation"):`;
+
+    const result = await invokeModel(prompt);
+
+    return { themes: result.content };
+  } catch (error) {
+    return {
+      themes: '[Themes generation failed]',
+      errors: [`Themes generation failed: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Key decisions node
+ * Picks out the decisions that mattered over the period
+ */
+async function decisionsNode(state) {
+  try {
+    const prompt = `You have been given the engineering journal for a period of development.
+
+Step 1: Collect the technical decisions recorded in the entries
+Step 2: Keep the ones that shaped the project, merging duplicates
+Step 3: Include the rationale and the short commit hash for each
+Step 4: Format as bullet points
+
+${formatPeriodContext(state)}
+
+List the key decisions of this period (bullet points with rationale and commit hash):`;
+
+    const result = await invokeModel(prompt);
+
+    return { keyDecisions: result.content };
+  } catch (error) {
+    return {
+      keyDecisions: '[Key decisions extraction failed]',
+      errors: [`Key decisions extraction failed: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Open questions node
+ * Runs after themes and decisions so it only lists what is still unresolved
+ */
+async function openQuestionsNode(state) {
+  try {
+    const { themes, keyDecisions } = state;
+
+    const prompt = `You have been given the engineering journal for a period of development.
+
+Step 1: Look for decisions marked Discussed or Deferred, and problems without a fix
+Step 2: Drop anything the themes or key decisions below show as resolved
+Step 3: Phrase each remaining item as a question
+Step 4: Format as bullet points; answer "None" if nothing is open
+
+## Themes
+${themes || '*Not available*'}
+
+## Key Decisions
+${keyDecisions || '*Not available*'}
+
+${formatPeriodContext(state)}
+
+List the open questions at the end of this period (bullet points):`;
+
+    const result = await invokeModel(prompt);
+
+    return { openQuestions: result.content };
+  } catch (error) {
+    return {
+      openQuestions: '[Open questions extraction failed]',
+      errors: [`Open questions extraction failed: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Build and compile the summary generation graph
+ * @returns {CompiledStateGraph} Compiled graph ready for execution
+ */
+function buildSummaryGraph() {
+  // Node names use "generate_" prefix to avoid conflict with state attribute names
+  const graph = new StateGraph(SummaryState)
+    .addNode('generate_themes', tracedNode('themes', themesNode))
+    .addNode('generate_decisions', tracedNode('key_decisions', decisionsNode))
+    .addNode('generate_open_questions', tracedNode('open_questions', openQuestionsNode))
+    // Parallel execution: themes and decisions run simultaneously
+    .addEdge(START, 'generate_themes')
+    .addEdge(START, 'generate_decisions')
+    // Open questions wait for both
+    .addEdge('generate_themes', 'generate_open_questions')
+    .addEdge('generate_decisions', 'generate_open_questions')
+    .addEdge('generate_open_questions', END);
+
+  return graph.compile();
+}
+
+// Compiled graph instance
+let compiledGraph;
+
+/**
+ * Get or create the compiled graph
+ * @returns {CompiledStateGraph} Compiled graph
+ */
+function getSummaryGraph() {
+  if (!compiledGraph) {
+    compiledGraph = buildSummaryGraph();
+  }
+  return compiledGraph;
+}
+
+/**
+ * Generate a rollup summary for a period
+ * @param {object} input - Period material
+ * @param {import('../utils/periods.js').Period} input.period - Week or month being summarized
+ * @param {object[]} input.entries - Entries from readJournal, chronological
+ * @param {object[]} input.reflections - Reflections in the period
+ * @param {object[]} input.contextCaptures - Context captures in the period
+ * @returns {Promise<{themes: string, keyDecisions: string, openQuestions: string, errors: string[], generatedAt: Date}>}
+ */
+export async function generatePeriodSummary({ period, entries, reflections = [], contextCaptures = [] }) {
+  const graph = getSummaryGraph();
+
+  const result = await withSpan(
+    'commit_story.generate_summary',
+    { 'commit_story.summary.period': period.label, 'commit_story.summary.entries': entries.length },
+    () => graph.invoke({ period, entries, reflections, contextCaptures })
+  );
+
+  return {
+    themes: result.themes || '',
+    keyDecisions: result.keyDecisions || '',
+    openQuestions: result.openQuestions || '',
+    errors: result.errors || [],
+    generatedAt: new Date(),
+  };
+}
+
+// Export node functions for testing
+export { themesNode, decisionsNode, openQuestionsNode, formatEntries, buildSummaryGraph };
@@ -7,28 +7,123 @@
  *
  * Usage:
  *   npx commit-story [commitRef] [--debug]
+ *   npx commit-story --range <from..to> [--since <date>] [--debug]
+ *   npx commit-story <command> [options]
  *   node src/index.js [commitRef] [--debug]
  *
  * Exit codes:
  *   0 - Success (journal generated)
  *   1 - Error occurred
- *   2 - Skipped (journal-only commit, empty merge)
+ *   2 - Skipped (journal-only or ignored-only commit, empty merge)
  */
 
 import { execFileSync } from 'node:child_process';
-import { gatherContextForCommit } from './integrators/context-integrator.js';
-import { generateJournalSections } from './generators/journal-graph.js';
-import { saveJournalEntry, discoverReflections } from './managers/journal-manager.js';
-import { isJournalEntriesOnlyCommit, isMergeCommit, shouldSkipMergeCommit, isSafeGitRef } from './utils/commit-analyzer.js';
-
-/** Exit codes */
-const EXIT_SUCCESS = 0;
-const EXIT_ERROR = 1;
-const EXIT_SKIPPED = 2;
+import {
+  processCommit,
+  SKIP_JOURNAL_ONLY,
+  SKIP_IGNORED_ONLY,
+  SKIP_ALREADY_JOURNALED,
+} from './pipeline/process-commit.js';
+import { runBackfill } from './pipeline/backfill.js';
+import { runRetry, AUTO_RETRY_LIMIT, MAX_AUTO_ATTEMPTS } from './pipeline/retry.js';
+import { writeRunLog } from './pipeline/run-log.js';
+import {
+  getRewriteAction,
+  getCherryPickWindow,
+  REWRITE_AMEND,
+  REWRITE_REBASE,
+  REWRITE_CHERRY_PICK,
+} from './pipeline/rewrite.js';
+import { inspectHooks } from './utils/hook-installer.js';
+import { isSafeGitRef } from './utils/commit-analyzer.js';
+import { validateProvider } from './generators/providers/index.js';
+import { loadConfig } from './utils/config.js';
+import { WRITE_POLICIES, WRITE_POLICY_SKIP, WRITE_POLICY_REPLACE } from './managers/journal-manager.js';
+import { initTelemetry, shutdownTelemetry } from './telemetry/setup.js';
+import { EXIT_SUCCESS, EXIT_ERROR, EXIT_SKIPPED } from './commands/exit-codes.js';
+
+/** Subcommands, loaded on demand; each module exports run(args, { debug }) → exit code */
+const COMMANDS = {
+  search: () => import('./commands/search.js'),
+  summarize: () => import('./commands/summarize.js'),
+  export: () => import('./commands/export.js'),
+  import: () => import('./commands/import.js'),
+  retry: () => import('./commands/retry.js'),
+  status: () => import('./commands/status.js'),
+  init: () => import('./commands/init.js'),
+  uninstall: () => import('./commands/uninstall.js'),
+  rewrite: () => import('./commands/rewrite.js'),
+};
+
+/** Skip reason for amends and rebases left to the post-rewrite hook */
+const SKIP_REWRITTEN = 'rewritten';
 
 /** Debug mode flag */
 let DEBUG = false;
 
+/** Record of the current single-commit run (the hook's mode), written to the run log on exit */
+let currentRun = null;
+
+/**
+ * Write the run log if a run is being recorded, flush telemetry, then exit
+ * @param {number} code - Exit code
+ */
+async function exit(code) {
+  if (currentRun) {
+    await finishRunLog(code);
+  }
+  await shutdownTelemetry();
+  process.exit(code);
+}
+
+/**
+ * Start recording a single-commit run
+ */
+function startRunLog() {
+  currentRun = {
+    startedAt: new Date().toISOString(),
+    durationMs: 0,
+    pid: process.pid,
+    args: process.argv.slice(2),
+    exitCode: null,
+    status: null,
+    commit: null,
+    skipReason: null,
+    path: null,
+    tokenEstimate: null,
+    chat: null,
+    errors: [],
+    retried: null,
+  };
+}
+
+/**
+ * Add an error to the run log (no-op when no run is being recorded)
+ * @param {string} message - What went wrong
+ */
+function logRunError(message) {
+  currentRun?.errors.push(message);
+}
+
+/**
+ * Finish and write the run log - best-effort, never changes the outcome
+ * @param {number} code - Exit code
+ */
+async function finishRunLog(code) {
+  const run = currentRun;
+  currentRun = null;
+
+  run.exitCode = code;
+  run.status ??= code === EXIT_SKIPPED ? 'skipped' : code === EXIT_SUCCESS ? 'saved' : 'failed';
+  run.durationMs = Date.now() - Date.parse(run.startedAt);
+
+  try {
+    debug('Run log:', await writeRunLog(run));
+  } catch (error) {
+    debug('Run log not written:', error.message);
+  }
+}
+
 /**
  * Log debug message if debug mode is enabled
  * @param {...any} args - Arguments to log
@@ -41,25 +136,49 @@ function debug(...args) {
 
 /**
  * Parse command line arguments
- * @returns {{ commitRef: string, debug: boolean, help: boolean }}
+ * @returns {{ commitRef: string, range: string|null, since: string|null, squashOf: string|null, policy: string,
+ *   debug: boolean, help: boolean }}
  */
 function parseArgs() {
   const args = process.argv.slice(2);
 
   let commitRef = 'HEAD';
+  let range = null;
+  let since = null;
+  let squashOf = null;
+  let policy = WRITE_POLICY_SKIP;
   let showHelp = false;
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--debug' || arg === '-d') {
       DEBUG = true;
     } else if (arg === '--help' || arg === '-h') {
       showHelp = true;
+    } else if (arg === '--range') {
+      range = args[++i] ?? '';
+    } else if (arg.startsWith('--range=')) {
+      range = arg.slice('--range='.length);
+    } else if (arg === '--since') {
+      since = args[++i] ?? '';
+    } else if (arg.startsWith('--since=')) {
+      since = arg.slice('--since='.length);
+    } else if (arg === '--squash-of') {
+      squashOf = args[++i] ?? '';
+    } else if (arg.startsWith('--squash-of=')) {
+      squashOf = arg.slice('--squash-of='.length);
+    } else if (arg === '--force' || arg === '-f') {
+      policy = WRITE_POLICY_REPLACE;
+    } else if (arg === '--on-existing') {
+      policy = args[++i] ?? '';
+    } else if (arg.startsWith('--on-existing=')) {
+      policy = arg.slice('--on-existing='.length);
     } else if (!arg.startsWith('-')) {
       commitRef = arg;
     }
   }
 
-  return { commitRef, debug: DEBUG, help: showHelp };
+  return { commitRef, range, since, squashOf, policy, debug: DEBUG, help: showHelp };
 }
 
 /**
@@ -71,26 +190,65 @@ Commit Story - Automated Engineering Journal
 
 Usage:
   npx commit-story [commitRef] [options]
+  npx commit-story --range <from..to> [options]
+  npx commit-story --since <date> [options]
+  npx commit-story <command> [options]
   node src/index.js [commitRef] [options]
 
+Commands:
+  init         Add commit-story to the git hooks (init --help)
+  uninstall    Remove commit-story from the git hooks
+  search       Full-text search over journal entries (search --help)
+  summarize    Weekly or monthly rollup of the journal (summarize --help)
+  export       Publish the journal as a static site or JSONL (export --help)
+  import       Write a JSONL export into this journal (import --help)
+  retry        Regenerate entries that failed, e.g. while offline (retry --help)
+  status       Hook, retry queue and recent runs (status --help)
+  rewrite      Carry entries over after an amend or rebase (post-rewrite hook)
+
 Arguments:
   commitRef    Git commit reference (default: HEAD)
                Examples: HEAD, abc1234, HEAD~3
 
 Options:
+  --range <r>  Backfill every commit in a revision range, oldest first
+  --since <d>  Backfill every commit since a date (combines with --range)
+  --squash-of <branch>
+               Write a squash-merged commit as a feature story from the
+               branch's entries (recognized from the message when omitted)
+  --force, -f  Regenerate entries that already exist, replacing them in place
+  --on-existing <policy>
+               What to do when a commit already has an entry:
+               skip (default), replace, append-version
   --debug, -d  Enable debug output
   --help, -h   Show this help message
 
+Backfill skips commits that already have a journal entry and keeps a
+checkpoint in .git/commit-story/ so an interrupted run can be resumed by
+running the same command again.
+
 Examples:
-  npx commit-story              # Generate for latest commit
-  npx commit-story HEAD~1       # Generate for previous commit
-  npx commit-story abc1234      # Generate for specific commit
-  npx commit-story --debug      # Verbose output
+  npx commit-story                        # Generate for latest commit
+  npx commit-story HEAD~1                 # Generate for previous commit
+  npx commit-story abc1234                # Generate for specific commit
+  npx commit-story HEAD --force           # Regenerate the latest entry
+  npx commit-story HEAD --squash-of feature/search --force
+                                          # Rewrite a squash merge as a feature story
+  npx commit-story --range main~50..main  # Backfill the last 50 commits
+  npx commit-story --since 2026-09-01     # Backfill since September 1st
+  npx commit-story --debug                # Verbose output
+  npx commit-story search langgraph       # Find entries mentioning LangGraph
+  npx commit-story summarize --week 2026-W42
+                                          # Roll up a week of entries
+  npx commit-story export --html site/    # Static site of the whole journal
+  npx commit-story export --format jsonl > journal.jsonl
+                                          # Every entry and note as JSON lines
 
 Exit codes:
   0  Success (journal entry generated)
   1  Error occurred
-  2  Skipped (journal-only commit or empty merge)
+  2  Skipped (journal-only commit, only .commitstoryignore paths changed,
+     empty merge, already journaled, or left to the post-rewrite hook)
 `);
 }
 
@@ -124,15 +282,26 @@ function isValidCommitRef(ref) {
   }
 }
 
+/**
+ * Validate a --since date
+ * @param {string} since - Date string from the command line
+ * @returns {boolean}
+ */
+function isValidSinceDate(since) {
+  return /^[0-9T:.\-+Z ]+$/.test(since) && !Number.isNaN(Date.parse(since));
+}
+
 /**
  * Validate environment requirements
  * @returns {boolean}
  */
 function validateEnvironment() {
-  if (!process.env.ANTHROPIC_API_KEY) {
+  const problem = validateProvider();
+  if (problem) {
+    logRunError(problem.message);
     console.error(`
-❌ ANTHROPIC_API_KEY not set
-   Set your API key: export ANTHROPIC_API_KEY=your-key
+❌ ${problem.message}
+   ${problem.hint}
 `);
     return false;
   }
@@ -140,154 +309,336 @@ function validateEnvironment() {
 }
 
 /**
- * Get previous commit timestamp for reflection discovery
- * @param {string} commitRef - Current commit reference
- * @returns {Date|null}
+ * Backfill a range of commits and report progress
+ * @param {{ range: string|null, since: string|null, policy: string }} selection - Commit selection
+ */
+async function backfill({ range, since, policy }) {
+  if (range && !isSafeGitRef(range)) {
+    console.error(`
+❌ Invalid commit range: ${range}
+   Use a revision range such as main~50..main
+`);
+    await exit(EXIT_ERROR);
+  }
+
+  if (since && !isValidSinceDate(since)) {
+    console.error(`
+❌ Invalid date: ${since}
+   Use an ISO date such as 2026-09-01
+`);
+    await exit(EXIT_ERROR);
+  }
+
+  debug('Backfill selection:', { range, since });
+
+  const summary = await runBackfill({ range, since, policy, debug });
+
+  console.log(`
+✅ Backfill complete
+   Commits:           ${summary.total}
+   Saved:             ${summary.saved}
+   Already journaled: ${summary.alreadyJournaled}
+   Previous run:      ${summary.resumed}
+   Skipped:           ${summary.skipped}
+   Failed:            ${summary.failed.length}
+`);
+
+  if (summary.failed.length > 0) {
+    console.log('⚠️  Rerun the same command to retry failed commits:');
+    for (const { hash, error } of summary.failed) {
+      console.log(`   - ${hash.slice(0, 7)}: ${error}`);
+    }
+    await exit(EXIT_ERROR);
+  }
+
+  await exit(EXIT_SUCCESS);
+}
+
+/**
+ * Copy a processCommit result into the run log
+ * @param {object} result - Result from processCommit
  */
-function getPreviousCommitTime(commitRef) {
-  if (!isSafeGitRef(commitRef)) {
-    const fallback = new Date();
-    fallback.setHours(fallback.getHours() - 24);
-    return fallback;
+function recordRunResult(result) {
+  if (!currentRun) return;
+
+  currentRun.status = result.status;
+  currentRun.commit = result.commit ? { hash: result.commit.hash, shortHash: result.commit.shortHash } : null;
+  currentRun.skipReason = result.reason ?? null;
+  currentRun.path = result.path ?? null;
+  currentRun.errors.push(...(result.sections?.errors || []));
+
+  const { metadata } = result;
+  if (metadata) {
+    currentRun.tokenEstimate = metadata.tokenEstimate;
+    currentRun.chat = {
+      messages: Object.values(metadata.chatSources).reduce((sum, count) => sum + count, 0),
+      sessions: metadata.sessionIds.length,
+      sources: metadata.chatSources,
+    };
   }
+}
+
+/**
+ * Decide how to journal a HEAD that an amend, rebase or cherry-pick just made
+ * git runs post-commit for these too. With the post-rewrite hook installed,
+ * amends and rebases are left to it; cherry-picks use the original commit's
+ * chat window when it can be found.
+ * @returns {Promise<{skip: boolean, window: {start: Date|null, end: Date}|null}>} What to do
+ */
+async function planRewrittenHead() {
+  const action = getRewriteAction();
+  if (action === REWRITE_AMEND || action === REWRITE_REBASE) {
+    try {
+      const { hooks } = await inspectHooks();
+      if (hooks.some((state) => state.hook === 'post-rewrite' && state.installed)) {
+        return { skip: true, window: null };
+      }
+    } catch (error) {
+      debug('Could not check the post-rewrite hook:', error.message);
+    }
+  } else if (action === REWRITE_CHERRY_PICK) {
+    const window = await getCherryPickWindow('HEAD');
+    debug('Cherry-pick, original chat window:', window);
+    return { skip: false, window };
+  }
+  return { skip: false, window: null };
+}
+
+/**
+ * Retry a few queued commits after a run - best-effort, never changes the exit code
+ * @param {string} currentHash - Commit this run processed (not retried again)
+ */
+async function retryQueued(currentHash) {
   try {
-    // Get the commit before the current one
-    const output = execFileSync('git', ['log', '-1', '--format=%cI', `${commitRef}~1`], {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
+    const summary = await runRetry({
+      limit: AUTO_RETRY_LIMIT,
+      maxAttempts: MAX_AUTO_ATTEMPTS,
+      exclude: currentHash ? [currentHash] : [],
+      log: debug,
+      debug,
     });
-    return new Date(output.trim());
-  } catch {
-    // No previous commit (first commit) or error
-    // Use 24 hours ago as fallback
-    const fallback = new Date();
-    fallback.setHours(fallback.getHours() - 24);
-    return fallback;
+    if (currentRun && summary.saved.length + summary.failed.length > 0) {
+      currentRun.retried = { saved: summary.saved.length, failed: summary.failed.length };
+    }
+    if (summary.saved.length > 0) {
+      console.log(`✅ Retried ${summary.saved.length} queued commit(s)`);
+    }
+    if (summary.failed.length > 0) {
+      console.log(`⚠️  ${summary.failed.length} queued commit(s) still failing - see: npx commit-story retry --list`);
+    }
+  } catch (error) {
+    debug('Queued commits not retried:', error.message);
+  }
+}
+
+/**
+ * Load layered configuration (defaults, ~/.commitstoryrc, repo files, env), exiting on errors
+ * @returns {Promise<object>} Loaded config
+ */
+async function loadConfigOrExit() {
+  try {
+    const config = await loadConfig();
+    debug('Config sources:', config.sources.length > 0 ? config.sources : '(defaults and environment only)');
+    return config;
+  } catch (error) {
+    logRunError(error.message);
+    console.error(`
+❌ ${error.message}
+   Fix the configuration file and try again.
+`);
+    await exit(EXIT_ERROR);
   }
 }
 
+/**
+ * Start telemetry - best-effort, a broken exporter setup never blocks the journal
+ * @param {object} config - Loaded config
+ */
+async function startTelemetry(config) {
+  try {
+    if (await initTelemetry(config.telemetry)) {
+      debug('Telemetry exporter:', config.telemetry.exporter);
+    }
+  } catch (error) {
+    debug('Telemetry disabled:', error.message);
+  }
+}
+
+/**
+ * Exit unless running inside a git repository
+ */
+async function requireGitRepository() {
+  if (!isGitRepository()) {
+    console.error(`
+❌ Not a git repository
+   Run commit-story from within a git repository.
+`);
+    await exit(EXIT_ERROR);
+  }
+}
+
+/**
+ * Run a subcommand and exit with its code
+ * @param {string} name - Key of COMMANDS
+ * @param {string[]} args - Arguments after the command name
+ */
+async function runCommand(name, args) {
+  DEBUG = args.includes('--debug') || args.includes('-d');
+  const commandArgs = args.filter((arg) => arg !== '--debug' && arg !== '-d');
+  debug(`Starting commit-story ${name}`);
+
+  const config = await loadConfigOrExit();
+  await startTelemetry(config);
+  await requireGitRepository();
+
+  const { run } = await COMMANDS[name]();
+  await exit(await run(commandArgs, { debug }));
+}
+
 /**
  * Main entry point
  */
 async function main() {
-  const { commitRef, help } = parseArgs();
+  const command = process.argv[2];
+  if (Object.hasOwn(COMMANDS, command)) {
+    await runCommand(command, process.argv.slice(3));
+    return;
+  }
+
+  const { commitRef, range, since, squashOf, policy, help } = parseArgs();
 
   // Show help if requested
   if (help) {
     showHelp();
-    process.exit(EXIT_SUCCESS);
+    await exit(EXIT_SUCCESS);
   }
 
   debug('Starting commit-story');
-  debug('Commit ref:', commitRef);
+  startRunLog();
+
+  const config = await loadConfigOrExit();
+
+  await startTelemetry(config);
 
   // Validate git repository
-  if (!isGitRepository()) {
+  await requireGitRepository();
+
+  // Validate write policy
+  if (!WRITE_POLICIES.includes(policy)) {
+    logRunError(`Invalid --on-existing policy: ${policy}`);
     console.error(`
-❌ Not a git repository
-   Run commit-story from within a git repository.
+❌ Invalid --on-existing policy: ${policy}
+   Use one of: ${WRITE_POLICIES.join(', ')}
 `);
-    process.exit(EXIT_ERROR);
+    await exit(EXIT_ERROR);
+  }
+
+  // Validate environment
+  if (!validateEnvironment()) {
+    await exit(EXIT_ERROR);
   }
 
+  // Range or date selection switches to backfill mode, which prints its own summary
+  if (range !== null || since !== null) {
+    currentRun = null;
+    await backfill({ range, since, policy });
+    return;
+  }
+
+  debug('Commit ref:', commitRef);
+
   // Validate commit reference
   if (!isValidCommitRef(commitRef)) {
+    logRunError(`Invalid commit reference: ${commitRef}`);
     console.error(`
 ❌ Invalid commit reference: ${commitRef}
    Check that the commit exists: git log --oneline
 `);
-    process.exit(EXIT_ERROR);
+    await exit(EXIT_ERROR);
   }
 
-  // Validate environment
-  if (!validateEnvironment()) {
-    process.exit(EXIT_ERROR);
+  if (squashOf !== null && !isValidCommitRef(squashOf)) {
+    logRunError(`Invalid --squash-of branch: ${squashOf}`);
+    console.error(`
+❌ Invalid --squash-of branch: ${squashOf}
+   Give the feature branch (or its last commit) that was squash-merged.
+`);
+    await exit(EXIT_ERROR);
   }
 
-  // Check skip conditions BEFORE expensive context collection
-  debug('Checking skip conditions...');
-
-  // Skip journal-entries-only commits
-  if (isJournalEntriesOnlyCommit(commitRef)) {
-    console.log(`
-⏭️  Skipping: only journal entries changed
-   This commit only modified journal/entries/ files.
+  let window = null;
+  if (commitRef === 'HEAD' && policy === WRITE_POLICY_SKIP) {
+    const plan = await planRewrittenHead();
+    if (plan.skip) {
+      recordRunResult({ status: 'skipped', reason: SKIP_REWRITTEN });
+      console.log(`
+⏭️  Skipping: commit made by an amend or rebase
+   The post-rewrite hook carries its journal entry over.
 `);
-    process.exit(EXIT_SKIPPED);
+      await exit(EXIT_SKIPPED);
+    }
+    window = plan.window;
   }
 
-  // Check for merge commits
-  const mergeInfo = isMergeCommit(commitRef);
-  debug('Merge commit:', mergeInfo.isMerge);
+  const result = await processCommit(commitRef, { debug, policy, window, squashOf: squashOf ?? undefined });
+  recordRunResult(result);
 
-  // Gather context
-  debug('Gathering context...');
-  const context = await gatherContextForCommit(commitRef);
-  debug('Context gathered:', {
-    messageCount: context.chat?.messageCount || 0,
-    diffLength: context.commit?.diff?.length || 0,
-  });
-
-  // Skip empty merge commits (no chat AND no diff)
-  if (mergeInfo.isMerge) {
-    const hasChat = context.chat && context.chat.messageCount > 0;
-    const hasDiff = context.commit && context.commit.diff && context.commit.diff.trim().length > 0;
-
-    if (!hasChat && !hasDiff) {
+  if (result.status === 'skipped') {
+    if (result.reason === SKIP_ALREADY_JOURNALED) {
+      console.log(`
+⏭️  Skipping: commit already has a journal entry
+   Use --force to regenerate it in place.
+`);
+    } else if (result.reason === SKIP_JOURNAL_ONLY) {
+      console.log(`
+⏭️  Skipping: only journal entries changed
+   This commit only modified journal entry files.
+`);
+    } else if (result.reason === SKIP_IGNORED_ONLY) {
+      console.log(`
+⏭️  Skipping: only ignored paths changed
+   Every file in this commit matches .commitstoryignore.
+`);
+    } else {
       console.log(`
 ⏭️  Skipping: merge commit with no changes
    This merge commit has no chat context or code changes.
 `);
-      process.exit(EXIT_SKIPPED);
     }
-    debug('Processing merge commit with:', { hasChat, hasDiff });
+    await retryQueued(result.commit?.hash);
+    await exit(EXIT_SKIPPED);
   }
 
-  // Generate journal sections
-  debug('Generating journal sections...');
-  const sections = await generateJournalSections(context);
-  debug('Sections generated:', {
-    hasSummary: !!sections.summary,
-    hasDialogue: !!sections.dialogue,
-    hasTechnical: !!sections.technicalDecisions,
-    errors: sections.errors?.length || 0,
-  });
-
-  // Discover reflections for time window
-  const previousCommitTime = getPreviousCommitTime(commitRef);
-  const currentCommitTime = context.commit.timestamp;
-  debug('Reflection window:', { from: previousCommitTime, to: currentCommitTime });
-
-  const reflections = await discoverReflections(previousCommitTime, currentCommitTime);
-  debug('Reflections found:', reflections.length);
-
-  // Save journal entry
-  debug('Saving journal entry...');
-  const savedPath = await saveJournalEntry(sections, context.commit, reflections);
+  const { sections, path: savedPath, metadata } = result;
 
+  const squashed = metadata.squashOf?.length;
   console.log(`
-✅ Journal entry saved
+✅ ${squashed ? `Feature story saved (squash merge of ${squashed} journaled commits)` : 'Journal entry saved'}
    ${savedPath}
 `);
 
-  // Log any generation errors
+  // Log any generation errors - the commit is queued, so retrying others now would likely fail too
   if (sections.errors && sections.errors.length > 0) {
     console.log('⚠️  Some sections had generation issues:');
     for (const err of sections.errors) {
       console.log(`   - ${err}`);
     }
+    console.log('   Queued for retry: npx commit-story retry');
+  } else {
+    await retryQueued(result.commit.hash);
   }
 
-  process.exit(EXIT_SUCCESS);
+  await exit(EXIT_SUCCESS);
 }
 
 // Run main function
-main().catch((error) => {
+main().catch(async (error) => {
+  logRunError(error.message);
   console.error(`
 ❌ Unexpected error: ${error.message}
 `);
   if (DEBUG) {
     console.error(error.stack);
   }
-  process.exit(EXIT_ERROR);
+  await exit(EXIT_ERROR);
 });
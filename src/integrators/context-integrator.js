@@ -2,54 +2,119 @@
  * Context Integrator - Orchestrates collectors and applies filtering
  *
  * Central point for gathering all context for journal generation.
- * Coordinates git and Claude collectors, then applies message filtering,
- * token budget limits, and sensitive data redaction.
+ * Coordinates git, Claude and other assistant collectors, then applies
+ * message filtering, token budget limits, and sensitive data redaction.
  */
 
 import { getCommitData, getPreviousCommitTime } from '../collectors/git-collector.js';
 import { collectChatMessages } from '../collectors/claude-collector.js';
+import { collectAssistantMessages } from '../collectors/assistant-collectors.js';
 import { filterMessages, groupFilteredBySession } from './filters/message-filter.js';
 import { applyTokenBudget, estimateTokens } from './filters/token-filter.js';
 import { applySensitiveFilter } from './filters/sensitive-filter.js';
+import { getRepoRoot, getWorktreePaths } from '../utils/git-repo.js';
+import { withSpan } from '../telemetry/index.js';
 
 /**
  * Gather all context for a commit
  * @param {string} commitRef - Git commit reference (default: HEAD)
  * @param {object} options - Configuration options
- * @param {string} options.repoPath - Repository path (default: process.cwd())
+ * @param {string} options.repoPath - Repository root (default: resolved from cwd)
  * @param {number} options.tokenBudget - Total token budget (default: 150000)
  * @param {number} options.diffBudget - Token budget for diff (default: 50000)
  * @param {number} options.chatBudget - Token budget for chat (default: 80000)
  * @param {boolean} options.redactEmails - Whether to redact emails (default: false)
+ * @param {string} options.placeholder - Replacement text for redactions (default: [REDACTED])
+ * @param {object} options.collectors - Chat source name → false to disable (default: all enabled)
+ * @param {{start: Date|null, end: Date}} options.window - Chat window to use instead of
+ *   previous commit → this commit (e.g. the original commit's window after a rebase)
  * @returns {Promise<Context>} Gathered and filtered context
  */
-export async function gatherContextForCommit(commitRef = 'HEAD', options = {}) {
+export function gatherContextForCommit(commitRef = 'HEAD', options = {}) {
+  return withSpan('commit_story.gather_context', { 'commit_story.commit.ref': commitRef }, async (span) => {
+    const context = await gatherContext(commitRef, options);
+    span.setAttributes({
+      'commit_story.chat.message_count': context.chat.messageCount,
+      'commit_story.context.token_estimate': context.metadata.tokenEstimate,
+    });
+    return context;
+  });
+}
+
+/**
+ * Gather context for a commit (inside the gather_context span)
+ * @param {string} commitRef - Git commit reference
+ * @param {object} options - Options from gatherContextForCommit
+ * @returns {Promise<Context>} Gathered and filtered context
+ */
+async function gatherContext(commitRef, options) {
   const {
-    repoPath = process.cwd(),
+    repoPath = getRepoRoot(),
     tokenBudget = 150000,
     diffBudget = 50000,
     chatBudget = 80000,
     redactEmails = false,
+    placeholder = '[REDACTED]',
+    collectors = {},
+    window = null,
   } = options;
 
   // 1. Collect git data
-  const commitData = await getCommitData(commitRef);
+  const commitData = await withSpan('commit_story.collect.git', {}, async (span) => {
+    const data = await getCommitData(commitRef);
+    span.setAttributes({
+      'vcs.ref.head.revision': data.hash,
+      'commit_story.commit.is_merge': data.isMerge,
+      'commit_story.diff.length': data.diff.length,
+    });
+    return data;
+  });
 
   // 2. Get previous commit time for chat window
-  const previousCommitTime = await getPreviousCommitTime(commitRef);
+  const previousCommitTime = window ? window.start : await getPreviousCommitTime(commitRef);
 
   // 3. Collect chat messages
-  let chatData;
-  if (previousCommitTime) {
-    chatData = await collectChatMessages(repoPath, commitData.timestamp, previousCommitTime);
-  } else {
-    // First commit - use 24 hours before as window
-    const dayBefore = new Date(commitData.timestamp.getTime() - 24 * 60 * 60 * 1000);
-    chatData = await collectChatMessages(repoPath, commitData.timestamp, dayBefore);
-  }
+  // First commit - use 24 hours before as window
+  const windowStart = previousCommitTime || new Date(commitData.timestamp.getTime() - 24 * 60 * 60 * 1000);
+  const windowEnd = window?.end ?? commitData.timestamp;
+  // Other worktrees nested inside this checkout have their own history
+  const chatOptions = {
+    excludePaths: getWorktreePaths(repoPath).filter((path) => path !== repoPath),
+  };
+  const claudeMessages =
+    collectors.claude === false
+      ? []
+      : await withSpan('commit_story.collect.claude', {}, async (span) => {
+          const chatData = await collectChatMessages(repoPath, windowEnd, windowStart, chatOptions);
+          span.setAttributes({
+            'commit_story.chat.message_count': chatData.messageCount,
+            'commit_story.chat.session_count': chatData.sessionCount,
+          });
+          return chatData.messages;
+        });
 
-  // 4. Filter chat messages
-  const { messages: filteredMessages, stats: filterStats } = filterMessages(chatData.messages);
+  // 4. Filter Claude messages, then merge in other assistants (already normalized)
+  const { messages: claudeFiltered, stats: filterStats } = await withSpan(
+    'commit_story.filter.messages',
+    {},
+    (span) => {
+      const result = filterMessages(claudeMessages);
+      span.setAttributes({
+        'commit_story.filter.total': result.stats.total,
+        'commit_story.filter.removed': result.stats.filtered,
+        'commit_story.filter.preserved': result.stats.preserved,
+      });
+      return result;
+    }
+  );
+  const assistantData = await collectAssistantMessages(repoPath, windowStart, windowEnd, {
+    ...chatOptions,
+    enabled: collectors,
+  });
+  const filteredMessages = [
+    ...claudeFiltered.map((msg) => ({ ...msg, source: 'claude' })),
+    ...assistantData.messages,
+  ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
   // 5. Group filtered messages by session
   const filteredSessions = groupFilteredBySession(filteredMessages);
@@ -67,6 +132,14 @@ export async function gatherContextForCommit(commitRef = 'HEAD', options = {}) {
       diff: commitData.diff,
       isMerge: commitData.isMerge,
       parentCount: commitData.parentCount,
+      branch: commitData.branch,
+      tags: commitData.tags,
+      trailers: commitData.trailers,
+      coAuthors: commitData.coAuthors,
+      files: commitData.files,
+      filesChanged: commitData.filesChanged,
+      insertions: commitData.insertions,
+      deletions: commitData.deletions,
     },
     chat: {
       messages: filteredMessages,
@@ -77,8 +150,12 @@ export async function gatherContextForCommit(commitRef = 'HEAD', options = {}) {
     metadata: {
       previousCommitTime,
       timeWindow: {
-        start: previousCommitTime || new Date(commitData.timestamp.getTime() - 24 * 60 * 60 * 1000),
-        end: commitData.timestamp,
+        start: windowStart,
+        end: windowEnd,
+      },
+      chatSources: {
+        claude: claudeFiltered.length,
+        ...assistantData.bySource,
       },
       filterStats: {
         totalMessages: filterStats.total,
@@ -91,15 +168,29 @@ export async function gatherContextForCommit(commitRef = 'HEAD', options = {}) {
   };
 
   // 7. Apply token budget limits
-  context = applyTokenBudget(context, {
-    totalBudget: tokenBudget,
-    diffBudget,
-    chatBudget,
+  context = await withSpan('commit_story.filter.token_budget', {}, (span) => {
+    const result = applyTokenBudget(context, {
+      totalBudget: tokenBudget,
+      diffBudget,
+      chatBudget,
+    });
+    span.setAttributes({
+      'commit_story.context.token_estimate': result.metadata.tokenEstimate,
+      'commit_story.filter.diff_truncated': !!result.metadata.tokenBudget?.diffTruncated,
+      'commit_story.filter.diff_files_elided': result.metadata.tokenBudget?.diffElidedFiles?.length ?? 0,
+      'commit_story.filter.messages_truncated': !!result.metadata.tokenBudget?.messagesTruncated,
+    });
+    return result;
   });
 
   // 8. Apply sensitive data redaction
-  context = applySensitiveFilter(context, {
-    redactEmails,
+  context = await withSpan('commit_story.filter.sensitive', {}, (span) => {
+    const result = applySensitiveFilter(context, {
+      redactEmails,
+      placeholder,
+    });
+    span.setAttribute('commit_story.filter.redactions', result.metadata.sensitiveDataFilter.totalRedactions);
+    return result;
   });
 
   return context;
@@ -178,6 +269,7 @@ export function getContextSummary(context) {
     metadata: {
       tokenEstimate: context.metadata.tokenEstimate,
       filterStats: context.metadata.filterStats,
+      chatSources: context.metadata.chatSources,
       tokenBudget: context.metadata.tokenBudget,
       sensitiveDataFilter: context.metadata.sensitiveDataFilter,
     },
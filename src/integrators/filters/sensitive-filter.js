@@ -211,6 +211,30 @@ export function applySensitiveFilter(context, options = {}) {
   const messageResult = redactSensitiveData(context.commit.message, options);
   result.commit.message = messageResult.text;
 
+  // Trailers and co-authors come from the message too, so they count as message redactions
+  let trailerRedactions = 0;
+  const redactField = (value) => {
+    if (!value) return value;
+    const fieldResult = redactSensitiveData(value, options);
+    trailerRedactions += fieldResult.redactionCount;
+    return fieldResult.text;
+  };
+  if (context.commit.trailers) {
+    result.commit.trailers = context.commit.trailers.map((trailer) => ({
+      ...trailer,
+      key: redactField(trailer.key),
+      value: redactField(trailer.value),
+    }));
+  }
+  if (context.commit.coAuthors) {
+    result.commit.coAuthors = context.commit.coAuthors.map((coAuthor) => ({
+      ...coAuthor,
+      name: redactField(coAuthor.name),
+      email: redactField(coAuthor.email),
+    }));
+  }
+  const messageRedactions = messageResult.redactionCount + trailerRedactions;
+
   // Redact chat messages
   const chatResult = redactMessages(context.chat.messages, options);
   result.chat = {
@@ -223,10 +247,9 @@ export function applySensitiveFilter(context, options = {}) {
     ...context.metadata,
     sensitiveDataFilter: {
       diffRedactions: diffResult.redactionCount,
-      messageRedactions: messageResult.redactionCount,
+      messageRedactions,
       chatRedactions: chatResult.totalRedactions,
-      totalRedactions:
-        diffResult.redactionCount + messageResult.redactionCount + chatResult.totalRedactions,
+      totalRedactions: diffResult.redactionCount + messageRedactions + chatResult.totalRedactions,
       redactionsByType: chatResult.redactionsByType,
     },
   };
@@ -2,9 +2,12 @@
  * Token Filter - Manages token budget for AI prompts
  *
  * Uses character-based heuristic for token estimation.
- * Truncates large diffs first, then older messages if needed.
+ * Truncates large diffs first (file by file, least meaningful files first),
+ * then older messages if needed.
  */
 
+import { unquoteGitPath } from '../../utils/git-repo.js';
+
 /**
  * Estimate token count using character-based heuristic
  * Claude uses ~4 characters per token on average
@@ -32,41 +35,266 @@ function formatMessagesForEstimation(messages) {
     .join('\n\n');
 }
 
+/** File ranks: lower is kept first when the diff is over budget */
+const RANK_SOURCE = 0;
+const RANK_TEST = 1;
+const RANK_LOW_VALUE = 2;
+
+/** Share of the diff budget each rank gets relative to the others (low-value files get none) */
+const RANK_WEIGHTS = { [RANK_SOURCE]: 3, [RANK_TEST]: 1 };
+
+/** A file allotted less than this is collapsed to its stat line rather than cut to a stub */
+const MIN_FILE_TOKENS = 200;
+
+/** Room kept for the truncation note */
+const NOTE_TOKENS = 30;
+
+/** Most of the budget stat lines may take; beyond it the remaining files share one summary line */
+const STAT_LINE_SHARE = 0.5;
+
+/**
+ * Files whose diffs say little about intent, with the reason shown in their stat line
+ * Checked in order; the path is repo-relative.
+ */
+const LOW_VALUE_FILES = [
+  {
+    reason: 'lock file',
+    pattern: /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|pnpm-lock\.yaml|go\.sum|[^/]+\.lockb?)$/,
+  },
+  { reason: 'minified', pattern: /\.min\.(js|css|mjs)$|\.map$/ },
+  { reason: 'vendored', pattern: /(^|\/)(vendor|vendors|third_party|node_modules)\// },
+  {
+    reason: 'generated',
+    pattern: /(^|\/)(dist|build|out|generated|__generated__)\/|\.(generated|gen|pb)\.[^/]+$|_pb2\.py$|\.snap$/,
+  },
+];
+
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|specs?|e2e)\/|[._-](test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$/;
+
+/**
+ * Rank a changed file by how much its diff says about the commit
+ * @param {string} path - Repo-relative path
+ * @returns {{rank: number, reason: string|null}} Rank, and why a low-value file is low-value
+ */
+export function rankDiffFile(path) {
+  const lowValue = LOW_VALUE_FILES.find(({ pattern }) => pattern.test(path));
+  if (lowValue) {
+    return { rank: RANK_LOW_VALUE, reason: lowValue.reason };
+  }
+  return { rank: TEST_FILE_PATTERN.test(path) ? RANK_TEST : RANK_SOURCE, reason: null };
+}
+
+/**
+ * Get the new path from a "diff --git a/<old> b/<new>" header
+ * Git C-quotes paths with non-ASCII or special characters ("b/caf\303\251.txt").
+ * @param {string} header - First line of a file's section
+ * @returns {string|null} Repo-relative path, or null if the line isn't a file header
+ */
+function getHeaderPath(header) {
+  if (!header.startsWith('diff --git ')) return null;
+  if (header.endsWith('"')) {
+    const quoted = header.lastIndexOf(' "b/');
+    return quoted === -1 ? null : unquoteGitPath(header.slice(quoted + 1)).slice(2);
+  }
+  const at = header.lastIndexOf(' b/');
+  return at === -1 ? null : header.slice(at + 3);
+}
+
+/**
+ * Split a diff into its per-file sections
+ * @param {string} diff - Git diff content
+ * @returns {Array<{path: string|null, text: string, added: number, removed: number}>} Sections in diff order
+ *   (text before the first file header, if any, has a null path)
+ */
+export function splitDiffByFile(diff) {
+  const sections = [];
+  for (const text of diff.split(/\n(?=diff --git )/)) {
+    let added = 0;
+    let removed = 0;
+    for (const line of text.split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++ ')) added++;
+      else if (line.startsWith('-') && !line.startsWith('--- ')) removed++;
+    }
+    sections.push({ path: getHeaderPath(text.split('\n', 1)[0]), text, added, removed });
+  }
+  return sections;
+}
+
+/**
+ * Share a budget between files in proportion to their rank weights
+ * Files smaller than their share are kept whole and what they leave over
+ * goes back to the rest, so the budget is only split among the big files.
+ * @param {Array<{tokens: number, rank: number}>} files - Files competing for the budget
+ * @param {number} budget - Tokens to share
+ * @returns {Map<object, number>} Tokens allotted per file
+ */
+function allocateBudget(files, budget) {
+  const allotted = new Map();
+  let pending = files;
+  let remaining = budget;
+
+  while (pending.length > 0) {
+    const totalWeight = pending.reduce((sum, file) => sum + RANK_WEIGHTS[file.rank], 0);
+    const share = (file) => Math.floor((Math.max(remaining, 0) * RANK_WEIGHTS[file.rank]) / totalWeight);
+    const fitting = pending.filter((file) => file.tokens <= share(file));
+
+    if (fitting.length === 0) {
+      for (const file of pending) allotted.set(file, share(file));
+      break;
+    }
+    for (const file of fitting) {
+      allotted.set(file, file.tokens);
+      remaining -= file.tokens;
+    }
+    pending = pending.filter((file) => !fitting.includes(file));
+  }
+
+  return allotted;
+}
+
+/**
+ * Collapse a file's diff to its header and a one-line stat
+ * @param {object} file - Section from splitDiffByFile
+ * @param {string} reason - Why it was left out
+ * @returns {string} Replacement text
+ */
+function formatFileStat(file, reason) {
+  return `diff --git a/${file.path} b/${file.path}\n[${reason} - +${file.added} -${file.removed} lines not shown]`;
+}
+
+/**
+ * Cut a file's diff down to a token allotment, at a line boundary
+ * @param {object} file - Section from splitDiffByFile
+ * @param {number} maxTokens - Tokens allotted to the file
+ * @returns {string} Truncated text with a marker
+ */
+function truncateFileDiff(file, maxTokens) {
+  const cut = file.text.substring(0, Math.floor(maxTokens * 3.5));
+  const kept = cut.substring(0, cut.lastIndexOf('\n'));
+  const totalLines = file.text.split('\n').length;
+  const keptLines = kept.split('\n').length;
+  return `${kept}\n[... ${totalLines - keptLines} more lines of this file not shown]`;
+}
+
+/**
+ * Sum up files left out without a stat line of their own
+ * @param {object[]} files - Sections from splitDiffByFile
+ * @returns {string} One summary line
+ */
+function formatMoreFiles(files) {
+  const added = files.reduce((sum, file) => sum + file.added, 0);
+  const removed = files.reduce((sum, file) => sum + file.removed, 0);
+  return `[... and ${files.length} more files not shown - +${added} -${removed} lines]`;
+}
+
+/**
+ * Fit a diff touching too many files for a stat line each
+ * Small files are kept whole first (source before tests), in up to half the
+ * budget. The rest get stat lines, in rank order, while they fit; whatever is
+ * left shares one summary line.
+ * @param {object[]} files - Ranked sections, in diff order
+ * @param {number} budget - Tokens to fill
+ * @returns {{parts: string[], elidedFiles: string[]}} Diff parts in diff order, and the paths not shown
+ */
+function fitManyFiles(files, budget) {
+  const lineTokens = (text) => estimateTokens(`${text}\n`);
+  // Summing up every file is the longest the summary line can get
+  let remaining = budget - lineTokens(formatMoreFiles(files.filter((file) => file.path)));
+
+  const whole = new Set();
+  let wholeBudget = Math.floor(remaining * (1 - STAT_LINE_SHARE));
+  const competing = files.filter((file) => file.rank !== RANK_LOW_VALUE);
+  for (const file of competing.sort((a, b) => a.rank - b.rank || a.tokens - b.tokens)) {
+    const tokens = lineTokens(file.text);
+    if (tokens <= wholeBudget) {
+      whole.add(file);
+      wholeBudget -= tokens;
+      remaining -= tokens;
+    }
+  }
+
+  const stats = new Map();
+  const collapsed = files.filter((file) => file.path && !whole.has(file)).sort((a, b) => a.rank - b.rank);
+  for (const file of collapsed) {
+    const stat = formatFileStat(file, file.reason ?? 'over budget');
+    if (lineTokens(stat) > remaining) break;
+    stats.set(file, stat);
+    remaining -= lineTokens(stat);
+  }
+
+  const parts = files.map((file) => (whole.has(file) ? file.text : (stats.get(file) ?? '')));
+  const summarized = collapsed.filter((file) => !stats.has(file));
+  if (summarized.length > 0) {
+    parts.push(formatMoreFiles(summarized));
+  }
+
+  return { parts, elidedFiles: files.filter((file) => file.path && !whole.has(file)).map((file) => file.path) };
+}
+
 /**
  * Truncate diff to fit within token budget
- * Tries to keep complete file sections
+ * Over budget, the diff is cut per file rather than at one offset, so a
+ * lock file or bundle can't crowd out the source changes:
+ * - Lock files, minified, vendored and generated files collapse to a stat line
+ * - Source and test files share the rest (source weighted higher); small files
+ *   stay whole, large ones are cut to their share or collapsed if it's too small
+ * - When stat lines alone would take over half the budget, small files are
+ *   kept whole and the rest collapse to stat lines up to a cap, then one summary line
  * @param {string} diff - Git diff content
  * @param {number} maxTokens - Maximum tokens allowed
- * @returns {object} Truncated diff and metadata
+ * @returns {object} Truncated diff and metadata (elidedFiles: collapsed to a stat line,
+ *   truncatedFiles: cut short)
  */
 export function truncateDiff(diff, maxTokens) {
   if (!diff) {
-    return { diff: '', truncated: false, originalTokens: 0 };
+    return { diff: '', truncated: false, originalTokens: 0, elidedFiles: [], truncatedFiles: [] };
   }
 
   const originalTokens = estimateTokens(diff);
 
   if (originalTokens <= maxTokens) {
-    return { diff, truncated: false, originalTokens };
+    return { diff, truncated: false, originalTokens, elidedFiles: [], truncatedFiles: [] };
   }
 
-  // Calculate target character length
-  const targetChars = Math.floor(maxTokens * 3.5);
+  const files = splitDiffByFile(diff).map((file) => ({
+    ...file,
+    ...(file.path ? rankDiffFile(file.path) : { rank: RANK_SOURCE, reason: null }),
+    tokens: estimateTokens(file.text),
+  }));
 
-  // Try to truncate at a file boundary (diff --git line)
-  const truncated = diff.substring(0, targetChars);
-  const lastFileStart = truncated.lastIndexOf('\ndiff --git ');
+  // Every file might end up as a stat line - keep room for them and the truncation note
+  const statTokens = files.reduce((sum, file) => sum + estimateTokens(formatFileStat(file, 'over budget')), 0);
+  const reserved = statTokens + NOTE_TOKENS;
 
-  let finalDiff;
-  if (lastFileStart > targetChars * 0.5) {
-    // Keep complete files up to the boundary
-    finalDiff = truncated.substring(0, lastFileStart);
+  const elidedFiles = [];
+  const truncatedFiles = [];
+  let parts;
+  if (statTokens > (maxTokens - NOTE_TOKENS) * STAT_LINE_SHARE) {
+    const fitted = fitManyFiles(files, maxTokens - NOTE_TOKENS);
+    parts = fitted.parts;
+    elidedFiles.push(...fitted.elidedFiles);
   } else {
-    // Just truncate at character limit and add indicator
-    finalDiff = truncated;
+    const competing = files.filter((file) => file.rank !== RANK_LOW_VALUE);
+    const allotted = allocateBudget(competing, maxTokens - reserved);
+
+    parts = files.map((file) => {
+      const tokens = allotted.get(file) ?? 0;
+      if (tokens >= file.tokens) {
+        return file.text;
+      }
+      if (file.path === null) {
+        return tokens > 0 ? truncateFileDiff(file, tokens) : '';
+      }
+      if (file.rank === RANK_LOW_VALUE || tokens < MIN_FILE_TOKENS) {
+        elidedFiles.push(file.path);
+        return formatFileStat(file, file.reason ?? 'over budget');
+      }
+      truncatedFiles.push(file.path);
+      return truncateFileDiff(file, tokens);
+    });
   }
 
-  // Add truncation indicator
+  const finalDiff = parts.filter(Boolean).join('\n');
   const truncationMessage = `\n\n[DIFF TRUNCATED - Original: ${originalTokens} tokens, Shown: ~${estimateTokens(finalDiff)} tokens]`;
   const finalDiffWithMessage = finalDiff + truncationMessage;
 
@@ -75,6 +303,8 @@ export function truncateDiff(diff, maxTokens) {
     truncated: true,
     originalTokens,
     shownTokens: estimateTokens(finalDiffWithMessage),
+    elidedFiles,
+    truncatedFiles,
   };
 }
 
@@ -159,6 +389,8 @@ export function applyTokenBudget(context, options = {}) {
   };
   result.metadata.tokenBudget.diffTruncated = diffResult.truncated;
   result.metadata.tokenBudget.diffOriginalTokens = diffResult.originalTokens;
+  result.metadata.tokenBudget.diffElidedFiles = diffResult.elidedFiles;
+  result.metadata.tokenBudget.diffTruncatedFiles = diffResult.truncatedFiles;
 
   // 3. Process messages with budget
   const messageResult = truncateMessages(context.chat.messages, chatBudget);
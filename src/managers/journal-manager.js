@@ -1,25 +1,50 @@
 /**
  * Journal Manager
  *
- * Handles journal entry formatting, file writing, and reflection discovery.
+ * Handles journal entry formatting, file writing, reading entries back, and reflection discovery.
  * Uses fs/promises for async file operations and UTC-first time handling.
  */
 
-import { readFile, appendFile, readdir } from 'node:fs/promises';
-import { join } from 'node:path';
+import { readFile, appendFile, readdir, rm } from 'node:fs/promises';
+import { join, basename } from 'node:path';
 import {
   getJournalEntryPath,
+  getReflectionPath,
+  getContextPath,
   getReflectionsDirectory,
   ensureDirectory,
   parseDateFromFilename,
   getYearMonth,
+  getJournalDirectory,
 } from '../utils/journal-paths.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { withFileLock, writeFileAtomic } from '../utils/file-lock.js';
 
 /** Separator between journal entries */
 const ENTRY_SEPARATOR = '\n═══════════════════════════════════════\n\n';
 
-/** Pattern to match reflection entry headers */
-const REFLECTION_HEADER_PATTERN = /^## (\d{1,2}:\d{2}:\d{2} [AP]M \w+) - (.+?)$/m;
+/** Policies for writing an entry when the commit already has one */
+export const WRITE_POLICY_SKIP = 'skip';
+export const WRITE_POLICY_REPLACE = 'replace';
+export const WRITE_POLICY_APPEND_VERSION = 'append-version';
+export const WRITE_POLICIES = [WRITE_POLICY_SKIP, WRITE_POLICY_REPLACE, WRITE_POLICY_APPEND_VERSION];
+
+/** Pattern to match entry headers, with optional version suffix */
+const ENTRY_HEADER_PATTERN = /^## .+? - Commit: ([0-9a-f]+)(?: \(v(\d+)\))?$/m;
+
+/** Pattern to match the full hash line in an entry's Commit Details */
+const ENTRY_HASH_PATTERN = /^- \*\*Hash\*\*: ([0-9a-f]{7,40})$/m;
+
+/** Machine-readable metadata block embedded in each entry (an HTML comment, invisible when rendered) */
+const METADATA_OPEN = '<!-- commit-story:metadata';
+const METADATA_CLOSE = '-->';
+const METADATA_PATTERN = /^<!-- commit-story:metadata\n([\s\S]*?)\n-->$/m;
+
+/** Bump when metadata fields change incompatibly */
+export const METADATA_SCHEMA_VERSION = 1;
+
+/** Pattern to match reflection and context capture headers (the MCP reflection tool writes no title) */
+const REFLECTION_HEADER_PATTERN = /^## (\d{1,2}:\d{2}:\d{2} [AP]M \w+)(?: - (.+?))?$/m;
 
 /**
  * Format timestamp for display in local time
@@ -56,43 +81,131 @@ function formatReflectionsSection(reflections) {
   return lines.join('\n');
 }
 
+/**
+ * Build the structured metadata for an entry from gathered context
+ * @param {Context} context - Context from gatherContextForCommit (after filtering)
+ * @param {{provider: string, model: string}} model - Model that generated the entry
+ * @returns {object} Metadata to embed with formatJournalEntry
+ */
+export function buildEntryMetadata(context, model = {}) {
+  const { commit, chat, metadata = {} } = context;
+  const sessionIds = [...new Set((chat?.messages || []).map((msg) => msg.sessionId).filter(Boolean))];
+  const redactions = metadata.sensitiveDataFilter;
+
+  return {
+    schemaVersion: METADATA_SCHEMA_VERSION,
+    hash: commit.hash,
+    shortHash: commit.shortHash,
+    // From the (redacted) message rather than the raw subject
+    subject: (commit.message || '').split('\n')[0],
+    branch: commit.branch ?? null,
+    tags: commit.tags || [],
+    author: commit.author,
+    // Redacted along with the message by the sensitive filter
+    coAuthors: (commit.coAuthors || []).map((coAuthor) => coAuthor.name),
+    trailers: commit.trailers || [],
+    timestamp: commit.timestamp.toISOString(),
+    filesChanged: commit.filesChanged ?? 0,
+    insertions: commit.insertions ?? 0,
+    deletions: commit.deletions ?? 0,
+    files: commit.files || [],
+    sessionIds,
+    chatSources: metadata.chatSources || {},
+    tokenEstimate: metadata.tokenEstimate ?? 0,
+    // Files the diff budget collapsed to a stat line, or cut short, in the prompt
+    elidedFiles: metadata.tokenBudget?.diffElidedFiles || [],
+    truncatedFiles: metadata.tokenBudget?.diffTruncatedFiles || [],
+    redactions: {
+      total: redactions?.totalRedactions ?? 0,
+      diff: redactions?.diffRedactions ?? 0,
+      message: redactions?.messageRedactions ?? 0,
+      chat: redactions?.chatRedactions ?? 0,
+      byType: redactions?.redactionsByType || {},
+    },
+    model: { provider: model.provider ?? null, name: model.model ?? null },
+    // Squash merges: the branch commits whose entries the feature story was written from
+    ...(context.squash && {
+      squashOf: context.squash.entries.map((entry) => ({ hash: entry.hash, subject: entry.metadata?.subject ?? null })),
+    }),
+  };
+}
+
+/**
+ * Format the metadata block for an entry
+ * @param {object} metadata - Metadata from buildEntryMetadata
+ * @returns {string} HTML comment holding pretty-printed JSON
+ */
+function formatMetadataBlock(metadata) {
+  // "-->" can only occur inside JSON strings, where \u003e is an equivalent escape
+  const json = JSON.stringify(metadata, null, 2).replace(/-->/g, '--\\u003e');
+  return `${METADATA_OPEN}\n${json}\n${METADATA_CLOSE}`;
+}
+
+/**
+ * Read the metadata block from an entry
+ * @param {string} text - Entry text
+ * @returns {object|null} Metadata, or null for entries without (or with a corrupt) block
+ */
+export function parseEntryMetadata(text) {
+  const match = text.match(METADATA_PATTERN);
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Format a complete journal entry
  * @param {Object} sections - Generated sections from AI
- * @param {string} sections.summary - Narrative summary
- * @param {string} sections.dialogue - Human quotes
- * @param {string} sections.technicalDecisions - Technical decisions
+ * @param {string|null} sections.summary - Narrative summary (null if disabled)
+ * @param {string|null} sections.dialogue - Human quotes (null if disabled)
+ * @param {string|null} sections.technicalDecisions - Technical decisions (null if disabled)
  * @param {Object} commit - Commit metadata
  * @param {string} commit.shortHash - Short commit hash
  * @param {string} commit.hash - Full commit hash
  * @param {string} commit.author - Commit author name
  * @param {Date} commit.timestamp - Commit timestamp
  * @param {number} commit.filesChanged - Number of files changed
+ * @param {Array<{name: string}>} commit.coAuthors - Co-authored-by trailers (optional)
+ * @param {string[]} commit.tags - Tags pointing at the commit (optional)
  * @param {Array} reflections - Optional array of reflections
+ * @param {Object} options - Formatting options
+ * @param {number} options.version - Entry version for regenerated entries (v2, v3, ...)
+ * @param {Object} options.metadata - Structured metadata to embed (from buildEntryMetadata)
  * @returns {string} Formatted markdown entry
  */
-export function formatJournalEntry(sections, commit, reflections = []) {
+export function formatJournalEntry(sections, commit, reflections = [], options = {}) {
+  const { version, metadata } = options;
   const timeStr = formatTimestamp(commit.timestamp);
   const lines = [];
 
   // Header
-  lines.push(`## ${timeStr} - Commit: ${commit.shortHash}`);
+  const versionSuffix = version > 1 ? ` (v${version})` : '';
+  lines.push(`## ${timeStr} - Commit: ${commit.shortHash}${versionSuffix}`);
   lines.push('');
 
-  // Summary section
-  lines.push('### Summary');
-  lines.push(sections.summary || '[No summary generated]');
-  lines.push('');
+  // Generated sections (null means the section is disabled in config)
+  if (sections.summary !== null) {
+    lines.push('### Summary');
+    lines.push(sections.summary || '[No summary generated]');
+    lines.push('');
+  }
 
-  // Dialogue section
-  lines.push('### Development Dialogue');
-  lines.push(sections.dialogue || '[No dialogue extracted]');
-  lines.push('');
+  if (sections.dialogue !== null) {
+    lines.push('### Development Dialogue');
+    lines.push(sections.dialogue || '[No dialogue extracted]');
+    lines.push('');
+  }
 
-  // Technical decisions section
-  lines.push('### Technical Decisions');
-  lines.push(sections.technicalDecisions || '[No decisions identified]');
-  lines.push('');
+  if (sections.technicalDecisions !== null) {
+    lines.push('### Technical Decisions');
+    lines.push(sections.technicalDecisions || '[No decisions identified]');
+    lines.push('');
+  }
 
   // Reflections section (if any)
   const reflectionsSection = formatReflectionsSection(reflections);
@@ -100,44 +213,568 @@ export function formatJournalEntry(sections, commit, reflections = []) {
     lines.push(reflectionsSection);
   }
 
+  if (metadata?.squashOf?.length) {
+    lines.push('### Squashed Commits');
+    for (const squashed of metadata.squashOf) {
+      lines.push(`- ${squashed.hash.slice(0, 7)}${squashed.subject ? ` ${squashed.subject}` : ''}`);
+    }
+    lines.push('');
+  }
+
   // Commit details
   lines.push('### Commit Details');
   lines.push(`- **Hash**: ${commit.hash}`);
   lines.push(`- **Author**: ${commit.author}`);
+  if (commit.coAuthors?.length) {
+    lines.push(`- **Co-authors**: ${commit.coAuthors.map((coAuthor) => coAuthor.name).join(', ')}`);
+  }
+  if (commit.tags?.length) {
+    lines.push(`- **Tags**: ${commit.tags.join(', ')}`);
+  }
   if (commit.filesChanged !== undefined) {
     lines.push(`- **Files Changed**: ${commit.filesChanged}`);
   }
   lines.push('');
 
+  if (metadata) {
+    lines.push(formatMetadataBlock({ ...metadata, version: version || 1 }));
+    lines.push('');
+  }
+
   // Entry separator
   lines.push(ENTRY_SEPARATOR.trim());
 
   return lines.join('\n');
 }
 
+/**
+ * Parse a day file into its entries
+ * Chunks that don't look like commit entries are kept verbatim (hash: null)
+ * so rewriting the file never drops hand-written content.
+ * @param {string} content - Full day file content
+ * @returns {Array<{hash: string|null, shortHash: string|null, version: number, metadata: object|null, text: string}>} Entries in file order
+ */
+export function parseEntriesFile(content) {
+  const entries = [];
+
+  for (const part of content.split(ENTRY_SEPARATOR.trim())) {
+    const text = part.trim();
+    if (!text) {
+      continue;
+    }
+
+    const header = text.match(ENTRY_HEADER_PATTERN);
+    const hashMatch = text.match(ENTRY_HASH_PATTERN);
+
+    entries.push({
+      hash: hashMatch ? hashMatch[1] : null,
+      shortHash: header ? header[1] : null,
+      version: header?.[2] ? parseInt(header[2], 10) : 1,
+      metadata: parseEntryMetadata(text),
+      text,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Serialize parsed entries back into day file content
+ * @param {Array<{text: string}>} entries - Entries in file order
+ * @returns {string} Day file content
+ */
+function serializeEntries(entries) {
+  return entries.map((entry) => `${entry.text}\n\n${ENTRY_SEPARATOR.trim()}\n`).join('');
+}
+
+/**
+ * Read and parse the day file for a commit's date
+ * @param {string} entryPath - Path to the day file
+ * @returns {Promise<Array>} Parsed entries, empty if the file doesn't exist
+ */
+async function readEntriesFile(entryPath) {
+  try {
+    return parseEntriesFile(await readFile(entryPath, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check whether a commit already has a journal entry
+ * @param {Object} commit - Commit metadata
+ * @param {string} commit.hash - Full commit hash
+ * @param {Date} commit.timestamp - Commit timestamp (selects the day file)
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<boolean>} True if the day file holds an entry for this hash
+ */
+export async function hasJournalEntry(commit, basePath = getRepoRoot()) {
+  const entries = await readEntriesFile(getJournalEntryPath(commit.timestamp, basePath));
+  return entries.some((entry) => entry.hash === commit.hash);
+}
+
 /**
  * Save a journal entry for a commit
+ *
+ * Existing entries for the same full hash are handled by policy:
+ * - skip: leave the existing entry untouched (default - reruns are safe)
+ * - replace: regenerate the entry in place, dropping older versions
+ * - append-version: keep existing entries and append a "(vN)" entry
+ *
+ * The day file is locked from reading existing entries to writing, so
+ * concurrent hook runs never interleave or lose entries.
+ *
  * @param {Object} sections - Generated sections from AI
  * @param {Object} commit - Commit metadata with timestamp
  * @param {Array} reflections - Optional reflections to include
- * @param {string} basePath - Base path for journal (default: current directory)
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @param {Object} options - Write options
+ * @param {string} options.policy - One of WRITE_POLICIES (default: skip)
+ * @param {Object} options.metadata - Structured metadata to embed (from buildEntryMetadata)
  * @returns {Promise<string>} Path to saved file
  */
-export async function saveJournalEntry(sections, commit, reflections = [], basePath = '.') {
+export async function saveJournalEntry(sections, commit, reflections = [], basePath = getRepoRoot(), options = {}) {
+  const { policy = WRITE_POLICY_SKIP, metadata } = options;
+  if (!WRITE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown write policy: ${policy}`);
+  }
+
   const entryPath = getJournalEntryPath(commit.timestamp, basePath);
 
   // Ensure directory exists
   await ensureDirectory(entryPath);
 
-  // Format the entry
-  const formattedEntry = formatJournalEntry(sections, commit, reflections);
+  return withFileLock(entryPath, () => writeEntry(entryPath, sections, commit, reflections, policy, metadata));
+}
 
-  // Append to file (creates if doesn't exist)
-  await appendFile(entryPath, formattedEntry + '\n', 'utf-8');
+/**
+ * Write an entry into its day file (caller holds the day file lock)
+ * @param {string} entryPath - Day file
+ * @param {Object} sections - Generated sections
+ * @param {Object} commit - Commit metadata with timestamp
+ * @param {Array} reflections - Reflections to include
+ * @param {string} policy - One of WRITE_POLICIES
+ * @param {Object} metadata - Structured metadata to embed
+ * @returns {Promise<string>} Path to saved file
+ */
+async function writeEntry(entryPath, sections, commit, reflections, policy, metadata) {
+  const entries = await readEntriesFile(entryPath);
+  const existing = entries.filter((entry) => entry.hash === commit.hash);
+
+  // No previous entry for this commit - plain append (creates if doesn't exist)
+  if (existing.length === 0) {
+    const formattedEntry = formatJournalEntry(sections, commit, reflections, { metadata });
+    await appendFile(entryPath, formattedEntry + '\n', 'utf-8');
+    return entryPath;
+  }
+
+  if (policy === WRITE_POLICY_SKIP) {
+    return entryPath;
+  }
+
+  const latestVersion = Math.max(...existing.map((entry) => entry.version));
+
+  if (policy === WRITE_POLICY_APPEND_VERSION) {
+    const formattedEntry = formatJournalEntry(sections, commit, reflections, {
+      version: latestVersion + 1,
+      metadata,
+    });
+    await appendFile(entryPath, formattedEntry + '\n', 'utf-8');
+    return entryPath;
+  }
+
+  // Replace: new entry takes the position of the first existing one
+  const formattedEntry = formatJournalEntry(sections, commit, reflections, { metadata });
+  const replacement = {
+    hash: commit.hash,
+    // Drop the trailing separator - serializeEntries adds it back
+    text: formattedEntry.slice(0, -ENTRY_SEPARATOR.trim().length).trim(),
+  };
+  const firstIndex = entries.indexOf(existing[0]);
+  const rewritten = entries
+    .map((entry, index) => (index === firstIndex ? replacement : entry))
+    .filter((entry, index) => index === firstIndex || entry.hash !== commit.hash);
+
+  await writeFileAtomic(entryPath, serializeEntries(rewritten));
 
   return entryPath;
 }
 
+/**
+ * Move a commit's entries over to the commit that replaced it (amend, rebase)
+ *
+ * The header, hash line and metadata are pointed at the new commit, and the
+ * metadata records the old hash in rewrittenFrom. The generated text is kept.
+ * Entries move to another day file when the new commit's date differs, and
+ * replace any entry the new commit already has.
+ *
+ * @param {Object} from - Rewritten commit (hash, timestamp)
+ * @param {Object} to - New commit (hash, shortHash, timestamp)
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<string|null>} Day file now holding the entries, or null if the old commit had none
+ */
+export async function rewriteJournalEntry(from, to, basePath = getRepoRoot()) {
+  const fromPath = getJournalEntryPath(from.timestamp, basePath);
+  const toPath = getJournalEntryPath(to.timestamp, basePath);
+
+  const rewrite = async () => {
+    const entries = await readEntriesFile(fromPath);
+    if (!entries.some((entry) => entry.hash === from.hash)) {
+      return null;
+    }
+
+    const moved = entries
+      .filter((entry) => entry.hash === from.hash)
+      .map((entry) => ({ ...entry, hash: to.hash, text: rewriteEntryText(entry, from, to) }));
+
+    if (fromPath === toPath) {
+      const rewritten = entries
+        .filter((entry) => entry.hash !== to.hash)
+        .map((entry) => (entry.hash === from.hash ? moved.shift() : entry));
+      await writeFileAtomic(fromPath, serializeEntries(rewritten));
+      return fromPath;
+    }
+
+    await ensureDirectory(toPath);
+    const target = (await readEntriesFile(toPath)).filter((entry) => entry.hash !== to.hash);
+    await writeFileAtomic(toPath, serializeEntries([...target, ...moved]));
+    const remaining = entries.filter((entry) => entry.hash !== from.hash);
+    if (remaining.length > 0) {
+      await writeFileAtomic(fromPath, serializeEntries(remaining));
+    } else {
+      await rm(fromPath, { force: true });
+    }
+    return toPath;
+  };
+
+  // Both day files are locked in path order, so rewrites moving entries
+  // in opposite directions can't each hold the lock the other waits for
+  const [first, second] = [fromPath, toPath].sort();
+  return withFileLock(first, () => (first === second ? rewrite() : withFileLock(second, rewrite)));
+}
+
+/**
+ * Point one entry's text at a new commit
+ * @param {Object} entry - Parsed entry (from parseEntriesFile)
+ * @param {Object} from - Rewritten commit
+ * @param {Object} to - New commit
+ * @returns {string} Entry text
+ */
+function rewriteEntryText(entry, from, to) {
+  const versionSuffix = entry.version > 1 ? ` (v${entry.version})` : '';
+  let text = entry.text
+    .replace(ENTRY_HEADER_PATTERN, `## ${formatTimestamp(to.timestamp)} - Commit: ${to.shortHash}${versionSuffix}`)
+    .replace(ENTRY_HASH_PATTERN, `- **Hash**: ${to.hash}`);
+
+  if (entry.metadata) {
+    const metadata = {
+      ...entry.metadata,
+      hash: to.hash,
+      shortHash: to.shortHash,
+      timestamp: to.timestamp.toISOString(),
+      rewrittenFrom: [...(entry.metadata.rewrittenFrom || []), from.hash],
+    };
+    text = text.replace(METADATA_PATTERN, () => formatMetadataBlock(metadata));
+  }
+  return text;
+}
+
+/**
+ * List the day files of one journal type, oldest first
+ * @param {string} type - Journal type directory ('entries', 'reflections', 'context')
+ * @param {string} basePath - Base path for journal
+ * @param {Object} range - Optional local-day bounds used to skip whole files
+ * @param {Date} range.from - Earliest day to include
+ * @param {Date} range.to - Latest day to include
+ * @returns {Promise<Array<{path: string, date: Date}>>} Day files with their dates
+ */
+export async function listDayFiles(type, basePath = getRepoRoot(), range = {}) {
+  const root = getJournalDirectory(type, basePath);
+  const fromMonth = range.from ? getYearMonth(range.from) : null;
+  const toMonth = range.to ? getYearMonth(range.to) : null;
+  const dayFiles = [];
+
+  let monthDirs;
+  try {
+    monthDirs = await readdir(root);
+  } catch {
+    // Nothing written yet
+    return dayFiles;
+  }
+
+  for (const monthDir of monthDirs.sort()) {
+    if ((fromMonth && monthDir < fromMonth) || (toMonth && monthDir > toMonth)) {
+      continue;
+    }
+
+    let files;
+    try {
+      files = await readdir(join(root, monthDir));
+    } catch {
+      continue;
+    }
+
+    for (const file of files.sort()) {
+      const date = parseDateFromFilename(file);
+      if (!date) {
+        continue;
+      }
+      if (range.from && date < startOfDay(range.from)) {
+        continue;
+      }
+      if (range.to && date > range.to) {
+        continue;
+      }
+      dayFiles.push({ path: join(root, monthDir, file), date });
+    }
+  }
+
+  return dayFiles;
+}
+
+/**
+ * Get local midnight for a date
+ * @param {Date} date - Any time on the day
+ * @returns {Date} Start of that day
+ */
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+/**
+ * Collect the full hashes of every commit that already has a journal entry
+ * Scans all day files in the entries directory for Commit Details hash lines.
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Set<string>>} Set of journaled commit hashes
+ */
+export async function getJournaledHashes(basePath = getRepoRoot()) {
+  const hashes = new Set();
+
+  for (const dayFile of await listDayFiles('entries', basePath)) {
+    try {
+      const content = await readFile(dayFile.path, 'utf-8');
+      for (const entry of parseEntriesFile(content)) {
+        if (entry.hash) hashes.add(entry.hash);
+      }
+    } catch {
+      // Skip files that can't be read
+      continue;
+    }
+  }
+
+  return hashes;
+}
+
+/** Entry headings mapped to section keys (same keys as generated sections) */
+const SECTION_HEADINGS = {
+  Summary: 'summary',
+  'Development Dialogue': 'dialogue',
+  'Technical Decisions': 'technicalDecisions',
+};
+
+/** Text written when a section came back empty */
+const SECTION_PLACEHOLDERS = ['[No summary generated]', '[No dialogue extracted]', '[No decisions identified]'];
+
+/** Pattern to match entry header times ("## 2:05:09 PM UTC - Commit: ...") */
+const ENTRY_TIME_PATTERN = /^## (\d{1,2}:\d{2}:\d{2} [AP]M \S+) - Commit:/m;
+
+/** Pattern to match Commit Details lines ("- **Author**: Name") */
+const DETAIL_LINE_PATTERN = /^- \*\*(.+?)\*\*: (.*)$/;
+
+/** Pattern to match one quoted reflection ("> 1:30:00 PM UTC - \"...\"") */
+const ENTRY_REFLECTION_PATTERN = /^> (\d{1,2}:\d{2}:\d{2} [AP]M \S+) - "([\s\S]*)"$/;
+
+/**
+ * Split an entry into its "### " sections
+ * @param {string} text - Entry text without the metadata block
+ * @returns {Map<string, string>} Heading → section body
+ */
+function splitSections(text) {
+  const sections = new Map();
+  for (const part of text.split(/^### /m).slice(1)) {
+    const newline = part.indexOf('\n');
+    const heading = (newline === -1 ? part : part.slice(0, newline)).trim();
+    sections.set(heading, newline === -1 ? '' : part.slice(newline + 1).trim());
+  }
+  return sections;
+}
+
+/**
+ * Parse the Developer Reflections section of an entry
+ * @param {string} body - Section body
+ * @param {Date} baseDate - Date of the day file
+ * @returns {Array<{timestamp: Date|null, content: string}>} Reflections in entry order
+ */
+function parseEntryReflections(body, baseDate) {
+  const reflections = [];
+  for (const block of body.split(/\n\s*\n/)) {
+    const match = block.trim().match(ENTRY_REFLECTION_PATTERN);
+    if (match) {
+      reflections.push({ timestamp: parseTimeString(match[1], baseDate), content: match[2] });
+    }
+  }
+  return reflections;
+}
+
+/**
+ * Parse a commit entry into a structured object
+ * Embedded metadata wins over values recovered from the markdown, which
+ * covers entries written before metadata existed.
+ * @param {Object} entry - Entry from parseEntriesFile (must have a hash)
+ * @param {Date} baseDate - Date of the day file
+ * @param {string} filePath - Day file the entry came from
+ * @returns {Object} Journal entry
+ */
+function toJournalEntry(entry, baseDate, filePath) {
+  const { metadata } = entry;
+  const body = metadata ? entry.text.replace(METADATA_PATTERN, '') : entry.text;
+  const parts = splitSections(body);
+
+  const sections = {};
+  for (const [heading, key] of Object.entries(SECTION_HEADINGS)) {
+    const value = parts.has(heading) ? parts.get(heading) : null;
+    sections[key] = SECTION_PLACEHOLDERS.includes(value) ? '' : value;
+  }
+
+  const details = {};
+  for (const line of (parts.get('Commit Details') || '').split('\n')) {
+    const match = line.match(DETAIL_LINE_PATTERN);
+    if (match) details[match[1]] = match[2];
+  }
+
+  const timeMatch = entry.text.match(ENTRY_TIME_PATTERN);
+  const timestamp = metadata?.timestamp
+    ? new Date(metadata.timestamp)
+    : (timeMatch && parseTimeString(timeMatch[1], baseDate)) || new Date(baseDate);
+
+  return {
+    hash: entry.hash,
+    shortHash: entry.shortHash,
+    version: entry.version,
+    timestamp,
+    author: metadata?.author ?? details.Author ?? null,
+    branch: metadata?.branch ?? null,
+    coAuthors: metadata?.coAuthors ?? (details['Co-authors'] ? details['Co-authors'].split(', ') : []),
+    tags: metadata?.tags ?? (details.Tags ? details.Tags.split(', ') : []),
+    filesChanged: metadata?.filesChanged ?? (details['Files Changed'] ? parseInt(details['Files Changed'], 10) : null),
+    sections,
+    reflections: parseEntryReflections(parts.get('Developer Reflections') || '', baseDate),
+    metadata,
+    filePath,
+  };
+}
+
+/**
+ * Read every commit entry (all versions) from one day file
+ * @param {string} filePath - Path to a YYYY-MM-DD.md entries file
+ * @returns {Promise<Array>} Journal entries in file order (see readJournal)
+ */
+export async function readJournalDay(filePath) {
+  const date = parseDateFromFilename(basename(filePath));
+  if (!date) {
+    throw new Error(`Not a journal day file: ${filePath}`);
+  }
+
+  const content = await readFile(filePath, 'utf-8');
+  return parseEntriesFile(content)
+    .filter((parsed) => parsed.hash)
+    .map((parsed) => toJournalEntry(parsed, date, filePath));
+}
+
+/**
+ * Keep only the latest version of each commit's entry
+ * @param {Array} entries - Journal entries
+ * @returns {Array} Entries without superseded versions, order preserved
+ */
+export function latestVersions(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    if (!latest.has(entry.hash) || entry.version >= latest.get(entry.hash).version) {
+      latest.set(entry.hash, entry);
+    }
+  }
+  return entries.filter((entry) => latest.get(entry.hash) === entry);
+}
+
+/**
+ * Normalize a date filter
+ * @param {Date|string} value - Date, or "YYYY-MM-DD" for a whole local day
+ * @param {boolean} endOfDay - Round a day string to its last millisecond
+ * @returns {Date|null} Bound, or null when not given
+ */
+export function parseDateFilter(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const day = parseDateFromFilename(`${value}.md`);
+  if (!day) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+  }
+  if (endOfDay) {
+    day.setHours(23, 59, 59, 999);
+  }
+  return day;
+}
+
+/**
+ * Read journal entries back as structured objects
+ *
+ * Only the latest version of each commit's entry is returned unless
+ * allVersions is set. Hand-written chunks without a commit hash are skipped.
+ *
+ * @param {Object} query - Filters (all optional, combined with AND)
+ * @param {Date|string} query.from - Earliest commit time (Date or "YYYY-MM-DD", inclusive)
+ * @param {Date|string} query.to - Latest commit time (Date or "YYYY-MM-DD", inclusive)
+ * @param {string} query.author - Case-insensitive substring of the author name
+ * @param {string} query.hash - Full hash or prefix
+ * @param {string} query.branch - Exact branch name (entries with metadata only)
+ * @param {boolean} query.allVersions - Keep superseded (vN) entries too
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Array>} Entries sorted chronologically
+ */
+export async function readJournal(query = {}, basePath = getRepoRoot()) {
+  const { author, hash, branch, allVersions = false } = query;
+  const from = parseDateFilter(query.from);
+  const to = parseDateFilter(query.to, true);
+  const authorNeedle = author?.toLowerCase();
+  const hashPrefix = hash?.toLowerCase();
+
+  let entries = [];
+  for (const dayFile of await listDayFiles('entries', basePath, { from, to })) {
+    let dayEntries;
+    try {
+      dayEntries = await readJournalDay(dayFile.path);
+    } catch {
+      // Skip files that can't be read
+      continue;
+    }
+
+    for (const entry of dayEntries) {
+      if (hashPrefix && !entry.hash.startsWith(hashPrefix)) continue;
+      if (from && entry.timestamp < from) continue;
+      if (to && entry.timestamp > to) continue;
+      if (authorNeedle && !entry.author?.toLowerCase().includes(authorNeedle)) continue;
+      if (branch && entry.branch !== branch) continue;
+      entries.push(entry);
+    }
+  }
+
+  if (!allVersions) {
+    entries = latestVersions(entries);
+  }
+
+  // Stable sort keeps file order for entries with the same time
+  entries.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+
+  return entries;
+}
+
 /**
  * Parse a single reflection entry from content
  * @param {string} content - Raw content of one entry
@@ -162,7 +799,7 @@ function parseReflectionEntry(content, baseDate) {
 
   return {
     timestamp,
-    title,
+    title: title || null,
     content: text,
   };
 }
@@ -240,10 +877,33 @@ function isInTimeWindow(timestamp, startTime, endTime) {
  * Discover reflections within a time window
  * @param {Date} startTime - Beginning of window (usually previous commit time)
  * @param {Date} endTime - End of window (usually current commit time)
- * @param {string} basePath - Base path for journal (default: current directory)
+ * @param {string} basePath - Base path for journal (default: repository root)
  * @returns {Promise<Array>} Array of reflections sorted chronologically
  */
-export async function discoverReflections(startTime, endTime, basePath = '.') {
+export function discoverReflections(startTime, endTime, basePath = getRepoRoot()) {
+  return discoverNotes('reflections', startTime, endTime, basePath);
+}
+
+/**
+ * Discover context captures (journal_capture_context) within a time window
+ * @param {Date} startTime - Beginning of window
+ * @param {Date} endTime - End of window
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Array>} Array of captures sorted chronologically
+ */
+export function discoverContextCaptures(startTime, endTime, basePath = getRepoRoot()) {
+  return discoverNotes('context', startTime, endTime, basePath);
+}
+
+/**
+ * Discover timestamped notes (reflections or context captures) within a time window
+ * @param {string} type - Journal type directory ('reflections' or 'context')
+ * @param {Date} startTime - Beginning of window
+ * @param {Date} endTime - End of window
+ * @param {string} basePath - Base path for journal
+ * @returns {Promise<Array>} Array of notes sorted chronologically
+ */
+async function discoverNotes(type, startTime, endTime, basePath) {
   const reflections = [];
 
   // Get all year-month directories that could contain relevant reflections
@@ -252,7 +912,7 @@ export async function discoverReflections(startTime, endTime, basePath = '.') {
   const yearMonths = getYearMonthRange(startYearMonth, endYearMonth);
 
   for (const yearMonth of yearMonths) {
-    const reflectionsDir = join(basePath, 'journal', 'reflections', yearMonth);
+    const reflectionsDir = join(getJournalDirectory(type, basePath), yearMonth);
 
     try {
       const files = await readdir(reflectionsDir);
@@ -311,6 +971,60 @@ export async function discoverReflections(startTime, endTime, basePath = '.') {
   return reflections;
 }
 
+/**
+ * Read every reflection or context capture in the journal
+ * @param {'reflections'|'context'} type - Journal type directory
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Array>} Notes with their filePath, sorted chronologically
+ */
+export async function readJournalNotes(type, basePath = getRepoRoot()) {
+  const notes = [];
+
+  for (const dayFile of await listDayFiles(type, basePath)) {
+    try {
+      const content = await readFile(dayFile.path, 'utf-8');
+      for (const note of parseReflectionsFile(content, dayFile.date)) {
+        notes.push({ ...note, filePath: dayFile.path });
+      }
+    } catch {
+      // Skip files that can't be read
+      continue;
+    }
+  }
+
+  notes.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+
+  return notes;
+}
+
+/** Day file path for each note type */
+const NOTE_PATHS = { reflections: getReflectionPath, context: getContextPath };
+
+/**
+ * Append a reflection or context capture to its day file
+ * Used by the MCP tools and by import, so every note has the same format.
+ * @param {'reflections'|'context'} type - Journal type directory
+ * @param {Object} note - Note to write
+ * @param {Date} note.timestamp - When the note was taken (selects the day file)
+ * @param {string|null} note.title - Header title ("Context Capture"), or null for none
+ * @param {string} note.content - Note text
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<string>} Path to the day file
+ */
+export async function saveNote(type, note, basePath = getRepoRoot()) {
+  if (!Object.hasOwn(NOTE_PATHS, type)) {
+    throw new Error(`Unknown note type: ${type}`);
+  }
+
+  const filePath = NOTE_PATHS[type](note.timestamp, basePath);
+  await ensureDirectory(filePath);
+
+  const title = note.title ? ` - ${note.title}` : '';
+  const text = `## ${formatTimestamp(note.timestamp)}${title}\n\n${note.content}\n${ENTRY_SEPARATOR}`;
+  await withFileLock(filePath, () => appendFile(filePath, text, 'utf-8'));
+
+  return filePath;
+}
 
 /**
  * Get all year-months between start and end (inclusive)
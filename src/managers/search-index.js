@@ -0,0 +1,408 @@
+/**
+ * Search Index - Inverted index over journal entries for `commit-story search`
+ *
+ * The index lives next to the other per-repository state:
+ *
+ *   <git-common-dir>/commit-story/search-index.json
+ *   { version, root, files: { [dayFile]: { size, mtimeMs, hashes } },
+ *     docs: { [hash]: { shortHash, timestamp, dayFile, files, lengths } },
+ *     postings: { [term]: { [hash]: { [section]: termFrequency } } } }
+ *
+ * Day files are tracked by size and mtime, like the JSONL index: the pipeline
+ * re-indexes the day file it just wrote, and every search first re-indexes
+ * whatever changed since (hand edits, entries pulled from another machine).
+ * Only the latest version of each entry is indexed.
+ *
+ * Ranking is BM25 per section, with summaries and technical decisions
+ * weighted above dialogue and reflections.
+ */
+
+import { readFile, mkdir, stat } from 'node:fs/promises';
+import { join, dirname, relative } from 'node:path';
+import { getStateDir, getRepoRoot } from '../utils/git-repo.js';
+import { getJournalDirectory } from '../utils/journal-paths.js';
+import { writeFileAtomic } from '../utils/file-lock.js';
+import { listDayFiles, readJournalDay, latestVersions } from './journal-manager.js';
+
+/** Bump when the index format or tokenizer changes - older indexes are rebuilt */
+// 2: version 1 dropped postings for terms named like Object.prototype members ("constructor")
+const INDEX_VERSION = 2;
+
+/** Index file name inside the state directory */
+const INDEX_FILE = 'search-index.json';
+
+/** Searchable sections and their ranking weights */
+export const SEARCH_SECTIONS = {
+  summary: 1.5,
+  technicalDecisions: 1.5,
+  dialogue: 1,
+  reflections: 1,
+};
+
+/** BM25 parameters */
+const K1 = 1.2;
+const B = 0.75;
+
+/** Words too common in entries to be worth indexing */
+const STOP_WORDS = new Set(
+  [
+    'a an and are as at be but by for from has have he her his i in is it its me my of on or',
+    'our she so that the their them they this to was we were what when which who will with you your',
+  ]
+    .join(' ')
+    .split(' ')
+);
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Lowercased terms, stop words removed
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Get the searchable text of each section of an entry
+ * @param {Object} entry - Journal entry from readJournalDay
+ * @returns {Object} Section key → text
+ */
+function sectionTexts(entry) {
+  return {
+    summary: entry.sections.summary || '',
+    technicalDecisions: entry.sections.technicalDecisions || '',
+    dialogue: entry.sections.dialogue || '',
+    reflections: entry.reflections.map((reflection) => reflection.content).join('\n'),
+  };
+}
+
+/**
+ * Get the path of the search index for a repository
+ * @param {string} repoPath - Repository root (default: resolved from cwd)
+ * @returns {string} Index path
+ */
+export function getSearchIndexPath(repoPath = getRepoRoot()) {
+  return join(getStateDir(repoPath), INDEX_FILE);
+}
+
+/**
+ * Create an empty index
+ * @param {string} root - Entries directory the index covers
+ * @returns {Object} Index
+ */
+function emptyIndex(root) {
+  return { version: INDEX_VERSION, root, files: {}, docs: {}, postings: createDictionary() };
+}
+
+/**
+ * Create an object without a prototype, for keys that come from journal text
+ * A plain object resolves a term like "constructor" to Object.prototype's member.
+ * @param {Object} entries - Initial keys and values
+ * @returns {Object} Prototype-less copy
+ */
+function createDictionary(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * Load the search index, or an empty one if it is missing, corrupt or stale
+ * @param {string} indexPath - Path from getSearchIndexPath
+ * @param {string} root - Entries directory the index must cover
+ * @returns {Promise<Object>} Index
+ */
+async function loadSearchIndex(indexPath, root) {
+  try {
+    const data = JSON.parse(await readFile(indexPath, 'utf-8'));
+    // A moved journal root invalidates every relative day file path
+    if (data.version === INDEX_VERSION && data.root === root && data.docs && data.postings) {
+      const postings = createDictionary();
+      for (const [term, byHash] of Object.entries(data.postings)) {
+        postings[term] = createDictionary(byHash);
+      }
+      return { ...data, postings };
+    }
+  } catch {
+    // Missing or corrupt index - rebuild from scratch
+  }
+  return emptyIndex(root);
+}
+
+/**
+ * Persist the search index
+ * @param {string} indexPath - Path from getSearchIndexPath
+ * @param {Object} index - Index to save
+ */
+async function saveSearchIndex(indexPath, index) {
+  await mkdir(dirname(indexPath), { recursive: true });
+  // Concurrent runs may each save; the last one wins and size/mtime checks catch anything it missed
+  await writeFileAtomic(indexPath, JSON.stringify(index));
+}
+
+/**
+ * Remove documents and their postings from the index
+ * @param {Object} index - Index to update
+ * @param {Set<string>} hashes - Commit hashes to remove
+ */
+function removeDocs(index, hashes) {
+  if (hashes.size === 0) return;
+
+  for (const hash of hashes) {
+    delete index.docs[hash];
+  }
+  for (const [term, postings] of Object.entries(index.postings)) {
+    for (const hash of Object.keys(postings)) {
+      if (hashes.has(hash)) delete postings[hash];
+    }
+    if (Object.keys(postings).length === 0) delete index.postings[term];
+  }
+}
+
+/**
+ * Remove a day file and its documents from the index
+ * @param {Object} index - Index to update
+ * @param {string} dayFile - Day file path relative to the entries directory
+ */
+function removeDayFile(index, dayFile) {
+  removeDocs(index, new Set(index.files[dayFile]?.hashes || []));
+  delete index.files[dayFile];
+}
+
+/**
+ * Add one entry to the index
+ * @param {Object} index - Index to update
+ * @param {Object} entry - Journal entry from readJournalDay
+ * @param {string} dayFile - Day file path relative to the entries directory
+ */
+function addEntry(index, entry, dayFile) {
+  const lengths = createDictionary();
+  for (const [section, text] of Object.entries(sectionTexts(entry))) {
+    const terms = tokenize(text);
+    lengths[section] = terms.length;
+    for (const term of terms) {
+      const postings = (index.postings[term] ||= createDictionary());
+      const frequencies = (postings[entry.hash] ||= createDictionary());
+      frequencies[section] = (frequencies[section] || 0) + 1;
+    }
+  }
+
+  index.docs[entry.hash] = {
+    shortHash: entry.shortHash,
+    timestamp: entry.timestamp.toISOString(),
+    dayFile,
+    files: (entry.metadata?.files || []).map((file) => file.path),
+    lengths,
+  };
+}
+
+/**
+ * Re-index one day file (or drop it if it no longer exists)
+ * @param {Object} index - Index to update
+ * @param {string} root - Entries directory
+ * @param {string} filePath - Absolute day file path
+ * @param {import('node:fs').Stats|null} stats - File stats, null if missing
+ */
+async function reindexDayFile(index, root, filePath, stats) {
+  const dayFile = relative(root, filePath);
+  removeDayFile(index, dayFile);
+  if (!stats) return;
+
+  let entries;
+  try {
+    entries = latestVersions(await readJournalDay(filePath));
+  } catch {
+    // Unreadable file - left untracked so the next refresh tries again
+    return;
+  }
+
+  for (const entry of entries) {
+    // A commit journaled on two days keeps one document - the last one indexed
+    const previous = index.docs[entry.hash];
+    if (previous && previous.dayFile !== dayFile) {
+      removeDocs(index, new Set([entry.hash]));
+      const other = index.files[previous.dayFile];
+      if (other) other.hashes = other.hashes.filter((hash) => hash !== entry.hash);
+    }
+    addEntry(index, entry, dayFile);
+  }
+  index.files[dayFile] = { size: stats.size, mtimeMs: stats.mtimeMs, hashes: entries.map((entry) => entry.hash) };
+}
+
+/**
+ * Bring the index up to date with the journal
+ * Day files whose size and mtime match the index are not read again.
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Object>} The current index
+ */
+export async function refreshSearchIndex(basePath = getRepoRoot()) {
+  const root = getJournalDirectory('entries', basePath);
+  const indexPath = getSearchIndexPath(basePath);
+  const index = await loadSearchIndex(indexPath, root);
+  let changed = false;
+
+  const seen = new Set();
+  for (const { path } of await listDayFiles('entries', basePath)) {
+    const dayFile = relative(root, path);
+    seen.add(dayFile);
+
+    const stats = await stat(path);
+    const known = index.files[dayFile];
+    if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) continue;
+
+    await reindexDayFile(index, root, path, stats);
+    changed = true;
+  }
+
+  for (const dayFile of Object.keys(index.files)) {
+    if (!seen.has(dayFile)) {
+      removeDayFile(index, dayFile);
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await saveSearchIndex(indexPath, index);
+  }
+  return index;
+}
+
+/**
+ * Re-index the day file an entry was just saved to
+ * @param {string} filePath - Day file path returned by saveJournalEntry
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<void>}
+ */
+export async function indexDayFile(filePath, basePath = getRepoRoot()) {
+  const root = getJournalDirectory('entries', basePath);
+  const indexPath = getSearchIndexPath(basePath);
+  const index = await loadSearchIndex(indexPath, root);
+
+  let stats = null;
+  try {
+    stats = await stat(filePath);
+  } catch {
+    // Deleted - reindexDayFile drops it
+  }
+  await reindexDayFile(index, root, filePath, stats);
+  await saveSearchIndex(indexPath, index);
+}
+
+/**
+ * Check whether a commit touched a path
+ * @param {string[]} files - Repository-relative paths changed by the commit
+ * @param {string} path - File path, or directory to match everything under it
+ * @returns {boolean} True if any file matches
+ */
+function touchesPath(files, path) {
+  const dir = path.replace(/\/+$/, '');
+  return files.some((file) => file === dir || file.startsWith(`${dir}/`));
+}
+
+/**
+ * Rank indexed entries against a query
+ * @param {Object} index - Index from refreshSearchIndex
+ * @param {string} query - Free-text query
+ * @param {Object} filters - Optional filters (combined with AND)
+ * @param {Date} filters.from - Earliest commit time
+ * @param {Date} filters.to - Latest commit time
+ * @param {string} filters.section - Only match within one of SEARCH_SECTIONS
+ * @param {string} filters.path - Only entries whose commit touched this file or directory
+ * @param {number} filters.limit - Maximum results (default: 10)
+ * @returns {Array<{hash: string, shortHash: string, timestamp: Date, dayFile: string, score: number, sections: string[]}>}
+ *   Results, best first; sections lists where the query matched, best first
+ */
+export function searchIndex(index, query, filters = {}) {
+  const { from, to, section, path, limit = 10 } = filters;
+  if (section && !(section in SEARCH_SECTIONS)) {
+    throw new Error(`Unknown section: ${section} (expected one of ${Object.keys(SEARCH_SECTIONS).join(', ')})`);
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  const docs = Object.entries(index.docs).filter(([, doc]) => {
+    const time = new Date(doc.timestamp);
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+    return !path || touchesPath(doc.files, path);
+  });
+  if (terms.length === 0 || docs.length === 0) return [];
+
+  const sections = section ? [section] : Object.keys(SEARCH_SECTIONS);
+  const averageLengths = createDictionary();
+  for (const name of sections) {
+    const total = docs.reduce((sum, [, doc]) => sum + (doc.lengths[name] || 0), 0);
+    averageLengths[name] = total / docs.length || 1;
+  }
+  const candidates = new Map(docs);
+
+  const scores = new Map();
+  for (const term of terms) {
+    const postings = Object.entries(index.postings[term] || {}).filter(
+      ([hash, frequencies]) => candidates.has(hash) && sections.some((name) => frequencies[name])
+    );
+    if (postings.length === 0) continue;
+
+    const idf = Math.log(1 + (docs.length - postings.length + 0.5) / (postings.length + 0.5));
+    for (const [hash, frequencies] of postings) {
+      const doc = candidates.get(hash);
+      const result = scores.get(hash) || { score: 0, bySection: {} };
+      for (const name of sections) {
+        const tf = frequencies[name];
+        if (!tf) continue;
+        const norm = 1 - B + (B * (doc.lengths[name] || 0)) / averageLengths[name];
+        const sectionScore = SEARCH_SECTIONS[name] * idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+        result.score += sectionScore;
+        result.bySection[name] = (result.bySection[name] || 0) + sectionScore;
+      }
+      scores.set(hash, result);
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([hash, { score, bySection }]) => {
+      const doc = candidates.get(hash);
+      return {
+        hash,
+        shortHash: doc.shortHash,
+        timestamp: new Date(doc.timestamp),
+        dayFile: doc.dayFile,
+        score,
+        sections: Object.keys(bySection).sort((a, b) => bySection[b] - bySection[a]),
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
+/**
+ * Cut a short excerpt around the first query match
+ * @param {string} text - Section text
+ * @param {string} query - Free-text query
+ * @param {number} width - Approximate excerpt length in characters
+ * @returns {string} Single-line excerpt with ellipses where text was cut
+ */
+export function makeSnippet(text, query, width = 160) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+
+  let position = -1;
+  for (const term of tokenize(query)) {
+    const found = lower.search(new RegExp(`(?<![\\p{L}\\p{N}])${term}`, 'u'));
+    if (found !== -1 && (position === -1 || found < position)) position = found;
+  }
+
+  const start = Math.max(0, Math.min(position - Math.floor(width / 3), flat.length - width));
+  const end = Math.min(flat.length, start + width);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Get the text of a section for snippets
+ * @param {Object} entry - Journal entry from readJournalDay
+ * @param {string} section - Key of SEARCH_SECTIONS
+ * @returns {string} Section text
+ */
+export function getSectionText(entry, section) {
+  return sectionTexts(entry)[section];
+}
@@ -0,0 +1,116 @@
+/**
+ * Summary Manager
+ *
+ * Formats and writes weekly and monthly rollups to
+ * <journal root>/summaries/weekly/YYYY-Www.md and summaries/monthly/YYYY-MM.md.
+ * A rollup is regenerated as a whole, so saving replaces any previous file.
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { getSummaryPath, ensureDirectory, getDateString } from '../utils/journal-paths.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { writeFileAtomic } from '../utils/file-lock.js';
+import { formatPeriodRange } from '../utils/periods.js';
+
+/**
+ * Count a noun for the summary byline
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @returns {string} "1 entry", "3 entries"
+ */
+function plural(count, noun) {
+  if (count === 1) return `${count} ${noun}`;
+  return `${count} ${noun.endsWith('y') ? `${noun.slice(0, -1)}ies` : `${noun}s`}`;
+}
+
+/**
+ * Format a rollup summary
+ * @param {object} summary - Generated sections from generatePeriodSummary
+ * @param {object} material - What the summary was generated from
+ * @param {import('../utils/periods.js').Period} material.period - Week or month
+ * @param {object[]} material.entries - Entries from readJournal
+ * @param {object[]} material.reflections - Reflections in the period
+ * @param {object[]} material.contextCaptures - Context captures in the period
+ * @returns {string} Formatted markdown
+ */
+export function formatSummary(summary, { period, entries, reflections = [], contextCaptures = [] }) {
+  const title = period.kind === 'week' ? 'Weekly Summary' : 'Monthly Summary';
+  const byline = [
+    formatPeriodRange(period),
+    plural(entries.length, 'entry'),
+    plural(reflections.length, 'reflection'),
+    plural(contextCaptures.length, 'context capture'),
+  ].join(' · ');
+
+  const lines = [`# ${title}: ${period.label}`, '', `*${byline}*`, ''];
+
+  lines.push('## Themes');
+  lines.push(summary.themes || '[No themes generated]');
+  lines.push('');
+
+  lines.push('## Key Decisions');
+  lines.push(summary.keyDecisions || '[No decisions identified]');
+  lines.push('');
+
+  lines.push('## Open Questions');
+  lines.push(summary.openQuestions || '[No open questions identified]');
+  lines.push('');
+
+  // Links back to the daily entries the rollup was built from
+  lines.push('## Entries');
+  for (const entry of entries) {
+    const firstLine = (entry.sections.summary || '').split('\n')[0];
+    lines.push(`- ${getDateString(entry.timestamp)} \`${entry.shortHash}\`${firstLine ? ` - ${firstLine}` : ''}`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Save a rollup summary, replacing any earlier one for the period
+ * @param {object} summary - Generated sections from generatePeriodSummary
+ * @param {object} material - See formatSummary
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<string>} Path to saved file
+ */
+export async function saveSummary(summary, material, basePath = getRepoRoot()) {
+  const summaryPath = getSummaryPath(material.period, basePath);
+  await ensureDirectory(summaryPath);
+  await writeFileAtomic(summaryPath, formatSummary(summary, material));
+  return summaryPath;
+}
+
+/**
+ * List saved summaries with their content
+ * @param {string} basePath - Base path for journal (default: repository root)
+ * @returns {Promise<Array<{kind: 'week'|'month', label: string, path: string, content: string}>>}
+ *   Summaries, weeks then months, each oldest first
+ */
+export async function listSummaries(basePath = getRepoRoot()) {
+  const summaries = [];
+
+  for (const [kind, pattern] of [
+    ['week', /^(\d{4}-W\d{2})\.md$/],
+    ['month', /^(\d{4}-\d{2})\.md$/],
+  ]) {
+    const dir = dirname(getSummaryPath({ kind, label: 'any' }, basePath));
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch {
+      // No summaries of this kind yet
+      continue;
+    }
+
+    for (const file of files.sort()) {
+      const match = file.match(pattern);
+      if (!match) continue;
+      const path = join(dir, file);
+      summaries.push({ kind, label: match[1], path, content: await readFile(path, 'utf-8') });
+    }
+  }
+
+  return summaries;
+}
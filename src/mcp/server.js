@@ -24,6 +24,7 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { registerReflectionTool } from './tools/reflection-tool.js';
 import { registerContextCaptureTool } from './tools/context-capture-tool.js';
+import { loadConfig } from '../utils/config.js';
 
 /**
  * Create and configure the MCP server
@@ -46,6 +47,9 @@ function createServer() {
  * Main entry point
  */
 async function main() {
+  // Journal root and layout come from config
+  await loadConfig();
+
   const server = createServer();
   const transport = new StdioServerTransport();
 
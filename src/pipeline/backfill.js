@@ -0,0 +1,138 @@
+/**
+ * Backfill - Generates journal entries for a whole range of commits
+ *
+ * Walks commits oldest-first so day files are written in chronological order,
+ * skips commits that already have an entry, and keeps a checkpoint in the
+ * git directory so an interrupted backfill resumes where it stopped.
+ */
+
+import { readFile, mkdir, rm } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { listCommits } from '../collectors/git-collector.js';
+import { getJournaledHashes, WRITE_POLICY_SKIP } from '../managers/journal-manager.js';
+import { processCommit } from './process-commit.js';
+import { getStateDir } from '../utils/git-repo.js';
+import { writeFileAtomic } from '../utils/file-lock.js';
+
+/** Checkpoint file name inside the state directory (<git-dir>/commit-story/) */
+const CHECKPOINT_FILE = 'backfill-checkpoint.json';
+
+/**
+ * Get path to the backfill checkpoint file
+ * @returns {string} Path inside the repository's git directory
+ */
+export function getCheckpointPath() {
+  return join(getStateDir(), CHECKPOINT_FILE);
+}
+
+/**
+ * Load a checkpoint if it was written for the same commit selection
+ * @param {string} checkpointPath - Path to checkpoint file
+ * @param {{range?: string, since?: string}} selection - Current selection
+ * @returns {Promise<Set<string>>} Hashes already processed by a previous run
+ */
+async function loadCheckpoint(checkpointPath, selection) {
+  try {
+    const data = JSON.parse(await readFile(checkpointPath, 'utf-8'));
+    const sameSelection =
+      (data.selection?.range || null) === (selection.range || null) &&
+      (data.selection?.since || null) === (selection.since || null);
+    return sameSelection ? new Set(data.processed || []) : new Set();
+  } catch {
+    // Missing or unreadable checkpoint - start fresh
+    return new Set();
+  }
+}
+
+/**
+ * Persist checkpoint after each processed commit
+ * @param {string} checkpointPath - Path to checkpoint file
+ * @param {{range?: string, since?: string}} selection - Current selection
+ * @param {Set<string>} processed - Hashes processed so far
+ */
+async function saveCheckpoint(checkpointPath, selection, processed) {
+  await mkdir(dirname(checkpointPath), { recursive: true });
+  const data = {
+    selection: { range: selection.range || null, since: selection.since || null },
+    processed: [...processed],
+    updatedAt: new Date().toISOString(),
+  };
+  await writeFileAtomic(checkpointPath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Run a backfill over a commit range and/or date
+ * @param {object} options - Backfill options
+ * @param {string} options.range - Revision range (e.g. "main~50..main")
+ * @param {string} options.since - Only commits after this date (e.g. "2026-09-01")
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Function} options.debug - Debug logger passed to the pipeline
+ * @param {string} options.policy - Write policy for already-journaled commits (default: skip)
+ * @returns {Promise<{total: number, saved: number, skipped: number, alreadyJournaled: number, resumed: number,
+ *   failed: Array<{hash: string, error: string}>}>} resumed counts commits a previous run already processed
+ */
+export async function runBackfill(options = {}) {
+  const { range, since, log = console.log, debug = () => {}, policy = WRITE_POLICY_SKIP } = options;
+  const selection = { range, since };
+
+  const commits = await listCommits({ range, since });
+  const checkpointPath = getCheckpointPath();
+  const processed = await loadCheckpoint(checkpointPath, selection);
+  const journaled = await getJournaledHashes();
+
+  const summary = {
+    total: commits.length,
+    saved: 0,
+    skipped: 0,
+    alreadyJournaled: 0,
+    resumed: 0,
+    failed: [],
+  };
+
+  if (processed.size > 0) {
+    log(`Resuming backfill: ${processed.size} commit(s) already processed`);
+  }
+
+  for (const [index, hash] of commits.entries()) {
+    const position = `[${index + 1}/${commits.length}]`;
+    const shortHash = hash.slice(0, 7);
+
+    if (policy === WRITE_POLICY_SKIP && journaled.has(hash)) {
+      summary.alreadyJournaled++;
+      log(`${position} ${shortHash} already journaled`);
+      continue;
+    }
+
+    if (processed.has(hash)) {
+      summary.resumed++;
+      log(`${position} ${shortHash} processed in previous run`);
+      continue;
+    }
+
+    try {
+      const result = await processCommit(hash, { debug, policy });
+
+      if (result.status === 'saved') {
+        summary.saved++;
+        log(`${position} ${shortHash} saved → ${result.path}`);
+      } else {
+        summary.skipped++;
+        log(`${position} ${shortHash} skipped (${result.reason})`);
+      }
+
+      processed.add(hash);
+      await saveCheckpoint(checkpointPath, selection, processed);
+    } catch (error) {
+      // Leave failed commits out of the checkpoint so a rerun retries them
+      summary.failed.push({ hash, error: error.message });
+      log(`${position} ${shortHash} failed: ${error.message}`);
+    }
+  }
+
+  // Only a fully successful backfill clears its checkpoint
+  if (summary.failed.length === 0) {
+    await rm(checkpointPath, { force: true });
+  }
+
+  return summary;
+}
@@ -0,0 +1,248 @@
+/**
+ * Process Commit - Runs the full journal pipeline for one commit
+ *
+ * collect → filter → generate → save, with the skip checks from PRD #7
+ * applied before any expensive work. Shared by single-commit runs,
+ * backfill and retries so all follow exactly the same rules.
+ *
+ * Failures land in the retry queue: a thrown error, or an entry saved with
+ * sections that failed to generate. A clean save takes the commit back out.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { gatherContextForCommit } from '../integrators/context-integrator.js';
+import { generateJournalSections } from '../generators/journal-graph.js';
+import { describeModel } from '../generators/providers/index.js';
+import { getCommitMetadata, getBranchName } from '../collectors/git-collector.js';
+import {
+  saveJournalEntry,
+  buildEntryMetadata,
+  discoverReflections,
+  hasJournalEntry,
+  WRITE_POLICY_SKIP,
+} from '../managers/journal-manager.js';
+import { indexDayFile } from '../managers/search-index.js';
+import { enqueueCommit, dequeueCommit } from './retry-queue.js';
+import { findSquashedWork } from './squash.js';
+import {
+  isJournalEntriesOnlyCommit,
+  isIgnoredOnlyCommit,
+  isMergeCommit,
+  isSafeGitRef,
+} from '../utils/commit-analyzer.js';
+import { getConfig } from '../utils/config.js';
+import { getRepoRoot } from '../utils/git-repo.js';
+import { withSpan, recordEntryOutcome } from '../telemetry/index.js';
+
+/** Skip reasons reported in results */
+export const SKIP_JOURNAL_ONLY = 'journal-only';
+export const SKIP_IGNORED_ONLY = 'ignored-only';
+export const SKIP_EMPTY_MERGE = 'empty-merge';
+export const SKIP_ALREADY_JOURNALED = 'already-journaled';
+
+/**
+ * Get previous commit timestamp for reflection discovery
+ * @param {string} commitRef - Current commit reference
+ * @returns {Date|null}
+ */
+export function getPreviousCommitTime(commitRef) {
+  if (!isSafeGitRef(commitRef)) {
+    const fallback = new Date();
+    fallback.setHours(fallback.getHours() - 24);
+    return fallback;
+  }
+  try {
+    // Get the commit before the current one
+    const output = execFileSync('git', ['log', '-1', '--format=%cI', `${commitRef}~1`], {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'ignore'],
+    });
+    return new Date(output.trim());
+  } catch {
+    // No previous commit (first commit) or error
+    // Use 24 hours ago as fallback
+    const fallback = new Date();
+    fallback.setHours(fallback.getHours() - 24);
+    return fallback;
+  }
+}
+
+/**
+ * Generate and save a journal entry for a single commit
+ * @param {string} commitRef - Git commit reference (already validated)
+ * @param {object} options - Processing options
+ * @param {Function} options.debug - Debug logger (default: no-op)
+ * @param {string} options.policy - Write policy when an entry already exists (default: skip)
+ * @param {{start: Date|null, end: Date}} options.window - Chat and reflection window override
+ *   (default: previous commit → this commit, or the whole branch for a squash merge)
+ * @param {string} options.squashOf - Branch a squash merge came from (default: recognized from the message)
+ * @param {string[]} options.rewrittenFrom - Hashes a rewritten commit replaces, kept in the entry metadata
+ * @returns {Promise<{status: 'saved'|'skipped', reason?: string, path?: string, sections?: object, commit?: object,
+ *   metadata?: object}>} Outcome; metadata is the entry metadata (chat found, token estimate) of a saved entry
+ */
+export function processCommit(commitRef, options = {}) {
+  const { policy = WRITE_POLICY_SKIP } = options;
+
+  return withSpan(
+    'commit_story.process_commit',
+    { 'commit_story.commit.ref': commitRef, 'commit_story.write_policy': policy },
+    async (span) => {
+      try {
+        const result = await runPipeline(commitRef, options);
+        if (result.status === 'saved') {
+          recordEntryOutcome('generated');
+        } else {
+          recordEntryOutcome('skipped', { 'commit_story.skip.reason': result.reason });
+          span.setAttribute('commit_story.skip.reason', result.reason);
+        }
+        await updateRetryQueue(commitRef, result, options);
+        return result;
+      } catch (error) {
+        recordEntryOutcome('failed', { 'error.type': error.name || 'Error' });
+        await updateRetryQueue(commitRef, { status: 'failed', errors: [error.message] }, options);
+        throw error;
+      }
+    }
+  );
+}
+
+/**
+ * Record the outcome in the retry queue - best-effort, never fails the run
+ * @param {string} commitRef - Git commit reference
+ * @param {object} result - processCommit result, or { status: 'failed', errors }
+ * @param {object} options - Options from processCommit
+ */
+async function updateRetryQueue(commitRef, result, options) {
+  const { debug = () => {} } = options;
+  const errors = result.status === 'saved' ? result.sections.errors || [] : result.errors;
+
+  try {
+    // An existing entry says nothing about whether earlier failures were fixed
+    if (result.reason === SKIP_ALREADY_JOURNALED) {
+      return;
+    }
+
+    if (!errors?.length) {
+      const hash = result.commit?.hash || (await getCommitMetadata(commitRef)).hash;
+      if (await dequeueCommit(hash)) {
+        debug('Removed from retry queue:', hash);
+      }
+      return;
+    }
+
+    const commit = result.commit || (await getCommitMetadata(commitRef));
+    const queued = await enqueueCommit(commit, errors);
+    debug('Queued for retry:', { hash: queued.hash, attempts: queued.attempts });
+  } catch (error) {
+    debug('Retry queue not updated:', error.message);
+  }
+}
+
+/**
+ * Run the pipeline steps for one commit (inside the process_commit span)
+ * @param {string} commitRef - Git commit reference
+ * @param {object} options - Options from processCommit
+ * @returns {Promise<object>} Result as described on processCommit
+ */
+async function runPipeline(commitRef, options) {
+  const { debug = () => {}, policy = WRITE_POLICY_SKIP, squashOf } = options;
+  const config = getConfig();
+
+  // Check skip conditions BEFORE expensive context collection
+  debug('Checking skip conditions...');
+
+  // Rerunning on an already-journaled commit is a no-op unless regenerating
+  if (policy === WRITE_POLICY_SKIP) {
+    const metadata = await getCommitMetadata(commitRef);
+    if (await hasJournalEntry(metadata)) {
+      return { status: 'skipped', reason: SKIP_ALREADY_JOURNALED, commit: metadata };
+    }
+  }
+
+  // Skip journal-entries-only commits
+  if (isJournalEntriesOnlyCommit(commitRef)) {
+    return { status: 'skipped', reason: SKIP_JOURNAL_ONLY };
+  }
+
+  // Skip commits that only touch paths in .commitstoryignore
+  if (isIgnoredOnlyCommit(commitRef)) {
+    return { status: 'skipped', reason: SKIP_IGNORED_ONLY };
+  }
+
+  // Check for merge commits
+  const mergeInfo = isMergeCommit(commitRef);
+  debug('Merge commit:', mergeInfo.isMerge);
+
+  // A squash merge is written as a feature story from the branch's entries
+  let squash = null;
+  if (!mergeInfo.isMerge) {
+    const commit = { ...(await getCommitMetadata(commitRef)), branch: await getBranchName(commitRef) };
+    squash = await findSquashedWork(commit, { branchRef: squashOf });
+    debug('Squash merge of:', squash?.hashes ?? 'not a squash merge');
+  }
+  const window = options.window ?? squash?.window ?? null;
+
+  // Gather context
+  debug('Gathering context...');
+  const context = await gatherContextForCommit(commitRef, {
+    ...config.context,
+    redactEmails: config.redaction.redactEmails,
+    placeholder: config.redaction.placeholder,
+    collectors: config.collectors,
+    window,
+  });
+  context.squash = squash;
+  debug('Context gathered:', {
+    messageCount: context.chat?.messageCount || 0,
+    diffLength: context.commit?.diff?.length || 0,
+  });
+
+  // Skip empty merge commits (no chat AND no diff)
+  if (mergeInfo.isMerge) {
+    const hasChat = context.chat && context.chat.messageCount > 0;
+    const hasDiff = context.commit && context.commit.diff && context.commit.diff.trim().length > 0;
+
+    if (!hasChat && !hasDiff) {
+      return { status: 'skipped', reason: SKIP_EMPTY_MERGE, commit: context.commit };
+    }
+    debug('Processing merge commit with:', { hasChat, hasDiff });
+  }
+
+  // Generate journal sections
+  debug('Generating journal sections...');
+  const sections = await generateJournalSections(context, { sections: config.sections });
+  debug('Sections generated:', {
+    hasSummary: !!sections.summary,
+    hasDialogue: !!sections.dialogue,
+    hasTechnical: !!sections.technicalDecisions,
+    errors: sections.errors?.length || 0,
+  });
+
+  // Discover reflections for time window
+  const previousCommitTime = window?.start ?? getPreviousCommitTime(commitRef);
+  const currentCommitTime = window?.end ?? context.commit.timestamp;
+  debug('Reflection window:', { from: previousCommitTime, to: currentCommitTime });
+
+  const reflections = await discoverReflections(previousCommitTime, currentCommitTime);
+  debug('Reflections found:', reflections.length);
+
+  // Save journal entry
+  debug('Saving journal entry...');
+  const metadata = buildEntryMetadata(context, describeModel());
+  if (options.rewrittenFrom?.length) {
+    metadata.rewrittenFrom = options.rewrittenFrom;
+  }
+  const savedPath = await saveJournalEntry(sections, context.commit, reflections, getRepoRoot(), {
+    policy,
+    metadata,
+  });
+
+  // The search index is a cache - a failed update is repaired by the next search
+  try {
+    await indexDayFile(savedPath);
+  } catch (error) {
+    debug('Search index not updated:', error.message);
+  }
+
+  return { status: 'saved', path: savedPath, sections, commit: context.commit, metadata };
+}
@@ -0,0 +1,186 @@
+/**
+ * Retry Queue - Commits whose journal entry failed, kept for another try
+ *
+ * When the API is down or the machine is offline, the backgrounded hook has
+ * nobody to report to. processCommit records such commits in
+ * <git-common-dir>/commit-story/queue.json together with the reasons (the
+ * thrown error, or sections.errors when an entry was saved with failed
+ * sections). `commit-story retry` and later hook runs drain the queue; a
+ * commit leaves it once an entry is saved without generation errors.
+ *
+ * Several hook processes can run at once, so every change happens under the
+ * queue file's lock.
+ */
+
+import { readFile, mkdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { getStateDir } from '../utils/git-repo.js';
+import { withFileLock, writeFileAtomic } from '../utils/file-lock.js';
+
+/** Queue file name inside the state directory (<git-dir>/commit-story/) */
+const QUEUE_FILE = 'queue.json';
+
+/** Bump when the queue format changes incompatibly */
+const QUEUE_VERSION = 1;
+
+/** A claimed commit is left to the process retrying it for this long */
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} QueuedCommit
+ * @property {string} hash - Full commit hash
+ * @property {string} shortHash - Short commit hash
+ * @property {string} queuedAt - ISO time of the first failure
+ * @property {string} lastAttemptAt - ISO time of the latest failure
+ * @property {number} attempts - Failed attempts so far
+ * @property {string[]} errors - Reasons from the latest attempt
+ * @property {string} [retryingSince] - ISO time a retry claimed the commit
+ */
+
+/**
+ * Get path to the retry queue
+ * @returns {string} Path inside the repository's git directory
+ */
+export function getQueuePath() {
+  return join(getStateDir(), QUEUE_FILE);
+}
+
+/**
+ * Read the queued commits
+ * @param {string} queuePath - Path from getQueuePath
+ * @returns {Promise<QueuedCommit[]>} Queued commits, oldest first (empty if none)
+ */
+async function loadQueue(queuePath) {
+  try {
+    const data = JSON.parse(await readFile(queuePath, 'utf-8'));
+    if (data.version === QUEUE_VERSION && Array.isArray(data.items)) {
+      return data.items;
+    }
+  } catch {
+    // Missing or unreadable queue - nothing queued
+  }
+  return [];
+}
+
+/**
+ * Change the queue under its lock
+ * @param {Function} change - Receives the items array, mutates it in place and returns
+ *   { changed: boolean, value } - the file is only rewritten when changed
+ * @returns {Promise<*>} The change's value
+ */
+async function updateQueue(change) {
+  const queuePath = getQueuePath();
+  await mkdir(dirname(queuePath), { recursive: true });
+
+  return withFileLock(queuePath, async () => {
+    const items = await loadQueue(queuePath);
+    const { changed, value } = change(items);
+    if (changed) {
+      await writeFileAtomic(queuePath, JSON.stringify({ version: QUEUE_VERSION, items }, null, 2) + '\n');
+    }
+    return value;
+  });
+}
+
+/**
+ * List queued commits
+ * @returns {Promise<QueuedCommit[]>} Queued commits, oldest first
+ */
+export function listQueue() {
+  return loadQueue(getQueuePath());
+}
+
+/**
+ * Record a failed attempt for a commit (adds it, or updates its reasons and count)
+ * @param {{hash: string, shortHash: string}} commit - Commit that failed
+ * @param {string[]} errors - Why it failed
+ * @returns {Promise<QueuedCommit>} The queued commit
+ */
+export function enqueueCommit(commit, errors) {
+  return updateQueue((items) => {
+    const now = new Date().toISOString();
+    let item = items.find((queued) => queued.hash === commit.hash);
+    if (item) {
+      item.attempts++;
+      item.lastAttemptAt = now;
+      item.errors = errors;
+      delete item.retryingSince;
+    } else {
+      item = {
+        hash: commit.hash,
+        shortHash: commit.shortHash || commit.hash.slice(0, 7),
+        queuedAt: now,
+        lastAttemptAt: now,
+        attempts: 1,
+        errors,
+      };
+      items.push(item);
+    }
+    return { changed: true, value: { ...item } };
+  });
+}
+
+/**
+ * Remove a commit from the queue
+ * @param {string} hash - Full hash, or a prefix of one
+ * @returns {Promise<QueuedCommit|null>} The removed commit, or null if it wasn't queued
+ */
+export function dequeueCommit(hash) {
+  return updateQueue((items) => {
+    const index = items.findIndex((queued) => queued.hash.startsWith(hash));
+    if (index === -1) {
+      return { changed: false, value: null };
+    }
+    const [removed] = items.splice(index, 1);
+    return { changed: true, value: removed };
+  });
+}
+
+/**
+ * Point a queued commit at the commit that replaced it (amend, rebase)
+ * @param {string} hash - Full hash of the rewritten commit
+ * @param {{hash: string, shortHash: string}} commit - Commit it was rewritten to
+ * @returns {Promise<boolean>} True if the commit was queued
+ */
+export function renameQueuedCommit(hash, commit) {
+  return updateQueue((items) => {
+    const item = items.find((queued) => queued.hash === hash);
+    if (!item) {
+      return { changed: false, value: false };
+    }
+    // The new commit may have been queued by its own run already
+    const duplicate = items.findIndex((queued) => queued.hash === commit.hash);
+    if (duplicate !== -1) {
+      items.splice(duplicate, 1);
+    }
+    item.hash = commit.hash;
+    item.shortHash = commit.shortHash;
+    return { changed: true, value: true };
+  });
+}
+
+/**
+ * Claim queued commits for a retry, so concurrent runs don't retry the same ones
+ * @param {Object} options - Selection
+ * @param {number} options.limit - Most commits to claim (default: all)
+ * @param {number} options.maxAttempts - Skip commits that already failed this often (default: no limit)
+ * @param {string[]} options.exclude - Hashes not to claim (e.g. the commit being processed)
+ * @returns {Promise<QueuedCommit[]>} Claimed commits, oldest first
+ */
+export function claimQueuedCommits(options = {}) {
+  const { limit = Infinity, maxAttempts = Infinity, exclude = [] } = options;
+
+  return updateQueue((items) => {
+    const now = Date.now();
+    const claimed = [];
+    for (const item of items) {
+      if (claimed.length >= limit) break;
+      if (exclude.includes(item.hash) || item.attempts >= maxAttempts) continue;
+      if (item.retryingSince && now - Date.parse(item.retryingSince) < CLAIM_TIMEOUT_MS) continue;
+
+      item.retryingSince = new Date(now).toISOString();
+      claimed.push({ ...item });
+    }
+    return { changed: claimed.length > 0, value: claimed };
+  });
+}
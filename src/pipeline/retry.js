@@ -0,0 +1,77 @@
+/**
+ * Retry - Regenerates entries for commits in the retry queue
+ *
+ * Used by `commit-story retry` (everything queued) and after hook runs (a
+ * few commits at a time, and only ones that haven't failed too often).
+ * processCommit keeps the queue up to date, so this only picks commits and
+ * reports what happened.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { WRITE_POLICY_REPLACE } from '../managers/journal-manager.js';
+import { processCommit } from './process-commit.js';
+import { claimQueuedCommits, dequeueCommit } from './retry-queue.js';
+
+/** Commits retried after one hook run */
+export const AUTO_RETRY_LIMIT = 3;
+
+/** Hook runs stop retrying a commit after this many failed attempts (`retry` still does) */
+export const MAX_AUTO_ATTEMPTS = 5;
+
+/**
+ * Check whether a commit still exists (rebased-away commits may be gone)
+ * @param {string} hash - Full commit hash
+ * @returns {boolean}
+ */
+function commitExists(hash) {
+  try {
+    execFileSync('git', ['cat-file', '-e', `${hash}^{commit}`], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Retry queued commits
+ * Entries saved with failed sections are regenerated in place.
+ * @param {object} options - Retry options
+ * @param {number} options.limit - Most commits to retry (default: all)
+ * @param {number} options.maxAttempts - Skip commits that already failed this often (default: no limit)
+ * @param {string[]} options.exclude - Hashes to leave alone
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Function} options.debug - Debug logger passed to the pipeline
+ * @returns {Promise<{saved: string[], failed: Array<{hash: string, errors: string[]}>, dropped: string[]}>}
+ *   Hashes saved cleanly, still failing, and removed because the commit no longer exists
+ */
+export async function runRetry(options = {}) {
+  const { limit, maxAttempts, exclude, log = console.log, debug = () => {} } = options;
+  const summary = { saved: [], failed: [], dropped: [] };
+
+  const claimed = await claimQueuedCommits({ limit, maxAttempts, exclude });
+  for (const item of claimed) {
+    if (!commitExists(item.hash)) {
+      await dequeueCommit(item.hash);
+      summary.dropped.push(item.hash);
+      log(`${item.shortHash} no longer exists - removed from the queue`);
+      continue;
+    }
+
+    try {
+      const result = await processCommit(item.hash, { debug, policy: WRITE_POLICY_REPLACE });
+      const errors = result.status === 'saved' ? result.sections.errors || [] : [];
+      if (errors.length > 0) {
+        summary.failed.push({ hash: item.hash, errors });
+        log(`${item.shortHash} saved with errors: ${errors.join('; ')}`);
+      } else {
+        summary.saved.push(item.hash);
+        log(`${item.shortHash} ${result.status === 'saved' ? `saved → ${result.path}` : `skipped (${result.reason})`}`);
+      }
+    } catch (error) {
+      summary.failed.push({ hash: item.hash, errors: [error.message] });
+      log(`${item.shortHash} failed: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,262 @@
+/**
+ * Rewrite - Carries journal entries over to amended, rebased and cherry-picked commits
+ *
+ * Rewriting a commit gives it a new hash. Regenerating from scratch loses
+ * the original chat window: a rebased commit's parent is newer than the
+ * work it records, so previous commit → this commit shrinks to nothing.
+ * The post-rewrite hook passes the old → new mapping instead; entries are
+ * moved to the new hash, and only regenerated (over the original window)
+ * when the patch itself changed - or when a squash folded several into one.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { getCommitMetadata, getPreviousCommitTime } from '../collectors/git-collector.js';
+import { parseEntriesFile, rewriteJournalEntry, WRITE_POLICY_REPLACE } from '../managers/journal-manager.js';
+import { indexDayFile } from '../managers/search-index.js';
+import { getJournalEntryPath } from '../utils/journal-paths.js';
+import { processCommit } from './process-commit.js';
+import { renameQueuedCommit } from './retry-queue.js';
+
+/** What git was doing when it last moved HEAD, from the reflog */
+export const REWRITE_AMEND = 'amend';
+export const REWRITE_REBASE = 'rebase';
+export const REWRITE_CHERRY_PICK = 'cherry-pick';
+
+/** Trailer `git cherry-pick -x` adds to the message */
+const CHERRY_PICK_TRAILER = /^\(cherry picked from commit ([0-9a-f]{40})\)$/m;
+
+/**
+ * Run a git command synchronously
+ * @param {string[]} args - Git command arguments
+ * @param {object} options - execFileSync options
+ * @returns {string} Trimmed stdout
+ */
+function git(args, options = {}) {
+  return execFileSync('git', args, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'], ...options }).trim();
+}
+
+/**
+ * Parse the mapping git writes to post-rewrite's stdin
+ * @param {string} input - Lines of "<old-sha> <new-sha> [extra]"
+ * @returns {Array<{from: string, to: string}>} Rewritten commits, in git's order
+ */
+export function parseRewriteMapping(input) {
+  const mapping = [];
+  for (const line of input.split('\n')) {
+    const [from, to] = line.trim().split(/\s+/);
+    if (/^[0-9a-f]{40}$/.test(from) && /^[0-9a-f]{40}$/.test(to)) {
+      mapping.push({ from, to });
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Find out whether HEAD was just moved by an amend, rebase or cherry-pick
+ * @returns {string|null} REWRITE_* constant, or null for anything else
+ */
+export function getRewriteAction() {
+  let subject;
+  try {
+    subject = git(['reflog', '-1', '--format=%gs', 'HEAD']);
+  } catch {
+    return null;
+  }
+  if (subject.startsWith('commit (amend)')) return REWRITE_AMEND;
+  if (subject.startsWith('rebase')) return REWRITE_REBASE;
+  if (subject.startsWith('cherry-pick')) return REWRITE_CHERRY_PICK;
+  return null;
+}
+
+/**
+ * Get a commit's patch id - equal for commits that make the same change
+ * Whitespace and line numbers don't count; merges compare against the first parent.
+ * @param {string} hash - Commit hash
+ * @returns {string} Patch id ('' for a commit without changes)
+ */
+function getPatchId(hash) {
+  const patch = git(['diff-tree', '-p', '--root', '-m', '--first-parent', hash]);
+  return git(['patch-id', '--stable'], { input: patch }).split(' ')[0] || '';
+}
+
+/**
+ * Check whether two commits make the same change
+ * @param {string} a - Commit hash
+ * @param {string} b - Commit hash
+ * @returns {boolean}
+ */
+export function isSamePatch(a, b) {
+  return getPatchId(a) === getPatchId(b);
+}
+
+/**
+ * Get the chat window of the work a rewritten commit records
+ * From before the earliest original commit up to when the new one was made,
+ * which covers the original work plus whatever went into the amend, squash
+ * or conflict fixes.
+ * @param {string[]} originals - Hashes of the original commits
+ * @param {string} rewritten - Hash of the new commit
+ * @returns {Promise<{start: Date|null, end: Date}>} Window for processCommit
+ */
+async function getOriginalWindow(originals, rewritten) {
+  const starts = await Promise.all(originals.map((original) => getPreviousCommitTime(original)));
+  return {
+    // null means "since the first commit", which no other start can beat
+    start: starts.includes(null) ? null : new Date(Math.min(...starts)),
+    end: new Date(git(['log', '-1', '--format=%cI', rewritten])),
+  };
+}
+
+/**
+ * Group a rewrite mapping by new commit
+ * A squash or fixup during a rebase maps several old commits to one new one.
+ * @param {Array<{from: string, to: string}>} mapping - From parseRewriteMapping
+ * @returns {Map<string, string[]>} New hash → old hashes, both in git's order
+ */
+function groupByRewritten(mapping) {
+  const groups = new Map();
+  for (const { from, to } of mapping) {
+    const sources = groups.get(to) ?? [];
+    if (!sources.includes(from)) {
+      sources.push(from);
+    }
+    groups.set(to, sources);
+  }
+  return groups;
+}
+
+/**
+ * Read the rewrite history of a moved entry
+ * @param {string} dayFile - Day file the entry was moved to
+ * @param {string} hash - New commit hash
+ * @returns {Promise<string[]>} Hashes the entry was rewritten from, oldest first
+ */
+async function readRewrittenFrom(dayFile, hash) {
+  const entry = parseEntriesFile(await readFile(dayFile, 'utf-8')).find((parsed) => parsed.hash === hash);
+  return entry?.metadata?.rewrittenFrom ?? [];
+}
+
+/**
+ * Find the commit a cherry-pick was made from
+ * Uses the -x trailer, or else a journaled commit with the same author date,
+ * subject and patch (cherry-picks keep the first two).
+ * @param {string} commitRef - The cherry-picked commit
+ * @returns {Promise<string|null>} Full hash of the original, or null if unknown
+ */
+export async function findCherryPickSource(commitRef) {
+  const commit = await getCommitMetadata(commitRef);
+  const trailer = commit.message.match(CHERRY_PICK_TRAILER);
+  if (trailer) {
+    return trailer[1];
+  }
+
+  let entries;
+  try {
+    entries = parseEntriesFile(await readFile(getJournalEntryPath(commit.timestamp), 'utf-8'));
+  } catch {
+    return null;
+  }
+  const candidate = entries.find(
+    (entry) =>
+      entry.hash !== commit.hash &&
+      entry.metadata?.timestamp === commit.timestamp.toISOString() &&
+      entry.metadata?.subject === commit.subject
+  );
+  try {
+    return candidate && isSamePatch(candidate.hash, commit.hash) ? candidate.hash : null;
+  } catch {
+    // The original is gone
+    return null;
+  }
+}
+
+/**
+ * Get the chat window for a cherry-picked commit: its original's window
+ * @param {string} commitRef - The cherry-picked commit
+ * @returns {Promise<{start: Date|null, end: Date}|null>} Window, or null when the original is unknown
+ */
+export async function getCherryPickWindow(commitRef) {
+  const source = await findCherryPickSource(commitRef);
+  if (!source) {
+    return null;
+  }
+  try {
+    return {
+      start: await getPreviousCommitTime(source),
+      end: (await getCommitMetadata(source)).timestamp,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Carry entries over from rewritten commits to their replacements
+ * Commits squashed together are regenerated once, over all of their windows.
+ * @param {Array<{from: string, to: string}>} mapping - From parseRewriteMapping
+ * @param {object} options - Rewrite options
+ * @param {string} options.type - 'amend' or 'rebase', as passed to the hook
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Function} options.debug - Debug logger passed to the pipeline
+ * @returns {Promise<{moved: string[], regenerated: string[], failed: Array<{hash: string, error: string}>}>}
+ *   New hashes whose entry was moved as-is, regenerated, or couldn't be handled
+ */
+export async function runRewrite(mapping, options = {}) {
+  const { type = REWRITE_REBASE, log = console.log, debug = () => {} } = options;
+  const summary = { moved: [], regenerated: [], failed: [] };
+
+  for (const [to, sources] of groupByRewritten(mapping)) {
+    const label = `${sources.map((from) => from.slice(0, 7)).join(', ')} → ${to.slice(0, 7)}`;
+    try {
+      const rewritten = await getCommitMetadata(to);
+      const originals = await Promise.all(sources.map((from) => getCommitMetadata(from)));
+
+      let dayFile = null;
+      const rewrittenFrom = [];
+      for (const original of originals) {
+        if (await renameQueuedCommit(original.hash, rewritten)) {
+          debug('Retry queue now holds', rewritten.shortHash, 'instead of', original.shortHash);
+        }
+        // Each move replaces the previous source's entry, so collect the history as we go
+        const moved = await rewriteJournalEntry(original, rewritten);
+        const history = moved ? await readRewrittenFrom(moved, to) : [original.hash];
+        rewrittenFrom.push(...history.filter((hash) => !rewrittenFrom.includes(hash)));
+        dayFile = moved ?? dayFile;
+      }
+
+      // post-commit left amends to this hook, so one without an entry still needs its first
+      if (!dayFile && type !== REWRITE_AMEND) {
+        debug('No entry to carry over for', label);
+        continue;
+      }
+
+      if (dayFile && sources.length === 1 && isSamePatch(sources[0], to)) {
+        summary.moved.push(to);
+        log(`${label} entry moved`);
+        try {
+          await indexDayFile(dayFile);
+        } catch (error) {
+          debug('Search index not updated:', error.message);
+        }
+        continue;
+      }
+
+      const result = await processCommit(to, {
+        debug,
+        policy: WRITE_POLICY_REPLACE,
+        window: await getOriginalWindow(sources, to),
+        rewrittenFrom,
+      });
+      summary.regenerated.push(to);
+      const change = sources.length > 1 ? 'squashed' : dayFile ? 'changed' : 'had no entry';
+      const outcome = result.status === 'saved' ? 'regenerated' : `skipped (${result.reason})`;
+      log(`${label} ${change}, entry ${outcome}`);
+    } catch (error) {
+      summary.failed.push({ hash: to, error: error.message });
+      log(`${label} failed: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,93 @@
+/**
+ * Run Log - One structured record per journal run
+ *
+ * The post-commit hook detaches with `&`, so its output goes nowhere.
+ * Each run writes a JSON record to <git-common-dir>/commit-story/logs/
+ * (commit, outcome, duration, token estimate, chat found, errors) for
+ * `commit-story status` to show. Only the newest MAX_RUN_LOGS are kept.
+ */
+
+import { readdir, readFile, rm, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getStateDir } from '../utils/git-repo.js';
+import { writeFileAtomic } from '../utils/file-lock.js';
+
+/** Log directory name inside the state directory */
+const LOG_DIR = 'logs';
+
+/** Run logs kept before the oldest are pruned */
+export const MAX_RUN_LOGS = 200;
+
+/**
+ * @typedef {Object} RunLog
+ * @property {string} startedAt - ISO start time
+ * @property {number} durationMs - Wall time of the run
+ * @property {number} pid - Process id
+ * @property {string[]} args - Command line arguments
+ * @property {number} exitCode - Exit code
+ * @property {string} status - 'saved', 'skipped' or 'failed'
+ * @property {{hash: string, shortHash: string}|null} commit - Commit processed
+ * @property {string|null} skipReason - Why the commit was skipped
+ * @property {string|null} path - Day file written
+ * @property {number|null} tokenEstimate - Context size sent to the model
+ * @property {{messages: number, sessions: number, sources: Object<string, number>}|null} chat - Chat found
+ * @property {string[]} errors - Failures and generation errors
+ * @property {{saved: number, failed: number}|null} retried - Queued commits retried afterwards
+ */
+
+/**
+ * Get the run log directory
+ * @returns {string} Path inside the repository's git directory
+ */
+export function getRunLogDir() {
+  return join(getStateDir(), LOG_DIR);
+}
+
+/**
+ * Write a run log and prune old ones
+ * @param {RunLog} record - Run to record
+ * @returns {Promise<string>} Path to the log file
+ */
+export async function writeRunLog(record) {
+  const dir = getRunLogDir();
+  await mkdir(dir, { recursive: true });
+
+  // Sortable by name: start time first, pid to keep concurrent runs apart
+  const name = `${record.startedAt.replace(/[:.]/g, '-')}-${record.pid}.json`;
+  const logPath = join(dir, name);
+  await writeFileAtomic(logPath, JSON.stringify(record, null, 2) + '\n');
+
+  const names = (await readdir(dir)).filter((file) => file.endsWith('.json')).sort();
+  for (const old of names.slice(0, Math.max(0, names.length - MAX_RUN_LOGS))) {
+    await rm(join(dir, old), { force: true });
+  }
+
+  return logPath;
+}
+
+/**
+ * Read the most recent run logs
+ * @param {number} limit - How many runs (default: 10)
+ * @returns {Promise<RunLog[]>} Runs, newest first (unreadable logs are skipped)
+ */
+export async function readRunLogs(limit = 10) {
+  let names;
+  try {
+    names = (await readdir(getRunLogDir())).filter((file) => file.endsWith('.json'));
+  } catch {
+    // No runs logged yet
+    return [];
+  }
+
+  const runs = [];
+  for (const name of names.sort().reverse()) {
+    if (runs.length >= limit) break;
+    try {
+      runs.push(JSON.parse(await readFile(join(getRunLogDir(), name), 'utf-8')));
+    } catch {
+      // Skip logs that can't be read
+      continue;
+    }
+  }
+  return runs;
+}
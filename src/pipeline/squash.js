@@ -0,0 +1,136 @@
+/**
+ * Squash - Finds the branch history behind a squash-merged commit
+ *
+ * A squash merge lands a whole feature branch as one commit: a huge diff,
+ * and a chat window that starts at the previous commit on main. The branch
+ * commits usually have journal entries already, so the squash commit's
+ * entry is written as a feature story from those entries instead.
+ *
+ * Squash merges are recognized from the message git or the forge writes:
+ * - `git merge --squash`: "Squashed commit of the following:" + commit hashes
+ * - GitHub/GitLab: "Title (#123)" with a "* subject" line per branch commit
+ * or from the branch ref given with --squash-of.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { getPreviousCommitTime } from '../collectors/git-collector.js';
+import { readJournal } from '../managers/journal-manager.js';
+import { isSafeGitRef } from '../utils/commit-analyzer.js';
+
+/** How far back branch entries are looked for */
+export const SQUASH_LOOKBACK_DAYS = 90;
+
+const GIT_SQUASH_MARKER = 'Squashed commit of the following:';
+const SQUASHED_HASH_PATTERN = /^commit ([0-9a-f]{40})$/gm;
+const PULL_REQUEST_SUBJECT = /\((?:#|!)\d+\)$/;
+const BULLET_PATTERN = /^\* (.+)$/gm;
+
+/**
+ * Read what a commit message says about a squash merge
+ * @param {string} message - Full commit message
+ * @returns {{hashes: string[]}|{subjects: string[]}|null} Squashed commit hashes (oldest first)
+ *   or subjects, or null for an ordinary commit
+ */
+export function parseSquashMessage(message) {
+  if (message.includes(GIT_SQUASH_MARKER)) {
+    // git lists the newest commit first
+    const hashes = [...message.matchAll(SQUASHED_HASH_PATTERN)].map((match) => match[1]).reverse();
+    return hashes.length > 0 ? { hashes } : null;
+  }
+
+  const [subject] = message.split('\n');
+  if (PULL_REQUEST_SUBJECT.test(subject)) {
+    const subjects = [...message.matchAll(BULLET_PATTERN)].map((match) => match[1].trim());
+    return subjects.length > 1 ? { subjects } : null;
+  }
+
+  return null;
+}
+
+/**
+ * List the commits a branch adds on top of a commit's parent
+ * @param {string} hash - Squash commit
+ * @param {string} branchRef - Feature branch
+ * @returns {string[]} Full hashes, oldest first
+ */
+function listBranchCommits(hash, branchRef) {
+  if (!isSafeGitRef(branchRef)) {
+    throw new Error(`Invalid branch reference: ${branchRef}`);
+  }
+  const output = execFileSync('git', ['rev-list', '--reverse', '--no-merges', `${hash}~1..${branchRef}`], {
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+  return output.trim().split('\n').filter(Boolean);
+}
+
+/**
+ * Pick the branch entries for a squash commit
+ * Subjects can repeat across branches, so subject matches skip entries from
+ * the squash commit's own branch and take the latest entry per subject.
+ * @param {Array} entries - Candidate entries (readJournal), chronological
+ * @param {object} commit - Squash commit (hash, branch)
+ * @param {{hashes: string[]}|{subjects: string[]}} squashed - From parseSquashMessage or the branch
+ * @returns {Array} Branch entries, chronological
+ */
+function matchEntries(entries, commit, squashed) {
+  if (squashed.hashes) {
+    return entries.filter((entry) => squashed.hashes.includes(entry.hash));
+  }
+
+  const bySubject = new Map();
+  for (const entry of entries) {
+    const subject = entry.metadata?.subject;
+    if (!subject || entry.hash === commit.hash) continue;
+    if (commit.branch && entry.branch === commit.branch) continue;
+    if (squashed.subjects.includes(subject)) {
+      bySubject.set(subject, entry);
+    }
+  }
+  return [...bySubject.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * @typedef {Object} SquashedWork
+ * @property {Array} entries - Journal entries of the branch commits, chronological
+ * @property {string[]} hashes - Their commit hashes
+ * @property {{start: Date|null, end: Date}} window - Chat window covering the whole branch
+ */
+
+/**
+ * Find the journaled branch commits a squash commit stands for
+ * @param {object} commit - Commit metadata (hash, message, timestamp, branch)
+ * @param {object} options - Lookup options
+ * @param {string} options.branchRef - Feature branch, when known (otherwise the message decides)
+ * @returns {Promise<SquashedWork|null>} Branch history, or null when this isn't a squash merge
+ *   or none of the branch commits were journaled
+ */
+export async function findSquashedWork(commit, options = {}) {
+  const { branchRef } = options;
+  const squashed = branchRef
+    ? { hashes: listBranchCommits(commit.hash, branchRef) }
+    : parseSquashMessage(commit.message);
+  if (!squashed) {
+    return null;
+  }
+
+  const from = new Date(commit.timestamp.getTime() - SQUASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const entries = matchEntries(await readJournal({ from, to: commit.timestamp }), commit, squashed);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  let start;
+  try {
+    start = await getPreviousCommitTime(entries[0].hash);
+  } catch {
+    // Branch deleted and garbage-collected - start at its first entry
+    start = entries[0].timestamp;
+  }
+
+  return {
+    entries,
+    hashes: entries.map((entry) => entry.hash),
+    window: { start, end: commit.timestamp },
+  };
+}
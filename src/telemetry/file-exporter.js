@@ -0,0 +1,112 @@
+/**
+ * File Exporters - Write spans and metrics as JSON lines to a local file
+ *
+ * For looking at telemetry without running a collector:
+ *   {"signal":"span","name":"commit_story.gather_context","traceId":...}
+ *   {"signal":"metric","name":"commit_story.entries","dataPoints":[...]}
+ */
+
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { ExportResultCode, hrTimeToMilliseconds } from '@opentelemetry/core';
+
+/**
+ * Append JSON lines to a file, reporting the result the way exporters expect
+ * @param {string} filePath - Output file
+ * @param {object[]} records - Records to write
+ * @param {Function} resultCallback - Exporter result callback
+ */
+function writeRecords(filePath, records, resultCallback) {
+  if (records.length === 0) {
+    resultCallback({ code: ExportResultCode.SUCCESS });
+    return;
+  }
+
+  const lines = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+  mkdir(dirname(filePath), { recursive: true })
+    .then(() => appendFile(filePath, lines, 'utf-8'))
+    .then(
+      () => resultCallback({ code: ExportResultCode.SUCCESS }),
+      (error) => resultCallback({ code: ExportResultCode.FAILED, error })
+    );
+}
+
+/**
+ * Span exporter writing one JSON line per finished span
+ */
+export class FileSpanExporter {
+  /**
+   * @param {string} filePath - Output file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {import('@opentelemetry/sdk-trace-base').ReadableSpan[]} spans - Finished spans
+   * @param {Function} resultCallback - Export result callback
+   */
+  export(spans, resultCallback) {
+    const records = spans.map((span) => ({
+      signal: 'span',
+      name: span.name,
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext?.spanId || null,
+      kind: span.kind,
+      startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map((event) => ({ name: event.name, attributes: event.attributes })),
+    }));
+    writeRecords(this.filePath, records, resultCallback);
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Metric exporter writing one JSON line per metric per collection
+ */
+export class FileMetricExporter {
+  /**
+   * @param {string} filePath - Output file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {import('@opentelemetry/sdk-metrics').ResourceMetrics} resourceMetrics - Collected metrics
+   * @param {Function} resultCallback - Export result callback
+   */
+  export(resourceMetrics, resultCallback) {
+    const records = resourceMetrics.scopeMetrics.flatMap((scope) =>
+      scope.metrics.map((metric) => ({
+        signal: 'metric',
+        name: metric.descriptor.name,
+        unit: metric.descriptor.unit,
+        dataPoints: metric.dataPoints.map((point) => ({
+          attributes: point.attributes,
+          value: point.value,
+        })),
+      }))
+    );
+    writeRecords(this.filePath, records, resultCallback);
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+}
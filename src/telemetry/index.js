@@ -0,0 +1,179 @@
+/**
+ * Telemetry - OpenTelemetry spans and metrics for the journal pipeline
+ *
+ * Instrumentation only talks to @opentelemetry/api, which records nothing
+ * until an SDK is registered (see setup.js). With no exporter configured,
+ * every helper here is a cheap pass-through.
+ *
+ * Span names use the commit_story.* namespace; model calls follow the
+ * GenAI semantic conventions ("chat <model>" with gen_ai.* attributes).
+ */
+
+import { trace, metrics, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+
+const INSTRUMENTATION_NAME = 'commit-story';
+
+/** GenAI semantic convention attribute names (still incubating upstream) */
+export const GEN_AI = {
+  OPERATION_NAME: 'gen_ai.operation.name',
+  PROVIDER_NAME: 'gen_ai.provider.name',
+  REQUEST_MODEL: 'gen_ai.request.model',
+  REQUEST_TEMPERATURE: 'gen_ai.request.temperature',
+  REQUEST_MAX_TOKENS: 'gen_ai.request.max_tokens',
+  RESPONSE_MODEL: 'gen_ai.response.model',
+  RESPONSE_FINISH_REASONS: 'gen_ai.response.finish_reasons',
+  USAGE_INPUT_TOKENS: 'gen_ai.usage.input_tokens',
+  USAGE_OUTPUT_TOKENS: 'gen_ai.usage.output_tokens',
+  TOKEN_TYPE: 'gen_ai.token.type',
+};
+
+/** Histogram buckets recommended by the GenAI metrics conventions */
+const DURATION_BUCKETS = [0.01, 0.02, 0.04, 0.08, 0.16, 0.32, 0.64, 1.28, 2.56, 5.12, 10.24, 20.48, 40.96, 81.92];
+const TOKEN_BUCKETS = [1, 4, 16, 64, 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+
+/** Lazily created instruments (created against whichever provider is registered) */
+let instruments;
+
+/**
+ * Get the tracer for commit-story spans
+ * @returns {import('@opentelemetry/api').Tracer} Tracer
+ */
+export function getTracer() {
+  return trace.getTracer(INSTRUMENTATION_NAME);
+}
+
+/**
+ * Get (or create) the metric instruments
+ * @returns {object} Counters and histograms
+ */
+function getInstruments() {
+  if (!instruments) {
+    const meter = metrics.getMeter(INSTRUMENTATION_NAME);
+    instruments = {
+      entries: meter.createCounter('commit_story.entries', {
+        description: 'Journal entries by outcome (generated, skipped, failed)',
+        unit: '{entry}',
+      }),
+      operationDuration: meter.createHistogram('gen_ai.client.operation.duration', {
+        description: 'Duration of model calls',
+        unit: 's',
+        advice: { explicitBucketBoundaries: DURATION_BUCKETS },
+      }),
+      tokenUsage: meter.createHistogram('gen_ai.client.token.usage', {
+        description: 'Tokens used by model calls',
+        unit: '{token}',
+        advice: { explicitBucketBoundaries: TOKEN_BUCKETS },
+      }),
+    };
+  }
+  return instruments;
+}
+
+/**
+ * Mark a span as failed
+ * @param {import('@opentelemetry/api').Span} span - Span to mark
+ * @param {Error} error - The failure
+ */
+function recordFailure(span, error) {
+  span.recordException(error);
+  span.setAttribute('error.type', error.name || 'Error');
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Run a function inside an active span
+ * The span ends when the function settles; thrown errors are recorded and rethrown.
+ * @param {string} name - Span name
+ * @param {object} attributes - Initial span attributes
+ * @param {(span: import('@opentelemetry/api').Span) => any} fn - Work to trace (sync or async)
+ * @returns {Promise<any>} The function's result
+ */
+export function withSpan(name, attributes, fn) {
+  return getTracer().startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      recordFailure(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Trace a chat model call with GenAI semantic convention attributes
+ * @param {object} model - Model description from describeModel()
+ * @param {string} model.provider - Provider name
+ * @param {string} model.model - Requested model
+ * @param {number} model.temperature - Sampling temperature
+ * @param {number} model.maxTokens - Output token limit
+ * @param {() => Promise<import('@langchain/core/messages').AIMessage>} fn - The model call
+ * @returns {Promise<import('@langchain/core/messages').AIMessage>} Model response
+ */
+export function withModelSpan(model, fn) {
+  const baseAttributes = {
+    [GEN_AI.OPERATION_NAME]: 'chat',
+    [GEN_AI.PROVIDER_NAME]: model.provider,
+    [GEN_AI.REQUEST_MODEL]: model.model,
+  };
+  const attributes = {
+    ...baseAttributes,
+    [GEN_AI.REQUEST_TEMPERATURE]: model.temperature,
+    [GEN_AI.REQUEST_MAX_TOKENS]: model.maxTokens,
+  };
+
+  return getTracer().startActiveSpan(
+    `chat ${model.model}`,
+    { kind: SpanKind.CLIENT, attributes },
+    async (span) => {
+      const started = performance.now();
+      const { operationDuration, tokenUsage } = getInstruments();
+      let metricAttributes = baseAttributes;
+
+      try {
+        const response = await fn();
+        const metadata = response.response_metadata || {};
+        const usage = response.usage_metadata;
+        const responseModel = metadata.model_name || metadata.model || model.model;
+        const finishReason = metadata.stop_reason || metadata.finish_reason;
+
+        metricAttributes = { ...baseAttributes, [GEN_AI.RESPONSE_MODEL]: responseModel };
+        span.setAttribute(GEN_AI.RESPONSE_MODEL, responseModel);
+        if (finishReason) {
+          span.setAttribute(GEN_AI.RESPONSE_FINISH_REASONS, [finishReason]);
+        }
+        if (usage) {
+          span.setAttribute(GEN_AI.USAGE_INPUT_TOKENS, usage.input_tokens);
+          span.setAttribute(GEN_AI.USAGE_OUTPUT_TOKENS, usage.output_tokens);
+          tokenUsage.record(usage.input_tokens, { ...metricAttributes, [GEN_AI.TOKEN_TYPE]: 'input' });
+          tokenUsage.record(usage.output_tokens, { ...metricAttributes, [GEN_AI.TOKEN_TYPE]: 'output' });
+        }
+        return response;
+      } catch (error) {
+        recordFailure(span, error);
+        metricAttributes = { ...baseAttributes, 'error.type': error.name || 'Error' };
+        throw error;
+      } finally {
+        operationDuration.record((performance.now() - started) / 1000, metricAttributes);
+        span.end();
+      }
+    }
+  );
+}
+
+/**
+ * Count a journal entry outcome
+ * @param {'generated'|'skipped'|'failed'} outcome - What happened to the commit
+ * @param {object} attributes - Extra attributes (e.g. skip reason)
+ */
+export function recordEntryOutcome(outcome, attributes = {}) {
+  getInstruments().entries.add(1, { 'commit_story.entry.outcome': outcome, ...attributes });
+}
+
+/**
+ * Drop cached instruments (after a new meter provider is registered)
+ */
+export function resetInstruments() {
+  instruments = undefined;
+}
@@ -0,0 +1,118 @@
+/**
+ * Telemetry Setup - Registers the OpenTelemetry SDK when an exporter is configured
+ *
+ * Exporters (config telemetry.exporter / COMMIT_STORY_TELEMETRY):
+ *   none - default; the SDK isn't even loaded
+ *   otlp - OTLP/HTTP; telemetry.endpoint or the standard OTEL_EXPORTER_OTLP_* variables
+ *   file - JSON lines in telemetry.file (default: <git-common-dir>/commit-story/telemetry.jsonl)
+ *
+ * The CLI exits right after its work, so shutdownTelemetry() must run
+ * before process.exit() to flush batched spans and the final metrics.
+ */
+
+import { join } from 'node:path';
+import { trace, metrics, context, propagation } from '@opentelemetry/api';
+import { getConfig } from '../utils/config.js';
+import { getStateDir } from '../utils/git-repo.js';
+import { resetInstruments } from './index.js';
+
+/** Telemetry file name inside the state directory */
+const TELEMETRY_FILE = 'telemetry.jsonl';
+
+/** Registered providers, or null when telemetry is off */
+let providers = null;
+
+/**
+ * Get the default telemetry file path
+ * @returns {string} Path inside the repository's git directory
+ */
+export function getTelemetryFilePath() {
+  return join(getStateDir(), TELEMETRY_FILE);
+}
+
+/**
+ * Create span and metric exporters for the configured backend
+ * @param {object} settings - Telemetry settings
+ * @returns {Promise<{spanExporter: object, metricExporter: object}>} Exporters
+ */
+async function createExporters(settings) {
+  if (settings.exporter === 'file') {
+    const { FileSpanExporter, FileMetricExporter } = await import('./file-exporter.js');
+    const filePath = settings.file || getTelemetryFilePath();
+    return {
+      spanExporter: new FileSpanExporter(filePath),
+      metricExporter: new FileMetricExporter(filePath),
+    };
+  }
+
+  const [{ OTLPTraceExporter }, { OTLPMetricExporter }] = await Promise.all([
+    import('@opentelemetry/exporter-trace-otlp-http'),
+    import('@opentelemetry/exporter-metrics-otlp-http'),
+  ]);
+  // Without an explicit endpoint the exporters read OTEL_EXPORTER_OTLP_* themselves
+  const base = settings.endpoint?.replace(/\/$/, '');
+  return {
+    spanExporter: new OTLPTraceExporter(base ? { url: `${base}/v1/traces` } : {}),
+    metricExporter: new OTLPMetricExporter(base ? { url: `${base}/v1/metrics` } : {}),
+  };
+}
+
+/**
+ * Register tracer and meter providers for the configured exporter
+ * @param {object} settings - Telemetry settings (default: config.telemetry)
+ * @returns {Promise<boolean>} True if telemetry is now recording
+ */
+export async function initTelemetry(settings = getConfig().telemetry) {
+  if (providers) return true;
+  if (settings.exporter === 'none') return false;
+
+  const [
+    { NodeTracerProvider, BatchSpanProcessor },
+    { MeterProvider, PeriodicExportingMetricReader },
+    { resourceFromAttributes },
+    { ATTR_SERVICE_NAME },
+  ] = await Promise.all([
+    import('@opentelemetry/sdk-trace-node'),
+    import('@opentelemetry/sdk-metrics'),
+    import('@opentelemetry/resources'),
+    import('@opentelemetry/semantic-conventions'),
+  ]);
+
+  const resource = resourceFromAttributes({ [ATTR_SERVICE_NAME]: 'commit-story' });
+  const { spanExporter, metricExporter } = await createExporters(settings);
+
+  const tracerProvider = new NodeTracerProvider({
+    resource,
+    spanProcessors: [new BatchSpanProcessor(spanExporter)],
+  });
+  tracerProvider.register();
+
+  const meterProvider = new MeterProvider({
+    resource,
+    readers: [new PeriodicExportingMetricReader({ exporter: metricExporter })],
+  });
+  metrics.setGlobalMeterProvider(meterProvider);
+  resetInstruments();
+
+  providers = { tracerProvider, meterProvider };
+  return true;
+}
+
+/**
+ * Flush and unregister providers
+ * Export failures (e.g. collector down) never fail the journal run.
+ * @returns {Promise<void>}
+ */
+export async function shutdownTelemetry() {
+  if (!providers) return;
+
+  const { tracerProvider, meterProvider } = providers;
+  providers = null;
+  await Promise.allSettled([tracerProvider.shutdown(), meterProvider.shutdown()]);
+
+  trace.disable();
+  metrics.disable();
+  context.disable();
+  propagation.disable();
+  resetInstruments();
+}
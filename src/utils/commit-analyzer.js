@@ -2,10 +2,12 @@
  * Commit Analyzer
  *
  * Analyzes git commits to determine if they should be processed or skipped.
- * Checks for journal-only commits and merge commits.
+ * Checks for journal-only, ignored-only and merge commits.
  */
 
 import { execFileSync } from 'node:child_process';
+import { getGeneratedJournalPaths } from './journal-paths.js';
+import { loadIgnoreMatcher } from './ignore-file.js';
 
 /**
  * Validate that a string is a safe git ref (no shell metacharacters)
@@ -32,27 +34,34 @@ export function getChangedFiles(commitRef) {
     return [];
   }
   try {
-    const output = execFileSync('git', ['diff-tree', '--no-commit-id', '--name-only', '-r', commitRef], {
+    // -z keeps paths verbatim - otherwise git C-quotes non-ASCII and special characters
+    const output = execFileSync('git', ['diff-tree', '--no-commit-id', '--name-only', '-z', '-r', commitRef], {
       encoding: 'utf-8',
     });
-    return output.trim().split('\n').filter(Boolean);
+    return output.split('\0').filter(Boolean);
   } catch {
     return [];
   }
 }
 
 /**
- * Check if a commit only modifies journal entry files
+ * Check if a commit only modifies generated journal files
  * This is used to prevent recursive generation (commit triggers hook,
  * hook generates journal, journal commit triggers hook, etc.)
  *
- * Note: Only checks journal/entries/ - NOT reflections or context
- * because those contain manual content worth documenting.
+ * Note: Only checks the entries and summaries directories - NOT reflections
+ * or context because those contain manual content worth documenting.
  *
  * @param {string} commitRef - Git commit reference
- * @returns {boolean} True if commit only touches journal/entries/
+ * @returns {boolean} True if commit only touches journal entries and summaries
  */
 export function isJournalEntriesOnlyCommit(commitRef) {
+  // Journal kept outside this repository - its commits can't land here
+  const generatedPaths = getGeneratedJournalPaths();
+  if (generatedPaths.length === 0) {
+    return false;
+  }
+
   const files = getChangedFiles(commitRef);
 
   // Empty commit or error - don't skip
@@ -60,8 +69,34 @@ export function isJournalEntriesOnlyCommit(commitRef) {
     return false;
   }
 
-  // Check if ALL files are in journal/entries/
-  return files.every((file) => file.startsWith('journal/entries/'));
+  // Check if ALL files are generated journal files
+  return files.every((file) => generatedPaths.some((path) => file.startsWith(`${path}/`)));
+}
+
+/**
+ * Check if a commit only modifies paths matched by .commitstoryignore
+ * Generated journal files may change alongside; a commit touching nothing but
+ * journal files is left to isJournalEntriesOnlyCommit.
+ * @param {string} commitRef - Git commit reference
+ * @returns {boolean} True if every changed file is ignored or a generated journal file
+ */
+export function isIgnoredOnlyCommit(commitRef) {
+  const isIgnored = loadIgnoreMatcher();
+  if (!isIgnored) {
+    return false;
+  }
+
+  const generatedPaths = getGeneratedJournalPaths();
+  const files = getChangedFiles(commitRef).filter(
+    (file) => !generatedPaths.some((path) => file.startsWith(`${path}/`))
+  );
+
+  // Empty commit, error or journal files only - not this check's call
+  if (files.length === 0) {
+    return false;
+  }
+
+  return files.every(isIgnored);
 }
 
 /**
@@ -1,13 +1,306 @@
+/**
+ * Configuration Loader
+ *
+ * Merges configuration layers, later layers winning:
+ *   1. Built-in defaults
+ *   2. User-level file:  ~/.commitstoryrc (JSON)
+ *   3. Repo-level files: .commitstoryrc (JSON), then commit-story.config.js
+ *   4. Environment variables
+ *
+ * Each layer is validated with zod as it is merged, so errors name the file
+ * that introduced them. Credentials are only read from the environment -
+ * config files are often committed.
+ */
+
 import 'dotenv/config';
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { pathToFileURL } from 'node:url';
+import { z } from 'zod';
+import { getRepoRoot } from './git-repo.js';
 
-// Validate required config before creating frozen object
-const anthropicApiKey = process.env.ANTHROPIC_API_KEY;
-if (!anthropicApiKey) {
-  throw new Error('ANTHROPIC_API_KEY environment variable is required');
-}
+/** Config file names */
+const RC_FILE = '.commitstoryrc';
+const JS_CONFIG_FILE = 'commit-story.config.js';
 
-export const config = Object.freeze({
-  anthropicApiKey,
-  model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
-  journalDir: process.env.JOURNAL_DIR || './journal',
+/** Built-in defaults (every other layer is merged on top) */
+const DEFAULT_CONFIG = {
+  provider: 'anthropic',
+  model: null,
+  baseUrl: null,
+  generation: {
+    maxTokens: 2048,
+    temperature: 0,
+  },
+  sections: {
+    summary: true,
+    dialogue: true,
+    technicalDecisions: true,
+  },
+  context: {
+    tokenBudget: 150000,
+    diffBudget: 50000,
+    chatBudget: 80000,
+  },
+  redaction: {
+    redactEmails: false,
+    placeholder: '[REDACTED]',
+  },
+  collectors: {
+    claude: true,
+    aider: true,
+    codex: true,
+    gemini: true,
+  },
+  telemetry: {
+    exporter: 'none',
+    endpoint: null,
+    file: null,
+  },
+  journal: {
+    root: 'journal',
+    layout: {
+      entries: 'entries',
+      reflections: 'reflections',
+      context: 'context',
+      summaries: 'summaries',
+    },
+  },
+};
+
+/** Schema for the merged, file-configurable settings */
+const ConfigSchema = z.strictObject({
+  provider: z.string().min(1),
+  model: z.string().min(1).nullable(),
+  baseUrl: z.string().url().nullable(),
+  generation: z.strictObject({
+    maxTokens: z.number().int().positive(),
+    temperature: z.number().min(0).max(2),
+  }),
+  sections: z.strictObject({
+    summary: z.boolean(),
+    dialogue: z.boolean(),
+    technicalDecisions: z.boolean(),
+  }),
+  context: z.strictObject({
+    tokenBudget: z.number().int().positive(),
+    diffBudget: z.number().int().positive(),
+    chatBudget: z.number().int().positive(),
+  }),
+  redaction: z.strictObject({
+    redactEmails: z.boolean(),
+    placeholder: z.string(),
+  }),
+  collectors: z.strictObject({
+    claude: z.boolean(),
+    aider: z.boolean(),
+    codex: z.boolean(),
+    gemini: z.boolean(),
+  }),
+  telemetry: z.strictObject({
+    exporter: z.enum(['none', 'otlp', 'file']),
+    endpoint: z.string().url().nullable(),
+    file: z.string().min(1).nullable(),
+  }),
+  journal: z.strictObject({
+    root: z.string().min(1),
+    layout: z.strictObject({
+      entries: z.string().min(1),
+      reflections: z.string().min(1),
+      context: z.string().min(1),
+      summaries: z.string().min(1),
+    }),
+  }),
 });
+
+/** Loaded configuration (set by loadConfig or first getConfig call) */
+let loadedConfig;
+
+/**
+ * Check for a plain object (not array/null)
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge a layer onto a base; arrays and scalars replace
+ * @param {object} base - Base object
+ * @param {object} layer - Layer to apply
+ * @returns {object} New merged object
+ */
+function mergeLayer(base, layer) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeLayer(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Freeze an object and all nested objects
+ * @param {object} obj - Object to freeze
+ * @returns {object} The same object, frozen
+ */
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (isPlainObject(value)) {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(obj);
+}
+
+/**
+ * Merge a layer and validate the result
+ * @param {object} base - Validated config so far
+ * @param {object} layer - Layer to apply
+ * @param {string} source - Layer description for error messages
+ * @returns {object} Validated merged config
+ */
+function applyLayer(base, layer, source) {
+  if (!isPlainObject(layer)) {
+    throw new Error(`Invalid configuration in ${source}: expected an object`);
+  }
+
+  const result = ConfigSchema.safeParse(mergeLayer(base, layer));
+  if (!result.success) {
+    const issues = result.error.issues
+      .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid configuration in ${source}: ${issues}`);
+  }
+  return result.data;
+}
+
+/**
+ * Read a JSON config file if it exists
+ * @param {string} filePath - Path to JSON file
+ * @returns {object|null} Parsed content, or null if missing
+ */
+function readJsonLayer(filePath) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the environment variable layer
+ * @param {object} env - Environment variables
+ * @returns {object} Config layer with only the variables that are set
+ */
+function envLayer(env) {
+  const layer = {};
+  if (env.COMMIT_STORY_PROVIDER) layer.provider = env.COMMIT_STORY_PROVIDER;
+  if (env.COMMIT_STORY_MODEL || env.ANTHROPIC_MODEL) {
+    layer.model = env.COMMIT_STORY_MODEL || env.ANTHROPIC_MODEL;
+  }
+  if (env.COMMIT_STORY_BASE_URL) layer.baseUrl = env.COMMIT_STORY_BASE_URL;
+  if (env.JOURNAL_DIR) layer.journal = { root: env.JOURNAL_DIR };
+  if (env.COMMIT_STORY_REDACT_EMAILS) {
+    layer.redaction = { redactEmails: env.COMMIT_STORY_REDACT_EMAILS === 'true' };
+  }
+  if (env.COMMIT_STORY_TELEMETRY || env.COMMIT_STORY_TELEMETRY_FILE) {
+    layer.telemetry = {};
+    if (env.COMMIT_STORY_TELEMETRY) layer.telemetry.exporter = env.COMMIT_STORY_TELEMETRY;
+    if (env.COMMIT_STORY_TELEMETRY_FILE) layer.telemetry.file = env.COMMIT_STORY_TELEMETRY_FILE;
+  }
+  return layer;
+}
+
+/**
+ * Merge the synchronous layers (everything except commit-story.config.js)
+ * @param {object} options - Loader options
+ * @returns {{ config: object, sources: string[] }} Validated config and the files used
+ */
+function loadFileLayers({ cwd, homeDir }) {
+  let config = DEFAULT_CONFIG;
+  const sources = [];
+
+  for (const filePath of [join(homeDir, RC_FILE), join(cwd, RC_FILE)]) {
+    const layer = readJsonLayer(filePath);
+    if (layer) {
+      config = applyLayer(config, layer, filePath);
+      sources.push(filePath);
+    }
+  }
+
+  return { config, sources };
+}
+
+/**
+ * Attach credentials and freeze the final config
+ * @param {object} config - Validated config
+ * @param {string[]} sources - Files that contributed
+ * @param {object} env - Environment variables
+ * @returns {object} Frozen config
+ */
+function finalize(config, sources, env) {
+  return deepFreeze({
+    ...applyLayer(config, envLayer(env), 'environment variables'),
+    credentials: {
+      anthropicApiKey: env.ANTHROPIC_API_KEY || null,
+      openaiApiKey: env.OPENAI_API_KEY || null,
+    },
+    sources,
+  });
+}
+
+/**
+ * Load configuration from all layers, including commit-story.config.js
+ * Call once at startup; later getConfig() calls return the same object.
+ * @param {object} options - Loader options
+ * @param {string} options.cwd - Repository directory holding repo-level files (default: repository root)
+ * @param {string} options.homeDir - Directory holding the user-level file (default: os.homedir())
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @returns {Promise<object>} Frozen configuration
+ */
+export async function loadConfig(options = {}) {
+  const { cwd = getRepoRoot(), homeDir = homedir(), env = process.env } = options;
+
+  let { config, sources } = loadFileLayers({ cwd, homeDir });
+
+  const jsConfigPath = join(cwd, JS_CONFIG_FILE);
+  if (existsSync(jsConfigPath)) {
+    let module;
+    try {
+      module = await import(pathToFileURL(jsConfigPath).href);
+    } catch (error) {
+      throw new Error(`Failed to load ${jsConfigPath}: ${error.message}`);
+    }
+    config = applyLayer(config, module.default ?? {}, jsConfigPath);
+    sources.push(jsConfigPath);
+  }
+
+  loadedConfig = finalize(config, sources, env);
+  return loadedConfig;
+}
+
+/**
+ * Get the current configuration
+ * If loadConfig() hasn't run, loads the JSON and environment layers
+ * synchronously (commit-story.config.js needs loadConfig()).
+ * @returns {object} Frozen configuration
+ */
+export function getConfig() {
+  if (!loadedConfig) {
+    const { config, sources } = loadFileLayers({ cwd: getRepoRoot(), homeDir: homedir() });
+    loadedConfig = finalize(config, sources, process.env);
+  }
+  return loadedConfig;
+}
+
+/**
+ * Reset loaded configuration (for testing)
+ */
+export function resetConfig() {
+  loadedConfig = undefined;
+}
@@ -0,0 +1,226 @@
+/**
+ * File Locking and Atomic Writes
+ *
+ * The post-commit hook runs commit-story in the background, so a rebase or
+ * cherry-pick series starts several processes at once while the MCP server
+ * may be appending notes. Every read-modify-write of a journal file goes
+ * through withFileLock:
+ * - within a process, callers queue on a promise chain per file
+ * - across processes, an exclusive "<file>.lock" (created with O_EXCL) is held
+ *
+ * A lock left behind by a crashed process is broken once its owner is gone
+ * or it is older than LOCK_STALE_MS. Whole-file rewrites use writeFileAtomic
+ * so readers never see a half-written file.
+ */
+
+import { open, readFile, rename, rm, stat, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/** How long to wait for another process before giving up */
+export const LOCK_TIMEOUT_MS = 10_000;
+
+/** Locks older than this are assumed abandoned (journal writes take milliseconds) */
+export const LOCK_STALE_MS = 30_000;
+
+/** In-process write queues by absolute file path */
+const queues = new Map();
+
+/**
+ * Check whether a lock's owner process is still running (same host only)
+ * @param {number} pid - Process id from the lock file
+ * @returns {boolean} False only when the process is known to be gone
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Read a lock file's identity
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Promise<{ino: number, mtimeMs: number, owner: string}>} Inode, mtime and content
+ */
+async function readLock(lockPath) {
+  const [info, owner] = await Promise.all([stat(lockPath), readFile(lockPath, 'utf-8')]);
+  return { ino: info.ino, mtimeMs: info.mtimeMs, owner };
+}
+
+/**
+ * Remove a lock file if its owner crashed or it is too old
+ * Two waiters can judge the same lock stale, and by the time the slower one
+ * acts the faster one may hold a fresh lock at the same path. So breaking is
+ * serialized on "<lock>.break", and the lock is re-read under it: it is only
+ * removed if it is still the very file that was judged stale.
+ * @param {string} lockPath - Path to the lock file
+ * @param {number} staleMs - Age after which the lock is abandoned
+ * @returns {Promise<boolean>} True if the lock was removed (or already gone)
+ */
+async function breakStaleLock(lockPath, staleMs) {
+  let judged;
+  try {
+    judged = await readLock(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+  const pid = parseInt(judged.owner, 10);
+  // An empty file is a lock being created right now - only age can make it stale
+  const abandoned = (pid > 0 && !isProcessAlive(pid)) || Date.now() - judged.mtimeMs > staleMs;
+  if (!abandoned) {
+    return false;
+  }
+
+  const breakPath = `${lockPath}.break`;
+  try {
+    await (await open(breakPath, 'wx')).close();
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    // Another waiter is breaking it - unless that waiter crashed midway
+    const info = await stat(breakPath).catch(() => null);
+    if (info && Date.now() - info.mtimeMs > staleMs) {
+      await rm(breakPath, { force: true });
+    }
+    return false;
+  }
+
+  try {
+    const current = await readLock(lockPath);
+    const sameLock =
+      current.ino === judged.ino && current.mtimeMs === judged.mtimeMs && current.owner === judged.owner;
+    if (!sameLock) {
+      // Broken and taken again since it was judged
+      return false;
+    }
+    await rm(lockPath, { force: true });
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  } finally {
+    await rm(breakPath, { force: true });
+  }
+}
+
+/**
+ * Remove a lock file this process holds
+ * A slow holder's lock may have been broken as stale and taken by another
+ * process since; that lock is left alone.
+ * @param {string} lockPath - Path to the lock file
+ * @param {{ino: number, owner: string}} held - Inode and content written when taking it
+ */
+async function releaseLock(lockPath, held) {
+  let current;
+  try {
+    current = await readLock(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (current.ino === held.ino && current.owner === held.owner) {
+    await rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Hold the cross-process lock file while running a function
+ * @param {string} filePath - File being protected
+ * @param {Function} fn - Work to do while holding the lock
+ * @param {{timeoutMs: number, staleMs: number}} options - Lock options
+ * @returns {Promise<*>} Result of fn
+ */
+async function holdLockFile(filePath, fn, { timeoutMs, staleMs }) {
+  const lockPath = `${filePath}.lock`;
+  await mkdir(dirname(lockPath), { recursive: true });
+
+  // The pid tells waiters whether the holder is alive; the token tells this holder the lock is still its own
+  const owner = `${process.pid}\n${randomBytes(8).toString('hex')}\n`;
+  let held;
+  const deadline = Date.now() + timeoutMs;
+  let delay = 10;
+  for (;;) {
+    try {
+      const handle = await open(lockPath, 'wx');
+      try {
+        await handle.writeFile(owner, 'utf-8');
+        held = { ino: (await handle.stat()).ino, owner };
+      } finally {
+        await handle.close();
+      }
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await breakStaleLock(lockPath, staleMs)) {
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for ${lockPath} (delete it if no commit-story process is running)`);
+    }
+    await sleep(delay);
+    delay = Math.min(delay * 2, 200);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lockPath, held);
+  }
+}
+
+/**
+ * Run a function with exclusive access to a file
+ * Callers in this process run one at a time in call order; other processes
+ * wait on the lock file.
+ * @param {string} filePath - File to lock (need not exist yet)
+ * @param {Function} fn - Async work (read, modify, write)
+ * @param {Object} options - Lock options
+ * @param {number} options.timeoutMs - Give up after this long (default: LOCK_TIMEOUT_MS)
+ * @param {number} options.staleMs - Break locks older than this (default: LOCK_STALE_MS)
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFileLock(filePath, fn, options = {}) {
+  const { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = options;
+  const key = resolve(filePath);
+
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const done = new Promise((resolveDone) => {
+    release = resolveDone;
+  });
+  queues.set(key, done);
+
+  try {
+    await previous;
+    return await holdLockFile(key, fn, { timeoutMs, staleMs });
+  } finally {
+    release();
+    if (queues.get(key) === done) {
+      queues.delete(key);
+    }
+  }
+}
+
+/**
+ * Replace a file's content atomically (write a temp file, then rename over it)
+ * @param {string} filePath - File to write
+ * @param {string} content - New content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const suffix = `${process.pid}.${randomBytes(4).toString('hex')}`;
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${suffix}.tmp`);
+  try {
+    await writeFile(tempPath, content, 'utf-8');
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Git Repository Utilities
+ *
+ * Resolves the repository root and git directories so commit-story behaves
+ * the same no matter which subdirectory it is run from. Worktree-aware:
+ * the root is the current worktree's checkout, while per-repository state
+ * lives in the common git directory shared by all worktrees. Also reads
+ * back the C-quoted paths git prints for unusual file names.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { join, resolve, sep } from 'node:path';
+
+/** Resolved roots by working directory */
+const repoRootCache = new Map();
+
+/**
+ * Run a git command synchronously
+ * @param {string[]} args - Git command arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {string} Trimmed stdout
+ */
+function runGitSync(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'ignore'],
+  }).trim();
+}
+
+/**
+ * Get the root of the repository (or worktree) containing a directory
+ * Falls back to the directory itself when it isn't inside a repository.
+ * @param {string} cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string} Absolute path to the repository root
+ */
+export function getRepoRoot(cwd = process.cwd()) {
+  if (!repoRootCache.has(cwd)) {
+    let root;
+    try {
+      root = runGitSync(['rev-parse', '--show-toplevel'], cwd);
+    } catch {
+      root = resolve(cwd);
+    }
+    repoRootCache.set(cwd, root);
+  }
+  return repoRootCache.get(cwd);
+}
+
+/**
+ * Get the git directory shared by all worktrees of the repository
+ * For the main checkout this is .git; for linked worktrees it is still the
+ * main repository's .git (not .git/worktrees/<name>).
+ * @param {string} cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string} Absolute path to the common git directory
+ */
+export function getGitCommonDir(cwd = process.cwd()) {
+  const commonDir = runGitSync(['rev-parse', '--git-common-dir'], cwd);
+  return resolve(cwd, commonDir);
+}
+
+/**
+ * Get the directory for commit-story's local state (checkpoints, etc.)
+ * @param {string} cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string} Absolute path to <common git dir>/commit-story
+ */
+export function getStateDir(cwd = process.cwd()) {
+  return join(getGitCommonDir(cwd), 'commit-story');
+}
+
+/**
+ * Get the directory git runs hooks from
+ * Honors core.hooksPath; without it this is the common git directory's hooks/.
+ * @param {string} cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string} Absolute path to the hooks directory
+ */
+export function getHooksDir(cwd = process.cwd()) {
+  return resolve(cwd, runGitSync(['rev-parse', '--git-path', 'hooks'], cwd));
+}
+
+/**
+ * List the checkout paths of all worktrees of the repository
+ * @param {string} cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string[]} Absolute worktree paths (main checkout first)
+ */
+export function getWorktreePaths(cwd = process.cwd()) {
+  try {
+    const output = runGitSync(['worktree', 'list', '--porcelain'], cwd);
+    return output
+      .split('\n')
+      .filter((line) => line.startsWith('worktree '))
+      .map((line) => line.slice('worktree '.length));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check whether a path is a directory or inside it
+ * @param {string} path - Absolute path to check
+ * @param {string} dir - Absolute directory
+ * @returns {boolean} True if path equals dir or is nested under it
+ */
+export function isPathWithin(path, dir) {
+  const root = dir.endsWith(sep) ? dir.slice(0, -1) : dir;
+  return path === root || path.startsWith(root + sep);
+}
+
+/**
+ * Reset cached roots (for testing)
+ */
+export function resetRepoRootCache() {
+  repoRootCache.clear();
+}
+
+/** Escapes git uses in quoted paths, besides octal bytes */
+const QUOTED_PATH_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Unquote a path git wrote in C style ("a/caf\303\251.txt")
+ * @param {string} quoted - Path including the surrounding quotes
+ * @returns {string} Path as on disk
+ */
+export function unquoteGitPath(quoted) {
+  const bytes = [];
+  for (let i = 1; i < quoted.length - 1; i++) {
+    if (quoted[i] !== '\\') {
+      const char = String.fromCodePoint(quoted.codePointAt(i));
+      bytes.push(...Buffer.from(char));
+      i += char.length - 1;
+    } else if (/[0-7]{3}/.test(quoted.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(quoted.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(QUOTED_PATH_ESCAPES[quoted[++i]] ?? quoted.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
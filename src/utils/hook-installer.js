@@ -0,0 +1,412 @@
+/**
+ * Hook Installer - Adds commit-story to a repository's git hooks
+ *
+ * Works with whatever runs the hooks in the repository:
+ * - git: <hooks dir>/<hook>, honoring core.hooksPath (worktrees share it)
+ * - Husky: .husky/<hook> (core.hooksPath points into .husky)
+ * - lefthook: a commands entry in lefthook.yml (lefthook owns the hook files)
+ *
+ * Existing hooks are kept: commit-story goes in a marked block that
+ * uninstall removes again, leaving the rest of the file as it was.
+ */
+
+import { readFile, writeFile, mkdir, rm, chmod, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { getHooksDir, getRepoRoot } from './git-repo.js';
+
+/** Hooks commit-story can run from */
+export const HOOK_TYPES = ['post-commit', 'post-merge', 'post-rewrite'];
+
+/** Hook installed when none are asked for */
+export const DEFAULT_HOOKS = ['post-commit'];
+
+const BLOCK_START = '# >>> commit-story >>>';
+const BLOCK_END = '# <<< commit-story <<<';
+// The blank line addHookBlock puts in front of the block goes with it
+const BLOCK_PATTERN = /(^\n)?^# >>> commit-story >>>\n[\s\S]*?^# <<< commit-story <<<\n?/m;
+
+/** Lines written by the old install-hook.sh, replaced by the block */
+const LEGACY_LINES = [
+  '# commit-story post-commit hook',
+  '# Generates a journal entry for each commit',
+  '# Run in background to not block git',
+  'npx commit-story &',
+];
+
+/** Marks a hook file written by install-hook.sh */
+const LEGACY_MARKER = '# commit-story post-commit hook';
+
+/** Lefthook config files, in the order lefthook reads them */
+const LEFTHOOK_CONFIGS = ['lefthook.yml', 'lefthook.yaml', '.lefthook.yml', '.lefthook.yaml'];
+
+/** Husky 4-8 hook header, sourced when .husky/_/husky.sh exists */
+const HUSKY_HEADER = '. "$(dirname -- "$0")/_/husky.sh"';
+
+/**
+ * Command a hook runs, in the background so git never waits for the journal
+ * @param {string} hook - Hook name
+ * @param {string} firstArg - How the hook's first argument is written ('"$1"', or '{1}' for lefthook)
+ * @returns {string} Shell command line
+ */
+function hookCommand(hook, firstArg) {
+  switch (hook) {
+    case 'post-merge':
+      // Only real merge commits - a fast-forward pull would journal someone else's commit
+      return 'git rev-parse -q --verify HEAD^2 >/dev/null && npx commit-story &';
+    case 'post-rewrite':
+      // git's old → new mapping arrives on stdin, which a background job can't read
+      return (
+        `map="$(mktemp)"; cat > "$map"; ` +
+        `{ npx commit-story rewrite ${firstArg} < "$map"; rm -f "$map"; } &`
+      );
+    default:
+      return 'npx commit-story &';
+  }
+}
+
+/**
+ * Build the marked block for a shell hook
+ * @param {string} hook - Hook name
+ * @returns {string} Block text, ending in a newline
+ */
+function shellBlock(hook) {
+  return [
+    BLOCK_START,
+    '# Added by `npx commit-story init`, removed by `npx commit-story uninstall`',
+    hookCommand(hook, '"$1"'),
+    BLOCK_END,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Remove commit-story's block (and lines from the old shell installer) from a hook
+ * @param {string} content - Hook file content
+ * @returns {string} Content without commit-story
+ */
+export function removeHookBlock(content) {
+  const result = content.replace(BLOCK_PATTERN, '');
+  if (!result.includes(LEGACY_MARKER)) {
+    return result;
+  }
+  return result
+    .split('\n')
+    .filter((line) => !LEGACY_LINES.includes(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Add commit-story's block to a hook, replacing an earlier one
+ * The block goes before a trailing `exit`, which would otherwise skip it.
+ * @param {string} content - Hook file content ('' for a new hook)
+ * @param {string} hook - Hook name
+ * @returns {string} Content with the block
+ */
+export function addHookBlock(content, hook) {
+  const body = removeHookBlock(content).trimEnd();
+  const block = shellBlock(hook);
+  if (!body) {
+    return `#!/bin/sh\n${block}`;
+  }
+
+  const lines = body.split('\n');
+  const last = lines[lines.length - 1];
+  if (/^\s*exit(\s+0)?\s*$/.test(last)) {
+    const before = lines.slice(0, -1).join('\n').trimEnd();
+    return `${before}\n\n${block}${last}\n`;
+  }
+  return `${body}\n\n${block}`;
+}
+
+/**
+ * Check whether a hook has nothing left to run
+ * @param {string} content - Hook file content
+ * @returns {boolean} True for blank hooks and ones with only a shebang or the Husky header
+ */
+function isEmptyHook(content) {
+  return content
+    .split('\n')
+    .map((line) => line.trim())
+    .every((line) => !line || line.startsWith('#!') || line === HUSKY_HEADER);
+}
+
+/**
+ * @typedef {Object} HookSetup
+ * @property {'git'|'husky'|'lefthook'} manager - What runs the hooks
+ * @property {string} dir - Directory hook files are written to (git, husky)
+ * @property {string|null} configPath - lefthook config file
+ * @property {string|null} header - Line new hook files start with after the shebang
+ */
+
+/**
+ * Work out how hooks are run in the repository
+ * @param {string} cwd - Directory inside the repository (default: process.cwd())
+ * @returns {HookSetup} Hook setup
+ */
+export function detectHookSetup(cwd = process.cwd()) {
+  const hooksDir = getHooksDir(cwd);
+
+  // Husky 9 points core.hooksPath at .husky/_, whose stubs run .husky/<hook>
+  if (basename(hooksDir) === '_' && basename(dirname(hooksDir)) === '.husky') {
+    return { manager: 'husky', dir: dirname(hooksDir), configPath: null, header: null };
+  }
+  // Husky 4-8 points it at .husky itself
+  if (basename(hooksDir) === '.husky') {
+    const header = existsSync(join(hooksDir, '_', 'husky.sh')) ? HUSKY_HEADER : null;
+    return { manager: 'husky', dir: hooksDir, configPath: null, header };
+  }
+
+  const root = getRepoRoot(cwd);
+  const config = LEFTHOOK_CONFIGS.find((name) => existsSync(join(root, name)));
+  if (config) {
+    return { manager: 'lefthook', dir: hooksDir, configPath: join(root, config), header: null };
+  }
+
+  return { manager: 'git', dir: hooksDir, configPath: null, header: null };
+}
+
+/**
+ * Read a file, treating a missing one as empty
+ * @param {string} path - File path
+ * @returns {Promise<string|null>} Content, or null when missing
+ */
+async function readIfExists(path) {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Build commit-story's lefthook block for a set of hooks
+ * @param {string[]} hooks - Hook names
+ * @returns {string} YAML block, ending in a newline
+ */
+function lefthookBlock(hooks) {
+  const lines = [BLOCK_START];
+  for (const hook of hooks) {
+    lines.push(`${hook}:`, '  commands:', lefthookCommand(hook));
+  }
+  lines.push(BLOCK_END, '');
+  return lines.join('\n');
+}
+
+/**
+ * Build the commit-story command entry for one lefthook hook
+ * @param {string} hook - Hook name
+ * @returns {string} YAML lines for the hook's commands map
+ */
+function lefthookCommand(hook) {
+  const lines = ['    commit-story:', `      run: '${hookCommand(hook, '{1}')}'`];
+  if (hook === 'post-rewrite') {
+    // lefthook only passes stdin through when asked to
+    lines.push('      use_stdin: true');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * List the hooks in commit-story's lefthook block
+ * @param {string} content - lefthook config
+ * @returns {string[]} Hook names
+ */
+function lefthookBlockHooks(content) {
+  const block = content.match(BLOCK_PATTERN)?.[0] ?? '';
+  return HOOK_TYPES.filter((hook) => block.includes(`\n${hook}:`));
+}
+
+/**
+ * Get a hook's top-level section of a lefthook config
+ * @param {string} content - lefthook config
+ * @param {string} hook - Hook name
+ * @returns {string} Section text ('' when the config doesn't define the hook)
+ */
+function lefthookSection(content, hook) {
+  const match = content.match(new RegExp(`^${hook}:.*\\n(?:(?:[ \\t].*|)\\n)*`, 'm'));
+  return match?.[0] ?? '';
+}
+
+/**
+ * @typedef {Object} HookChange
+ * @property {string} hook - Hook name
+ * @property {string} path - File written or checked
+ * @property {string} action - 'created', 'updated', 'unchanged', 'manual' (install);
+ *   'removed', 'deleted', 'absent' (uninstall)
+ * @property {string} [snippet] - What to add by hand, for 'manual'
+ */
+
+/**
+ * Add commit-story to a lefthook config
+ * Hooks the config already defines can't be merged into from a separate
+ * block; those come back as 'manual' with the snippet to add.
+ * @param {string} configPath - lefthook config file
+ * @param {string[]} hooks - Hooks to install
+ * @returns {Promise<HookChange[]>} One change per hook
+ */
+async function installLefthook(configPath, hooks) {
+  const original = await readFile(configPath, 'utf-8');
+  const rest = removeHookBlock(original).trimEnd();
+  const taken = hooks.filter((hook) => lefthookSection(`${rest}\n`, hook));
+  const managed = hooks.filter((hook) => !taken.includes(hook));
+
+  const content = managed.length > 0 ? `${rest}\n\n${lefthookBlock(managed)}` : `${rest}\n`;
+  if (content !== original) {
+    await writeFile(configPath, content);
+  }
+
+  const action = content === original ? 'unchanged' : 'updated';
+  return hooks.map((hook) =>
+    taken.includes(hook)
+      ? {
+          hook,
+          path: configPath,
+          action: 'manual',
+          snippet: lefthookCommand(hook),
+        }
+      : { hook, path: configPath, action }
+  );
+}
+
+/**
+ * Add commit-story's block to one hook file
+ * @param {HookSetup} setup - Hook setup
+ * @param {string} hook - Hook name
+ * @returns {Promise<HookChange>} What changed
+ */
+async function installHookFile(setup, hook) {
+  const path = join(setup.dir, hook);
+  const original = await readIfExists(path);
+
+  let content = addHookBlock(original ?? '', hook);
+  if (original === null && setup.header) {
+    content = content.replace('\n', `\n${setup.header}\n\n`);
+  }
+  if (content !== original) {
+    // core.hooksPath may name a directory nobody has created yet
+    await mkdir(setup.dir, { recursive: true });
+    await writeFile(path, content);
+  }
+  await chmod(path, 0o755);
+
+  if (original === null) return { hook, path, action: 'created' };
+  return { hook, path, action: content === original ? 'unchanged' : 'updated' };
+}
+
+/**
+ * Install commit-story into the repository's hooks
+ * @param {object} options - Install options
+ * @param {string[]} options.hooks - Hooks to install (default: post-commit)
+ * @param {string} options.cwd - Directory inside the repository (default: process.cwd())
+ * @returns {Promise<{setup: HookSetup, changes: HookChange[]}>} Setup used and per-hook changes
+ */
+export async function installHooks(options = {}) {
+  const { hooks = DEFAULT_HOOKS, cwd = process.cwd() } = options;
+  const unknown = hooks.filter((hook) => !HOOK_TYPES.includes(hook));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported hook: ${unknown.join(', ')} (expected ${HOOK_TYPES.join(', ')})`);
+  }
+
+  const setup = detectHookSetup(cwd);
+  if (setup.manager === 'lefthook') {
+    return { setup, changes: await installLefthook(setup.configPath, hooks) };
+  }
+
+  const changes = [];
+  for (const hook of hooks) {
+    changes.push(await installHookFile(setup, hook));
+  }
+  return { setup, changes };
+}
+
+/**
+ * Remove commit-story from every hook it can run from
+ * Hook files left with nothing to run are deleted.
+ * @param {object} options - Uninstall options
+ * @param {string} options.cwd - Directory inside the repository (default: process.cwd())
+ * @returns {Promise<{setup: HookSetup, changes: HookChange[]}>} Setup used and per-hook changes
+ */
+export async function uninstallHooks(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const setup = detectHookSetup(cwd);
+
+  if (setup.manager === 'lefthook') {
+    const original = await readFile(setup.configPath, 'utf-8');
+    const installed = lefthookBlockHooks(original);
+    const content = removeHookBlock(original).trimEnd() + '\n';
+    if (content !== original) {
+      await writeFile(setup.configPath, content);
+    }
+    return {
+      setup,
+      changes: HOOK_TYPES.map((hook) => ({
+        hook,
+        path: setup.configPath,
+        action: installed.includes(hook) ? 'removed' : 'absent',
+      })),
+    };
+  }
+
+  const changes = [];
+  for (const hook of HOOK_TYPES) {
+    const path = join(setup.dir, hook);
+    const original = await readIfExists(path);
+    const content = original === null ? null : removeHookBlock(original);
+
+    if (original === null || content === original) {
+      changes.push({ hook, path, action: 'absent' });
+    } else if (isEmptyHook(content)) {
+      await rm(path);
+      changes.push({ hook, path, action: 'deleted' });
+    } else {
+      await writeFile(path, content);
+      changes.push({ hook, path, action: 'removed' });
+    }
+  }
+  return { setup, changes };
+}
+
+/**
+ * @typedef {Object} HookState
+ * @property {string} hook - Hook name
+ * @property {string} path - Hook file (or lefthook config)
+ * @property {boolean} installed - Whether it runs commit-story
+ * @property {boolean} executable - Whether git can run it (always true for lefthook)
+ */
+
+/**
+ * Check which hooks run commit-story
+ * @param {object} options - Inspect options
+ * @param {string} options.cwd - Directory inside the repository (default: process.cwd())
+ * @returns {Promise<{setup: HookSetup, hooks: HookState[]}>} Setup and per-hook state
+ */
+export async function inspectHooks(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const setup = detectHookSetup(cwd);
+
+  if (setup.manager === 'lefthook') {
+    const content = (await readIfExists(setup.configPath)) ?? '';
+    const inBlock = lefthookBlockHooks(content);
+    const hooks = HOOK_TYPES.map((hook) => ({
+      hook,
+      path: setup.configPath,
+      // Added by hand under the config's own key counts too
+      installed: inBlock.includes(hook) || lefthookSection(content, hook).includes('commit-story'),
+      executable: true,
+    }));
+    return { setup, hooks };
+  }
+
+  const hooks = [];
+  for (const hook of HOOK_TYPES) {
+    const path = join(setup.dir, hook);
+    const content = await readIfExists(path);
+    const executable =
+      content !== null && (process.platform === 'win32' || ((await stat(path)).mode & 0o111) !== 0);
+    hooks.push({ hook, path, installed: Boolean(content?.includes('commit-story')), executable });
+  }
+  return { setup, hooks };
+}
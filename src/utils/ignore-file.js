@@ -0,0 +1,154 @@
+/**
+ * Ignore File - paths commit-story leaves out of a commit's context
+ *
+ * A .commitstoryignore at the repository root lists paths in gitignore
+ * syntax: fixtures, snapshots, data dumps, secrets. Their changes are kept
+ * out of the diff and file stats the model sees, and a commit that touches
+ * nothing else is skipped like a journal-only commit.
+ *
+ * Supported syntax: comments, blank lines, "!" negation, trailing "/" for
+ * directories, leading or inner "/" to anchor at the root, *, ?, [...] and **.
+ * As in git, a file inside an ignored directory can't be re-included, and a
+ * malformed pattern is skipped.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getRepoRoot } from './git-repo.js';
+
+export const IGNORE_FILE = '.commitstoryignore';
+
+/**
+ * Escape a character for use in a RegExp
+ * @param {string} char - Single character
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Translate a gitignore glob to a RegExp body
+ * @param {string} glob - Pattern without negation, leading or trailing slash
+ * @returns {string} RegExp source matching a whole repo-relative path
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (glob.startsWith('**/', i) && (i === 0 || glob[i - 1] === '/')) {
+      source += '(?:.*/)?'; // Zero or more directories
+      i += 3;
+    } else if (glob.startsWith('/**', i) && i + 3 === glob.length) {
+      source += '/.*'; // Everything inside
+      i += 3;
+    } else if (char === '*') {
+      const double = glob[i + 1] === '*';
+      source += double ? '.*' : '[^/]*';
+      i += double ? 2 : 1;
+    } else if (char === '?') {
+      source += '[^/]';
+      i++;
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const members = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${members}]`;
+      i = end + 1;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegExp(char);
+      i++;
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Parse ignore file content into rules
+ * @param {string} content - File content in gitignore syntax
+ * @returns {Array<{pattern: RegExp, negate: boolean, directoryOnly: boolean}>} Rules in file order
+ */
+export function parseIgnoreRules(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces don't count unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\#') || line.startsWith('\\!')) line = line.slice(1);
+
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern at the root;
+    // otherwise it matches a name at any depth
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (!line) continue;
+
+    const prefix = anchored ? '' : '(?:.*/)?';
+    try {
+      rules.push({ pattern: new RegExp(`^${prefix}${globToRegExp(line)}$`), negate, directoryOnly });
+    } catch {
+      // A malformed pattern (e.g. a [z-a] range) can't match anything in git either
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Build a matcher from ignore file content
+ * @param {string} content - File content in gitignore syntax
+ * @returns {(path: string) => boolean} True for ignored repo-relative (forward-slash) file paths
+ */
+export function createIgnoreMatcher(content) {
+  const rules = parseIgnoreRules(content);
+
+  const isExcluded = (path, isDirectory) => {
+    let excluded = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.pattern.test(path)) excluded = !rule.negate;
+    }
+    return excluded;
+  };
+
+  return (path) => {
+    const parts = path.split('/');
+    for (let depth = 1; depth < parts.length; depth++) {
+      if (isExcluded(parts.slice(0, depth).join('/'), true)) {
+        return true;
+      }
+    }
+    return isExcluded(path, false);
+  };
+}
+
+/**
+ * Load the repository's ignore file
+ * Read on every call - it's small, and edits should apply to the next commit.
+ * @param {string} repoPath - Repository root (default: resolved from cwd)
+ * @returns {((path: string) => boolean)|null} Matcher, or null when there's no ignore file
+ */
+export function loadIgnoreMatcher(repoPath = getRepoRoot()) {
+  let content;
+  try {
+    content = readFileSync(join(repoPath, IGNORE_FILE), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  return createIgnoreMatcher(content);
+}
@@ -1,15 +1,29 @@
 /**
  * Journal Path Utilities
  *
- * Provides consistent path generation for journal entries, reflections, and context.
- * Uses date-based directory structure: journal/{type}/YYYY-MM/YYYY-MM-DD.md
+ * The single source of truth for where journal files live. Collectors,
+ * skip logic, MCP tools and the journal manager all resolve paths here.
+ *
+ * Uses date-based directory structure: <root>/<type dir>/YYYY-MM/YYYY-MM-DD.md
+ * The root and type directory names come from config (journal.root and
+ * journal.layout). The root may be relative to the repository or absolute -
+ * e.g. a shared journal repository checked out elsewhere. Relative roots are
+ * resolved against the repository root, never the current subdirectory.
  */
 
 import { mkdir } from 'node:fs/promises';
-import { join, dirname } from 'node:path';
+import { join, dirname, isAbsolute, relative, resolve, sep } from 'node:path';
+import { getConfig } from './config.js';
+import { getRepoRoot } from './git-repo.js';
+
+/** Journal file types that map to a layout directory */
+export const JOURNAL_TYPES = ['entries', 'reflections', 'context', 'summaries'];
+
+/** Types commit-story writes itself - never journaled as code changes */
+export const GENERATED_JOURNAL_TYPES = ['entries', 'summaries'];
 
-/** Root directory for all journal files */
-const JOURNAL_ROOT = 'journal';
+/** Summary period kinds → subdirectory of the summaries directory */
+const SUMMARY_DIRECTORIES = { week: 'weekly', month: 'monthly' };
 
 /**
  * Get YYYY-MM format for directory names
@@ -37,48 +51,58 @@ export function getDateString(date) {
 /**
  * Get path to journal entry file for a given date
  * @param {Date} date - Date for the entry
- * @param {string} basePath - Base path (default: current directory)
+ * @param {string} basePath - Base path (default: repository root)
  * @returns {string} Full path to entry file
  */
-export function getJournalEntryPath(date, basePath = '.') {
+export function getJournalEntryPath(date, basePath = getRepoRoot()) {
   const yearMonth = getYearMonth(date);
   const dateStr = getDateString(date);
-  return join(basePath, JOURNAL_ROOT, 'entries', yearMonth, `${dateStr}.md`);
+  return join(getJournalDirectory('entries', basePath), yearMonth, `${dateStr}.md`);
+}
+
+/**
+ * Get path to a weekly or monthly summary
+ * @param {{kind: 'week'|'month', label: string}} period - Period from utils/periods.js
+ * @param {string} basePath - Base path (default: repository root)
+ * @returns {string} Full path like journal/summaries/weekly/2026-W42.md
+ */
+export function getSummaryPath(period, basePath = getRepoRoot()) {
+  return join(getJournalDirectory('summaries', basePath), SUMMARY_DIRECTORIES[period.kind], `${period.label}.md`);
 }
 
 /**
  * Get path to reflections file for a given date
  * @param {Date} date - Date for reflections
- * @param {string} basePath - Base path (default: current directory)
+ * @param {string} basePath - Base path (default: repository root)
  * @returns {string} Full path to reflections file
  */
-export function getReflectionPath(date, basePath = '.') {
+export function getReflectionPath(date, basePath = getRepoRoot()) {
   const yearMonth = getYearMonth(date);
   const dateStr = getDateString(date);
-  return join(basePath, JOURNAL_ROOT, 'reflections', yearMonth, `${dateStr}.md`);
+  return join(getJournalDirectory('reflections', basePath), yearMonth, `${dateStr}.md`);
 }
 
 /**
  * Get path to context file for a given date
  * @param {Date} date - Date for context
- * @param {string} basePath - Base path (default: current directory)
+ * @param {string} basePath - Base path (default: repository root)
  * @returns {string} Full path to context file
  */
-export function getContextPath(date, basePath = '.') {
+export function getContextPath(date, basePath = getRepoRoot()) {
   const yearMonth = getYearMonth(date);
   const dateStr = getDateString(date);
-  return join(basePath, JOURNAL_ROOT, 'context', yearMonth, `${dateStr}.md`);
+  return join(getJournalDirectory('context', basePath), yearMonth, `${dateStr}.md`);
 }
 
 /**
  * Get directory containing reflections for a year-month
  * @param {Date} date - Date within the month
- * @param {string} basePath - Base path (default: current directory)
+ * @param {string} basePath - Base path (default: repository root)
  * @returns {string} Path to reflections directory
  */
-export function getReflectionsDirectory(date, basePath = '.') {
+export function getReflectionsDirectory(date, basePath = getRepoRoot()) {
   const yearMonth = getYearMonth(date);
-  return join(basePath, JOURNAL_ROOT, 'reflections', yearMonth);
+  return join(getJournalDirectory('reflections', basePath), yearMonth);
 }
 
 /**
@@ -107,9 +131,51 @@ export function parseDateFromFilename(filename) {
 
 /**
  * Get journal root path
- * @param {string} basePath - Base path (default: current directory)
+ * Relative roots are resolved against basePath; absolute roots are used as-is.
+ * @param {string} basePath - Base path (default: repository root)
  * @returns {string} Path to journal root
  */
-export function getJournalRoot(basePath = '.') {
-  return join(basePath, JOURNAL_ROOT);
+export function getJournalRoot(basePath = getRepoRoot()) {
+  const root = getConfig().journal.root;
+  return isAbsolute(root) ? root : join(basePath, root);
+}
+
+/**
+ * Get the directory holding one type of journal file
+ * @param {string} type - One of JOURNAL_TYPES
+ * @param {string} basePath - Base path (default: repository root)
+ * @returns {string} Path to the type directory (e.g. journal/entries)
+ */
+export function getJournalDirectory(type, basePath = getRepoRoot()) {
+  if (!JOURNAL_TYPES.includes(type)) {
+    throw new Error(`Unknown journal type: ${type}`);
+  }
+  return join(getJournalRoot(basePath), getConfig().journal.layout[type]);
+}
+
+/**
+ * Get a journal type directory relative to the repository, in git pathspec form
+ * Used to exclude journal files from diffs and to detect journal-only commits.
+ * @param {string} type - One of JOURNAL_TYPES
+ * @param {string} repoPath - Repository root (default: resolved from cwd)
+ * @returns {string|null} Forward-slash path like "journal/entries", or null when
+ *   the journal lives outside the repository (nothing to exclude)
+ */
+export function getRepoRelativeJournalPath(type, repoPath = getRepoRoot()) {
+  const dir = resolve(getJournalDirectory(type, repoPath));
+  const rel = relative(resolve(repoPath), dir);
+
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) {
+    return null;
+  }
+  return rel.split(sep).join('/');
+}
+
+/**
+ * Get the repository-relative directories of generated journal files
+ * @param {string} repoPath - Repository root (default: resolved from cwd)
+ * @returns {string[]} Forward-slash paths like "journal/entries" (types outside the repository are left out)
+ */
+export function getGeneratedJournalPaths(repoPath = getRepoRoot()) {
+  return GENERATED_JOURNAL_TYPES.map((type) => getRepoRelativeJournalPath(type, repoPath)).filter(Boolean);
 }
@@ -0,0 +1,84 @@
+/**
+ * Summary Periods - ISO weeks and calendar months in local time
+ *
+ * Journal day files are named by local date, so periods use local time too:
+ * a week runs from Monday 00:00 to Sunday 23:59:59.999, a month from the
+ * 1st to its last day.
+ */
+
+import { getDateString } from './journal-paths.js';
+
+/**
+ * @typedef {Object} Period
+ * @property {'week'|'month'} kind - Period kind
+ * @property {string} label - "2026-W42" or "2026-10"
+ * @property {Date} start - First millisecond of the period
+ * @property {Date} end - Last millisecond of the period
+ */
+
+/**
+ * Get the Monday starting ISO week 1 of a year
+ * @param {number} year - ISO week-numbering year
+ * @returns {Date} Local midnight on that Monday
+ */
+function getWeekOneMonday(year) {
+  // Week 1 is the week containing January 4th
+  const jan4 = new Date(year, 0, 4);
+  const daysSinceMonday = (jan4.getDay() + 6) % 7;
+  return new Date(year, 0, 4 - daysSinceMonday);
+}
+
+/**
+ * Parse an ISO week like "2026-W42"
+ * @param {string} value - ISO week
+ * @returns {Period} Week period
+ */
+export function parseWeek(value) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(value || '');
+  const week = match ? parseInt(match[2], 10) : 0;
+  if (!match || week < 1 || week > 53) {
+    throw new Error(`Invalid week: ${value} (expected an ISO week like 2026-W42)`);
+  }
+
+  const year = parseInt(match[1], 10);
+  const monday = getWeekOneMonday(year);
+  const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + (week - 1) * 7);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+  end.setMilliseconds(-1);
+
+  // Week 53 only exists in years whose last week still has its Thursday in that year
+  if (week === 53 && getWeekOneMonday(year + 1) <= start) {
+    throw new Error(`Invalid week: ${value} (${year} has 52 ISO weeks)`);
+  }
+
+  return { kind: 'week', label: value, start, end };
+}
+
+/**
+ * Parse a month like "2026-10"
+ * @param {string} value - Year and month
+ * @returns {Period} Month period
+ */
+export function parseMonth(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  const month = match ? parseInt(match[2], 10) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw new Error(`Invalid month: ${value} (expected YYYY-MM like 2026-10)`);
+  }
+
+  const year = parseInt(match[1], 10);
+  const start = new Date(year, month - 1, 1);
+  const end = new Date(year, month, 1);
+  end.setMilliseconds(-1);
+
+  return { kind: 'month', label: value, start, end };
+}
+
+/**
+ * Describe a period's days for display
+ * @param {Period} period - Period to describe
+ * @returns {string} "2026-10-12 – 2026-10-18"
+ */
+export function formatPeriodRange(period) {
+  return `${getDateString(period.start)} – ${getDateString(period.end)}`;
+}
@@ -0,0 +1,162 @@
+/**
+ * Assistant collector tests - Aider, Codex and Gemini sessions merged for a commit window
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createTestDir } from './helpers/test-env.js';
+import {
+  collectAssistantMessages,
+  getAssistantCollectorNames,
+  ASSISTANT_COLLECTORS,
+} from '../src/collectors/assistant-collectors.js';
+import aider from '../src/collectors/aider-collector.js';
+import { discoverSessions } from '../src/collectors/codex-collector.js';
+import { getGeminiProjectDir } from '../src/collectors/gemini-collector.js';
+
+/**
+ * Build a Codex rollout: session meta, injected context, a question, a tool call and an answer
+ * @param {string} id - Session id (appears in the message text)
+ * @param {string} cwd - Directory the session ran in
+ * @returns {string} JSONL text
+ */
+function codexRollout(id, cwd) {
+  const message = (timestamp, role, type, text) => ({
+    timestamp,
+    type: 'response_item',
+    payload: { type: 'message', role, content: [{ type, text }] },
+  });
+  return [
+    { timestamp: '2026-10-19T10:30:00Z', type: 'session_meta', payload: { id, cwd } },
+    message('2026-10-19T10:30:01Z', 'user', 'input_text', '<environment_context>cwd</environment_context>'),
+    message('2026-10-19T10:31:00Z', 'user', 'input_text', `question from ${id}`),
+    { timestamp: '2026-10-19T10:31:05Z', type: 'response_item', payload: { type: 'function_call', name: 'shell' } },
+    message('2026-10-19T10:32:00Z', 'assistant', 'output_text', `answer for ${id}`),
+  ]
+    .map((record) => JSON.stringify(record))
+    .join('\n');
+}
+
+describe('assistant collectors', () => {
+  let home;
+  let repoDir;
+  let codexDir;
+  const start = new Date('2026-10-19T09:00:00Z');
+  const end = new Date('2026-10-19T12:00:00Z');
+
+  before(async () => {
+    home = await createTestDir('assistants');
+    repoDir = join(home.dir, 'repo');
+    await mkdir(join(repoDir, 'src'), { recursive: true });
+
+    // Aider: one session in the window, tool output left out
+    await writeFile(
+      join(repoDir, '.aider.chat.history.md'),
+      '\n# aider chat started at 2026-10-19 10:00:00\n\n> Aider v0.86.0\n\n' +
+        "#### make the parser stricter\n#### and keep line numbers\n\nI'll tighten the grammar.\n\n" +
+        '> Applied edit to src/parser.js\n'
+    );
+
+    // Codex: one session inside the repo (a subdirectory), one elsewhere
+    codexDir = join(home.dir, '.codex/sessions/2026/10/19');
+    await mkdir(codexDir, { recursive: true });
+    await writeFile(join(codexDir, 'rollout-a.jsonl'), codexRollout('codex-in', join(repoDir, 'src')));
+    await writeFile(join(codexDir, 'rollout-b.jsonl'), codexRollout('codex-out', '/somewhere/else'));
+
+    // Gemini: a chat file, plus logs.json holding the same session and an older one
+    const geminiDir = getGeminiProjectDir(repoDir);
+    await mkdir(join(geminiDir, 'chats'), { recursive: true });
+    await writeFile(
+      join(geminiDir, 'chats', 'session-1.json'),
+      JSON.stringify({
+        sessionId: 'gem-1',
+        messages: [
+          { id: 'g1', timestamp: '2026-10-19T11:00:00Z', type: 'user', content: 'why is CI red?' },
+          { id: 'g2', timestamp: '2026-10-19T11:00:05Z', type: 'info', content: 'Request cancelled.' },
+          { id: 'g3', timestamp: '2026-10-19T11:01:00Z', type: 'gemini', content: [{ text: 'A flaky test.' }] },
+        ],
+      })
+    );
+    await writeFile(
+      join(geminiDir, 'logs.json'),
+      JSON.stringify([
+        {
+          sessionId: 'gem-1',
+          messageId: 0,
+          type: 'user',
+          message: 'why is CI red?',
+          timestamp: '2026-10-19T11:00:00Z',
+        },
+        { sessionId: 'gem-0', messageId: 0, type: 'user', message: 'last week', timestamp: '2026-10-12T11:00:00Z' },
+      ])
+    );
+  });
+
+  after(() => home.cleanup());
+
+  it('parses an Aider history into the session its header starts', async () => {
+    assert.deepEqual(getAssistantCollectorNames(), ['aider', 'codex', 'gemini']);
+
+    const [session] = await aider.parseSession(join(repoDir, '.aider.chat.history.md'));
+    assert.equal(session.messages.length, 2);
+    assert.equal(session.messages[0].content, 'make the parser stricter\nand keep line numbers');
+    assert.equal(session.startTime.toISOString(), '2026-10-19T10:00:00.000Z');
+  });
+
+  it('merges every source in time order, keeping only sessions from the repo', async () => {
+    const { messages, bySource } = await collectAssistantMessages(repoDir, start, end);
+
+    assert.deepEqual(bySource, { aider: 2, codex: 2, gemini: 2 });
+    assert.deepEqual(
+      messages.map((message) => `${message.source}:${message.type}`),
+      ['aider:user', 'aider:assistant', 'codex:user', 'codex:assistant', 'gemini:user', 'gemini:assistant']
+    );
+    assert.ok(!messages.some((message) => message.content.includes('codex-out')));
+    assert.deepEqual(Object.keys(messages[0]), [
+      'uuid',
+      'sessionId',
+      'type',
+      'timestamp',
+      'content',
+      'isContextCapture',
+      'source',
+    ]);
+  });
+
+  it('leaves out disabled sources', async () => {
+    const { bySource } = await collectAssistantMessages(repoDir, start, end, {
+      enabled: { codex: false, gemini: false },
+    });
+    assert.deepEqual(bySource, { aider: 2 });
+  });
+
+  it('finds Codex rollouts in the dated directory tree', async () => {
+    await writeFile(join(codexDir, 'notes.txt'), '');
+
+    assert.deepEqual(await discoverSessions(repoDir), [
+      join(codexDir, 'rollout-a.jsonl'),
+      join(codexDir, 'rollout-b.jsonl'),
+    ]);
+  });
+
+  it('skips a source whose discovery throws instead of failing the collection', async () => {
+    const broken = {
+      name: 'broken',
+      discoverSessions: async () => {
+        throw new Error('EACCES: permission denied');
+      },
+      parseSession: async () => [],
+    };
+    ASSISTANT_COLLECTORS.push(broken);
+    try {
+      const { bySource } = await collectAssistantMessages(repoDir, start, end, {
+        enabled: { aider: false, gemini: false },
+      });
+      assert.deepEqual(bySource, { codex: 2, broken: 0 });
+    } finally {
+      ASSISTANT_COLLECTORS.pop();
+    }
+  });
+});
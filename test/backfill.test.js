@@ -0,0 +1,46 @@
+/**
+ * Backfill tests - checkpoints and the summary report
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createTestRepo } from './helpers/test-env.js';
+import { createJournalModel } from './helpers/fake-model.js';
+import { runBackfill, getCheckpointPath } from '../src/pipeline/backfill.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('backfill', () => {
+  let repo;
+  const hashes = [];
+
+  before(async () => {
+    repo = await createTestRepo();
+
+    hashes.push(await repo.commit('Add parser', { 'src/parser.js': 'export {};\n' }, '2026-10-19T08:00:00Z'));
+    hashes.push(await repo.commit('Add lexer', { 'src/lexer.js': 'export {};\n' }, '2026-10-19T09:00:00Z'));
+  });
+
+  after(async () => {
+    resetModel();
+    await repo.cleanup();
+  });
+
+  it('counts commits a previous run processed apart from pipeline skips', async () => {
+    setModel(createJournalModel());
+    const checkpointPath = getCheckpointPath();
+    await mkdir(dirname(checkpointPath), { recursive: true });
+    await writeFile(
+      checkpointPath,
+      JSON.stringify({ selection: { range: null, since: '2026-10-01' }, processed: [hashes[0]] })
+    );
+
+    const summary = await runBackfill({ since: '2026-10-01', log: () => {} });
+
+    assert.deepEqual(
+      { saved: summary.saved, skipped: summary.skipped, resumed: summary.resumed },
+      { saved: 1, skipped: 0, resumed: 1 }
+    );
+  });
+});
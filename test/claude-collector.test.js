@@ -0,0 +1,72 @@
+/**
+ * Claude Collector tests - fake projects tree via CLAUDE_CONFIG_DIR
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { createTestRepo } from './helpers/test-env.js';
+import { createClaudeProjects, claudeRecord } from './helpers/claude-projects.js';
+import { collectChatMessages, getClaudeProjectsDir } from '../src/collectors/claude-collector.js';
+
+describe('claude collector', () => {
+  let repo;
+  let claude;
+  const windowStart = new Date('2026-10-19T09:00:00Z');
+  const windowEnd = new Date('2026-10-19T10:00:00Z');
+
+  before(async () => {
+    claude = await createClaudeProjects();
+    repo = await createTestRepo({ homeDir: claude.configDir });
+
+    await claude.writeSession(repo.dir, 'root', [
+      claudeRecord({ type: 'user', text: 'before window', timestamp: '2026-10-19T08:59:00Z', cwd: repo.dir }),
+      claudeRecord({ type: 'user', text: 'fix the parser', timestamp: '2026-10-19T09:10:00Z', cwd: repo.dir }),
+      claudeRecord({ type: 'assistant', text: 'Done.', timestamp: '2026-10-19T09:11:00Z', cwd: repo.dir }),
+      claudeRecord({ type: 'user', text: 'after window', timestamp: '2026-10-19T10:30:00Z', cwd: repo.dir }),
+    ]);
+
+    const subdir = join(repo.dir, 'src');
+    await claude.writeSession(subdir, 'subdir', [
+      claudeRecord({ type: 'user', text: 'from src/', timestamp: '2026-10-19T09:20:00Z', cwd: subdir, sessionId: 's2' }),
+    ]);
+
+    await claude.writeSession(`${repo.dir}-other`, 'sibling', [
+      claudeRecord({
+        type: 'user',
+        text: 'sibling repo',
+        timestamp: '2026-10-19T09:30:00Z',
+        cwd: `${repo.dir}-other`,
+        sessionId: 's3',
+      }),
+    ]);
+  });
+
+  after(async () => {
+    await repo.cleanup();
+    await claude.cleanup();
+  });
+
+  it('reads the projects dir from CLAUDE_CONFIG_DIR', () => {
+    assert.equal(getClaudeProjectsDir(), join(claude.configDir, 'projects'));
+  });
+
+  it('keeps messages inside the window from the repo and its subdirectories', async () => {
+    const chat = await collectChatMessages(repo.dir, windowEnd, windowStart);
+    const texts = chat.messages.map((msg) =>
+      typeof msg.message.content === 'string' ? msg.message.content : msg.message.content[0].text
+    );
+
+    assert.deepEqual(texts, ['fix the parser', 'Done.', 'from src/']);
+    assert.equal(chat.sessionCount, 2);
+  });
+
+  it('gives the same result from the cached index', async () => {
+    const first = await collectChatMessages(repo.dir, windowEnd, windowStart);
+    const second = await collectChatMessages(repo.dir, windowEnd, windowStart);
+    assert.deepEqual(
+      second.messages.map((msg) => msg.uuid),
+      first.messages.map((msg) => msg.uuid)
+    );
+  });
+});
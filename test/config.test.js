@@ -0,0 +1,76 @@
+/**
+ * Configuration loader tests - layer precedence and validation
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadConfig, resetConfig } from '../src/utils/config.js';
+
+describe('loadConfig', () => {
+  let baseDir;
+  let homeDir;
+  let repoDir;
+
+  before(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'commit-story-config-'));
+    homeDir = join(baseDir, 'home');
+    repoDir = join(baseDir, 'repo');
+    await mkdir(homeDir);
+    await mkdir(repoDir);
+  });
+
+  afterEach(async () => {
+    resetConfig();
+    await rm(join(homeDir, '.commitstoryrc'), { force: true });
+    await rm(join(repoDir, '.commitstoryrc'), { force: true });
+    await rm(join(repoDir, 'commit-story.config.js'), { force: true });
+  });
+
+  after(() => rm(baseDir, { recursive: true, force: true }));
+
+  it('uses defaults when nothing is configured', async () => {
+    const config = await loadConfig({ cwd: repoDir, homeDir, env: {} });
+    assert.equal(config.provider, 'anthropic');
+    assert.equal(config.journal.root, 'journal');
+    assert.equal(config.context.diffBudget, 50000);
+    assert.deepEqual(config.sources, []);
+    assert.ok(Object.isFrozen(config.context));
+  });
+
+  it('applies user file, repo files, then environment', async () => {
+    await writeFile(join(homeDir, '.commitstoryrc'), JSON.stringify({ provider: 'ollama', context: { diffBudget: 20000 } }));
+    await writeFile(join(repoDir, '.commitstoryrc'), JSON.stringify({ sections: { dialogue: false } }));
+    await writeFile(join(repoDir, 'commit-story.config.js'), 'export default { context: { chatBudget: 40000 } };\n');
+
+    const config = await loadConfig({
+      cwd: repoDir,
+      homeDir,
+      env: { COMMIT_STORY_PROVIDER: 'stub', JOURNAL_DIR: '/tmp/shared-journal' },
+    });
+
+    assert.equal(config.provider, 'stub');
+    assert.equal(config.journal.root, '/tmp/shared-journal');
+    assert.equal(config.context.diffBudget, 20000);
+    assert.equal(config.context.chatBudget, 40000);
+    assert.equal(config.sections.dialogue, false);
+    assert.equal(config.sources.length, 3);
+  });
+
+  it('names the file that introduced an invalid value', async () => {
+    const rcPath = join(repoDir, '.commitstoryrc');
+    await writeFile(rcPath, JSON.stringify({ context: { diffBudget: 'lots' } }));
+
+    await assert.rejects(loadConfig({ cwd: repoDir, homeDir, env: {} }), (error) => {
+      assert.ok(error.message.startsWith(`Invalid configuration in ${rcPath}: context.diffBudget`));
+      return true;
+    });
+  });
+
+  it('rejects unknown keys', async () => {
+    await writeFile(join(repoDir, '.commitstoryrc'), JSON.stringify({ sectons: {} }));
+    await assert.rejects(loadConfig({ cwd: repoDir, homeDir, env: {} }), /Invalid configuration/);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * File locking tests - concurrent journal writes never interleave or get lost
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, spawnSync } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createTestDir } from './helpers/test-env.js';
+import {
+  saveJournalEntry,
+  saveNote,
+  readJournal,
+  readJournalNotes,
+  WRITE_POLICY_REPLACE,
+} from '../src/managers/journal-manager.js';
+import { withFileLock, writeFileAtomic } from '../src/utils/file-lock.js';
+
+const execFileAsync = promisify(execFile);
+
+const sections = { summary: 'Concurrent write.', dialogue: '', technicalDecisions: '' };
+
+/**
+ * Build a commit on 2026-10-13 with a hash derived from a number
+ * @param {number} n - Distinguishes commits
+ * @returns {object} Commit metadata
+ */
+function commitNumber(n) {
+  const hash = n.toString(16).padStart(40, '0');
+  return {
+    hash,
+    shortHash: hash.slice(0, 7),
+    author: 'Test Author',
+    timestamp: new Date(Date.UTC(2026, 9, 13, 10, 0, n)),
+  };
+}
+
+describe('concurrent journal writes', () => {
+  let baseDir;
+  let cleanup;
+
+  before(async () => {
+    ({ dir: baseDir, cleanup } = await createTestDir('lock'));
+  });
+
+  after(async () => {
+    await cleanup();
+  });
+
+  it('keeps every entry and note written at once from one process', async () => {
+    const dir = join(baseDir, 'in-process');
+    await saveJournalEntry(sections, commitNumber(0), [], dir);
+    await Promise.all([
+      ...Array.from({ length: 20 }, (_, n) => [
+        saveJournalEntry(sections, commitNumber(n + 1), [], dir),
+        // Rewrites the whole day file - without the lock it drops appends made meanwhile
+        saveJournalEntry(sections, commitNumber(0), [], dir, { policy: WRITE_POLICY_REPLACE }),
+      ]).flat(),
+      ...Array.from({ length: 5 }, (_, n) => {
+        const note = { timestamp: new Date(Date.UTC(2026, 9, 13, 11, n)), title: null, content: `Note ${n}` };
+        return saveNote('context', note, dir);
+      }),
+    ]);
+
+    const entries = await readJournal({ allVersions: true }, dir);
+    assert.equal(entries.length, 21);
+    assert.equal((await readJournalNotes('context', dir)).length, 5);
+    assert.deepEqual(await readdir(join(dir, 'journal/entries/2026-10')), ['2026-10-13.md']);
+  });
+
+  it('keeps every entry written by several processes at once', async () => {
+    const dir = join(baseDir, 'processes');
+    const managerUrl = new URL('../src/managers/journal-manager.js', import.meta.url).href;
+    const configUrl = new URL('../src/utils/config.js', import.meta.url).href;
+    const script = `
+      process.env.TZ = 'UTC';
+      const [dir, offset, managerUrl, configUrl] = process.argv.slice(1);
+      const { saveJournalEntry } = await import(managerUrl);
+      await (await import(configUrl)).loadConfig({ cwd: dir, homeDir: dir, env: {} });
+      for (let n = Number(offset); n < Number(offset) + 5; n++) {
+        const hash = n.toString(16).padStart(40, '0');
+        const timestamp = new Date(Date.UTC(2026, 9, 13, 10, 0, n));
+        const commit = { hash, shortHash: hash.slice(0, 7), author: 'A', timestamp };
+        await saveJournalEntry({ summary: 'Child write.', dialogue: '', technicalDecisions: '' }, commit, [], dir);
+      }
+    `;
+
+    await Promise.all(
+      [0, 5, 10].map((offset) => {
+        const args = ['--input-type=module', '-e', script, dir, String(offset), managerUrl, configUrl];
+        return execFileAsync(process.execPath, args, { timeout: 60000 });
+      })
+    );
+
+    const entries = await readJournal({}, dir);
+    assert.equal(entries.length, 15);
+    assert.equal(new Set(entries.map((entry) => entry.hash)).size, 15);
+  });
+});
+
+describe('withFileLock', () => {
+  let baseDir;
+
+  before(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'commit-story-lock-'));
+  });
+
+  after(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('waits for a lock held by a live process and times out', async () => {
+    const file = join(baseDir, 'held.md');
+    await writeFile(`${file}.lock`, `${process.pid}\n`);
+
+    await assert.rejects(
+      withFileLock(file, async () => {}, { timeoutMs: 50 }),
+      /Timed out waiting for .*held\.md\.lock/
+    );
+
+    setTimeout(() => rm(`${file}.lock`), 50);
+    assert.equal(await withFileLock(file, async () => 'acquired'), 'acquired');
+    assert.deepEqual(await readdir(baseDir), []);
+  });
+
+  it('breaks a lock left by a process that has exited', async () => {
+    const file = join(baseDir, 'stale.md');
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await writeFile(`${file}.lock`, `${pid}\n`);
+
+    assert.equal(await withFileLock(file, async () => 'acquired', { timeoutMs: 50 }), 'acquired');
+  });
+
+  it('lets only one of several waiters break a stale lock and hold it', async () => {
+    const file = join(baseDir, 'contended.md');
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await writeFile(`${file}.lock`, `${pid}\n`);
+
+    const lockUrl = new URL('../src/utils/file-lock.js', import.meta.url).href;
+    // Each holder creates a marker exclusively - a second holder at the same time fails to
+    const script = `
+      const [file, lockUrl] = process.argv.slice(1);
+      const { open, rm } = await import('node:fs/promises');
+      const { withFileLock } = await import(lockUrl);
+      for (let n = 0; n < 5; n++) {
+        await withFileLock(file, async () => {
+          await (await open(file + '.holder', 'wx')).close();
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          await rm(file + '.holder');
+        });
+      }
+    `;
+    await Promise.all(
+      Array.from({ length: 4 }, () =>
+        execFileAsync(process.execPath, ['--input-type=module', '-e', script, file, lockUrl], { timeout: 60000 })
+      )
+    );
+
+    const leftovers = (await readdir(baseDir)).filter((name) => name.startsWith('contended'));
+    assert.deepEqual(leftovers, []);
+  });
+
+  it('leaves a lock alone that another process took after breaking this one', async () => {
+    const file = join(baseDir, 'overtaken.md');
+    const otherLock = '1\nother-holder\n';
+
+    await withFileLock(file, async () => {
+      // Broken as stale while this holder was slow, then taken by someone else
+      await rm(`${file}.lock`);
+      await writeFile(`${file}.lock`, otherLock);
+    });
+
+    assert.equal(await readFile(`${file}.lock`, 'utf-8'), otherLock);
+    await rm(`${file}.lock`);
+  });
+
+  it('replaces files atomically without leaving temp files', async () => {
+    const file = join(baseDir, 'index.json');
+    await writeFileAtomic(file, '{"a":1}');
+    await writeFileAtomic(file, '{"a":2}');
+
+    assert.equal(await readFile(file, 'utf-8'), '{"a":2}');
+    assert.deepEqual((await readdir(baseDir)).filter((name) => name.startsWith('.')), []);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Git Collector tests - run against a scripted fixture repository
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createTestRepo } from './helpers/test-env.js';
+import {
+  getCommitData,
+  getCommitStats,
+  getBranchName,
+  getPreviousCommitTime,
+  listCommits,
+} from '../src/collectors/git-collector.js';
+import { isJournalEntriesOnlyCommit, isIgnoredOnlyCommit, isMergeCommit } from '../src/utils/commit-analyzer.js';
+
+describe('git collector', () => {
+  let repo;
+  const hashes = {};
+
+  before(async () => {
+    repo = await createTestRepo();
+
+    hashes.first = await repo.commit('Add parser', { 'src/parser.js': 'export {};\n' }, '2026-10-18T09:00:00Z');
+    hashes.second = await repo.commit(
+      'Handle empty input\n\nEmpty files used to crash.',
+      {
+        'src/parser.js': 'export const parse = (s) => (s ? [s] : []);\n',
+        'journal/entries/2026-10/2026-10-18.md': '## entry\n',
+      },
+      '2026-10-19T10:00:00Z'
+    );
+    hashes.journalOnly = await repo.commit(
+      'Journal',
+      { 'journal/entries/2026-10/2026-10-19.md': '## entry\n' },
+      '2026-10-19T11:00:00Z'
+    );
+  });
+
+  after(async () => {
+    await repo.cleanup();
+  });
+
+  it('collects metadata and a diff without journal files', async () => {
+    const data = await getCommitData(hashes.second);
+
+    assert.equal(data.hash, hashes.second);
+    assert.equal(data.subject, 'Handle empty input');
+    assert.equal(data.message, 'Handle empty input\n\nEmpty files used to crash.');
+    assert.equal(data.author, 'Test Author');
+    assert.equal(data.timestamp.toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.match(data.diff, /src\/parser\.js/);
+    assert.doesNotMatch(data.diff, /journal\/entries/);
+    assert.equal(data.isMerge, false);
+  });
+
+  it('counts changed lines outside the journal', async () => {
+    const stats = await getCommitStats(hashes.second);
+
+    assert.deepEqual(stats.files, [{ path: 'src/parser.js', insertions: 1, deletions: 1 }]);
+    assert.equal(stats.filesChanged, 1);
+    assert.equal(stats.insertions, 1);
+    assert.equal(stats.deletions, 1);
+    assert.equal((await getCommitStats(hashes.first)).insertions, 1);
+  });
+
+  it('names the branch a commit is on', async () => {
+    assert.equal(await getBranchName('HEAD'), 'main');
+    assert.equal(await getBranchName(hashes.first), 'main');
+  });
+
+  it('finds the previous commit time, or null for the first commit', async () => {
+    assert.equal((await getPreviousCommitTime(hashes.second)).toISOString(), '2026-10-18T09:00:00.000Z');
+    assert.equal(await getPreviousCommitTime(hashes.first), null);
+  });
+
+  it('lists commits oldest first, honoring ranges', async () => {
+    assert.deepEqual(await listCommits(), [hashes.first, hashes.second, hashes.journalOnly]);
+    assert.deepEqual(await listCommits({ range: `${hashes.first}..HEAD` }), [hashes.second, hashes.journalOnly]);
+  });
+
+  it('detects journal-only and merge commits', () => {
+    assert.equal(isJournalEntriesOnlyCommit(hashes.journalOnly), true);
+    assert.equal(isJournalEntriesOnlyCommit(hashes.second), false);
+    assert.equal(isMergeCommit(hashes.second).isMerge, false);
+  });
+
+  it('treats rollup summaries as generated journal files', async () => {
+    const summaries = await repo.commit(
+      'Weekly summary',
+      { 'journal/summaries/weekly/2026-W43.md': '# Weekly Summary\n' },
+      '2026-10-19T12:00:00Z'
+    );
+    assert.equal(isJournalEntriesOnlyCommit(summaries), true);
+    assert.equal((await getCommitStats(summaries)).filesChanged, 0);
+  });
+
+  it('collects tags, trailers, co-authors, renames and binary files', async () => {
+    repo.git('mv', 'src/parser.js', 'src/reader.js');
+    const hash = await repo.commit(
+      'Rename parser\n\nReads more than it parses.\n\n' +
+        'Fixes: #12\nCo-authored-by: Pair Partner <pair@example.com>\nReviewed-by: Someone Else',
+      { 'assets/logo.png': '\u0000\u0001\u0002' },
+      '2026-10-19T13:00:00Z'
+    );
+    repo.git('tag', 'v1.0.0');
+    repo.git('tag', '-a', 'release-2026-10', '-m', 'October release');
+
+    const data = await getCommitData(hash);
+    assert.deepEqual(data.tags, ['release-2026-10', 'v1.0.0']);
+    assert.deepEqual(data.coAuthors, [{ name: 'Pair Partner', email: 'pair@example.com' }]);
+    assert.deepEqual(data.trailers, [
+      { key: 'Fixes', value: '#12' },
+      { key: 'Reviewed-by', value: 'Someone Else' },
+    ]);
+    assert.deepEqual(data.files, [
+      { path: 'assets/logo.png', insertions: null, deletions: null, binary: true },
+      { path: 'src/reader.js', insertions: 0, deletions: 0, previousPath: 'src/parser.js' },
+    ]);
+    assert.match(data.diff, /rename from src\/parser\.js/);
+    assert.deepEqual((await getCommitData(hashes.first)).trailers, []);
+  });
+
+  it('leaves .commitstoryignore paths out of the diff and skips commits touching only them', async () => {
+    await repo.commit('Ignore fixtures', { '.commitstoryignore': 'fixtures/\n*.snap\n' }, '2026-10-19T14:00:00Z');
+    try {
+      const mixed = await repo.commit(
+        'Handle unicode input',
+        {
+          'src/reader.js': 'export const read = (s) => [...s];\n',
+          'test/fixtures/unicode.txt': 'ünïcödé\n',
+          'test/__snapshots__/reader.snap': 'snapshot\n',
+          'test/__snapshots__/"ünïcödé" b/reader.snap': 'snapshot\n',
+        },
+        '2026-10-19T15:00:00Z'
+      );
+      const data = await getCommitData(mixed);
+      assert.deepEqual(
+        data.files.map((file) => file.path),
+        ['src/reader.js']
+      );
+      assert.doesNotMatch(data.diff, /fixtures|snapshots/);
+      assert.equal(isIgnoredOnlyCommit(mixed), false);
+
+      const fixturesOnly = await repo.commit(
+        'Refresh fixtures',
+        { 'test/fixtures/unicode.txt': 'ünïcödé!\n', 'journal/entries/2026-10/2026-10-19.md': '## entry\n' },
+        '2026-10-19T16:00:00Z'
+      );
+      assert.equal(isIgnoredOnlyCommit(fixturesOnly), true);
+
+      const snapshotsOnly = await repo.commit(
+        'Refresh snapshots',
+        { 'test/__snapshots__/café.snap': 'snapshot\n' },
+        '2026-10-19T16:30:00Z'
+      );
+      assert.equal(isIgnoredOnlyCommit(snapshotsOnly), true);
+      assert.equal(isIgnoredOnlyCommit(hashes.journalOnly), false);
+    } finally {
+      await rm(join(repo.dir, '.commitstoryignore'));
+    }
+  });
+});
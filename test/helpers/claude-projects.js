@@ -0,0 +1,70 @@
+/**
+ * Fake Claude Projects - builds a ~/.claude/projects tree in a temp directory
+ *
+ * Point CLAUDE_CONFIG_DIR at the returned configDir so the collector reads
+ * these sessions instead of the real ones.
+ */
+
+import { mkdtemp, mkdir, realpath, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { encodeProjectPath } from '../../src/collectors/claude-collector.js';
+
+/**
+ * Build one Claude Code JSONL record
+ * @param {object} fields - Record fields
+ * @param {string} fields.type - user or assistant
+ * @param {string} fields.text - Message text
+ * @param {string} fields.timestamp - ISO timestamp
+ * @param {string} fields.cwd - Working directory of the session
+ * @param {string} fields.sessionId - Session ID (default: session-1)
+ * @returns {object} Record as Claude Code writes it
+ */
+export function claudeRecord({ type, text, timestamp, cwd, sessionId = 'session-1' }) {
+  return {
+    uuid: `${sessionId}-${timestamp}`,
+    sessionId,
+    type,
+    timestamp,
+    cwd,
+    message: {
+      role: type,
+      content: type === 'assistant' ? [{ type: 'text', text }] : text,
+    },
+  };
+}
+
+/**
+ * Create an empty Claude config directory
+ * @returns {Promise<{configDir: string, writeSession: Function, cleanup: Function}>} Handle
+ */
+export async function createClaudeProjects() {
+  const configDir = await realpath(await mkdtemp(join(tmpdir(), 'commit-story-claude-')));
+
+  return {
+    configDir,
+
+    /**
+     * Write a session file under the project directory for a working directory
+     * @param {string} cwd - Directory the session ran in
+     * @param {string} name - Session file name (without .jsonl)
+     * @param {object[]} records - Records from claudeRecord()
+     * @returns {Promise<string>} Path to the written file
+     */
+    async writeSession(cwd, name, records) {
+      const projectDir = join(configDir, 'projects', encodeProjectPath(cwd));
+      await mkdir(projectDir, { recursive: true });
+      const filePath = join(projectDir, `${name}.jsonl`);
+      await writeFile(filePath, records.map((record) => JSON.stringify(record)).join('\n') + '\n');
+      return filePath;
+    },
+
+    /**
+     * Remove the directory
+     * @returns {Promise<void>}
+     */
+    cleanup() {
+      return rm(configDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Fake Chat Model - scripted responses and recorded prompts
+ *
+ * Responses are keyed by a marker string found in the prompt (e.g. the
+ * node's final instruction), so parallel graph nodes get stable answers
+ * regardless of execution order.
+ */
+
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+
+/** Markers identifying each journal-graph node's prompt */
+export const PROMPT_MARKERS = {
+  summary: 'Write your summary',
+  technicalDecisions: 'Extract technical decisions',
+  dialogue: 'Extract the dialogue',
+};
+
+/** Markers identifying each summary-graph node's prompt */
+export const SUMMARY_PROMPT_MARKERS = {
+  themes: 'List the themes',
+  keyDecisions: 'List the key decisions',
+  openQuestions: 'List the open questions',
+};
+
+export class FakeChatModel extends SimpleChatModel {
+  /**
+   * @param {Object<string, string|Error>} responses - Prompt marker → response (an Error is thrown)
+   */
+  constructor(responses = {}) {
+    super({});
+    this.responses = responses;
+    this.prompts = [];
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  /**
+   * @param {import('@langchain/core/messages').BaseMessage[]} messages - Prompt messages
+   * @returns {Promise<string>} Scripted response
+   */
+  async _call(messages) {
+    const prompt = messages.map((message) => message.content).join('\n');
+    this.prompts.push(prompt);
+
+    for (const [marker, response] of Object.entries(this.responses)) {
+      if (prompt.includes(marker)) {
+        if (response instanceof Error) throw response;
+        return response;
+      }
+    }
+    return '[fake response]';
+  }
+}
+
+/**
+ * Fake model answering every journal section
+ * @param {object} overrides - Section name → response
+ * @returns {FakeChatModel} Model instance
+ */
+export function createJournalModel(overrides = {}) {
+  const sections = {
+    summary: 'Fixed the parser so empty input no longer crashes.',
+    technicalDecisions: '- Made: return an empty AST for empty input',
+    dialogue: 'Human: "Empty files should just produce nothing."',
+    ...overrides,
+  };
+
+  return new FakeChatModel(
+    Object.fromEntries(Object.entries(PROMPT_MARKERS).map(([section, marker]) => [marker, sections[section]]))
+  );
+}
+
+/**
+ * Fake model answering every rollup summary section
+ * @param {object} overrides - Section name → response
+ * @returns {FakeChatModel} Model instance
+ */
+export function createSummaryModel(overrides = {}) {
+  const sections = {
+    themes: '- **Parsing**: Hardened the parser against empty input.',
+    keyDecisions: '- Return an empty AST for empty input (a1b2c3d)',
+    openQuestions: '- Does the lexer need the same treatment?',
+    ...overrides,
+  };
+
+  return new FakeChatModel(
+    Object.fromEntries(Object.entries(SUMMARY_PROMPT_MARKERS).map(([section, marker]) => [marker, sections[section]]))
+  );
+}
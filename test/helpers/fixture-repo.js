@@ -0,0 +1,62 @@
+/**
+ * Fixture Repositories - throwaway git repos with scripted commits
+ *
+ * Each fixture lives in its own temp directory and commits with fixed
+ * author/committer dates, so hashes-by-date and time windows are stable.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, mkdir, realpath, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+/**
+ * Create an empty git repository in a temp directory
+ * @returns {Promise<FixtureRepo>} Repository handle
+ */
+export async function createFixtureRepo() {
+  // realpath: on macOS the temp dir is a symlink, git reports the real path
+  const dir = await realpath(await mkdtemp(join(tmpdir(), 'commit-story-test-')));
+
+  const git = (...args) =>
+    execFileSync('git', args, { cwd: dir, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.name', 'Test Author');
+  git('config', 'user.email', 'author@example.com');
+  git('config', 'commit.gpgsign', 'false');
+
+  return {
+    dir,
+    git,
+
+    /**
+     * Write files and commit them at a fixed time
+     * @param {string} message - Commit message
+     * @param {Object<string, string>} files - Repo-relative path → content
+     * @param {string} date - ISO date used for author and committer
+     * @returns {Promise<string>} Full commit hash
+     */
+    async commit(message, files, date) {
+      for (const [path, content] of Object.entries(files)) {
+        await mkdir(dirname(join(dir, path)), { recursive: true });
+        await writeFile(join(dir, path), content);
+      }
+      git('add', '-A');
+      execFileSync('git', ['commit', '-q', '--allow-empty', '-m', message], {
+        cwd: dir,
+        env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+        stdio: 'ignore',
+      });
+      return git('rev-parse', 'HEAD');
+    },
+
+    /**
+     * Remove the repository
+     * @returns {Promise<void>}
+     */
+    cleanup() {
+      return rm(dir, { recursive: true, force: true });
+    },
+  };
+}
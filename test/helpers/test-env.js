@@ -0,0 +1,83 @@
+/**
+ * Test Environment - isolated places for commit-story to run in
+ *
+ * Importing this module pins the time zone: entry headers use local time,
+ * so it has to be set before any formatting happens. The helpers point
+ * config, HOME and the assistant history directories at throwaway
+ * directories, so nothing from the real home directory leaks into a run.
+ */
+
+process.env.TZ = 'UTC';
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createFixtureRepo } from './fixture-repo.js';
+import { resetRepoRootCache } from '../../src/utils/git-repo.js';
+import { loadConfig, resetConfig } from '../../src/utils/config.js';
+
+/** Variables the helpers override, restored on cleanup */
+const ISOLATED_ENV = ['HOME', 'CLAUDE_CONFIG_DIR', 'CODEX_HOME'];
+
+/**
+ * Point HOME and the assistant histories at a directory
+ * @param {string} homeDir - Directory standing in for the home directory
+ * @returns {Function} Restores the previous values
+ */
+function isolateHome(homeDir) {
+  const saved = Object.fromEntries(ISOLATED_ENV.map((name) => [name, process.env[name]]));
+  process.env.HOME = homeDir;
+  process.env.CLAUDE_CONFIG_DIR = homeDir;
+  delete process.env.CODEX_HOME;
+
+  return () => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+}
+
+/**
+ * Create a fixture repo and run from it, with config loaded from the repo alone
+ * @param {object} options - Environment options
+ * @param {string} options.homeDir - Home directory, e.g. a fake Claude config dir (default: the repo)
+ * @returns {Promise<FixtureRepo>} Repository handle whose cleanup also restores the environment
+ */
+export async function createTestRepo(options = {}) {
+  const repo = await createFixtureRepo();
+  const homeDir = options.homeDir ?? repo.dir;
+  const restoreHome = isolateHome(homeDir);
+  process.chdir(repo.dir);
+  resetRepoRootCache();
+  await loadConfig({ cwd: repo.dir, homeDir, env: {} });
+
+  return {
+    ...repo,
+    async cleanup() {
+      resetConfig();
+      restoreHome();
+      await repo.cleanup();
+    },
+  };
+}
+
+/**
+ * Create a temp directory to write a journal into, standing in for the home directory too
+ * @param {string} name - Directory name prefix (e.g. 'journal')
+ * @returns {Promise<{dir: string, cleanup: Function}>} Directory and its cleanup
+ */
+export async function createTestDir(name) {
+  const dir = await mkdtemp(join(tmpdir(), `commit-story-${name}-`));
+  const restoreHome = isolateHome(dir);
+  await loadConfig({ cwd: dir, homeDir: dir, env: {} });
+
+  return {
+    dir,
+    async cleanup() {
+      resetConfig();
+      restoreHome();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
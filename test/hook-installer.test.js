@@ -0,0 +1,156 @@
+/**
+ * Hook installer tests - marked blocks in existing hooks, hooksPath, Husky, lefthook
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, mkdir, stat, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createFixtureRepo } from './helpers/fixture-repo.js';
+import { installHooks, uninstallHooks, inspectHooks } from '../src/utils/hook-installer.js';
+
+/** Environment that can override core.hooksPath for every git command */
+const GIT_CONFIG_ENV = ['GIT_CONFIG_COUNT', 'GIT_CONFIG_KEY_0', 'GIT_CONFIG_VALUE_0'];
+
+describe('hook installer', () => {
+  let repo;
+  const savedEnv = {};
+
+  before(async () => {
+    for (const name of GIT_CONFIG_ENV) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+    repo = await createFixtureRepo();
+    await repo.commit('Initial commit', { 'README.md': '# Fixture\n' }, '2026-10-19T08:00:00Z');
+    process.chdir(repo.dir);
+  });
+
+  afterEach(async () => {
+    process.chdir(repo.dir);
+    try {
+      repo.git('config', '--unset', 'core.hooksPath');
+    } catch {
+      // Not set by this test
+    }
+    const paths = ['.git/hooks/post-commit', '.git/hooks/post-merge', '.git/hooks/post-rewrite'];
+    for (const path of [...paths, '.husky', 'githooks', 'lefthook.yml']) {
+      await rm(join(repo.dir, path), { recursive: true, force: true });
+    }
+  });
+
+  after(async () => {
+    for (const name of GIT_CONFIG_ENV) {
+      if (savedEnv[name] !== undefined) process.env[name] = savedEnv[name];
+    }
+    await repo.cleanup();
+  });
+
+  it('adds a block to an existing hook before its exit and removes it again', async () => {
+    const hookPath = join(repo.dir, '.git/hooks/post-commit');
+    const original = '#!/bin/sh\n./scripts/notify.sh\nexit 0\n';
+    await writeFile(hookPath, original, { mode: 0o755 });
+
+    const { setup, changes } = await installHooks();
+    assert.equal(setup.manager, 'git');
+    assert.deepEqual(changes, [{ hook: 'post-commit', path: hookPath, action: 'updated' }]);
+
+    const installed = await readFile(hookPath, 'utf-8');
+    assert.match(installed, /notify\.sh\n\n# >>> commit-story >>>\n[\s\S]*npx commit-story &\n# <<< commit-story <<<\nexit 0\n$/);
+    assert.equal((await installHooks()).changes[0].action, 'unchanged');
+    assert.equal(await readFile(hookPath, 'utf-8'), installed);
+
+    await uninstallHooks();
+    assert.equal(await readFile(hookPath, 'utf-8'), original);
+  });
+
+  it('creates executable hooks, optionally for merges and rebases, and deletes them on uninstall', async () => {
+    const { changes } = await installHooks({ hooks: ['post-commit', 'post-merge', 'post-rewrite'] });
+    assert.deepEqual(
+      changes.map((change) => change.action),
+      ['created', 'created', 'created']
+    );
+    assert.ok(((await stat(join(repo.dir, '.git/hooks/post-commit'))).mode & 0o111) !== 0);
+    assert.match(await readFile(join(repo.dir, '.git/hooks/post-merge'), 'utf-8'), /HEAD\^2/);
+    const postRewrite = await readFile(join(repo.dir, '.git/hooks/post-rewrite'), 'utf-8');
+    assert.match(postRewrite, /npx commit-story rewrite "\$1" < "\$map"/);
+
+    const { hooks } = await inspectHooks();
+    assert.ok(hooks.every((state) => state.installed && state.executable));
+
+    const removed = await uninstallHooks();
+    assert.deepEqual(
+      removed.changes.map((change) => change.action),
+      ['deleted', 'deleted', 'deleted']
+    );
+    assert.ok(!existsSync(join(repo.dir, '.git/hooks/post-commit')));
+  });
+
+  it('replaces a hook written by the old shell installer', async () => {
+    const hookPath = join(repo.dir, '.git/hooks/post-commit');
+    await writeFile(
+      hookPath,
+      '#!/bin/bash\n# commit-story post-commit hook\n# Generates a journal entry for each commit\n\n' +
+        '# Run in background to not block git\nnpx commit-story &\n',
+      { mode: 0o755 }
+    );
+
+    await installHooks();
+    const content = await readFile(hookPath, 'utf-8');
+    assert.equal(content.match(/npx commit-story &/g).length, 1);
+    assert.ok(!content.includes('# commit-story post-commit hook'));
+  });
+
+  it('installs into core.hooksPath, even from a subdirectory', async () => {
+    repo.git('config', 'core.hooksPath', 'githooks');
+    await mkdir(join(repo.dir, 'src'), { recursive: true });
+
+    const { changes } = await installHooks({ cwd: join(repo.dir, 'src') });
+    assert.equal(changes[0].path, join(repo.dir, 'githooks/post-commit'));
+    assert.ok(existsSync(join(repo.dir, 'githooks/post-commit')));
+    assert.ok(!existsSync(join(repo.dir, '.git/hooks/post-commit')));
+  });
+
+  it('writes Husky hooks into .husky rather than its generated stubs', async () => {
+    await mkdir(join(repo.dir, '.husky/_'), { recursive: true });
+    await writeFile(join(repo.dir, '.husky/post-commit'), 'npm run lint-staged\n');
+    repo.git('config', 'core.hooksPath', '.husky/_');
+
+    const { setup } = await installHooks();
+    assert.equal(setup.manager, 'husky');
+    assert.match(await readFile(join(repo.dir, '.husky/post-commit'), 'utf-8'), /^npm run lint-staged\n\n# >>> commit-story/);
+    assert.ok(!existsSync(join(repo.dir, '.husky/_/post-commit')));
+
+    await uninstallHooks();
+    assert.equal(await readFile(join(repo.dir, '.husky/post-commit'), 'utf-8'), 'npm run lint-staged\n');
+  });
+
+  it('adds commands to the lefthook config, leaving hooks it already defines to the user', async () => {
+    const configPath = join(repo.dir, 'lefthook.yml');
+    const original = 'post-merge:\n  commands:\n    deps:\n      run: npm install\n';
+    await writeFile(configPath, original);
+
+    const { setup, changes } = await installHooks({ hooks: ['post-commit', 'post-merge'] });
+    assert.equal(setup.manager, 'lefthook');
+    assert.deepEqual(
+      changes.map((change) => change.action),
+      ['updated', 'manual']
+    );
+    assert.match(changes[1].snippet, /commit-story:\n {6}run: 'git rev-parse/);
+
+    const config = await readFile(configPath, 'utf-8');
+    assert.ok(config.startsWith(original));
+    assert.match(config, /# >>> commit-story >>>\npost-commit:\n {2}commands:\n {4}commit-story:\n {6}run: 'npx commit-story &'/);
+    assert.equal(config.match(/^post-merge:/gm).length, 1);
+
+    const { hooks } = await inspectHooks();
+    assert.deepEqual(
+      hooks.filter((state) => state.installed).map((state) => state.hook),
+      ['post-commit']
+    );
+
+    await uninstallHooks();
+    assert.equal(await readFile(configPath, 'utf-8'), original);
+  });
+});
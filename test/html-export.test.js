@@ -0,0 +1,111 @@
+/**
+ * HTML export tests - static site rendered from parsed journal data
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createTestDir } from './helpers/test-env.js';
+import { saveJournalEntry } from '../src/managers/journal-manager.js';
+import { exportHtml } from '../src/exporters/html-exporter.js';
+
+describe('exportHtml', () => {
+  let baseDir;
+  let cleanup;
+  let outDir;
+  let result;
+  const hash = 'a'.repeat(40);
+
+  before(async () => {
+    ({ dir: baseDir, cleanup } = await createTestDir('html'));
+    outDir = join(baseDir, 'site');
+
+    const sections = {
+      summary: 'Fixed the **parser**. <script>alert(1)</script> See [docs](javascript:alert(1)).',
+      dialogue: '',
+      technicalDecisions: '- Made: return an empty AST for empty input\n- Made: the constructor validates options',
+    };
+    const commit = { hash, shortHash: 'aaaaaaa', author: 'Test Author', timestamp: new Date('2026-10-13T10:00:00Z') };
+    const metadata = {
+      hash,
+      tags: ['v1.2.0'],
+      files: [{ path: 'src/parser.js', insertions: 12, deletions: 3 }],
+      filesChanged: 1,
+      insertions: 12,
+      deletions: 3,
+    };
+    await saveJournalEntry(sections, commit, [], baseDir, { metadata });
+
+    await mkdir(join(baseDir, 'journal/reflections/2026-10'), { recursive: true });
+    await writeFile(
+      join(baseDir, 'journal/reflections/2026-10/2026-10-13.md'),
+      '## 9:00:00 AM UTC\n\nThe lexer needs the same treatment.\n\n═══════════════════════════════════════\n\n'
+    );
+    await mkdir(join(baseDir, 'journal/context/2026-10'), { recursive: true });
+    await writeFile(
+      join(baseDir, 'journal/context/2026-10/2026-10-14.md'),
+      '## 4:00:00 PM UTC - Context Capture\n\nParser work is done; lexer next.\n\n═══════════════════════════════════════\n\n'
+    );
+    await mkdir(join(baseDir, 'journal/summaries/weekly'), { recursive: true });
+    await writeFile(join(baseDir, 'journal/summaries/weekly/2026-W42.md'), '# Weekly Summary: 2026-W42\n\n## Themes\n');
+
+    result = await exportHtml(outDir, baseDir);
+  });
+
+  after(async () => {
+    await cleanup();
+  });
+
+  it('links every day with journal content from the calendar index', async () => {
+    const index = await readFile(join(outDir, 'index.html'), 'utf-8');
+
+    assert.equal(result.entries, 1);
+    assert.equal(result.days, 2);
+    assert.match(index, /<h2 id="2026-10">October 2026<\/h2>/);
+    assert.match(index, /<a href="days\/2026-10-13\.html" title="1 entry">13<\/a>/);
+    assert.match(index, /<a href="days\/2026-10-14\.html" title="0 entries">14<\/a>/);
+    assert.match(index, /<a href="summaries\/weekly\/2026-W42\.html">2026-W42<\/a>/);
+  });
+
+  it('renders entries with hash anchors next to the day\'s reflections', async () => {
+    const day = await readFile(join(outDir, 'days/2026-10-13.html'), 'utf-8');
+
+    assert.match(day, new RegExp(`<article class="entry" id="${hash}">`));
+    assert.match(day, /<strong>parser<\/strong>/);
+    assert.match(day, /<h2>Reflections<\/h2>[\s\S]*The lexer needs the same treatment\./);
+    assert.match(day, /<a href="2026-10-14\.html">2026-10-14 →<\/a>/);
+
+    const nextDay = await readFile(join(outDir, 'days/2026-10-14.html'), 'utf-8');
+    assert.match(nextDay, /<h2>Context Captures<\/h2>[\s\S]*Parser work is done; lexer next\./);
+  });
+
+  it('escapes raw HTML and drops unsafe links from journal text', async () => {
+    const day = await readFile(join(outDir, 'days/2026-10-13.html'), 'utf-8');
+
+    assert.doesNotMatch(day, /<script>alert/);
+    assert.match(day, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.doesNotMatch(day, /javascript:/);
+    assert.match(day, /See docs\./);
+  });
+
+  it('builds facets, summaries and search data', async () => {
+    const files = await readFile(join(outDir, 'files.html'), 'utf-8');
+    assert.match(files, /<h2>src\/parser\.js<\/h2>/);
+    assert.match(files, new RegExp(`href="days/2026-10-13\\.html#${hash}"`));
+
+    const tags = await readFile(join(outDir, 'tags.html'), 'utf-8');
+    assert.match(tags, /<h2>v1\.2\.0<\/h2>/);
+    assert.match(tags, new RegExp(`href="days/2026-10-13\\.html#${hash}"`));
+
+    const summary = await readFile(join(outDir, 'summaries/weekly/2026-W42.html'), 'utf-8');
+    assert.match(summary, /<h1>Weekly Summary: 2026-W42<\/h1>/);
+
+    const script = await readFile(join(outDir, 'search-index.js'), 'utf-8');
+    const search = JSON.parse(script.replace(/^window\.COMMIT_STORY_SEARCH = /, '').replace(/;\n$/, ''));
+    assert.equal(search.docs[0].u, `days/2026-10-13.html#${hash}`);
+    assert.deepEqual(search.terms.parser, [0]);
+    assert.ok(search.terms.ast);
+    assert.deepEqual(search.terms.constructor, [0]);
+  });
+});
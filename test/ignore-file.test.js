@@ -0,0 +1,47 @@
+/**
+ * Ignore file tests - gitignore syntax for .commitstoryignore
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIgnoreMatcher } from '../src/utils/ignore-file.js';
+
+describe('createIgnoreMatcher', () => {
+  it('matches names at any depth, anchored paths from the root and directories', () => {
+    const isIgnored = createIgnoreMatcher('# Noise\n\n*.snap\n/data.csv\nfixtures/\ndocs/*.pdf\n');
+
+    assert.equal(isIgnored('test/__snapshots__/app.test.js.snap'), true);
+    assert.equal(isIgnored('data.csv'), true);
+    assert.equal(isIgnored('reports/data.csv'), false);
+    assert.equal(isIgnored('test/fixtures/large.json'), true);
+    assert.equal(isIgnored('src/fixtures.js'), false);
+    assert.equal(isIgnored('docs/manual.pdf'), true);
+    assert.equal(isIgnored('docs/api/manual.pdf'), false);
+    assert.equal(isIgnored('src/index.js'), false);
+  });
+
+  it('supports **, ?, character classes and negation', () => {
+    const isIgnored = createIgnoreMatcher('secrets/**\n**/dumps/*.sql\nlog?.txt\n[ab].bin\n*.snap\n!keep.snap\n');
+
+    assert.equal(isIgnored('secrets/prod/key.pem'), true);
+    assert.equal(isIgnored('db/dumps/2026-10.sql'), true);
+    assert.equal(isIgnored('dumps/2026-10.sql'), true);
+    assert.equal(isIgnored('log1.txt'), true);
+    assert.equal(isIgnored('log10.txt'), false);
+    assert.equal(isIgnored('b.bin'), true);
+    assert.equal(isIgnored('c.bin'), false);
+    assert.equal(isIgnored('app.snap'), true);
+    assert.equal(isIgnored('test/keep.snap'), false);
+  });
+
+  it('cannot re-include a file inside an ignored directory', () => {
+    const isIgnored = createIgnoreMatcher('vendor/\n!vendor/patched.js\n');
+    assert.equal(isIgnored('vendor/patched.js'), true);
+  });
+
+  it('skips malformed patterns and keeps the rest', () => {
+    const isIgnored = createIgnoreMatcher('data/[z-a].csv\n*.snap\n');
+    assert.equal(isIgnored('data/m.csv'), false);
+    assert.equal(isIgnored('app.snap'), true);
+  });
+});
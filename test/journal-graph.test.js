@@ -0,0 +1,101 @@
+/**
+ * Journal Graph tests - fake chat model injected with setModel
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateJournalSections, setModel, resetModel } from '../src/generators/journal-graph.js';
+import { createJournalModel, PROMPT_MARKERS } from './helpers/fake-model.js';
+
+const context = {
+  commit: {
+    hash: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+    shortHash: 'a1b2c3d',
+    author: 'Test Author',
+    message: 'Handle empty input',
+    diff: '+export const parse = (s) => (s ? [s] : []);',
+  },
+  chat: {
+    messages: [
+      { type: 'user', timestamp: '2026-10-19T09:10:00Z', content: 'Empty files should just produce nothing.' },
+    ],
+  },
+};
+
+const allSections = { summary: true, dialogue: true, technicalDecisions: true };
+
+describe('generateJournalSections', () => {
+  afterEach(() => resetModel());
+
+  it('returns each node’s model output', async () => {
+    const model = createJournalModel();
+    setModel(model);
+
+    const result = await generateJournalSections(context, { sections: allSections });
+
+    assert.equal(result.summary, 'Fixed the parser so empty input no longer crashes.');
+    assert.equal(result.technicalDecisions, '- Made: return an empty AST for empty input');
+    assert.equal(result.dialogue, 'Human: "Empty files should just produce nothing."');
+    assert.deepEqual(result.errors, []);
+    assert.equal(model.prompts.length, 3);
+  });
+
+  it('feeds the summary and conversation into the dialogue prompt', async () => {
+    const model = createJournalModel();
+    setModel(model);
+
+    await generateJournalSections(context, { sections: allSections });
+
+    const dialoguePrompt = model.prompts.find((prompt) => prompt.includes(PROMPT_MARKERS.dialogue));
+    assert.match(dialoguePrompt, /The summary of this work is: Fixed the parser/);
+    assert.match(dialoguePrompt, /Empty files should just produce nothing\./);
+  });
+
+  it('gives the summary and decisions prompts the branch, tags, co-authors and files', async () => {
+    const model = createJournalModel();
+    setModel(model);
+    const detailed = {
+      ...context,
+      commit: {
+        ...context.commit,
+        branch: 'fix/empty-input',
+        tags: ['v1.0.1'],
+        coAuthors: [{ name: 'Pair Partner', email: 'pair@example.com' }],
+        files: [
+          { path: 'src/parse.js', insertions: 1, deletions: 0, previousPath: 'src/parser.js' },
+          { path: 'docs/flow.png', insertions: null, deletions: null, binary: true },
+        ],
+      },
+    };
+
+    await generateJournalSections(detailed, { sections: allSections });
+
+    for (const marker of [PROMPT_MARKERS.summary, PROMPT_MARKERS.technicalDecisions]) {
+      const prompt = model.prompts.find((text) => text.includes(marker));
+      assert.ok(prompt.includes('**Co-authors**: Pair Partner\n**Branch**: fix/empty-input\n**Tags**: v1.0.1\n'));
+      assert.match(prompt, /- src\/parser\.js → src\/parse\.js \(\+1 -0\)\n- docs\/flow\.png \(binary\)/);
+    }
+  });
+
+  it('skips disabled sections without calling the model', async () => {
+    const model = createJournalModel();
+    setModel(model);
+
+    const result = await generateJournalSections(context, {
+      sections: { ...allSections, dialogue: false, technicalDecisions: false },
+    });
+
+    assert.equal(result.dialogue, null);
+    assert.equal(result.technicalDecisions, null);
+    assert.equal(model.prompts.length, 1);
+  });
+
+  it('records node failures instead of throwing', async () => {
+    setModel(createJournalModel({ technicalDecisions: new Error('rate limited') }));
+
+    const result = await generateJournalSections(context, { sections: allSections });
+
+    assert.equal(result.technicalDecisions, '[Technical decisions extraction failed]');
+    assert.deepEqual(result.errors, ['Technical decisions extraction failed: rate limited']);
+  });
+});
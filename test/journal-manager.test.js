@@ -0,0 +1,261 @@
+/**
+ * Journal Manager tests - entry formatting (golden files) and write policies
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createTestDir } from './helpers/test-env.js';
+import {
+  formatJournalEntry,
+  parseEntriesFile,
+  parseEntryMetadata,
+  buildEntryMetadata,
+  saveJournalEntry,
+  hasJournalEntry,
+  getJournaledHashes,
+  readJournal,
+  rewriteJournalEntry,
+} from '../src/managers/journal-manager.js';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+
+/**
+ * Compare output against a golden file (UPDATE_GOLDEN=1 rewrites it)
+ * @param {string} name - Golden file name
+ * @param {string} actual - Produced content
+ */
+async function assertGolden(name, actual) {
+  const goldenPath = join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    await writeFile(goldenPath, actual);
+  }
+  assert.equal(actual, await readFile(goldenPath, 'utf-8'));
+}
+
+const commit = {
+  hash: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+  shortHash: 'a1b2c3d',
+  author: 'Test Author',
+  timestamp: new Date('2026-10-19T14:05:09Z'),
+};
+
+const sections = {
+  summary: 'Fixed the parser so empty input no longer crashes.',
+  dialogue: 'Human: "Empty files should just produce nothing."',
+  technicalDecisions: '- Made: return an empty AST for empty input',
+};
+
+describe('formatJournalEntry', () => {
+  it('matches the golden entry', async () => {
+    const reflections = [
+      { timestamp: new Date('2026-10-19T13:30:00Z'), content: 'The lexer needs the same treatment.' },
+    ];
+    await assertGolden('entry-full.md', formatJournalEntry(sections, { ...commit, filesChanged: 3 }, reflections));
+  });
+
+  it('omits disabled sections and marks versions', async () => {
+    const partial = { ...sections, dialogue: null, technicalDecisions: '' };
+    await assertGolden('entry-partial-v2.md', formatJournalEntry(partial, commit, [], { version: 2 }));
+  });
+
+  it('round-trips through parseEntriesFile', () => {
+    const [entry] = parseEntriesFile(formatJournalEntry(sections, commit));
+    assert.equal(entry.hash, commit.hash);
+    assert.equal(entry.shortHash, commit.shortHash);
+    assert.equal(entry.version, 1);
+  });
+});
+
+describe('entry metadata', () => {
+  const context = {
+    commit: {
+      ...commit,
+      message: 'Fix parser\n\nHandles empty input.',
+      branch: 'main',
+      tags: ['v1.2.0'],
+      coAuthors: [{ name: 'Pair Partner', email: 'pair@example.com' }],
+      trailers: [{ key: 'Fixes', value: '#12' }],
+      files: [{ path: 'src/parser.js', insertions: 4, deletions: 1 }],
+      filesChanged: 1,
+      insertions: 4,
+      deletions: 1,
+    },
+    chat: {
+      messages: [
+        { sessionId: 's1', content: 'a' },
+        { sessionId: 's1', content: 'b' },
+        { sessionId: 's2', content: 'c' },
+      ],
+    },
+    metadata: {
+      chatSources: { claude: 3 },
+      tokenEstimate: 1234,
+      sensitiveDataFilter: {
+        diffRedactions: 1,
+        messageRedactions: 0,
+        chatRedactions: 1,
+        totalRedactions: 2,
+        redactionsByType: { email: 1 },
+      },
+    },
+  };
+  const model = { provider: 'anthropic', model: 'claude-test' };
+
+  it('collects commit, chat and generation details', () => {
+    const metadata = buildEntryMetadata(context, model);
+
+    assert.equal(metadata.subject, 'Fix parser');
+    assert.equal(metadata.timestamp, '2026-10-19T14:05:09.000Z');
+    assert.deepEqual(metadata.sessionIds, ['s1', 's2']);
+    assert.deepEqual(metadata.redactions, { total: 2, diff: 1, message: 0, chat: 1, byType: { email: 1 } });
+    assert.deepEqual(metadata.model, { provider: 'anthropic', name: 'claude-test' });
+  });
+
+  it('matches the golden entry', async () => {
+    const metadata = buildEntryMetadata(context, model);
+    await assertGolden('entry-metadata.md', formatJournalEntry(sections, context.commit, [], { metadata }));
+  });
+
+  it('round-trips through parseEntriesFile with the entry version', () => {
+    const metadata = buildEntryMetadata(
+      { ...context, commit: { ...context.commit, message: 'Stop at --> markers' } },
+      model
+    );
+    const text = formatJournalEntry(sections, context.commit, [], { metadata, version: 3 });
+    const [entry] = parseEntriesFile(text);
+
+    assert.deepEqual(entry.metadata, { ...metadata, version: 3 });
+    assert.equal(entry.metadata.subject, 'Stop at --> markers');
+  });
+
+  it('is null for entries written without metadata', () => {
+    assert.equal(parseEntryMetadata(formatJournalEntry(sections, commit)), null);
+  });
+});
+
+describe('saveJournalEntry write policies', () => {
+  let baseDir;
+  let cleanup;
+
+  before(async () => {
+    ({ dir: baseDir, cleanup } = await createTestDir('journal'));
+  });
+
+  after(async () => {
+    await cleanup();
+  });
+
+  it('writes once and skips by default', async () => {
+    const path = await saveJournalEntry(sections, commit, [], baseDir);
+    await saveJournalEntry({ ...sections, summary: 'second' }, commit, [], baseDir);
+
+    const entries = parseEntriesFile(await readFile(path, 'utf-8'));
+    assert.equal(entries.length, 1);
+    assert.ok(!entries[0].text.includes('second'));
+    assert.equal(await hasJournalEntry(commit, baseDir), true);
+  });
+
+  it('appends numbered versions', async () => {
+    const path = await saveJournalEntry(sections, commit, [], baseDir, { policy: 'append-version' });
+    const versions = parseEntriesFile(await readFile(path, 'utf-8')).map((entry) => entry.version);
+    assert.deepEqual(versions, [1, 2]);
+  });
+
+  it('replaces all versions in place', async () => {
+    const path = await saveJournalEntry({ ...sections, summary: 'rewritten' }, commit, [], baseDir, {
+      policy: 'replace',
+    });
+    const entries = parseEntriesFile(await readFile(path, 'utf-8'));
+    assert.equal(entries.length, 1);
+    assert.ok(entries[0].text.includes('rewritten'));
+    assert.deepEqual([...(await getJournaledHashes(baseDir))], [commit.hash]);
+  });
+
+  it('rejects unknown policies', async () => {
+    await assert.rejects(saveJournalEntry(sections, commit, [], baseDir, { policy: 'merge' }), /Unknown write policy/);
+  });
+
+  it('moves entries between day files in both directions at once', { timeout: 5000 }, async () => {
+    const monday = { hash: 'c'.repeat(40), shortHash: 'ccccccc', timestamp: new Date('2026-10-12T10:00:00Z') };
+    const tuesday = { hash: 'd'.repeat(40), shortHash: 'ddddddd', timestamp: new Date('2026-10-13T10:00:00Z') };
+    await saveJournalEntry(sections, { ...commit, ...monday }, [], baseDir);
+    await saveJournalEntry(sections, { ...commit, ...tuesday }, [], baseDir);
+
+    // Each rewrite gives its commit the other's date
+    const paths = await Promise.all([
+      rewriteJournalEntry(monday, { ...monday, hash: 'e'.repeat(40), timestamp: tuesday.timestamp }, baseDir),
+      rewriteJournalEntry(tuesday, { ...tuesday, hash: 'f'.repeat(40), timestamp: monday.timestamp }, baseDir),
+    ]);
+
+    assert.deepEqual(paths.map((path) => basename(path)), ['2026-10-13.md', '2026-10-12.md']);
+    const hashes = (await readJournal({ from: '2026-10-12', to: '2026-10-13' }, baseDir)).map((entry) => entry.hash);
+    assert.deepEqual(hashes.sort(), ['e'.repeat(40), 'f'.repeat(40)]);
+  });
+});
+
+describe('readJournal', () => {
+  let baseDir;
+  let cleanup;
+  const other = {
+    hash: 'ffee0011223344556677889900aabbccddeeff00',
+    shortHash: 'ffee001',
+    author: 'Other Person',
+    timestamp: new Date('2026-11-02T09:00:00Z'),
+  };
+
+  before(async () => {
+    ({ dir: baseDir, cleanup } = await createTestDir('read'));
+
+    const reflections = [{ timestamp: new Date('2026-10-19T13:30:00Z'), content: 'The lexer needs the same treatment.' }];
+    await saveJournalEntry(sections, commit, reflections, baseDir);
+    await saveJournalEntry({ ...sections, summary: 'Second take.' }, commit, [], baseDir, {
+      policy: 'append-version',
+    });
+    const metadata = buildEntryMetadata(
+      { commit: { ...other, message: 'Tidy', branch: 'feature/lexer' }, chat: { messages: [] }, metadata: {} },
+      { provider: 'anthropic', model: 'claude-test' }
+    );
+    await saveJournalEntry({ ...sections, dialogue: null, technicalDecisions: '' }, other, [], baseDir, { metadata });
+  });
+
+  after(async () => {
+    await cleanup();
+  });
+
+  it('parses sections, reflections and commit details', async () => {
+    const [first, second] = await readJournal({}, baseDir);
+
+    assert.equal(first.hash, commit.hash);
+    assert.equal(first.version, 2);
+    assert.equal(first.timestamp.toISOString(), '2026-10-19T14:05:09.000Z');
+    assert.equal(first.author, 'Test Author');
+    assert.equal(first.sections.summary, 'Second take.');
+
+    assert.equal(second.branch, 'feature/lexer');
+    assert.equal(second.sections.dialogue, null);
+    assert.equal(second.sections.technicalDecisions, '');
+    assert.equal(second.metadata.model.name, 'claude-test');
+  });
+
+  it('keeps older versions on request', async () => {
+    const versions = await readJournal({ hash: commit.shortHash, allVersions: true }, baseDir);
+    assert.deepEqual(versions.map((entry) => entry.version), [1, 2]);
+    assert.equal(versions[0].reflections[0].content, 'The lexer needs the same treatment.');
+    assert.equal(versions[0].reflections[0].timestamp.toISOString(), '2026-10-19T13:30:00.000Z');
+  });
+
+  it('filters by date, author, hash and branch', async () => {
+    const hashesFor = async (query) => (await readJournal(query, baseDir)).map((entry) => entry.hash);
+
+    assert.deepEqual(await hashesFor({ from: '2026-11-01' }), [other.hash]);
+    assert.deepEqual(await hashesFor({ to: '2026-10-19' }), [commit.hash]);
+    assert.deepEqual(await hashesFor({ from: new Date('2026-10-19T15:00:00Z') }), [other.hash]);
+    assert.deepEqual(await hashesFor({ author: 'other' }), [other.hash]);
+    assert.deepEqual(await hashesFor({ hash: 'a1b2' }), [commit.hash]);
+    assert.deepEqual(await hashesFor({ branch: 'feature/lexer' }), [other.hash]);
+    await assert.rejects(readJournal({ from: 'last week' }, baseDir), /Invalid date/);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * JSONL export/import tests - records round-trip back into identical day files
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createTestDir } from './helpers/test-env.js';
+import {
+  saveJournalEntry,
+  readJournal,
+  readJournalNotes,
+  WRITE_POLICY_APPEND_VERSION,
+} from '../src/managers/journal-manager.js';
+import { exportJsonl, importJsonl, parseJsonl } from '../src/exporters/jsonl-exporter.js';
+
+describe('JSONL export and import', () => {
+  let sourceDir;
+  let cleanup;
+  let targetDir;
+  const hash = 'a'.repeat(40);
+  const entryFile = 'journal/entries/2026-10/2026-10-13.md';
+
+  before(async () => {
+    ({ dir: sourceDir, cleanup } = await createTestDir('jsonl'));
+    targetDir = await mkdtemp(join(tmpdir(), 'commit-story-jsonl-'));
+
+    const commit = {
+      hash,
+      shortHash: 'aaaaaaa',
+      author: 'Test Author',
+      timestamp: new Date('2026-10-13T10:00:00Z'),
+      filesChanged: 1,
+      coAuthors: [{ name: 'Pair Partner' }],
+      tags: ['v1.2.0'],
+    };
+    const reflections = [{ timestamp: new Date('2026-10-13T09:30:00Z'), content: 'Parser first.' }];
+    const metadata = { hash, branch: 'main', files: [{ path: 'src/parser.js', insertions: 1, deletions: 0 }] };
+    await saveJournalEntry(
+      { summary: 'Fixed the parser.', dialogue: '', technicalDecisions: null },
+      commit,
+      reflections,
+      sourceDir,
+      { metadata }
+    );
+    await saveJournalEntry(
+      { summary: 'Fixed the parser, take two.', dialogue: '', technicalDecisions: null },
+      commit,
+      [],
+      sourceDir,
+      { policy: WRITE_POLICY_APPEND_VERSION, metadata }
+    );
+
+    await mkdir(join(sourceDir, 'journal/context/2026-10'), { recursive: true });
+    await writeFile(
+      join(sourceDir, 'journal/context/2026-10/2026-10-14.md'),
+      '## 4:00:00 PM UTC - Context Capture\n\nParser work is done; lexer next.\n\n═══════════════════════════════════════\n\n'
+    );
+  });
+
+  after(async () => {
+    await cleanup();
+    await rm(targetDir, { recursive: true, force: true });
+  });
+
+  it('exports one record per entry version and note', async () => {
+    const { content, counts } = await exportJsonl(sourceDir);
+    const records = content.trim().split('\n').map((line) => JSON.parse(line));
+
+    assert.deepEqual(counts, { entries: 2, reflections: 0, context: 1 });
+    assert.deepEqual(
+      records.map((record) => [record.type, record.version]),
+      [
+        ['entry', 1],
+        ['entry', 2],
+        ['context', undefined],
+      ]
+    );
+    assert.equal(records[0].timestamp, '2026-10-13T10:00:00.000Z');
+    assert.equal(records[0].metadata.branch, 'main');
+    assert.deepEqual(records[0].reflections, [{ timestamp: '2026-10-13T09:30:00.000Z', content: 'Parser first.' }]);
+    assert.deepEqual(records[2], {
+      type: 'context',
+      timestamp: '2026-10-14T16:00:00.000Z',
+      title: 'Context Capture',
+      content: 'Parser work is done; lexer next.',
+    });
+  });
+
+  it('rebuilds identical day files in another journal', async () => {
+    const { content } = await exportJsonl(sourceDir);
+    const result = await importJsonl(content, targetDir);
+
+    assert.deepEqual(result, { entries: 2, reflections: 0, context: 1, skipped: 0 });
+    assert.equal(
+      await readFile(join(targetDir, entryFile), 'utf-8'),
+      await readFile(join(sourceDir, entryFile), 'utf-8')
+    );
+    const notes = await readJournalNotes('context', targetDir);
+    assert.equal(notes[0].content, 'Parser work is done; lexer next.');
+
+    const [entry] = await readJournal({}, targetDir);
+    assert.deepEqual(entry.coAuthors, ['Pair Partner']);
+    assert.deepEqual(entry.tags, ['v1.2.0']);
+    const day = await readFile(join(targetDir, entryFile), 'utf-8');
+    assert.match(day, /- \*\*Co-authors\*\*: Pair Partner\n- \*\*Tags\*\*: v1\.2\.0/);
+  });
+
+  it('skips records the journal already holds', async () => {
+    const { content } = await exportJsonl(sourceDir);
+    const result = await importJsonl(content, targetDir);
+
+    assert.deepEqual(result, { entries: 0, reflections: 0, context: 0, skipped: 3 });
+    const entries = await readJournal({ allVersions: true }, targetDir);
+    assert.equal(entries.length, 2);
+  });
+
+  it('rejects invalid records before writing anything', async () => {
+    const lines = '{"type":"context","timestamp":"2026-10-20T10:00:00Z","content":"ok"}\n{"type":"entry"}\n';
+
+    assert.throws(() => parseJsonl(lines), /line 2: missing or invalid timestamp/);
+    await assert.rejects(importJsonl(lines, targetDir), /line 2/);
+    assert.equal((await readJournalNotes('context', targetDir)).length, 1);
+  });
+
+  it('rejects records with a null timestamp and drops reflections without one', () => {
+    assert.throws(() => parseJsonl('{"type":"context","timestamp":null,"content":"x"}\n'), /line 1: missing/);
+
+    const entry = { type: 'entry', hash, timestamp: '2026-10-13T10:00:00Z', sections: {} };
+    const reflections = [
+      { timestamp: null, content: 'When?' },
+      { timestamp: '2026-10-13T09:30:00Z', content: 'Parser first.' },
+    ];
+    const [record] = parseJsonl(JSON.stringify({ ...entry, reflections }));
+    assert.deepEqual(record.reflections.map((reflection) => reflection.content), ['Parser first.']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * JSONL index tests - streamed lines, time-ranged blocks and incremental updates
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, stat, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createTestDir } from './helpers/test-env.js';
+import { loadIndex, saveIndex, readLines, updateFileIndex, selectBlocks } from '../src/collectors/jsonl-index.js';
+import { parseJSONLFile } from '../src/collectors/claude-collector.js';
+
+/**
+ * Build JSONL lines for one hour of a day, padded so blocks fill up
+ * @param {number} hour - Hour (UTC) on 2026-10-19
+ * @param {number} count - Number of records
+ * @returns {string} JSONL text
+ */
+function hourOfRecords(hour, count) {
+  const lines = Array.from({ length: count }, (_, i) => {
+    const timestamp = new Date(Date.UTC(2026, 9, 19, hour, 0, i % 60)).toISOString();
+    return JSON.stringify({ uuid: `${hour}-${i}`, sessionId: 's1', type: 'user', timestamp, pad: 'x'.repeat(400) });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+describe('jsonl index', () => {
+  let home;
+  let file;
+  let indexPath;
+
+  before(async () => {
+    home = await createTestDir('jsonl-index');
+    file = join(home.dir, 'session.jsonl');
+    indexPath = join(home.dir, 'index.json');
+    // ~600 records per hour ≈ 270 KB, so each hour spills into its own block
+    await writeFile(file, hourOfRecords(8, 600) + hourOfRecords(10, 600) + hourOfRecords(12, 600));
+  });
+
+  after(() => home.cleanup());
+
+  it('streams lines with contiguous byte offsets', async () => {
+    let count = 0;
+    let previousEnd = 0;
+    for await (const { start, end } of readLines(file)) {
+      assert.equal(start, previousEnd);
+      previousEnd = end;
+      count++;
+    }
+    assert.equal(count, 1800);
+    assert.equal(previousEnd, (await stat(file)).size);
+  });
+
+  it('reads only the blocks that meet the window', async () => {
+    const index = await loadIndex(indexPath);
+    const entry = await updateFileIndex(index, file, await stat(file));
+    const blocks = selectBlocks(entry, new Date('2026-10-19T09:30:00Z'), new Date('2026-10-19T10:30:00Z'));
+    assert.ok(blocks.length < entry.blocks.length);
+
+    const records = [];
+    for (const block of blocks) {
+      records.push(...(await parseJSONLFile(file, block)));
+    }
+    assert.equal(records.filter((record) => record.timestamp.startsWith('2026-10-19T10:')).length, 600);
+    assert.ok(records.length < 1800);
+
+    await saveIndex(indexPath, index);
+  });
+
+  it('indexes appended lines without rereading the file', async () => {
+    const index = await loadIndex(indexPath);
+    const before = index.files[file].blocks.length;
+    await appendFile(file, hourOfRecords(14, 10));
+
+    const entry = await updateFileIndex(index, file, await stat(file));
+    assert.equal(entry.blocks.length, before + 1);
+    assert.equal(entry.indexedBytes, entry.size);
+    assert.equal(selectBlocks(entry, new Date('2026-10-19T13:00:00Z'), new Date('2026-10-19T15:00:00Z')).length, 1);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Pipeline tests - fixture repo + fake Claude sessions + fake model, end to end
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createTestRepo } from './helpers/test-env.js';
+import { createClaudeProjects, claudeRecord } from './helpers/claude-projects.js';
+import { createJournalModel } from './helpers/fake-model.js';
+import {
+  processCommit,
+  SKIP_ALREADY_JOURNALED,
+  SKIP_JOURNAL_ONLY,
+} from '../src/pipeline/process-commit.js';
+import { parseEntriesFile } from '../src/managers/journal-manager.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('processCommit', () => {
+  let repo;
+  let claude;
+  let model;
+  const hashes = {};
+
+  before(async () => {
+    claude = await createClaudeProjects();
+    repo = await createTestRepo({ homeDir: claude.configDir });
+
+    model = createJournalModel();
+    setModel(model);
+
+    hashes.first = await repo.commit('Add parser', { 'src/parser.js': 'export {};\n' }, '2026-10-19T08:00:00Z');
+    hashes.second = await repo.commit(
+      'Handle empty input',
+      { 'src/parser.js': 'export const parse = (s) => (s ? [s] : []);\n' },
+      '2026-10-19T10:00:00Z'
+    );
+
+    await claude.writeSession(repo.dir, 'session', [
+      claudeRecord({
+        type: 'user',
+        text: 'Empty files should just produce nothing.',
+        timestamp: '2026-10-19T09:30:00Z',
+        cwd: repo.dir,
+      }),
+    ]);
+  });
+
+  after(async () => {
+    resetModel();
+    await repo.cleanup();
+    await claude.cleanup();
+  });
+
+  it('writes an entry from the diff and the conversation', async () => {
+    const result = await processCommit(hashes.second);
+
+    assert.equal(result.status, 'saved');
+    assert.match(result.path, /journal\/entries\/2026-10\/2026-10-19\.md$/);
+
+    const content = await readFile(result.path, 'utf-8');
+    assert.match(content, /^## 10:00:00 AM UTC - Commit: [0-9a-f]{7}$/m);
+    assert.match(content, /Fixed the parser so empty input no longer crashes\./);
+    assert.match(content, new RegExp(`- \\*\\*Hash\\*\\*: ${hashes.second}`));
+
+    const [entry] = parseEntriesFile(content);
+    assert.equal(entry.metadata.hash, hashes.second);
+    assert.equal(entry.metadata.branch, 'main');
+    assert.equal(entry.metadata.filesChanged, 1);
+    assert.equal(entry.metadata.sessionIds.length, 1);
+    assert.equal(entry.metadata.chatSources.claude, 1);
+
+    assert.ok(model.prompts.some((prompt) => prompt.includes('Empty files should just produce nothing.')));
+    assert.ok(model.prompts.some((prompt) => prompt.includes('+export const parse')));
+  });
+
+  it('skips a commit that already has an entry', async () => {
+    const result = await processCommit(hashes.second);
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.reason, SKIP_ALREADY_JOURNALED);
+  });
+
+  it('skips commits that only touch journal entries', async () => {
+    await repo.commit('Journal', { 'journal/entries/2026-10/2026-10-19.md': '## note\n' }, '2026-10-19T11:00:00Z');
+    const result = await processCommit('HEAD');
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.reason, SKIP_JOURNAL_ONLY);
+  });
+
+  it('redacts secrets in trailers and co-authors', async () => {
+    const token = `ghp_${'a1B2'.repeat(9)}`;
+    const hash = await repo.commit(
+      `Add lexer\n\nRefs: ${token}\nCo-authored-by: ${token} <bot@example.com>`,
+      { 'src/lexer.js': 'export {};\n' },
+      '2026-10-19T12:00:00Z'
+    );
+
+    const result = await processCommit(hash);
+    const content = await readFile(result.path, 'utf-8');
+    const entry = parseEntriesFile(content).find((parsed) => parsed.hash === hash);
+
+    assert.ok(!content.includes(token));
+    assert.ok(!model.prompts.some((prompt) => prompt.includes(token)));
+    assert.deepEqual(entry.metadata.coAuthors, ['[REDACTED]']);
+    assert.deepEqual(entry.metadata.trailers, [{ key: 'Refs', value: '[REDACTED]' }]);
+    assert.equal(entry.metadata.redactions.message, 4);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Retry queue tests - failed generations are queued and drained later
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createTestRepo } from './helpers/test-env.js';
+import { createJournalModel } from './helpers/fake-model.js';
+import { processCommit } from '../src/pipeline/process-commit.js';
+import { runRetry } from '../src/pipeline/retry.js';
+import { listQueue, enqueueCommit, claimQueuedCommits, dequeueCommit } from '../src/pipeline/retry-queue.js';
+import { parseEntriesFile } from '../src/managers/journal-manager.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('retry queue', () => {
+  let repo;
+  let hash;
+
+  before(async () => {
+    repo = await createTestRepo();
+
+    hash = await repo.commit('Add parser', { 'src/parser.js': 'export {};\n' }, '2026-10-19T08:00:00Z');
+  });
+
+  after(async () => {
+    resetModel();
+    await repo.cleanup();
+  });
+
+  it('queues a commit saved with failed sections, keeping the reasons', async () => {
+    setModel(createJournalModel({ summary: new Error('connect ECONNREFUSED') }));
+    const result = await processCommit(hash);
+
+    assert.equal(result.status, 'saved');
+    const queue = await listQueue();
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].hash, hash);
+    assert.equal(queue[0].attempts, 1);
+    assert.deepEqual(queue[0].errors, ['Summary generation failed: connect ECONNREFUSED']);
+  });
+
+  it('regenerates queued entries in place and empties the queue', async () => {
+    setModel(createJournalModel());
+    const summary = await runRetry({ log: () => {} });
+
+    assert.deepEqual(summary, { saved: [hash], failed: [], dropped: [] });
+    assert.deepEqual(await listQueue(), []);
+
+    const entries = parseEntriesFile(await readFile(`${repo.dir}/journal/entries/2026-10/2026-10-19.md`, 'utf-8'));
+    assert.equal(entries.length, 1);
+    assert.match(entries[0].text, /Fixed the parser so empty input no longer crashes\./);
+  });
+
+  it('counts attempts and leaves commits that failed too often to manual retries', async () => {
+    const commit = { hash, shortHash: hash.slice(0, 7) };
+    await enqueueCommit(commit, ['first']);
+    await enqueueCommit(commit, ['second']);
+
+    assert.deepEqual(await claimQueuedCommits({ maxAttempts: 2 }), []);
+    assert.deepEqual(await claimQueuedCommits({ exclude: [hash] }), []);
+
+    const [claimed] = await claimQueuedCommits();
+    assert.equal(claimed.attempts, 2);
+    assert.deepEqual(claimed.errors, ['second']);
+    // Claimed by this run - a concurrent run doesn't pick it up again
+    assert.deepEqual(await claimQueuedCommits(), []);
+
+    assert.equal((await dequeueCommit(hash.slice(0, 7))).hash, hash);
+  });
+
+  it('drops queued commits that no longer exist', async () => {
+    const gone = 'f'.repeat(40);
+    await enqueueCommit({ hash: gone, shortHash: 'fffffff' }, ['offline']);
+
+    const summary = await runRetry({ log: () => {} });
+    assert.deepEqual(summary.dropped, [gone]);
+    assert.deepEqual(await listQueue(), []);
+  });
+});
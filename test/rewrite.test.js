@@ -0,0 +1,156 @@
+/**
+ * Rewrite tests - entries follow amended and rebased commits
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import { createTestRepo } from './helpers/test-env.js';
+import { createJournalModel } from './helpers/fake-model.js';
+import { processCommit } from '../src/pipeline/process-commit.js';
+import { parseRewriteMapping, runRewrite, findCherryPickSource } from '../src/pipeline/rewrite.js';
+import { enqueueCommit, listQueue, dequeueCommit } from '../src/pipeline/retry-queue.js';
+import { parseEntriesFile } from '../src/managers/journal-manager.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('rewrite', () => {
+  let repo;
+  const dayFile = () => `${repo.dir}/journal/entries/2026-10/2026-10-19.md`;
+
+  /**
+   * Amend HEAD, keeping its author date
+   * @param {string[]} args - Extra `git commit` arguments
+   * @returns {string} New HEAD hash
+   */
+  function amend(...args) {
+    execFileSync('git', ['commit', '-q', '--amend', ...args], {
+      cwd: repo.dir,
+      env: { ...process.env, GIT_COMMITTER_DATE: '2026-10-19T09:30:00Z' },
+      stdio: 'ignore',
+    });
+    return repo.git('rev-parse', 'HEAD');
+  }
+
+  before(async () => {
+    repo = await createTestRepo();
+
+    // Untracked, so the journal stays put when switching branches
+    await writeFile(`${repo.dir}/.git/info/exclude`, 'journal/\n');
+    await repo.commit('Initial commit', { 'README.md': '# Fixture\n' }, '2026-10-19T07:00:00Z');
+  });
+
+  after(async () => {
+    resetModel();
+    await repo.cleanup();
+  });
+
+  it('parses the mapping git passes to post-rewrite', () => {
+    const from = 'a'.repeat(40);
+    const to = 'b'.repeat(40);
+    assert.deepEqual(parseRewriteMapping(`${from} ${to}\n${from} ${to} extra\n\nnot a mapping\n`), [
+      { from, to },
+      { from, to },
+    ]);
+  });
+
+  it('moves the entry of a reworded commit without regenerating it', async () => {
+    const model = createJournalModel();
+    setModel(model);
+    const from = await repo.commit('Add parser', { 'src/parser.js': 'export {};\n' }, '2026-10-19T08:00:00Z');
+    await processCommit(from);
+    await enqueueCommit({ hash: from, shortHash: from.slice(0, 7) }, ['offline']);
+    const calls = model.prompts.length;
+
+    const to = amend('-m', 'Add the parser');
+    const summary = await runRewrite([{ from, to }], { type: 'amend', log: () => {} });
+
+    assert.deepEqual(summary, { moved: [to], regenerated: [], failed: [] });
+    assert.equal(model.prompts.length, calls);
+
+    const [entry] = parseEntriesFile(await readFile(dayFile(), 'utf-8'));
+    assert.equal(entry.hash, to);
+    assert.match(entry.text, new RegExp(`^## 8:00:00 AM UTC - Commit: ${to.slice(0, 7)}$`, 'm'));
+    assert.equal(entry.metadata.hash, to);
+    assert.deepEqual(entry.metadata.rewrittenFrom, [from]);
+    assert.deepEqual(
+      (await listQueue()).map((item) => item.hash),
+      [to]
+    );
+    await dequeueCommit(to);
+  });
+
+  it('regenerates in place when the change itself differs', async () => {
+    setModel(createJournalModel({ summary: 'Parser now rejects empty input.' }));
+    const from = repo.git('rev-parse', 'HEAD');
+    await writeFile(`${repo.dir}/src/parser.js`, 'export const parse = () => {};\n');
+    const to = amend('-a', '--no-edit');
+
+    const summary = await runRewrite([{ from, to }], { type: 'amend', log: () => {} });
+    assert.deepEqual(summary, { moved: [], regenerated: [to], failed: [] });
+
+    const entries = parseEntriesFile(await readFile(dayFile(), 'utf-8'));
+    assert.deepEqual(
+      entries.map((entry) => entry.hash),
+      [to]
+    );
+    assert.match(entries[0].text, /Parser now rejects empty input\./);
+    assert.equal(entries[0].metadata.rewrittenFrom.at(-1), from);
+  });
+
+  it('leaves rebased commits that were never journaled alone', async () => {
+    const from = await repo.commit('Tweak docs', { 'README.md': '# Fixture!\n' }, '2026-10-19T10:00:00Z');
+    const to = amend('-m', 'Tweak the docs');
+
+    const summary = await runRewrite([{ from, to }], { type: 'rebase', log: () => {} });
+    assert.deepEqual(summary, { moved: [], regenerated: [], failed: [] });
+    assert.equal(parseEntriesFile(await readFile(dayFile(), 'utf-8')).length, 1);
+  });
+
+  it('regenerates commits squashed together once, over all of their windows', async () => {
+    setModel(createJournalModel());
+    const first = await repo.commit('Add lexer', { 'src/lexer.js': 'export {};\n' }, '2026-10-19T10:30:00Z');
+    const second = await repo.commit(
+      'Fix lexer',
+      { 'src/lexer.js': 'export const lex = () => [];\n' },
+      '2026-10-19T11:00:00Z'
+    );
+    await processCommit(first);
+    await processCommit(second);
+
+    const model = createJournalModel({ summary: 'Lexer landed in one piece.' });
+    setModel(model);
+    repo.git('reset', '-q', '--soft', 'HEAD~2');
+    const to = await repo.commit('Add lexer', {}, '2026-10-19T11:30:00Z');
+
+    const log = [];
+    const summary = await runRewrite(
+      [
+        { from: first, to },
+        { from: second, to },
+      ],
+      { type: 'rebase', log: (line) => log.push(line) }
+    );
+
+    assert.deepEqual(summary, { moved: [], regenerated: [to], failed: [] });
+    assert.equal(model.prompts.filter((prompt) => prompt.includes('Write your summary')).length, 1);
+    assert.match(log[0], /, .* squashed, entry regenerated$/);
+
+    const entries = parseEntriesFile(await readFile(dayFile(), 'utf-8'));
+    assert.deepEqual(
+      entries.filter((entry) => [first, second, to].includes(entry.hash)).map((entry) => entry.hash),
+      [to]
+    );
+    const entry = entries.find((parsed) => parsed.hash === to);
+    assert.match(entry.text, /Lexer landed in one piece\./);
+    assert.deepEqual(entry.metadata.rewrittenFrom, [first, second]);
+  });
+
+  it('finds the journaled original of a cherry-pick', async () => {
+    const original = repo.git('log', '-1', '--format=%H', '--grep=Add the parser');
+    repo.git('checkout', '-q', '-b', 'release', `${original}~1`);
+    repo.git('cherry-pick', original);
+
+    assert.equal(await findCherryPickSource('HEAD'), original);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Run log tests - per-run records in the git directory
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+import { createTestRepo } from './helpers/test-env.js';
+import { writeRunLog, readRunLogs, getRunLogDir, MAX_RUN_LOGS } from '../src/pipeline/run-log.js';
+
+/**
+ * Build a run record
+ * @param {number} second - Start second, orders the runs
+ * @param {object} fields - Overrides
+ * @returns {object} Run log record
+ */
+function runRecord(second, fields = {}) {
+  return {
+    startedAt: new Date(Date.UTC(2026, 9, 19, 10, 0, 0, second * 1000)).toISOString(),
+    durationMs: 1200,
+    pid: 4242,
+    args: [],
+    exitCode: 0,
+    status: 'saved',
+    commit: { hash: 'a'.repeat(40), shortHash: 'aaaaaaa' },
+    skipReason: null,
+    path: null,
+    tokenEstimate: 1000,
+    chat: { messages: 3, sessions: 1, sources: { claude: 3 } },
+    errors: [],
+    retried: null,
+    ...fields,
+  };
+}
+
+describe('run log', () => {
+  let repo;
+
+  before(async () => {
+    repo = await createTestRepo();
+  });
+
+  after(async () => {
+    await repo.cleanup();
+  });
+
+  it('writes one record per run in the git directory and reads them newest first', async () => {
+    const path = await writeRunLog(runRecord(1));
+    await writeRunLog(runRecord(2, { status: 'failed', exitCode: 1, errors: ['offline'] }));
+
+    assert.ok(path.startsWith(`${repo.dir}/.git/commit-story/logs/`));
+    const runs = await readRunLogs(5);
+    assert.deepEqual(
+      runs.map((run) => [run.status, run.errors]),
+      [
+        ['failed', ['offline']],
+        ['saved', []],
+      ]
+    );
+    assert.equal((await readRunLogs(1)).length, 1);
+  });
+
+  it('keeps only the newest runs', async () => {
+    for (let second = 3; second < MAX_RUN_LOGS + 5; second++) {
+      await writeRunLog(runRecord(second));
+    }
+
+    const names = await readdir(getRunLogDir());
+    assert.equal(names.length, MAX_RUN_LOGS);
+    assert.ok(!names.some((name) => name.startsWith('2026-10-19T10-00-01')));
+  });
+});
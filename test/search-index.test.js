@@ -0,0 +1,171 @@
+/**
+ * Search Index tests - indexing saved entries, ranking, filters and refresh
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createTestRepo } from './helpers/test-env.js';
+import { saveJournalEntry, buildEntryMetadata } from '../src/managers/journal-manager.js';
+import {
+  refreshSearchIndex,
+  indexDayFile,
+  searchIndex,
+  makeSnippet,
+  tokenize,
+} from '../src/managers/search-index.js';
+import { run as runSearch } from '../src/commands/search.js';
+import { EXIT_ERROR } from '../src/commands/exit-codes.js';
+
+/**
+ * Save an entry with metadata listing the files it touched
+ * @param {string} dir - Repository root
+ * @param {string} hash - Full commit hash
+ * @param {string} iso - Commit time
+ * @param {object} sections - Entry sections
+ * @param {string[]} files - Changed paths
+ * @returns {Promise<string>} Day file path
+ */
+function saveEntry(dir, hash, iso, sections, files) {
+  const commit = { hash, shortHash: hash.slice(0, 7), author: 'Test Author', timestamp: new Date(iso) };
+  const metadata = buildEntryMetadata(
+    {
+      commit: { ...commit, message: 'Change', files: files.map((path) => ({ path, insertions: 1, deletions: 0 })) },
+      chat: { messages: [] },
+      metadata: {},
+    },
+    { provider: 'anthropic', model: 'claude-test' }
+  );
+  return saveJournalEntry(sections, commit, [], dir, { metadata });
+}
+
+describe('search index', () => {
+  let repo;
+  const langgraph = 'a'.repeat(40);
+  const mention = 'b'.repeat(40);
+  const retry = 'c'.repeat(40);
+
+  before(async () => {
+    repo = await createTestRepo();
+
+    await saveEntry(
+      repo.dir,
+      langgraph,
+      '2026-09-02T10:00:00Z',
+      {
+        summary: 'Switched the generator to LangGraph so the three sections run in parallel.',
+        technicalDecisions: '- Made: LangGraph StateGraph over hand-rolled promises',
+        dialogue: '',
+      },
+      ['src/generators/journal-graph.js']
+    );
+    await saveEntry(
+      repo.dir,
+      mention,
+      '2026-09-20T10:00:00Z',
+      {
+        summary: 'Tidied up the README.',
+        technicalDecisions: '',
+        dialogue: 'Human: "Should the README mention LangGraph?"',
+      },
+      ['README.md']
+    );
+    await saveEntry(
+      repo.dir,
+      retry,
+      '2026-10-05T10:00:00Z',
+      {
+        summary: 'Added retries around provider calls.',
+        technicalDecisions: '- Made: exponential backoff with jitter',
+        dialogue: '',
+      },
+      ['src/generators/providers/index.js']
+    );
+  });
+
+  after(async () => {
+    await repo.cleanup();
+  });
+
+  it('tokenizes without stop words or punctuation', () => {
+    assert.deepEqual(tokenize('Switch to LangGraph, and the StateGraph!'), ['switch', 'langgraph', 'stategraph']);
+  });
+
+  it('ranks entries by relevance', async () => {
+    const index = await refreshSearchIndex(repo.dir);
+    const results = searchIndex(index, 'switch to langgraph');
+
+    assert.deepEqual(results.map((result) => result.hash), [langgraph, mention]);
+    assert.equal(results[0].sections[0], 'summary');
+  });
+
+  it('filters by section, date and touched path', async () => {
+    const index = await refreshSearchIndex(repo.dir);
+    const hashesFor = (query, filters) => searchIndex(index, query, filters).map((result) => result.hash);
+
+    assert.deepEqual(hashesFor('langgraph', { section: 'dialogue' }), [mention]);
+    assert.deepEqual(hashesFor('langgraph', { from: new Date('2026-09-10T00:00:00Z') }), [mention]);
+    assert.deepEqual(hashesFor('langgraph', { to: new Date('2026-09-10T00:00:00Z') }), [langgraph]);
+    assert.deepEqual(hashesFor('made', { path: 'src/generators' }).sort(), [langgraph, retry]);
+    assert.deepEqual(hashesFor('made', { path: 'src/generators/providers/index.js' }), [retry]);
+    assert.throws(() => searchIndex(index, 'x', { section: 'title' }), /Unknown section/);
+  });
+
+  it('picks up entries saved or edited after the index was built', async () => {
+    const later = 'd'.repeat(40);
+    const path = await saveEntry(
+      repo.dir,
+      later,
+      '2026-10-05T12:00:00Z',
+      { summary: 'Moved telemetry setup behind a flag.', technicalDecisions: '', dialogue: '' },
+      []
+    );
+    await indexDayFile(path, repo.dir);
+    let index = await refreshSearchIndex(repo.dir);
+    assert.deepEqual(searchIndex(index, 'telemetry').map((result) => result.hash), [later]);
+
+    // Hand edit without going through the pipeline
+    const content = await readFile(path, 'utf-8');
+    await writeFile(path, content.replace('behind a flag', 'behind a kubernetes flag'));
+    index = await refreshSearchIndex(repo.dir);
+    assert.equal(searchIndex(index, 'kubernetes').length, 1);
+  });
+
+  it('indexes terms named like Object.prototype members', async () => {
+    const hash = 'e'.repeat(40);
+    const summary = 'The constructor now validates input before toString is called.';
+    const path = await saveEntry(
+      repo.dir,
+      hash,
+      '2026-10-06T10:00:00Z',
+      { summary, technicalDecisions: '', dialogue: '' },
+      []
+    );
+    await indexDayFile(path, repo.dir);
+
+    // Loaded back from disk, so the postings must have been saved
+    const index = await refreshSearchIndex(repo.dir);
+    assert.deepEqual(searchIndex(index, 'constructor').map((result) => result.hash), [hash]);
+    assert.equal(searchIndex(index, 'tostring').length, 1);
+    assert.ok(!Object.keys(Object).includes(hash));
+  });
+
+  it('rejects --section values named like Object.prototype members', async (t) => {
+    const errors = [];
+    t.mock.method(console, 'error', (text) => errors.push(text));
+
+    for (const section of ['constructor', 'toString', '__proto__']) {
+      assert.equal(await runSearch(['parser', '--section', section]), EXIT_ERROR);
+    }
+    assert.equal(errors.length, 3);
+    assert.ok(errors.every((text) => text.includes('Unknown section')));
+  });
+
+  it('cuts snippets around the first match', () => {
+    const text = `${'filler '.repeat(40)}we picked LangGraph for fan-out ${'tail '.repeat(40)}`;
+    const snippet = makeSnippet(text, 'langgraph', 60);
+
+    assert.match(snippet, /^….*LangGraph.*…$/);
+    assert.ok(snippet.length <= 62);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Squash merge tests - feature stories stitched from the branch's entries
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import { createTestRepo } from './helpers/test-env.js';
+import { createJournalModel } from './helpers/fake-model.js';
+import { processCommit } from '../src/pipeline/process-commit.js';
+import { parseSquashMessage } from '../src/pipeline/squash.js';
+import { parseEntriesFile } from '../src/managers/journal-manager.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('squash merges', () => {
+  let repo;
+  let branchHashes;
+
+  /**
+   * Commit what `git merge --squash` staged
+   * @param {string[]} args - Message arguments (default: git's squash message)
+   * @returns {string} New commit hash
+   */
+  function commitSquash(...args) {
+    execFileSync('git', ['commit', '-q', ...(args.length ? args : ['--no-edit'])], {
+      cwd: repo.dir,
+      env: { ...process.env, GIT_AUTHOR_DATE: '2026-10-19T12:00:00Z', GIT_COMMITTER_DATE: '2026-10-19T12:00:00Z' },
+      stdio: 'ignore',
+    });
+    return repo.git('rev-parse', 'HEAD');
+  }
+
+  before(async () => {
+    repo = await createTestRepo();
+    // Untracked, so the journal stays put when switching branches
+    await writeFile(`${repo.dir}/.git/info/exclude`, 'journal/\n');
+
+    await repo.commit('Initial commit', { 'README.md': '# Fixture\n' }, '2026-10-19T07:00:00Z');
+    repo.git('checkout', '-q', '-b', 'feature/search');
+    branchHashes = [
+      await repo.commit('Add tokenizer', { 'src/tokenize.js': 'export {};\n' }, '2026-10-19T08:00:00Z'),
+      await repo.commit('Add ranking', { 'src/rank.js': 'export {};\n' }, '2026-10-19T09:00:00Z'),
+    ];
+    setModel(createJournalModel({ summary: 'Tokenizer splits on unicode word boundaries.' }));
+    await processCommit(branchHashes[0]);
+    setModel(createJournalModel({ summary: 'Ranking weighs title matches double.' }));
+    await processCommit(branchHashes[1]);
+    repo.git('checkout', '-q', 'main');
+  });
+
+  after(async () => {
+    resetModel();
+    await repo.cleanup();
+  });
+
+  it('recognizes git and pull request squash messages', () => {
+    const hash = 'c'.repeat(40);
+    const older = 'd'.repeat(40);
+    assert.deepEqual(
+      parseSquashMessage(`Squashed commit of the following:\n\ncommit ${hash}\nAuthor: A\n\ncommit ${older}\n`),
+      { hashes: [older, hash] }
+    );
+    assert.deepEqual(parseSquashMessage('Add search (#12)\n\n* Add tokenizer\n\n* Add ranking\n'), {
+      subjects: ['Add tokenizer', 'Add ranking'],
+    });
+    assert.equal(parseSquashMessage('Add search\n\n* Add tokenizer\n* Add ranking\n'), null);
+    assert.equal(parseSquashMessage('Fix typo (#13)'), null);
+  });
+
+  it('writes a git squash merge as a feature story from the branch entries', async () => {
+    const model = createJournalModel({ summary: 'Search landed as tokenizer plus ranking.' });
+    setModel(model);
+    repo.git('merge', '-q', '--squash', 'feature/search');
+    const hash = commitSquash();
+
+    const result = await processCommit(hash);
+    assert.equal(result.status, 'saved');
+
+    const prompt = model.prompts.find((text) => text.includes('Write your summary'));
+    assert.match(prompt, /feature story/);
+    assert.match(prompt, /Tokenizer splits on unicode word boundaries\.[\s\S]*Ranking weighs title matches double\./);
+    assert.ok(!prompt.includes('```diff'));
+
+    const entries = parseEntriesFile(await readFile(result.path, 'utf-8'));
+    const entry = entries.find((parsed) => parsed.hash === hash);
+    assert.deepEqual(
+      entry.metadata.squashOf.map((squashed) => squashed.hash),
+      branchHashes
+    );
+    assert.match(entry.text, /### Squashed Commits\n- [0-9a-f]{7} Add tokenizer\n- [0-9a-f]{7} Add ranking\n/);
+  });
+
+  it('matches pull request bullets to entries from other branches, or uses the branch given', async () => {
+    repo.git('reset', '-q', '--hard', 'HEAD~1');
+    repo.git('merge', '-q', '--squash', 'feature/search');
+    const pullRequest = commitSquash('-m', 'Add search (#12)\n\n* Add tokenizer\n\n* Add ranking');
+
+    setModel(createJournalModel());
+    const fromMessage = await processCommit(pullRequest);
+    assert.deepEqual(
+      fromMessage.metadata.squashOf.map((squashed) => squashed.hash),
+      branchHashes
+    );
+
+    repo.git('reset', '-q', '--hard', 'HEAD~1');
+    repo.git('merge', '-q', '--squash', 'feature/search');
+    const plain = commitSquash('-m', 'Search');
+    assert.equal((await processCommit(plain)).metadata.squashOf, undefined);
+
+    const fromBranch = await processCommit(plain, { policy: 'replace', squashOf: 'feature/search' });
+    assert.deepEqual(
+      fromBranch.metadata.squashOf.map((squashed) => squashed.hash),
+      branchHashes
+    );
+  });
+});
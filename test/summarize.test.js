@@ -0,0 +1,136 @@
+/**
+ * Rollup summary tests - periods, summary graph with a fake model, saved files
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createSummaryModel } from './helpers/fake-model.js';
+import { createTestDir } from './helpers/test-env.js';
+import { parseWeek, parseMonth } from '../src/utils/periods.js';
+import {
+  saveJournalEntry,
+  readJournal,
+  discoverReflections,
+  discoverContextCaptures,
+} from '../src/managers/journal-manager.js';
+import { saveSummary } from '../src/managers/summary-manager.js';
+import { generatePeriodSummary } from '../src/generators/summary-graph.js';
+import { setModel, resetModel } from '../src/generators/journal-graph.js';
+
+describe('periods', () => {
+  it('parses ISO weeks from Monday to Sunday', () => {
+    const week = parseWeek('2026-W42');
+    assert.equal(week.start.toISOString(), '2026-10-12T00:00:00.000Z');
+    assert.equal(week.end.toISOString(), '2026-10-18T23:59:59.999Z');
+
+    // Week 1 can start in the previous year
+    assert.equal(parseWeek('2026-W01').start.toISOString(), '2025-12-29T00:00:00.000Z');
+  });
+
+  it('parses calendar months', () => {
+    const month = parseMonth('2026-02');
+    assert.equal(month.start.toISOString(), '2026-02-01T00:00:00.000Z');
+    assert.equal(month.end.toISOString(), '2026-02-28T23:59:59.999Z');
+  });
+
+  it('rejects malformed or missing periods', () => {
+    assert.throws(() => parseWeek('2026-42'), /Invalid week/);
+    assert.throws(() => parseWeek('2025-W53'), /52 ISO weeks/);
+    assert.throws(() => parseMonth('2026-13'), /Invalid month/);
+  });
+});
+
+describe('weekly summary', () => {
+  let baseDir;
+  let cleanup;
+  let model;
+  const period = parseWeek('2026-W42');
+
+  before(async () => {
+    ({ dir: baseDir, cleanup } = await createTestDir('summary'));
+    model = createSummaryModel();
+    setModel(model);
+
+    const sections = {
+      summary: 'Fixed the parser so empty input no longer crashes.',
+      dialogue: '',
+      technicalDecisions: '- Made: return an empty AST for empty input',
+    };
+    const commit = (hash, iso) => ({
+      hash,
+      shortHash: hash.slice(0, 7),
+      author: 'Test Author',
+      timestamp: new Date(iso),
+    });
+    await saveJournalEntry(sections, commit('a'.repeat(40), '2026-10-13T10:00:00Z'), [], baseDir);
+    // Outside the week
+    await saveJournalEntry(sections, commit('b'.repeat(40), '2026-10-19T10:00:00Z'), [], baseDir);
+
+    // As written by the MCP tools
+    await mkdir(join(baseDir, 'journal/reflections/2026-10'), { recursive: true });
+    await writeFile(
+      join(baseDir, 'journal/reflections/2026-10/2026-10-14.md'),
+      '## 9:00:00 AM UTC\n\nThe lexer needs the same treatment.\n\n═══════════════════════════════════════\n\n'
+    );
+    await mkdir(join(baseDir, 'journal/context/2026-10'), { recursive: true });
+    await writeFile(
+      join(baseDir, 'journal/context/2026-10/2026-10-15.md'),
+      '## 4:00:00 PM UTC - Context Capture\n\nParser work is done; lexer next.\n\n═══════════════════════════════════════\n\n'
+    );
+  });
+
+  after(async () => {
+    resetModel();
+    await cleanup();
+  });
+
+  it('reads reflections and context captures for the period', async () => {
+    const reflections = await discoverReflections(period.start, period.end, baseDir);
+    const captures = await discoverContextCaptures(period.start, period.end, baseDir);
+
+    assert.deepEqual(reflections.map((reflection) => reflection.content), ['The lexer needs the same treatment.']);
+    assert.equal(reflections[0].title, null);
+    assert.equal(captures[0].title, 'Context Capture');
+  });
+
+  it('generates and saves a summary from the period material', async () => {
+    const material = {
+      period,
+      entries: await readJournal({ from: period.start, to: period.end }, baseDir),
+      reflections: await discoverReflections(period.start, period.end, baseDir),
+      contextCaptures: await discoverContextCaptures(period.start, period.end, baseDir),
+    };
+    const summary = await generatePeriodSummary(material);
+    const path = await saveSummary(summary, material, baseDir);
+
+    assert.match(path, /journal\/summaries\/weekly\/2026-W42\.md$/);
+    assert.deepEqual(summary.errors, []);
+
+    const content = await readFile(path, 'utf-8');
+    assert.match(content, /^# Weekly Summary: 2026-W42$/m);
+    assert.match(content, /2026-10-12 – 2026-10-18 · 1 entry · 1 reflection · 1 context capture/);
+    assert.match(content, /## Themes\n- \*\*Parsing\*\*/);
+    assert.match(content, /## Open Questions\n- Does the lexer/);
+    assert.match(content, /- 2026-10-13 `aaaaaaa` - Fixed the parser/);
+    assert.doesNotMatch(content, /bbbbbbb/);
+
+    // Every node saw the reflection and the capture; open questions also saw the themes
+    const openQuestionsPrompt = model.prompts.find((prompt) => prompt.includes('List the open questions'));
+    assert.match(openQuestionsPrompt, /The lexer needs the same treatment\./);
+    assert.match(openQuestionsPrompt, /Parser work is done; lexer next\./);
+    assert.match(openQuestionsPrompt, /Hardened the parser/);
+  });
+
+  it('reports failed sections without failing the summary', async () => {
+    setModel(createSummaryModel({ keyDecisions: new Error('rate limited') }));
+    const summary = await generatePeriodSummary({
+      period,
+      entries: await readJournal({ from: period.start, to: period.end }, baseDir),
+    });
+
+    assert.equal(summary.keyDecisions, '[Key decisions extraction failed]');
+    assert.deepEqual(summary.errors, ['Key decisions extraction failed: rate limited']);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Telemetry tests - no-op by default, file exporter when configured
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { AIMessage } from '@langchain/core/messages';
+import { initTelemetry, shutdownTelemetry } from '../src/telemetry/setup.js';
+import { withSpan, withModelSpan, recordEntryOutcome, GEN_AI } from '../src/telemetry/index.js';
+
+const model = { provider: 'anthropic', model: 'claude-test', temperature: 0, maxTokens: 1024 };
+
+/**
+ * Build a model response carrying usage metadata
+ * @returns {AIMessage} Response
+ */
+function responseWithUsage() {
+  return new AIMessage({
+    content: 'ok',
+    response_metadata: { model_name: 'claude-test-20261019', stop_reason: 'end_turn' },
+    usage_metadata: { input_tokens: 120, output_tokens: 30, total_tokens: 150 },
+  });
+}
+
+describe('telemetry disabled', () => {
+  it('records nothing and passes results through', async () => {
+    assert.equal(await initTelemetry({ exporter: 'none' }), false);
+    assert.equal(await withSpan('commit_story.test', {}, () => 42), 42);
+    const response = await withModelSpan(model, async () => responseWithUsage());
+    assert.equal(response.content, 'ok');
+    await shutdownTelemetry();
+  });
+});
+
+describe('file exporter', () => {
+  let dir;
+  let records;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'commit-story-telemetry-'));
+    const file = join(dir, 'telemetry.jsonl');
+    assert.equal(await initTelemetry({ exporter: 'file', endpoint: null, file }), true);
+
+    await withSpan('commit_story.process_commit', { 'commit_story.commit.ref': 'HEAD' }, async () => {
+      await withModelSpan(model, async () => responseWithUsage());
+      await assert.rejects(
+        withSpan('commit_story.collect.git', {}, () => {
+          throw new Error('bad object');
+        }),
+        /bad object/
+      );
+    });
+    recordEntryOutcome('generated');
+    recordEntryOutcome('skipped', { 'commit_story.skip.reason': 'journal-only' });
+
+    await shutdownTelemetry();
+    records = (await readFile(file, 'utf-8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('nests spans under the pipeline span', () => {
+    const spans = records.filter((record) => record.signal === 'span');
+    const root = spans.find((span) => span.name === 'commit_story.process_commit');
+    const children = spans.filter((span) => span.parentSpanId === root.spanId).map((span) => span.name);
+
+    assert.deepEqual(children.sort(), ['chat claude-test', 'commit_story.collect.git']);
+  });
+
+  it('records GenAI attributes on model spans', () => {
+    const span = records.find((record) => record.name === 'chat claude-test');
+
+    assert.equal(span.attributes[GEN_AI.OPERATION_NAME], 'chat');
+    assert.equal(span.attributes[GEN_AI.PROVIDER_NAME], 'anthropic');
+    assert.equal(span.attributes[GEN_AI.REQUEST_MODEL], 'claude-test');
+    assert.equal(span.attributes[GEN_AI.RESPONSE_MODEL], 'claude-test-20261019');
+    assert.equal(span.attributes[GEN_AI.USAGE_INPUT_TOKENS], 120);
+    assert.equal(span.attributes[GEN_AI.USAGE_OUTPUT_TOKENS], 30);
+    assert.deepEqual(span.attributes[GEN_AI.RESPONSE_FINISH_REASONS], ['end_turn']);
+  });
+
+  it('marks failed spans', () => {
+    const span = records.find((record) => record.name === 'commit_story.collect.git');
+    assert.equal(span.status.code, 2);
+    assert.equal(span.status.message, 'bad object');
+  });
+
+  it('counts entry outcomes', () => {
+    const entries = records.find((record) => record.signal === 'metric' && record.name === 'commit_story.entries');
+    const outcomes = Object.fromEntries(
+      entries.dataPoints.map((point) => [point.attributes['commit_story.entry.outcome'], point.value])
+    );
+    assert.deepEqual(outcomes, { generated: 1, skipped: 1 });
+  });
+});
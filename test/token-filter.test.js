@@ -0,0 +1,123 @@
+/**
+ * Token Filter tests - per-file diff budgeting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  truncateDiff,
+  rankDiffFile,
+  splitDiffByFile,
+  estimateTokens,
+} from '../src/integrators/filters/token-filter.js';
+
+/**
+ * Build one file's section of a diff, adding the given lines
+ * @param {string} path - Repo-relative path
+ * @param {number} lines - Added lines
+ * @param {string} content - Line content
+ * @returns {string} Diff section
+ */
+function fileDiff(path, lines, content) {
+  const added = Array.from({ length: lines }, (_, i) => `+${content} ${i}`).join('\n');
+  return `diff --git a/${path} b/${path}
+index 0000000..1111111 100644
+--- a/${path}
++++ b/${path}
+@@ -0,0 +1,${lines} @@
+${added}`;
+}
+
+describe('truncateDiff', () => {
+  it('leaves a diff within budget untouched', () => {
+    const diff = fileDiff('src/app.js', 3, 'const a = 1;');
+    assert.deepEqual(truncateDiff(diff, 1000), {
+      diff,
+      truncated: false,
+      originalTokens: estimateTokens(diff),
+      elidedFiles: [],
+      truncatedFiles: [],
+    });
+  });
+
+  it('collapses lock files and favors source over tests when over budget', () => {
+    const diff = [
+      fileDiff('package-lock.json', 4000, '"resolved": "https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz",'),
+      fileDiff('src/app.js', 40, 'export const value = compute();'),
+      fileDiff('src/engine.js', 2000, 'engine.register(handler, { priority: 1 });'),
+      fileDiff('test/engine.test.js', 2000, 'assert.equal(engine.run(input), expected);'),
+    ].join('\n');
+
+    const result = truncateDiff(diff, 8000);
+
+    assert.equal(result.truncated, true);
+    assert.ok(result.shownTokens <= 8000);
+    assert.deepEqual(result.elidedFiles, ['package-lock.json']);
+    assert.deepEqual(result.truncatedFiles, ['src/engine.js', 'test/engine.test.js']);
+    assert.ok(result.diff.startsWith('diff --git a/package-lock.json b/package-lock.json\n[lock file - +4000 -0 lines'));
+    assert.ok(result.diff.includes('+export const value = compute(); 39\n'));
+    assert.match(result.diff, /\[DIFF TRUNCATED - Original: \d+ tokens/);
+
+    const [, , engine, tests] = splitDiffByFile(result.diff);
+    assert.ok(estimateTokens(engine.text) > 2 * estimateTokens(tests.text));
+  });
+
+  it('collapses files whose share of the budget is too small to be useful', () => {
+    const diff = Array.from({ length: 30 }, (_, i) => fileDiff(`src/module-${i}.js`, 200, 'doWork();')).join('\n');
+    const result = truncateDiff(diff, 4000);
+
+    assert.equal(result.elidedFiles.length, 30);
+    assert.match(result.diff, /\[over budget - \+200 -0 lines not shown\]/);
+  });
+
+  it('stays within budget when there are too many files for a stat line each', () => {
+    const diff = [
+      ...Array.from({ length: 600 }, (_, i) => fileDiff(`src/module-${i}.js`, 30, 'doWork();')),
+      fileDiff('src/config.js', 2, 'export default {};'),
+    ].join('\n');
+    const result = truncateDiff(diff, 3000);
+
+    assert.ok(result.shownTokens <= 3000, `${result.shownTokens} tokens shown`);
+    assert.ok(result.diff.includes('+export default {}; 1\n'));
+    assert.ok(!result.elidedFiles.includes('src/config.js'));
+    assert.ok(result.elidedFiles.length < 601);
+    assert.match(result.diff, /\[over budget - \+30 -0 lines not shown\]/);
+
+    const summary = result.diff.match(/\[\.\.\. and (\d+) more files not shown - \+(\d+) -0 lines\]/);
+    assert.ok(summary);
+    const statLines = result.diff.match(/lines not shown\]/g).length;
+    assert.equal(statLines + Number(summary[1]), result.elidedFiles.length);
+    assert.equal(Number(summary[2]), Number(summary[1]) * 30);
+  });
+});
+
+describe('rankDiffFile', () => {
+  it('ranks source over tests over lock, minified, vendored and generated files', () => {
+    assert.deepEqual(rankDiffFile('src/index.js'), { rank: 0, reason: null });
+    assert.equal(rankDiffFile('test/index.test.js').rank, 1);
+    assert.equal(rankDiffFile('pkg/parser_test.go').rank, 1);
+    assert.equal(rankDiffFile('tests/test_parser.py').rank, 1);
+    assert.equal(rankDiffFile('yarn.lock').reason, 'lock file');
+    assert.equal(rankDiffFile('Cargo.lock').reason, 'lock file');
+    assert.equal(rankDiffFile('public/app.min.js').reason, 'minified');
+    assert.equal(rankDiffFile('vendor/lib/x.go').reason, 'vendored');
+    assert.equal(rankDiffFile('dist/bundle.js').reason, 'generated');
+    assert.equal(rankDiffFile('src/contest.js').rank, 0);
+  });
+});
+
+describe('splitDiffByFile', () => {
+  it('reads paths git quoted in the file header', () => {
+    const diff = [
+      'diff --git "a/vendor/caf\\303\\251.js" "b/vendor/caf\\303\\251.js"',
+      '+module.exports = 1;',
+      'diff --git a/src/app.js b/src/app.js',
+      '+run();',
+    ].join('\n');
+
+    const [quoted, plain] = splitDiffByFile(diff);
+    assert.equal(quoted.path, 'vendor/café.js');
+    assert.equal(rankDiffFile(quoted.path).reason, 'vendored');
+    assert.equal(plain.path, 'src/app.js');
+  });
+});